@@ -0,0 +1,621 @@
+/**
+ * AI provider layer for waste image analysis
+ *
+ * The prompts and response parsing live here; each provider adapter only
+ * sends a prompt with images and returns the model's text, so every
+ * provider yields the same result shape.
+ */
+
+import * as gemini from './gemini.js';
+import * as openai from './openai.js';
+import * as ollama from './ollama.js';
+import { DEFAULT_TIMEOUT_SECONDS, RequestCancelledError } from './request.js';
+
+/**
+ * Supported providers with their defaults
+ */
+export const AI_PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    adapter: gemini,
+    defaultModel: 'gemini-2.5-flash',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    keyRequired: true
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    adapter: openai,
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    keyRequired: false
+  },
+  ollama: {
+    label: 'Self-hosted (Ollama)',
+    adapter: ollama,
+    defaultModel: 'llava',
+    defaultBaseUrl: 'http://localhost:11434',
+    keyRequired: false
+  }
+};
+
+export const DEFAULT_AI_PROVIDER = 'gemini';
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Colours waste bins come in
+export const BIN_COLORS = ['black', 'grey', 'brown', 'green', 'blue', 'yellow', 'orange', 'red', 'white'];
+
+// More photos make requests slow and expensive without improving the estimate
+export const MAX_ANALYSIS_PHOTOS = 8;
+
+// A connection test should answer quickly and is not retried
+const TEST_TIMEOUT_MS = 15000;
+
+// Raise when the prompts or the result shape change, so that cached results are not reused
+const PROMPT_VERSION = 2;
+
+/**
+ * Fill in the provider defaults for missing settings
+ * @param {{provider: string, apiKey: string|null, model: string|null, baseUrl: string|null, timeoutSeconds: number|null}} settings - AI settings
+ * @returns {{provider: string, apiKey: string|null, model: string, baseUrl: string, timeoutMs: number}} Complete settings
+ * @throws {Error} If the provider is unknown
+ */
+export function resolveAiConfig(settings) {
+  const provider = AI_PROVIDERS[settings.provider];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${settings.provider}`);
+  }
+
+  return {
+    provider: settings.provider,
+    apiKey: settings.apiKey || null,
+    model: settings.model || provider.defaultModel,
+    baseUrl: (settings.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, ''),
+    timeoutMs: (settings.timeoutSeconds > 0 ? settings.timeoutSeconds : DEFAULT_TIMEOUT_SECONDS) * 1000
+  };
+}
+
+/**
+ * Check whether enough is configured to call the provider
+ * @param {{provider: string, apiKey: string|null}} settings - AI settings
+ * @returns {boolean} True if AI analysis can be used
+ */
+export function isAiConfigured(settings) {
+  const provider = AI_PROVIDERS[settings.provider];
+  return !!provider && (!provider.keyRequired || !!settings.apiKey);
+}
+
+/**
+ * Analyze the photos of one waste scan together
+ * The photos show the same waste, so each item is counted once however many photos it is on.
+ * @param {Object} settings - AI settings, see resolveAiConfig()
+ * @param {Array<{dataUrl: string, caption: string|null}>} photos - The scan's photos, in order
+ * @param {string[]} categories - Names of the waste streams to detect
+ * @param {{signal: AbortSignal, onCall: Function}} [options] - Signal to cancel the request, and a callback receiving the call made, see sendRequest()
+ * @returns {Promise<{streams: Array<{name: string, weightKg: number, confidence: string|null, regions: Array<{photoIndex: number, x: number, y: number, width: number, height: number}>}>, totalEstimateKg: number, confidence: string|null, notes: string|null}>}
+ *   Regions give the index of their photo in `photos` and are fractions of that photo's width and height, measured from the top-left corner.
+ */
+export async function analyzeWasteImage(settings, photos, categories = [], { signal, onCall } = {}) {
+  const config = requireConfig(settings);
+  if (!photos?.length) {
+    throw new Error('Image is required');
+  }
+  if (photos.length > MAX_ANALYSIS_PHOTOS) {
+    throw new Error(`At most ${MAX_ANALYSIS_PHOTOS} photos can be analyzed at once`);
+  }
+  const images = photos.map(photo => parseImageDataUrl(photo.dataUrl));
+
+  const categoriesText = categories.length > 0
+    ? `Categories: ${categories.join(', ')}\n\nUse these category names exactly. Report anything else under the closest category.`
+    : 'Use short, common category names.';
+
+  const photosText = photos.length > 1
+    ? `There are ${photos.length} photos of the same waste, numbered in the order given:\n${photos.map((photo, index) => `Photo ${index + 1}${photo.caption ? `: ${photo.caption}` : ''}`).join('\n')}
+
+Combine what you see into one estimate. An item visible in several photos must be counted once.`
+    : photos[0].caption ? `Photo 1: ${photos[0].caption}` : '';
+
+  const prompt = `Analyze ${photos.length > 1 ? 'these waste photos' : 'this waste image'}. Identify waste streams and estimate weights in kg.
+
+Return JSON only: {"streams":[{"name":"...","weightKg":0.0,"confidence":"low|medium|high","regions":[{"photo":1,"x":0.0,"y":0.0,"width":0.0,"height":0.0}]}],"totalEstimateKg":0.0,"confidence":"low|medium|high","notes":"..."}
+
+${categoriesText}
+${photosText ? `\n${photosText}\n` : ''}
+For each stream, give your confidence in it and the regions where you see it, as bounding boxes.
+"photo" is the number of the photo a box is on. Box coordinates are fractions from 0 to 1 of that photo's width and height, measured from the top-left corner.
+
+Be conservative with estimates. Only include clearly visible streams.`;
+
+  const response = await sendRequest(config, 'analysis', {
+    prompt,
+    images,
+    schema: buildAnalysisSchema(categories),
+    temperature: 0.2,
+    maxOutputTokens: 8192
+  }, { signal, onCall });
+
+  if (response.truncated) {
+    throw new Error('Response was truncated. Please try again with a simpler image.');
+  }
+
+  return parseAnalysis(response.text, photos.length);
+}
+
+/**
+ * Classify waste image to determine which bin(s) it should go into
+ * @param {Object} settings - AI settings, see resolveAiConfig()
+ * @param {string} imageDataUrl - Base64 data URL of the image
+ * @param {string} location - Town/region where the waste is located
+ * @param {{signal: AbortSignal, onCall: Function}} [options] - Signal to cancel the request, and a callback receiving the call made, see sendRequest()
+ * @returns {Promise<{binName: string, binColor: string|null, reason: string, reductionTip: string|null, confidence: string|null, alternatives: Array<{binName: string, binColor: string|null, reason: string}>}>}
+ *   Colours are one of BIN_COLORS, or null if the model named another one.
+ */
+export async function classifyWasteImage(settings, imageDataUrl, location, { signal, onCall } = {}) {
+  const config = requireConfig(settings);
+  const images = [parseImageDataUrl(imageDataUrl)];
+
+  if (!location || !location.trim()) {
+    throw new Error('Location (town/region) is required');
+  }
+
+  const prompt = `Analyze this waste image and provide a warm, friendly classification with occasional family-friendly humor.
+
+Context: Location: ${location} (for business/organization)
+
+Write as a knowledgeable, upbeat friend who makes recycling education fun and engaging. Be casual, positive, and welcoming. Use occasional light, family-friendly humor when appropriate. Keep it professional and safe-for-work.
+
+Return JSON only: {"binName":"...","binColor":"${BIN_COLORS.join('|')}","reason":"...","reductionTip":"...","confidence":"low|medium|high","alternatives":[{"binName":"...","binColor":"...","reason":"..."}]}
+
+binName: the bin this waste goes into in ${location}, as the bins are called there.
+binColor: the usual colour of that bin there.
+reason: one friendly, simple sentence explaining why this waste goes into that bin. Make it engaging and positive.
+reductionTip: a brief, upbeat suggestion on how to reduce the environmental impact (e.g. reuse, refuse, reduce, recycle alternatives). Keep it encouraging and actionable.
+confidence: how sure you are of the bin.
+alternatives: other bins that are right for some of the waste, or when it is prepared differently (e.g. rinsed or taken apart), each with a short reason. Leave the list empty if there are none.
+
+If you cannot clearly identify the waste, give your best guess with low confidence and say so in a friendly way in the reason.`;
+
+  const response = await sendRequest(config, 'classification', {
+    prompt,
+    images,
+    schema: buildClassificationSchema(),
+    temperature: 0.3,
+    maxOutputTokens: 2048
+  }, { signal, onCall });
+
+  if (response.truncated) {
+    throw new Error('Response was truncated. Please try again.');
+  }
+
+  return parseClassification(response.text);
+}
+
+/**
+ * Build the cache key of an analysis
+ * Results can be reused when the same photos are analyzed for the same
+ * categories with the same endpoint, model and prompts.
+ * @param {Object} settings - AI settings, see resolveAiConfig()
+ * @param {Array<{dataUrl: string, caption: string|null}>} photos - The photos, in order
+ * @param {string[]} categories - Names of the waste streams to detect
+ * @returns {Promise<string>} The key
+ */
+export function getAnalysisCacheKey(settings, photos, categories = []) {
+  const config = resolveAiConfig(settings);
+  return hashText(JSON.stringify([
+    'analysis', PROMPT_VERSION, config.provider, config.baseUrl, config.model, categories,
+    photos.map(photo => [photo.dataUrl, photo.caption || null])
+  ]));
+}
+
+/**
+ * Build the cache key of a classification
+ * @param {Object} settings - AI settings, see resolveAiConfig()
+ * @param {string} imageDataUrl - Base64 data URL of the image
+ * @param {string} location - Town/region where the waste is located
+ * @returns {Promise<string>} The key
+ */
+export function getClassificationCacheKey(settings, imageDataUrl, location) {
+  const config = resolveAiConfig(settings);
+  return hashText(JSON.stringify([
+    'classification', PROMPT_VERSION, config.provider, config.baseUrl, config.model, location.trim(), imageDataUrl
+  ]));
+}
+
+/**
+ * Test if the provider can be reached with these settings
+ * @param {Object} settings - AI settings, see resolveAiConfig()
+ * @returns {Promise<boolean>} True if the provider accepted the request
+ */
+export async function testAiConnection(settings) {
+  if (!isAiConfigured(settings)) {
+    return false;
+  }
+
+  const config = resolveAiConfig(settings);
+
+  try {
+    return await AI_PROVIDERS[config.provider].adapter.testConnection(config, {
+      timeoutMs: Math.min(config.timeoutMs, TEST_TIMEOUT_MS),
+      retries: 0
+    });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check the settings before a request
+ * @param {Object} settings - AI settings
+ * @returns {Object} Complete settings
+ * @throws {Error} If a required API key is missing
+ */
+function requireConfig(settings) {
+  if (!isAiConfigured(settings)) {
+    throw new Error('API key is required');
+  }
+  return resolveAiConfig(settings);
+}
+
+/**
+ * Send a request through the provider's adapter and report how it went
+ * The call is reported whether it succeeded or not, with the tokens the provider counted.
+ * @param {Object} config - Complete settings, see resolveAiConfig()
+ * @param {'analysis'|'classification'} operation - What the request is for
+ * @param {Object} request - The request, see the adapters' generateContent()
+ * @param {{signal: AbortSignal, onCall: Function}} options - Signal to cancel the request, and a callback receiving
+ *   `{operation, provider, model, inputTokens, outputTokens, latencyMs, outcome}` with outcome 'success', 'truncated', 'error' or 'cancelled'
+ * @returns {Promise<{text: string, truncated: boolean}>} The response
+ */
+async function sendRequest(config, operation, request, { signal, onCall }) {
+  const startedAt = Date.now();
+  let response = null;
+  let outcome = 'error';
+
+  try {
+    response = await AI_PROVIDERS[config.provider].adapter.generateContent(config, request, { signal, timeoutMs: config.timeoutMs });
+    outcome = response.truncated ? 'truncated' : 'success';
+    return response;
+  } catch (error) {
+    if (error instanceof RequestCancelledError) {
+      outcome = 'cancelled';
+    }
+    throw error;
+  } finally {
+    onCall?.({
+      operation,
+      provider: config.provider,
+      model: config.model,
+      inputTokens: response?.usage?.inputTokens ?? null,
+      outputTokens: response?.usage?.outputTokens ?? null,
+      latencyMs: Date.now() - startedAt,
+      outcome
+    });
+  }
+}
+
+/**
+ * Hash a text with SHA-256
+ * @param {string} text - The text
+ * @returns {Promise<string>} The hash as hex
+ */
+async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Split a data URL into mime type and base64 data
+ * @param {string} imageDataUrl - Base64 data URL of the image
+ * @returns {{mimeType: string, base64: string, dataUrl: string}} The image
+ * @throws {Error} If there is no valid image
+ */
+function parseImageDataUrl(imageDataUrl) {
+  if (!imageDataUrl) {
+    throw new Error('Image is required');
+  }
+
+  const matches = imageDataUrl.match(/^data:(.+);base64,(.+)$/);
+  if (!matches) {
+    throw new Error('Invalid image data URL');
+  }
+
+  return { mimeType: matches[1], base64: matches[2], dataUrl: imageDataUrl };
+}
+
+/**
+ * JSON Schema the providers are asked to follow for an analysis
+ * Every property is required and nothing else is allowed, as strict
+ * structured output modes demand.
+ * @param {string[]} categories - Names of the waste streams to detect
+ * @returns {Object} The schema
+ */
+export function buildAnalysisSchema(categories = []) {
+  return {
+    type: 'object',
+    properties: {
+      streams: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: categories.length > 0 ? { type: 'string', enum: categories } : { type: 'string' },
+            weightKg: { type: 'number' },
+            confidence: { type: 'string', enum: CONFIDENCE_LEVELS },
+            regions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  photo: { type: 'integer' },
+                  x: { type: 'number' },
+                  y: { type: 'number' },
+                  width: { type: 'number' },
+                  height: { type: 'number' }
+                },
+                required: ['photo', 'x', 'y', 'width', 'height'],
+                additionalProperties: false
+              }
+            }
+          },
+          required: ['name', 'weightKg', 'confidence', 'regions'],
+          additionalProperties: false
+        }
+      },
+      totalEstimateKg: { type: 'number' },
+      confidence: { type: 'string', enum: CONFIDENCE_LEVELS },
+      notes: { type: ['string', 'null'] }
+    },
+    required: ['streams', 'totalEstimateKg', 'confidence', 'notes'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the JSON schema a classification must match
+ * @returns {Object} JSON schema
+ */
+export function buildClassificationSchema() {
+  const bin = {
+    binName: { type: 'string' },
+    binColor: { type: 'string', enum: BIN_COLORS },
+    reason: { type: 'string' }
+  };
+
+  return {
+    type: 'object',
+    properties: {
+      ...bin,
+      reductionTip: { type: 'string' },
+      confidence: { type: 'string', enum: CONFIDENCE_LEVELS },
+      alternatives: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: bin,
+          required: ['binName', 'binColor', 'reason'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['binName', 'binColor', 'reason', 'reductionTip', 'confidence', 'alternatives'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Parse and validate the JSON returned for a classification
+ * A colour outside BIN_COLORS only changes how the bin is shown, so it is dropped rather than rejected.
+ * @param {string} text - The model's response
+ * @returns {Object} The classification, see classifyWasteImage()
+ * @throws {Error} If the response is not valid JSON or does not match the schema
+ */
+function parseClassification(text) {
+  let result;
+  try {
+    result = JSON.parse(stripCodeFence(text, 'json'));
+  } catch {
+    console.error('Failed to parse API response:', text);
+    throw new Error('Failed to parse API response as JSON');
+  }
+
+  const problem = findClassificationProblem(result);
+  if (problem) {
+    console.error('Invalid API response:', text);
+    throw new Error(`AI response did not match the expected format: ${problem}`);
+  }
+
+  const toBin = bin => ({
+    binName: bin.binName.trim(),
+    binColor: BIN_COLORS.includes(bin.binColor?.toLowerCase()) ? bin.binColor.toLowerCase() : null,
+    reason: bin.reason.trim()
+  });
+
+  return {
+    ...toBin(result),
+    reductionTip: result.reductionTip?.trim() || null,
+    confidence: result.confidence ?? null,
+    alternatives: (result.alternatives || []).map(toBin)
+  };
+}
+
+/**
+ * Check a classification against the schema
+ * Confidence, tip and alternatives may be left out, as models without schema support often do.
+ * @param {*} result - The parsed response
+ * @returns {string|null} What is wrong, or null if it is valid
+ */
+function findClassificationProblem(result) {
+  const findBinProblem = (bin, path) => {
+    if (!bin || typeof bin.binName !== 'string' || !bin.binName.trim()) {
+      return `${path}binName must be a non-empty text`;
+    }
+    if (bin.binColor != null && typeof bin.binColor !== 'string') {
+      return `${path}binColor must be a text`;
+    }
+    if (typeof bin.reason !== 'string') {
+      return `${path}reason must be a text`;
+    }
+    return null;
+  };
+
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return 'expected an object';
+  }
+
+  const binProblem = findBinProblem(result, '');
+  if (binProblem) {
+    return binProblem;
+  }
+  if (result.reductionTip != null && typeof result.reductionTip !== 'string') {
+    return 'reductionTip must be a text';
+  }
+  if (result.confidence != null && !CONFIDENCE_LEVELS.includes(result.confidence)) {
+    return `confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`;
+  }
+  if (result.alternatives != null && !Array.isArray(result.alternatives)) {
+    return 'alternatives must be a list';
+  }
+
+  for (const [index, alternative] of (result.alternatives || []).entries()) {
+    const problem = findBinProblem(alternative, `alternatives[${index}].`);
+    if (problem) {
+      return problem;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse and strictly validate the JSON returned for an analysis
+ * Not every provider enforces the schema, so nothing is taken on trust.
+ * Stream names are returned as given; mapping them onto the taxonomy is up to the caller.
+ * @param {string} text - The model's response
+ * @param {number} photoCount - Number of photos analyzed
+ * @returns {Object} The analysis result
+ * @throws {Error} If the response is not valid JSON or does not match the schema
+ */
+function parseAnalysis(text, photoCount) {
+  let result;
+  try {
+    result = JSON.parse(stripCodeFence(text, 'json'));
+  } catch {
+    console.error('Failed to parse API response:', text);
+    throw new Error('Failed to parse API response as JSON');
+  }
+
+  const problem = findAnalysisProblem(result);
+  if (problem) {
+    console.error('Invalid API response:', text);
+    throw new Error(`AI response did not match the expected format: ${problem}`);
+  }
+
+  return {
+    streams: result.streams.map(stream => ({
+      name: stream.name.trim(),
+      weightKg: stream.weightKg,
+      confidence: stream.confidence ?? null,
+      // A box on a photo that was not sent cannot be shown anywhere
+      regions: (stream.regions || [])
+        .filter(region => (region.photo ?? 1) <= photoCount)
+        .map(clampRegion)
+        .filter(Boolean)
+    })),
+    totalEstimateKg: result.totalEstimateKg,
+    confidence: result.confidence ?? null,
+    notes: result.notes || null
+  };
+}
+
+/**
+ * Check an analysis against the schema
+ * Confidences, regions and notes may be left out, as models without schema support often do.
+ * @param {*} result - The parsed response
+ * @returns {string|null} What is wrong, or null if it is valid
+ */
+function findAnalysisProblem(result) {
+  const isWeight = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return 'expected an object';
+  }
+  if (!Array.isArray(result.streams)) {
+    return 'streams must be a list';
+  }
+
+  for (const [index, stream] of result.streams.entries()) {
+    if (!stream || typeof stream.name !== 'string' || !stream.name.trim()) {
+      return `streams[${index}].name must be a non-empty text`;
+    }
+    if (!isWeight(stream.weightKg)) {
+      return `streams[${index}].weightKg must be a number of at least 0`;
+    }
+    if (stream.confidence != null && !CONFIDENCE_LEVELS.includes(stream.confidence)) {
+      return `streams[${index}].confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`;
+    }
+    if (stream.regions != null && !Array.isArray(stream.regions)) {
+      return `streams[${index}].regions must be a list`;
+    }
+    const badRegion = (stream.regions || []).findIndex(region =>
+      !region || !['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key]))
+    );
+    if (badRegion !== -1) {
+      return `streams[${index}].regions[${badRegion}] must have a numeric x, y, width and height`;
+    }
+    const badPhoto = (stream.regions || []).findIndex(region =>
+      region.photo != null && !(Number.isInteger(region.photo) && region.photo >= 1)
+    );
+    if (badPhoto !== -1) {
+      return `streams[${index}].regions[${badPhoto}].photo must be a photo number`;
+    }
+  }
+
+  if (!isWeight(result.totalEstimateKg)) {
+    return 'totalEstimateKg must be a number of at least 0';
+  }
+  if (result.confidence != null && !CONFIDENCE_LEVELS.includes(result.confidence)) {
+    return `confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`;
+  }
+  if (result.notes != null && typeof result.notes !== 'string') {
+    return 'notes must be a text';
+  }
+
+  return null;
+}
+
+/**
+ * Fit a region inside its photo
+ * Models tend to overshoot the edges slightly, so boxes are cut off rather than rejected.
+ * A region without a photo number is taken to be on the first photo.
+ * @param {{photo: number|undefined, x: number, y: number, width: number, height: number}} region - Region as returned
+ * @returns {{photoIndex: number, x: number, y: number, width: number, height: number}|null} The region, or null if nothing of it is inside the photo
+ */
+function clampRegion(region) {
+  // Four decimals are far more precise than any box a model draws
+  const clamp = value => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+  const x = clamp(region.x);
+  const y = clamp(region.y);
+  const width = clamp(clamp(region.x + region.width) - x);
+  const height = clamp(clamp(region.y + region.height) - y);
+
+  return width > 0 && height > 0 ? { photoIndex: (region.photo ?? 1) - 1, x, y, width, height } : null;
+}
+
+/**
+ * Remove a markdown code block around a response, if present
+ * @param {string} text - The response
+ * @param {string} language - Language tag the block may have
+ * @returns {string} The content
+ */
+function stripCodeFence(text, language) {
+  let cleaned = text.trim();
+  if (cleaned.startsWith('```' + language)) {
+    cleaned = cleaned.slice(3 + language.length);
+  } else if (cleaned.startsWith('```')) {
+    cleaned = cleaned.slice(3);
+  }
+  if (cleaned.endsWith('```')) {
+    cleaned = cleaned.slice(0, -3);
+  }
+  return cleaned.trim();
+}
@@ -0,0 +1,87 @@
+/**
+ * Ollama adapter for the AI provider layer
+ * For vision models on a self-hosted server, so photos never leave the network.
+ * https://github.com/ollama/ollama/blob/main/docs/api.md
+ */
+
+import { fetchWithRetry } from './request.js';
+
+/**
+ * Send a prompt with one or more images
+ * @param {{apiKey: string|null, model: string, baseUrl: string}} config - Provider settings
+ * @param {{prompt: string, images: Array<{base64: string}>, schema: Object|undefined, temperature: number, maxOutputTokens: number}} request - The request
+ * @param {Object} [requestOptions] - Timeout, retries and AbortSignal, see fetchWithRetry()
+ * @returns {Promise<{text: string, truncated: boolean, usage: {inputTokens: number, outputTokens: number}|null}>} The response
+ */
+export async function generateContent(config, request, requestOptions) {
+  const requestBody = {
+    model: config.model,
+    messages: [
+      {
+        role: 'user',
+        content: request.prompt,
+        images: request.images.map(image => image.base64)
+      }
+    ],
+    stream: false,
+    options: {
+      temperature: request.temperature,
+      num_predict: request.maxOutputTokens
+    },
+    ...(request.schema && { format: request.schema })
+  };
+
+  const response = await fetchWithRetry(`${config.baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: getHeaders(config),
+    body: JSON.stringify(requestBody)
+  }, requestOptions);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error || `API request failed with status ${response.status}`;
+    throw new Error(errorMessage);
+  }
+
+  const data = await response.json();
+
+  const text = data.message?.content;
+  const truncated = data.done_reason === 'length';
+
+  if (!text && !truncated) {
+    throw new Error('No response from API');
+  }
+
+  return {
+    text: text || '',
+    truncated,
+    usage: data.eval_count !== undefined
+      ? { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 }
+      : null
+  };
+}
+
+/**
+ * Test if the server can be reached
+ * @param {{apiKey: string|null, baseUrl: string}} config - Provider settings
+ * @param {Object} [requestOptions] - Timeout, retries and AbortSignal, see fetchWithRetry()
+ * @returns {Promise<boolean>} True if the model list could be read
+ */
+export async function testConnection(config, requestOptions) {
+  const response = await fetchWithRetry(`${config.baseUrl}/api/tags`, { method: 'GET', headers: getHeaders(config) }, requestOptions);
+  return response.ok;
+}
+
+/**
+ * Build the request headers
+ * A key is only sent when set, e.g. for a server behind an authenticating proxy.
+ * @param {{apiKey: string|null}} config - Provider settings
+ * @returns {Object} Headers
+ */
+function getHeaders(config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+  return headers;
+}
@@ -0,0 +1,88 @@
+/**
+ * OpenAI-compatible adapter for the AI provider layer
+ * Works with any server implementing the Chat Completions API with image input.
+ * https://platform.openai.com/docs/api-reference/chat
+ */
+
+import { fetchWithRetry } from './request.js';
+
+/**
+ * Send a prompt with one or more images
+ * @param {{apiKey: string|null, model: string, baseUrl: string}} config - Provider settings
+ * @param {{prompt: string, images: Array<{dataUrl: string}>, schema: Object|undefined, temperature: number, maxOutputTokens: number}} request - The request
+ * @param {Object} [requestOptions] - Timeout, retries and AbortSignal, see fetchWithRetry()
+ * @returns {Promise<{text: string, truncated: boolean, usage: {inputTokens: number, outputTokens: number}|null}>} The response
+ */
+export async function generateContent(config, request, requestOptions) {
+  const requestBody = {
+    model: config.model,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: request.prompt },
+          ...request.images.map(image => ({ type: 'image_url', image_url: { url: image.dataUrl } }))
+        ]
+      }
+    ],
+    temperature: request.temperature,
+    max_tokens: request.maxOutputTokens,
+    ...(request.schema && {
+      response_format: { type: 'json_schema', json_schema: { name: 'response', schema: request.schema, strict: true } }
+    })
+  };
+
+  const response = await fetchWithRetry(`${config.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: getHeaders(config),
+    body: JSON.stringify(requestBody)
+  }, requestOptions);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || `API request failed with status ${response.status}`;
+    throw new Error(errorMessage);
+  }
+
+  const data = await response.json();
+  const choice = data.choices?.[0];
+
+  const text = choice?.message?.content;
+  const truncated = choice?.finish_reason === 'length';
+
+  if (!text && !truncated) {
+    throw new Error('No response from API');
+  }
+
+  return {
+    text: text || '',
+    truncated,
+    usage: data.usage
+      ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 }
+      : null
+  };
+}
+
+/**
+ * Test if the server accepts requests with these settings
+ * @param {{apiKey: string|null, baseUrl: string}} config - Provider settings
+ * @param {Object} [requestOptions] - Timeout, retries and AbortSignal, see fetchWithRetry()
+ * @returns {Promise<boolean>} True if the model list could be read
+ */
+export async function testConnection(config, requestOptions) {
+  const response = await fetchWithRetry(`${config.baseUrl}/models`, { method: 'GET', headers: getHeaders(config) }, requestOptions);
+  return response.ok;
+}
+
+/**
+ * Build the request headers
+ * @param {{apiKey: string|null}} config - Provider settings
+ * @returns {Object} Headers
+ */
+function getHeaders(config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+  return headers;
+}
@@ -0,0 +1,193 @@
+/**
+ * Shared HTTP request layer for the AI providers
+ *
+ * Every attempt gets a timeout, rate limits and temporary server errors are
+ * retried with exponential backoff and jitter (or after the `Retry-After` the
+ * server asks for), and the caller can cancel at any point with an AbortSignal.
+ */
+
+export const DEFAULT_TIMEOUT_SECONDS = 60;
+
+// 408 Request Timeout, 429 Too Many Requests and temporary server errors
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Statuses a Response cannot be constructed with a body for
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Error thrown when the caller cancelled a request
+ */
+export class RequestCancelledError extends Error {
+  constructor() {
+    super('Request was cancelled');
+    this.name = 'RequestCancelledError';
+  }
+}
+
+/**
+ * Error thrown when an attempt did not answer in time
+ */
+export class RequestTimeoutError extends Error {
+  /**
+   * @param {number} timeoutMs - The timeout that was exceeded
+   */
+  constructor(timeoutMs) {
+    super(`No response within ${Math.round(timeoutMs / 1000)} seconds`);
+    this.name = 'RequestTimeoutError';
+  }
+}
+
+/**
+ * Fetch with a timeout per attempt, retries and cancellation
+ * Responses that are not retryable, or still failing after the last retry, are
+ * returned as they are so that the caller can read the provider's error.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options; `signal` is set here
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry
+ * @param {number} [options.timeoutMs] - Timeout per attempt
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled for each next one
+ * @param {number} [options.maxDelayMs] - Longest delay to wait; a longer Retry-After is not waited for
+ * @returns {Promise<Response>} The response
+ * @throws {RequestCancelledError} If the signal was aborted
+ * @throws {RequestTimeoutError} If the last attempt timed out
+ * @throws {TypeError} If the last attempt failed with a network error
+ */
+export async function fetchWithRetry(url, init, options = {}) {
+  const {
+    signal = null,
+    timeoutMs = DEFAULT_TIMEOUT_SECONDS * 1000,
+    retries = DEFAULT_RETRIES,
+    baseDelayMs = BASE_DELAY_MS,
+    maxDelayMs = MAX_DELAY_MS
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    throwIfCancelled(signal);
+    const canRetry = attempt < retries;
+    let delay;
+
+    try {
+      const response = await fetchWithTimeout(url, init, signal, timeoutMs);
+
+      if (!canRetry || !RETRYABLE_STATUSES.includes(response.status)) {
+        return response;
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      if (retryAfter !== null && retryAfter > maxDelayMs) {
+        return response;
+      }
+      delay = retryAfter ?? getBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+    } catch (error) {
+      // Timeouts and network errors are worth another try; cancellation is not
+      if (error instanceof RequestCancelledError || !canRetry) {
+        throw error;
+      }
+      delay = getBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+    }
+
+    await sleep(delay, signal);
+  }
+}
+
+/**
+ * Make a single attempt that is aborted after the timeout or by the caller
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options
+ * @param {AbortSignal|null} signal - The caller's signal
+ * @param {number} timeoutMs - Timeout
+ * @returns {Promise<Response>} The response
+ */
+async function fetchWithTimeout(url, init, signal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onCancel = () => controller.abort();
+  signal?.addEventListener('abort', onCancel);
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    // Keep the timeout running while the body is read
+    const body = NULL_BODY_STATUSES.includes(response.status) ? null : await response.arrayBuffer();
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new RequestCancelledError();
+    }
+    if (timedOut) {
+      throw new RequestTimeoutError(timeoutMs);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onCancel);
+  }
+}
+
+/**
+ * Exponential backoff with jitter, so that clients do not retry in lockstep
+ * @param {number} attempt - Attempt that failed, starting at 0
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @param {number} maxDelayMs - Longest delay
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Read a Retry-After header
+ * @param {string|null} value - Seconds or an HTTP date
+ * @returns {number|null} Delay in ms, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait, unless the caller cancels first
+ * @param {number} ms - Delay
+ * @param {AbortSignal|null} signal - The caller's signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onCancel = () => {
+      clearTimeout(timer);
+      reject(new RequestCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onCancel);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onCancel, { once: true });
+  });
+}
+
+/**
+ * @param {AbortSignal|null} signal - The caller's signal
+ * @throws {RequestCancelledError} If it was aborted
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new RequestCancelledError();
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Sync server REST client
+ *
+ * The server keeps one change per scan:
+ *   {id, updatedAt, deleted, schemaVersion, scan}
+ * `updatedAt` is the version of the change; writes send the version they are
+ * based on and are rejected with 409 (and the current change) when it is stale.
+ *
+ *   GET    {endpoint}/scans?since={cursor}           → {changes: [...], cursor}
+ *   PUT    {endpoint}/scans/{id}                     ← {baseUpdatedAt, schemaVersion, scan}
+ *   DELETE {endpoint}/scans/{id}?baseUpdatedAt={v}
+ *
+ * Both writes answer {change}, with status 200 or 409.
+ */
+
+/**
+ * Fetch the changes made since the last pull
+ * @param {{endpoint: string, token: string|null}} config - Sync settings
+ * @param {string|null} cursor - Cursor returned by the previous pull, or null for everything
+ * @returns {Promise<{changes: Array, cursor: string|null}>}
+ */
+export async function pullChanges(config, cursor) {
+  const query = cursor ? `?since=${encodeURIComponent(cursor)}` : '';
+  const data = await request(config, 'GET', `/scans${query}`);
+
+  if (!Array.isArray(data.changes)) {
+    throw new Error('Invalid response from sync server');
+  }
+
+  return { changes: data.changes, cursor: data.cursor ?? null };
+}
+
+/**
+ * Upload a scan
+ * @param {{endpoint: string, token: string|null}} config - Sync settings
+ * @param {Object} scan - The scan, with photo data URL
+ * @param {number} schemaVersion - Schema version of the scan
+ * @param {string|null} baseUpdatedAt - Remote version the local copy is based on
+ * @returns {Promise<{ok: boolean, change: Object}>} `ok` is false on a conflict; `change` is the server's version
+ */
+export async function pushScan(config, scan, schemaVersion, baseUpdatedAt) {
+  return write(config, 'PUT', `/scans/${encodeURIComponent(scan.id)}`, { baseUpdatedAt, schemaVersion, scan });
+}
+
+/**
+ * Permanently delete a scan on the server
+ * @param {{endpoint: string, token: string|null}} config - Sync settings
+ * @param {string} id - The scan ID
+ * @param {string|null} baseUpdatedAt - Remote version the deletion is based on
+ * @returns {Promise<{ok: boolean, change: Object}>} `ok` is false on a conflict; `change` is the server's version
+ */
+export async function deleteRemoteScan(config, id, baseUpdatedAt) {
+  const query = baseUpdatedAt ? `?baseUpdatedAt=${encodeURIComponent(baseUpdatedAt)}` : '';
+  return write(config, 'DELETE', `/scans/${encodeURIComponent(id)}${query}`);
+}
+
+/**
+ * Send a write and treat a 409 as a conflict rather than an error
+ * @param {{endpoint: string, token: string|null}} config - Sync settings
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the endpoint
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{ok: boolean, change: Object}>}
+ */
+async function write(config, method, path, body) {
+  const data = await request(config, method, path, body, { allowConflict: true });
+
+  if (!data.change) {
+    throw new Error('Invalid response from sync server');
+  }
+
+  return { ok: !data.conflict, change: data.change };
+}
+
+/**
+ * Make a JSON request to the sync server
+ * @param {{endpoint: string, token: string|null}} config - Sync settings
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the endpoint
+ * @param {Object} [body] - JSON body
+ * @param {Object} [options]
+ * @param {boolean} [options.allowConflict] - Return a 409 response, flagged with `conflict`, instead of throwing
+ * @returns {Promise<Object>} The parsed response
+ */
+async function request(config, method, path, body, { allowConflict = false } = {}) {
+  if (!config?.endpoint) {
+    throw new Error('Sync endpoint is required');
+  }
+
+  const headers = {};
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (config.token) {
+    headers['Authorization'] = `Bearer ${config.token}`;
+  }
+
+  const response = await fetch(`${config.endpoint.replace(/\/+$/, '')}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (allowConflict && response.status === 409) {
+    return { ...data, conflict: true };
+  }
+
+  if (!response.ok) {
+    throw new Error(data.error?.message || `Sync request failed with status ${response.status}`);
+  }
+
+  return data;
+}
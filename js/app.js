@@ -3,42 +3,96 @@
  * Handles routing and view management
  */
 
-import { initListView, renderList } from './views/list.js';
-import { initEditorView, loadScan } from './views/editor.js';
+import { initListView, renderList, setSiteFilter } from './views/list.js';
+import { initEditorView, loadScan, refreshStreamTypes, checkForExternalChange, confirmLeaveEditor } from './views/editor.js';
+import { initTrashView, renderTrash } from './views/trash.js';
+import { initSitesView, renderSites } from './views/sites.js';
 import { initClassificationModal } from './views/classification.js';
-import { getApiKey, setApiKey, hasApiKey } from './storage.js';
-import { testApiKey } from './api/gemini.js';
+import { initBackupSection, resetBackupStatus } from './views/backup.js';
+import { initAiCacheSection, renderAiCacheSection } from './views/ai-cache.js';
+import { initAiUsageSection, renderAiUsageSection } from './views/ai-usage.js';
+import { initTaxonomySection, renderTaxonomySection, resetTaxonomyStatus } from './views/taxonomy.js';
+import { initSyncSection, renderSyncSection, openConflictDialog } from './views/sync.js';
+import { initAnalysisReview } from './views/review.js';
+import { showUnlockScreen, showLockCheckError, initSecuritySection, renderSecuritySection } from './views/lock.js';
+import { isLockEnabled, lockNow } from './lock.js';
+import { startAutoSync, onSyncComplete } from './sync.js';
+import { getAiSettings, setAiSettings, getTrashRetentionDays, setTrashRetentionDays, purgeExpiredScans, onExternalChange } from './storage.js';
+import { AI_PROVIDERS, testAiConnection } from './api/ai.js';
+import { generateUUID } from './utils/uuid.js';
 
 // View elements
 let listView;
 let editorView;
+let trashView;
+let sitesView;
 let settingsModal;
 
 // Current view state
 let currentView = 'list';
+let editorEntry = null;
+
+// Where to get started with each AI provider
+const PROVIDER_HINTS = {
+  gemini: 'Get your free API key at <a href="https://ai.google.dev/" target="_blank" rel="noopener">ai.google.dev</a>',
+  openai: 'Works with OpenAI and other services offering the same Chat Completions API with image input.',
+  ollama: 'Runs on your own server with a vision model, e.g. <code>ollama pull llava</code>. Photos stay on your network.'
+};
 
 /**
  * Initialize the application
+ * With the passphrase lock on, nothing is rendered until the data is unlocked.
  */
-function init() {
+async function init() {
   // Get view elements
   listView = document.getElementById('view-list');
   editorView = document.getElementById('view-editor');
+  trashView = document.getElementById('view-trash');
+  sitesView = document.getElementById('view-sites');
   settingsModal = document.getElementById('settings-modal');
   
+  // Views only start once the lock state is known, or data could be saved unencrypted
+  let lockChecked = false;
+  while (!lockChecked) {
+    try {
+      if (await isLockEnabled()) {
+        await showUnlockScreen();
+      }
+      lockChecked = true;
+    } catch (error) {
+      console.error('Error checking the passphrase lock:', error);
+      await showLockCheckError();
+    }
+  }
+  
   // Initialize views
-  initListView(handleEditScan, handleNewScan);
+  initListView(handleEditScan, handleNewScan, handleOpenTrash, handleOpenSites, openConflictDialog, handleResumeDraft);
   initEditorView(handleBackToList);
+  initTrashView(handleBackToList);
+  initSitesView(handleBackToList, handleViewSiteScans);
   
   // Initialize classification modal
   initClassificationModal();
   
+  // Initialize AI analysis review dialog
+  initAnalysisReview();
+  
   // Initialize settings modal
   initSettingsModal();
   
   // Handle browser back/forward
   window.addEventListener('popstate', handlePopState);
   
+  // Remove scans that have been in the trash longer than the retention period
+  purgeExpiredScans().catch(error => console.error('Error purging trash:', error));
+  
+  // Keep scans in sync with the team server, if one is configured
+  onSyncComplete(refreshCurrentView);
+  startAutoSync();
+  
+  // Pick up changes made in other tabs
+  onExternalChange(handleExternalChange);
+  
   // Initial render based on URL
   const params = new URLSearchParams(window.location.search);
   const scanId = params.get('scan');
@@ -46,20 +100,34 @@ function init() {
   if (scanId) {
     showEditor(scanId);
   } else if (params.has('new')) {
-    showEditor(null);
+    showEditor(null, params.get('new') || null);
+  } else if (params.has('trash')) {
+    showTrash();
+  } else if (params.has('sites')) {
+    showSites();
   } else {
     showList();
   }
 }
 
+/**
+ * Mark one view as active and hide the others
+ * @param {string} view - 'list', 'editor', 'trash' or 'sites'
+ */
+function setActiveView(view) {
+  currentView = view;
+  
+  listView.classList.toggle('active', view === 'list');
+  editorView.classList.toggle('active', view === 'editor');
+  trashView.classList.toggle('active', view === 'trash');
+  sitesView.classList.toggle('active', view === 'sites');
+}
+
 /**
  * Show the scan list view
  */
 function showList() {
-  currentView = 'list';
-  
-  listView.classList.add('active');
-  editorView.classList.remove('active');
+  setActiveView('list');
   
   renderList();
   
@@ -71,21 +139,46 @@ function showList() {
 
 /**
  * Show the editor view
+ * A new scan gets a draft ID in the URL, so its draft is found again after a reload.
  * @param {string|null} scanId - The scan ID to edit, or null for new
+ * @param {string|null} [draftId] - For a new scan, the draft to resume
  */
-function showEditor(scanId) {
-  currentView = 'editor';
+function showEditor(scanId, draftId = null) {
+  setActiveView('editor');
   
-  listView.classList.remove('active');
-  editorView.classList.add('active');
-  
-  loadScan(scanId);
+  if (!scanId) {
+    draftId = draftId || generateUUID();
+  }
+  loadScan(scanId, draftId);
   
   // Update URL
   const url = scanId 
     ? `${window.location.pathname}?scan=${scanId}`
-    : `${window.location.pathname}?new`;
-  history.pushState({ view: 'editor', scanId }, '', url);
+    : `${window.location.pathname}?new=${draftId}`;
+  editorEntry = { state: { view: 'editor', scanId, draftId }, url };
+  history.pushState(editorEntry.state, '', url);
+}
+
+/**
+ * Show the trash view
+ */
+function showTrash() {
+  setActiveView('trash');
+  
+  renderTrash();
+  
+  history.pushState({ view: 'trash' }, '', `${window.location.pathname}?trash`);
+}
+
+/**
+ * Show the sites view
+ */
+function showSites() {
+  setActiveView('sites');
+  
+  renderSites();
+  
+  history.pushState({ view: 'sites' }, '', `${window.location.pathname}?sites`);
 }
 
 /**
@@ -103,6 +196,37 @@ function handleNewScan() {
   showEditor(null);
 }
 
+/**
+ * Handle resuming the draft of a scan that was never saved
+ * @param {string} draftId - The draft ID
+ */
+function handleResumeDraft(draftId) {
+  showEditor(null, draftId);
+}
+
+/**
+ * Handle opening the trash
+ */
+function handleOpenTrash() {
+  showTrash();
+}
+
+/**
+ * Handle opening the sites
+ */
+function handleOpenSites() {
+  showSites();
+}
+
+/**
+ * Handle showing the scans of one site
+ * @param {string} siteId - The site ID
+ */
+function handleViewSiteScans(siteId) {
+  setSiteFilter(siteId);
+  handleBackToList();
+}
+
 /**
  * Handle going back to the list
  */
@@ -111,6 +235,34 @@ function handleBackToList() {
   history.pushState({ view: 'list' }, '', window.location.pathname);
 }
 
+/**
+ * Re-render the current view after scans changed in the background
+ * The editor keeps unsaved edits, but warns when its scan was changed.
+ */
+function refreshCurrentView() {
+  if (currentView === 'list') renderList();
+  if (currentView === 'sites') renderSites();
+  if (currentView === 'trash') renderTrash();
+  if (currentView === 'editor') checkForExternalChange();
+}
+
+/**
+ * Handle data changed by another tab of the app
+ * @param {{store: string, ids: string[]|null}} change - What changed
+ */
+function handleExternalChange(change) {
+  // The key in memory no longer matches the stored data
+  if (change.store === 'lock') {
+    lockNow();
+    return;
+  }
+  
+  refreshCurrentView();
+  if (change.store === 'streamTypes' && currentView === 'editor') {
+    refreshStreamTypes();
+  }
+}
+
 /**
  * Handle browser back/forward navigation
  * @param {PopStateEvent} event
@@ -118,15 +270,24 @@ function handleBackToList() {
 function handlePopState(event) {
   const state = event.state;
   
+  // Stay in the editor, putting back its history entry
+  if (currentView === 'editor' && !confirmLeaveEditor()) {
+    history.pushState(editorEntry?.state ?? null, '', editorEntry?.url ?? window.location.href);
+    return;
+  }
+  
   if (state?.view === 'editor') {
-    currentView = 'editor';
-    listView.classList.remove('active');
-    editorView.classList.add('active');
-    loadScan(state.scanId || null);
+    setActiveView('editor');
+    editorEntry = { state, url: window.location.href };
+    loadScan(state.scanId || null, state.draftId || undefined);
+  } else if (state?.view === 'trash') {
+    setActiveView('trash');
+    renderTrash();
+  } else if (state?.view === 'sites') {
+    setActiveView('sites');
+    renderSites();
   } else {
-    currentView = 'list';
-    listView.classList.add('active');
-    editorView.classList.remove('active');
+    setActiveView('list');
     renderList();
   }
 }
@@ -144,6 +305,15 @@ function initSettingsModal() {
   const saveBtn = document.getElementById('settings-save-btn');
   const backdrop = settingsModal?.querySelector('.modal-backdrop');
   const apiKeyInput = document.getElementById('api-key-input');
+  const providerSelect = document.getElementById('ai-provider-select');
+  const modelInput = document.getElementById('ai-model-input');
+  const baseUrlInput = document.getElementById('ai-base-url-input');
+  
+  if (providerSelect) {
+    providerSelect.innerHTML = Object.entries(AI_PROVIDERS)
+      .map(([name, provider]) => `<option value="${name}">${provider.label}</option>`)
+      .join('');
+  }
   
   // Open modal
   settingsBtn?.addEventListener('click', openSettings);
@@ -162,23 +332,56 @@ function initSettingsModal() {
     }
   });
   
-  // Validate API key on input
-  apiKeyInput?.addEventListener('input', debounce(validateApiKey, 500));
+  // Show the stored settings of the chosen provider
+  providerSelect?.addEventListener('change', () => renderAiSettings(getAiSettings(providerSelect.value)));
+  
+  // Validate the AI settings on input
+  const debouncedValidate = debounce(validateAiSettings, 500);
+  apiKeyInput?.addEventListener('input', debouncedValidate);
+  modelInput?.addEventListener('input', debouncedValidate);
+  baseUrlInput?.addEventListener('input', debouncedValidate);
+  
+  // Saved AI results, and the requests made
+  initAiCacheSection();
+  initAiUsageSection();
+  
+  // Backup & restore - refresh the list once data has been imported
+  initBackupSection(refreshCurrentView);
+  
+  // Team sync - conflict resolutions change stored scans
+  initSyncSection(refreshCurrentView);
+  
+  // Passphrase lock
+  initSecuritySection();
+  
+  // Waste stream taxonomy - renames also change stored scans
+  initTaxonomySection(() => {
+    if (currentView === 'list') renderList();
+    if (currentView === 'sites') renderSites();
+    if (currentView === 'editor') refreshStreamTypes();
+  });
 }
 
 /**
  * Open settings modal
  */
 function openSettings() {
-  const apiKeyInput = document.getElementById('api-key-input');
-  const currentKey = getApiKey();
+  const retentionInput = document.getElementById('trash-retention-input');
   
-  if (apiKeyInput && currentKey) {
-    apiKeyInput.value = currentKey;
-    updateApiKeyStatus('saved', 'API key is configured');
-  } else {
-    updateApiKeyStatus('', '');
-  }
+  if (retentionInput) retentionInput.value = getTrashRetentionDays();
+  
+  const aiSettings = getAiSettings();
+  const timeoutInput = document.getElementById('ai-timeout-input');
+  if (timeoutInput) timeoutInput.value = aiSettings.timeoutSeconds || '';
+  
+  renderAiSettings(aiSettings);
+  renderAiCacheSection();
+  renderAiUsageSection();
+  resetBackupStatus();
+  resetTaxonomyStatus();
+  renderTaxonomySection();
+  renderSyncSection();
+  renderSecuritySection();
   
   settingsModal?.classList.add('open');
   document.body.style.overflow = 'hidden';
@@ -193,57 +396,111 @@ function closeSettings() {
 }
 
 /**
- * Save settings
+ * Fill the AI section with a provider's settings
+ * @param {{provider: string, apiKey: string|null, model: string|null, baseUrl: string|null}} ai - AI settings
  */
-async function saveSettings() {
+function renderAiSettings(ai) {
+  const provider = AI_PROVIDERS[ai.provider];
+  const providerSelect = document.getElementById('ai-provider-select');
+  const providerHint = document.getElementById('ai-provider-hint');
   const apiKeyInput = document.getElementById('api-key-input');
-  const apiKey = apiKeyInput?.value?.trim() || null;
+  const modelInput = document.getElementById('ai-model-input');
+  const baseUrlInput = document.getElementById('ai-base-url-input');
   
-  if (apiKey) {
-    updateApiKeyStatus('loading', 'Validating API key...');
-    
-    const isValid = await testApiKey(apiKey);
-    
-    if (isValid) {
-      setApiKey(apiKey);
-      updateApiKeyStatus('success', 'API key saved successfully');
-      setTimeout(closeSettings, 1000);
-    } else {
-      updateApiKeyStatus('error', 'Invalid API key. Please check and try again.');
-      return;
-    }
+  if (providerSelect) providerSelect.value = ai.provider;
+  if (providerHint) providerHint.innerHTML = PROVIDER_HINTS[ai.provider] || '';
+  if (apiKeyInput) {
+    apiKeyInput.value = ai.apiKey || '';
+    apiKeyInput.placeholder = provider.keyRequired ? 'Enter your API key...' : 'Optional';
+  }
+  if (modelInput) {
+    modelInput.value = ai.model || '';
+    modelInput.placeholder = provider.defaultModel;
+  }
+  if (baseUrlInput) {
+    baseUrlInput.value = ai.baseUrl || '';
+    baseUrlInput.placeholder = provider.defaultBaseUrl;
+  }
+  
+  if (ai.apiKey || ai.model || ai.baseUrl) {
+    updateApiKeyStatus('saved', `${provider.label} is configured`);
   } else {
-    setApiKey(null);
     updateApiKeyStatus('', '');
-    closeSettings();
   }
 }
 
 /**
- * Validate API key
+ * Read the AI settings from the form
+ * @returns {{provider: string, apiKey: string|null, model: string|null, baseUrl: string|null, timeoutSeconds: number|null}} AI settings
  */
-async function validateApiKey() {
-  const apiKeyInput = document.getElementById('api-key-input');
-  const apiKey = apiKeyInput?.value?.trim();
+function readAiSettings() {
+  return {
+    provider: document.getElementById('ai-provider-select')?.value || getAiSettings().provider,
+    apiKey: document.getElementById('api-key-input')?.value?.trim() || null,
+    model: document.getElementById('ai-model-input')?.value?.trim() || null,
+    baseUrl: document.getElementById('ai-base-url-input')?.value?.trim() || null,
+    timeoutSeconds: parseInt(document.getElementById('ai-timeout-input')?.value) || null
+  };
+}
+
+/**
+ * Save settings
+ */
+async function saveSettings() {
+  const retentionInput = document.getElementById('trash-retention-input');
+  const ai = readAiSettings();
+  
+  if (retentionInput?.value) {
+    setTrashRetentionDays(retentionInput.value);
+  }
   
-  if (!apiKey) {
+  // A provider that needs a key is switched off by clearing the key
+  if (AI_PROVIDERS[ai.provider].keyRequired && !ai.apiKey) {
+    setAiSettings(ai);
     updateApiKeyStatus('', '');
+    closeSettings();
     return;
   }
   
-  if (apiKey.length < 20) {
-    updateApiKeyStatus('error', 'API key seems too short');
-    return;
+  updateApiKeyStatus('loading', `Connecting to ${AI_PROVIDERS[ai.provider].label}...`);
+  
+  const isValid = await testAiConnection(ai);
+  
+  if (isValid) {
+    setAiSettings(ai);
+    updateApiKeyStatus('success', 'AI settings saved successfully');
+    setTimeout(closeSettings, 1000);
+  } else {
+    updateApiKeyStatus('error', 'Could not connect with these settings. Please check and try again.');
+  }
+}
+
+/**
+ * Validate the AI settings
+ */
+async function validateAiSettings() {
+  const ai = readAiSettings();
+  
+  if (AI_PROVIDERS[ai.provider].keyRequired) {
+    if (!ai.apiKey) {
+      updateApiKeyStatus('', '');
+      return;
+    }
+    
+    if (ai.apiKey.length < 20) {
+      updateApiKeyStatus('error', 'API key seems too short');
+      return;
+    }
   }
   
-  updateApiKeyStatus('loading', 'Checking API key...');
+  updateApiKeyStatus('loading', 'Checking connection...');
   
-  const isValid = await testApiKey(apiKey);
+  const isValid = await testAiConnection(ai);
   
   if (isValid) {
-    updateApiKeyStatus('success', 'API key is valid');
+    updateApiKeyStatus('success', 'Connection works');
   } else {
-    updateApiKeyStatus('error', 'API key is invalid');
+    updateApiKeyStatus('error', 'Could not connect with these settings');
   }
 }
 
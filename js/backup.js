@@ -0,0 +1,88 @@
+/**
+ * Backup helpers
+ * Pure functions for checking a backup archive and deciding
+ * which of its records to restore.
+ */
+
+export const BACKUP_FORMAT = 'seenons-waste-scan-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Check that an object is a backup archive this version can restore
+ * @param {Object} archive - The parsed archive
+ * @param {number} schemaVersion - The newest schema version this app understands
+ * @throws {Error} If the archive is invalid
+ */
+export function validateBackup(archive, schemaVersion) {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Seenons Waste Scan backup.');
+  }
+
+  if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 1) {
+    throw new Error('The backup has no valid schema version.');
+  }
+
+  if (archive.schemaVersion > schemaVersion) {
+    throw new Error('The backup was made with a newer version of the app. Please update first.');
+  }
+
+  if (!Array.isArray(archive.scans)) {
+    throw new Error('The backup contains no scan list.');
+  }
+
+  archive.scans.forEach((scan, index) => {
+    if (!scan || typeof scan.id !== 'string' || !scan.id || !Array.isArray(scan.streams)) {
+      throw new Error(`Scan #${index + 1} in the backup is invalid.`);
+    }
+  });
+
+  // Backups made before sites existed have none
+  if (archive.sites !== undefined && !Array.isArray(archive.sites)) {
+    throw new Error('The backup contains an invalid site list.');
+  }
+
+  (archive.sites || []).forEach((site, index) => {
+    if (!site || typeof site.id !== 'string' || !site.id || !site.name) {
+      throw new Error(`Site #${index + 1} in the backup is invalid.`);
+    }
+  });
+
+  // Backups made before the taxonomy was editable have none
+  if (archive.streamTypes !== undefined && !Array.isArray(archive.streamTypes)) {
+    throw new Error('The backup contains an invalid stream type list.');
+  }
+
+  (archive.streamTypes || []).forEach((type, index) => {
+    if (!type || typeof type.id !== 'string' || !type.id || !type.name) {
+      throw new Error(`Stream type #${index + 1} in the backup is invalid.`);
+    }
+  });
+}
+
+/**
+ * Decide whether a record from a backup replaces the stored one in merge mode
+ * The newer `updatedAt` (or `createdAt` for records never edited) wins;
+ * on a tie the stored record is kept.
+ * @param {Object} incoming - The record from the backup
+ * @param {Object|null} existing - The stored record with the same ID, if any
+ * @returns {boolean} True if the incoming record should be written
+ */
+export function isNewerRecord(incoming, existing) {
+  if (!existing) return true;
+
+  const incomingTime = new Date(incoming.updatedAt || incoming.createdAt).getTime();
+  const existingTime = new Date(existing.updatedAt || existing.createdAt).getTime();
+  return incomingTime > existingTime;
+}
+
+/**
+ * List the synced scans a replacing restore removes
+ * Scans that are synced but not in the backup are deleted on the server too.
+ * @param {Array<string>} syncedIds - IDs of scans known to the sync server
+ * @param {Array} scans - The scans in the backup
+ * @returns {Array<string>} IDs to delete on the server
+ */
+export function getRemovedSyncedIds(syncedIds, scans) {
+  const importedIds = new Set(scans.map(scan => scan.id));
+  return syncedIds.filter(id => !importedIds.has(id));
+}
@@ -0,0 +1,87 @@
+/**
+ * Sync conflict helpers
+ * Pure functions deciding how a change pulled from the sync server
+ * combines with the local copy of a scan, and whether an edit is based
+ * on an outdated copy.
+ */
+
+import { diffScans } from './revisions.js';
+
+/**
+ * Check whether two versions of a scan have the same content
+ * Timestamps other than the scan date are ignored.
+ * @param {Object} a - A scan
+ * @param {Object} b - A scan
+ * @returns {boolean} True if nothing tracked differs
+ */
+export function scansMatch(a, b) {
+  return diffScans(a, b).length === 0 && (a.deletedAt || null) === (b.deletedAt || null);
+}
+
+/**
+ * Decide what to do with a remote change
+ *
+ * `baseUpdatedAt` is the remote version this device last synced. When only one
+ * side changed since then, the newer `updatedAt` wins. When both changed, the
+ * conflict is real and has to be resolved by the user.
+ *
+ * @param {Object} params
+ * @param {Object|null} params.local - The local scan record, or null if there is none
+ * @param {{updatedAt: string, deleted: boolean, scan: Object|null}} params.remote - The remote change
+ * @param {string|null} params.baseUpdatedAt - Remote version at the last sync, or null if never synced
+ * @param {boolean} params.pending - Whether the scan has local changes waiting to be pushed
+ * @returns {'insert'|'update'|'delete'|'push'|'same'|'keep'|'conflict'} The action to take
+ */
+export function resolveRemoteChange({ local, remote, baseUpdatedAt, pending }) {
+  const remoteChanged = remote.updatedAt !== baseUpdatedAt;
+
+  if (pending && !remoteChanged) {
+    // Only this device changed it: the queued push will win
+    return 'keep';
+  }
+
+  if (remote.deleted) {
+    if (!local) return 'keep';
+    return pending ? 'conflict' : 'delete';
+  }
+
+  if (!local) {
+    // Deleted here but edited elsewhere
+    return pending ? 'conflict' : 'insert';
+  }
+
+  if (scansMatch(local, remote.scan)) {
+    return 'same';
+  }
+
+  if (pending) {
+    return 'conflict';
+  }
+
+  return new Date(remote.updatedAt).getTime() >= new Date(local.updatedAt).getTime() ? 'update' : 'push';
+}
+
+/**
+ * Check whether the stored scan has moved on from the version an edit is based on
+ * @param {Object|null} stored - The stored scan, or null if it was permanently deleted
+ * @param {string} loadedUpdatedAt - The `updatedAt` of the version the edit started from
+ * @returns {'deleted'|'trashed'|'changed'|null} What happened since, or null if nothing did
+ */
+export function getStaleReason(stored, loadedUpdatedAt) {
+  if (!stored) return 'deleted';
+  if (stored.deletedAt) return 'trashed';
+  if (stored.updatedAt !== loadedUpdatedAt) return 'changed';
+  return null;
+}
+
+/**
+ * Check whether a scan was only changed by stream type renames since a version
+ * Renames change nothing but stream names, which an open editor applies itself.
+ * @param {Array<{timestamp: string, source: string}>} revisions - The scan's revisions
+ * @param {string} loadedUpdatedAt - The `updatedAt` of the version the edit started from
+ * @returns {boolean} True if there are newer revisions and all of them are renames
+ */
+export function isRenamedOnlySince(revisions, loadedUpdatedAt) {
+  const newer = revisions.filter(revision => revision.timestamp > loadedUpdatedAt);
+  return newer.length > 0 && newer.every(revision => revision.source === 'taxonomy');
+}
@@ -0,0 +1,54 @@
+/**
+ * Contamination helpers
+ * Pure functions discounting the contaminated share of extracted streams, for a
+ * realistic estimate of how much of the residual waste could be recycled.
+ */
+
+/**
+ * Get the contaminated share of a stream
+ * An entered percentage wins over the grade; streams not graded count as clean.
+ * @param {{contamination: string|null, contaminationPct: number|null}} stream - The stream
+ * @param {Array<{id: string, contaminationPct: number}>} levels - The contamination levels
+ * @returns {number} Percentage from 0 to 100
+ */
+export function getContaminationPct(stream, levels) {
+  const pct = stream.contaminationPct ?? levels.find(level => level.id === stream.contamination)?.contaminationPct ?? 0;
+  return Math.min(100, Math.max(0, pct));
+}
+
+/**
+ * Calculate the separation potential, as extracted and after discounting contamination
+ * @param {number} totalResidualKg - Weight before separation
+ * @param {Array<{weightKg: number}>} streams - The extracted streams
+ * @param {Array<{id: string, contaminationPct: number}>} levels - The contamination levels
+ * @returns {{extractedKg: number, recyclableKg: number, contaminatedKg: number, separationPct: number, realisticPct: number}}
+ *   Weights, and percentages of the total
+ */
+export function calculateSeparationPotential(totalResidualKg, streams, levels) {
+  const extractedKg = streams.reduce((sum, stream) => sum + (stream.weightKg || 0), 0);
+  const recyclableKg = streams.reduce((sum, stream) =>
+    sum + (stream.weightKg || 0) * (1 - getContaminationPct(stream, levels) / 100), 0);
+  
+  return {
+    extractedKg,
+    recyclableKg,
+    contaminatedKg: extractedKg - recyclableKg,
+    separationPct: totalResidualKg > 0 ? (extractedKg / totalResidualKg * 100) : 0,
+    realisticPct: totalResidualKg > 0 ? (recyclableKg / totalResidualKg * 100) : 0
+  };
+}
+
+/**
+ * Describe how contaminated a stream is, e.g. "Lightly contaminated, 30%"
+ * @param {{contamination: string|null, contaminationPct: number|null}} stream - The stream
+ * @param {Array<{id: string, name: string}>} levels - The contamination levels
+ * @returns {string} The description, or an empty string if not graded
+ */
+export function describeContamination(stream, levels) {
+  const level = levels.find(l => l.id === stream.contamination);
+  
+  if (stream.contaminationPct === null || stream.contaminationPct === undefined) {
+    return level?.name || '';
+  }
+  return level ? `${level.name}, ${stream.contaminationPct}%` : `${stream.contaminationPct}% contaminated`;
+}
@@ -0,0 +1,128 @@
+/**
+ * Passphrase encryption helpers (WebCrypto)
+ * Keys are derived with PBKDF2 and data is encrypted with AES-GCM;
+ * every payload gets its own random IV.
+ */
+
+export const DEFAULT_PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Generate a random salt for key derivation
+ * @returns {Uint8Array} The salt
+ */
+export function generateSalt() {
+  return crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - The passphrase
+ * @param {Uint8Array} salt - Salt stored with the lock settings
+ * @param {number} [iterations] - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} A non-extractable key
+ */
+export async function deriveKey(passphrase, salt, iterations = DEFAULT_PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt bytes
+ * @param {CryptoKey} key - The key
+ * @param {ArrayBuffer|Uint8Array} bytes - The plaintext
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>} The encrypted payload
+ */
+export async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv, data };
+}
+
+/**
+ * Decrypt bytes
+ * @param {CryptoKey} key - The key
+ * @param {{iv: Uint8Array, data: ArrayBuffer}} payload - The encrypted payload
+ * @returns {Promise<ArrayBuffer>} The plaintext
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+export async function decryptBytes(key, payload) {
+  try {
+    return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: payload.iv }, key, payload.data);
+  } catch {
+    throw new Error('Could not decrypt the data. The passphrase may be wrong.');
+  }
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {CryptoKey} key - The key
+ * @param {*} value - The value
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>} The encrypted payload
+ */
+export async function encryptJson(key, value) {
+  return encryptBytes(key, new TextEncoder().encode(JSON.stringify(value)));
+}
+
+/**
+ * Decrypt a value encrypted with encryptJson()
+ * @param {CryptoKey} key - The key
+ * @param {{iv: Uint8Array, data: ArrayBuffer}} payload - The encrypted payload
+ * @returns {Promise<*>} The value
+ */
+export async function decryptJson(key, payload) {
+  return JSON.parse(new TextDecoder().decode(await decryptBytes(key, payload)));
+}
+
+/**
+ * Convert an encrypted payload to text, e.g. for LocalStorage
+ * @param {{iv: Uint8Array, data: ArrayBuffer}} payload - The encrypted payload
+ * @returns {{iv: string, data: string}} Base64 encoded payload
+ */
+export function payloadToBase64(payload) {
+  return { iv: bytesToBase64(payload.iv), data: bytesToBase64(new Uint8Array(payload.data)) };
+}
+
+/**
+ * Convert a payload from payloadToBase64() back
+ * @param {{iv: string, data: string}} encoded - Base64 encoded payload
+ * @returns {{iv: Uint8Array, data: ArrayBuffer}} The encrypted payload
+ */
+export function payloadFromBase64(encoded) {
+  return { iv: base64ToBytes(encoded.iv), data: base64ToBytes(encoded.data).buffer };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} Base64
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array} Bytes
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
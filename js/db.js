@@ -0,0 +1,230 @@
+/**
+ * IndexedDB connection and request helpers
+ */
+
+const DB_NAME = 'seenons_waste_scan';
+const DB_VERSION = 8;
+
+// Key that is never stored, read to keep a transaction open
+const KEEP_ALIVE_KEY = '__keepAlive__';
+
+// Longest a transaction is kept open for other work. Encrypting the records of one
+// transaction takes milliseconds; re-encrypting all photos when the lock is turned
+// on is the slowest case, at a few seconds for a large collection.
+const KEEP_ALIVE_TIMEOUT_MS = 60000;
+
+/**
+ * Object store names
+ */
+export const STORES = {
+  SCANS: 'scans',
+  PHOTOS: 'photos',
+  META: 'meta',
+  REVISIONS: 'revisions',
+  SITES: 'sites',
+  STREAM_TYPES: 'streamTypes',
+  OUTBOX: 'outbox',
+  SYNC_STATE: 'syncState',
+  AI_CACHE: 'aiCache',
+  AI_USAGE: 'aiUsage',
+  DRAFTS: 'drafts'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the database
+ * The connection is shared, so repeated calls are cheap.
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      upgradeDatabase(request.result, event.oldVersion);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Another tab is upgrading the database - let it proceed
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+
+    request.onblocked = () => {
+      console.warn('Database upgrade blocked by another open tab');
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Create or upgrade object stores
+ * Each step only runs for databases older than that version.
+ * @param {IDBDatabase} db - The database being upgraded
+ * @param {number} oldVersion - The version before the upgrade (0 if new)
+ */
+function upgradeDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    db.createObjectStore(STORES.SCANS, { keyPath: 'id' });
+    db.createObjectStore(STORES.PHOTOS, { keyPath: 'id' });
+    db.createObjectStore(STORES.META);
+  }
+
+  if (oldVersion < 2) {
+    const revisions = db.createObjectStore(STORES.REVISIONS, { keyPath: 'id', autoIncrement: true });
+    revisions.createIndex('scanId', 'scanId');
+  }
+
+  if (oldVersion < 3) {
+    db.createObjectStore(STORES.SITES, { keyPath: 'id' });
+  }
+
+  if (oldVersion < 4) {
+    db.createObjectStore(STORES.STREAM_TYPES, { keyPath: 'id' });
+  }
+
+  if (oldVersion < 5) {
+    db.createObjectStore(STORES.OUTBOX, { keyPath: 'scanId' });
+    db.createObjectStore(STORES.SYNC_STATE, { keyPath: 'scanId' });
+  }
+
+  if (oldVersion < 6) {
+    db.createObjectStore(STORES.AI_CACHE, { keyPath: 'key' });
+  }
+
+  if (oldVersion < 7) {
+    const usage = db.createObjectStore(STORES.AI_USAGE, { keyPath: 'id', autoIncrement: true });
+    usage.createIndex('timestamp', 'timestamp');
+  }
+
+  if (oldVersion < 8) {
+    db.createObjectStore(STORES.DRAFTS, { keyPath: 'id' });
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<any>} Resolves with the request result
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a callback inside a transaction and wait for it to commit
+ * @param {string|string[]} storeNames - Store(s) used by the transaction
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the transaction, may return a value or promise
+ * @returns {Promise<any>} The callback result, once the transaction has completed
+ */
+export async function runTransaction(storeNames, mode, callback) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeNames, mode);
+
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+
+  let result;
+  try {
+    result = await callback(tx);
+  } catch (error) {
+    // The abort rejects `done` as well; the callback's error is the one to report
+    done.catch(() => {});
+    try {
+      tx.abort();
+    } catch {
+      // Transaction already finished
+    }
+    throw error;
+  }
+
+  await done;
+  return result;
+}
+
+/**
+ * Wait for non-IndexedDB work (such as WebCrypto) inside a transaction
+ * A transaction commits as soon as it has no pending requests, so cheap reads
+ * are issued until the promise settles. The result is delivered from a request
+ * callback, where the transaction is still active and can be used again.
+ *
+ * Only one read is pending at a time and each one returns to the event loop, so
+ * the work keeps running meanwhile; the number of reads depends on how long the
+ * work takes, not on how much data the transaction holds. Work that has not
+ * settled after KEEP_ALIVE_TIMEOUT_MS rejects, which aborts the transaction
+ * instead of holding its stores indefinitely.
+ * @param {IDBTransaction} tx - The transaction to keep open
+ * @param {Promise<any>} promise - The work to wait for
+ * @returns {Promise<any>} The promise's result
+ */
+export function waitInTransaction(tx, promise) {
+  return new Promise((resolve, reject) => {
+    let outcome = null;
+    promise.then(
+      value => { outcome = { value }; },
+      error => { outcome = { error }; }
+    );
+
+    const deadline = Date.now() + KEEP_ALIVE_TIMEOUT_MS;
+    const store = tx.objectStore(tx.objectStoreNames[0]);
+    const poll = () => {
+      const request = store.get(KEEP_ALIVE_KEY);
+      request.onsuccess = () => {
+        if (outcome && 'error' in outcome) {
+          reject(outcome.error);
+        } else if (outcome) {
+          resolve(outcome.value);
+        } else if (Date.now() > deadline) {
+          reject(new Error('Timed out waiting for work inside a database transaction.'));
+        } else {
+          poll();
+        }
+      };
+      request.onerror = () => reject(request.error);
+    };
+    poll();
+  });
+}
+
+/**
+ * Delete the database with everything in it
+ * @returns {Promise<void>}
+ */
+export async function deleteDatabase() {
+  if (dbPromise) {
+    const db = await dbPromise.catch(() => null);
+    db?.close();
+    dbPromise = null;
+  }
+
+  await promisifyRequest(indexedDB.deleteDatabase(DB_NAME));
+}
@@ -0,0 +1,34 @@
+/**
+ * Draft helpers
+ * Pure functions telling whether the scan in the editor differs from the saved one.
+ */
+
+/**
+ * Get the parts of a scan the editor can change, in a form that can be compared
+ * Photos are compared by ID and caption; their image data never changes.
+ * @param {Object} scan - The scan
+ * @returns {string} The editable content
+ */
+export function getScanContent(scan) {
+  return JSON.stringify({
+    siteId: scan.siteId || null,
+    location: scan.location || null,
+    notes: scan.notes || null,
+    createdAt: scan.createdAt,
+    totalResidualKg: scan.totalResidualKg || 0,
+    totalResidualSource: scan.totalResidualSource || null,
+    totalWeighings: scan.totalWeighings || [],
+    photos: scan.photos.map(photo => [photo.id, photo.caption || null]),
+    streams: scan.streams
+  });
+}
+
+/**
+ * Check whether a scan has changes that are not saved
+ * @param {string} savedContent - Content of the saved scan, see getScanContent()
+ * @param {Object} scan - The scan as edited
+ * @returns {boolean} True if anything was changed
+ */
+export function hasUnsavedChanges(savedContent, scan) {
+  return getScanContent(scan) !== savedContent;
+}
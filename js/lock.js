@@ -0,0 +1,220 @@
+/**
+ * Passphrase lock
+ *
+ * The passphrase itself is never stored: a key is derived from it and checked
+ * by decrypting a known value kept with the lock settings. The key only lives
+ * in memory, so reloading the page locks the app again.
+ */
+
+import { getLockSettings, setAutoLockMinutes, unlockStorage, reencryptStorage } from './storage.js';
+import { deriveKey, generateSalt, encryptJson, decryptJson, DEFAULT_PBKDF2_ITERATIONS } from './crypto.js';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+const CHECK_VALUE = 'seenons-waste-scan';
+const AUTO_LOCK_CHECK_INTERVAL = 30 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown'];
+
+let autoLockTimer = null;
+let lastActivity = Date.now();
+let listeningForActivity = false;
+let isLocking = false;
+
+/**
+ * Check whether the passphrase lock is on
+ * @returns {Promise<boolean>} True if the stored data is encrypted
+ */
+export async function isLockEnabled() {
+  return !!(await getLockSettings());
+}
+
+/**
+ * Unlock the stored data for this session
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function unlock(passphrase) {
+  const lock = await getLockSettings();
+  if (!lock) {
+    return;
+  }
+
+  await unlockStorage(await verifyPassphrase(lock, passphrase));
+  startAutoLock(lock.autoLockMinutes);
+}
+
+/**
+ * Turn the lock on, encrypting all stored data
+ * @param {string} passphrase - The new passphrase
+ * @param {number} [autoLockMinutes] - Minutes of inactivity before locking, or 0 for never
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is too short or the lock is already on
+ */
+export async function enableLock(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) {
+  validatePassphrase(passphrase);
+
+  if (await getLockSettings()) {
+    throw new Error('The lock is already on.');
+  }
+
+  const { key, lock } = await createLock(passphrase, autoLockMinutes);
+  await reencryptStorage(key, lock);
+  startAutoLock(autoLockMinutes);
+}
+
+/**
+ * Change the passphrase, re-encrypting all stored data with the new key
+ * @param {string} currentPassphrase - The current passphrase
+ * @param {string} newPassphrase - The new passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the current passphrase is wrong or the new one is too short
+ */
+export async function changePassphrase(currentPassphrase, newPassphrase) {
+  validatePassphrase(newPassphrase);
+
+  const lock = await getLockSettings();
+  if (!lock) {
+    throw new Error('The lock is off.');
+  }
+
+  await verifyPassphrase(lock, currentPassphrase);
+
+  const { key, lock: newLock } = await createLock(newPassphrase, lock.autoLockMinutes);
+  await reencryptStorage(key, newLock);
+}
+
+/**
+ * Turn the lock off, decrypting all stored data
+ * @param {string} currentPassphrase - The current passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function disableLock(currentPassphrase) {
+  const lock = await getLockSettings();
+  if (!lock) {
+    return;
+  }
+
+  await verifyPassphrase(lock, currentPassphrase);
+  await reencryptStorage(null, null);
+  stopAutoLock();
+}
+
+/**
+ * Change how long the app may be idle before it locks itself
+ * @param {number} minutes - Minutes of inactivity, or 0 for never
+ * @returns {Promise<void>}
+ */
+export async function setAutoLock(minutes) {
+  await setAutoLockMinutes(minutes);
+  startAutoLock(minutes);
+}
+
+/**
+ * Lock the app now
+ * Reloading drops the key from memory and shows the unlock screen.
+ */
+export function lockNow() {
+  isLocking = true;
+  window.location.reload();
+}
+
+/**
+ * Check whether the page is reloading to lock the app
+ * Leaving the page then should not be held up by a prompt.
+ * @returns {boolean} True once lockNow() was called
+ */
+export function isLockingNow() {
+  return isLocking;
+}
+
+/**
+ * Lock the app after a period without taps or key presses
+ * @param {number} minutes - Minutes of inactivity, or 0 for never
+ */
+function startAutoLock(minutes) {
+  stopAutoLock();
+
+  if (!minutes) {
+    return;
+  }
+
+  if (!listeningForActivity) {
+    ACTIVITY_EVENTS.forEach(type => {
+      document.addEventListener(type, () => {
+        lastActivity = Date.now();
+      }, { passive: true, capture: true });
+    });
+    listeningForActivity = true;
+  }
+
+  lastActivity = Date.now();
+  autoLockTimer = setInterval(() => {
+    if (Date.now() - lastActivity >= minutes * 60 * 1000) {
+      lockNow();
+    }
+  }, AUTO_LOCK_CHECK_INTERVAL);
+}
+
+/**
+ * Stop locking the app on inactivity
+ */
+function stopAutoLock() {
+  clearInterval(autoLockTimer);
+  autoLockTimer = null;
+}
+
+/**
+ * Derive the key for a passphrase and check it against the lock settings
+ * @param {Object} lock - The lock settings
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<CryptoKey>} The key
+ * @throws {Error} If the passphrase is wrong
+ */
+async function verifyPassphrase(lock, passphrase) {
+  const key = await deriveKey(passphrase || '', lock.salt, lock.iterations);
+
+  try {
+    if (await decryptJson(key, lock.check) === CHECK_VALUE) {
+      return key;
+    }
+  } catch {
+    // Wrong key
+  }
+
+  throw new Error('Wrong passphrase');
+}
+
+/**
+ * Derive a key from a new passphrase with a fresh salt
+ * @param {string} passphrase - The passphrase
+ * @param {number} autoLockMinutes - Minutes of inactivity before locking
+ * @returns {Promise<{key: CryptoKey, lock: Object}>} The key and the lock settings to store
+ */
+async function createLock(passphrase, autoLockMinutes) {
+  const salt = generateSalt();
+  const key = await deriveKey(passphrase, salt, DEFAULT_PBKDF2_ITERATIONS);
+
+  return {
+    key,
+    lock: {
+      salt,
+      iterations: DEFAULT_PBKDF2_ITERATIONS,
+      check: await encryptJson(key, CHECK_VALUE),
+      autoLockMinutes
+    }
+  };
+}
+
+/**
+ * Check that a passphrase is long enough
+ * @param {string} passphrase - The passphrase
+ * @throws {Error} If it is too short
+ */
+function validatePassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+}
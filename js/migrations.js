@@ -0,0 +1,258 @@
+/**
+ * Schema migrations
+ *
+ * Each step upgrades a `{schemaVersion, scans, sites?}` document by exactly one
+ * version. Steps must never change once released: add a new step instead.
+ */
+
+export const CURRENT_SCHEMA_VERSION = 10;
+
+/**
+ * Migration steps keyed by the version they upgrade from
+ */
+const MIGRATIONS = {
+  1: migrateV1ToV2,
+  2: migrateV2ToV3,
+  3: migrateV3ToV4,
+  4: migrateV4ToV5,
+  5: migrateV5ToV6,
+  6: migrateV6ToV7,
+  7: migrateV7ToV8,
+  8: migrateV8ToV9,
+  9: migrateV9ToV10
+};
+
+/**
+ * Migrate data from older schema versions
+ * @param {Object} data - The stored data
+ * @returns {Object} Migrated data (the input is not mutated)
+ * @throws {Error} If no migration path exists
+ */
+export function migrateSchema(data) {
+  // Clone to avoid mutating original
+  let migrated = JSON.parse(JSON.stringify(data));
+  migrated.scans = migrated.scans || [];
+  migrated.schemaVersion = migrated.schemaVersion || 1;
+
+  while (migrated.schemaVersion < CURRENT_SCHEMA_VERSION) {
+    const step = MIGRATIONS[migrated.schemaVersion];
+    if (!step) {
+      throw new Error(`No migration from schema version ${migrated.schemaVersion}`);
+    }
+    migrated = step(migrated);
+  }
+
+  return migrated;
+}
+
+/**
+ * v1 → v2: streams gain waste code, contamination, volume, container type and remark
+ * Any fields already present on a stream are kept as they are.
+ * @param {Object} data - Data at schema version 1
+ * @returns {Object} Data at schema version 2
+ */
+function migrateV1ToV2(data) {
+  return {
+    ...data,
+    schemaVersion: 2,
+    scans: data.scans.map(scan => ({
+      ...scan,
+      streams: (scan.streams || []).map(stream => ({
+        wasteCode: null,
+        contamination: null,
+        volumeLiters: null,
+        containerType: null,
+        remark: null,
+        ...stream,
+        weightKg: parseFloat(stream.weightKg) || 0
+      }))
+    }))
+  };
+}
+
+/**
+ * v2 → v3: scans can be linked to a site
+ * The free-text location is kept; sites are suggested from it in the Sites view.
+ * @param {Object} data - Data at schema version 2
+ * @returns {Object} Data at schema version 3
+ */
+function migrateV2ToV3(data) {
+  return {
+    ...data,
+    schemaVersion: 3,
+    scans: data.scans.map(scan => ({
+      siteId: null,
+      ...scan
+    }))
+  };
+}
+
+/**
+ * Stream type IDs of the preset names used up to schema version 3
+ */
+const V3_PRESET_TYPE_IDS = {
+  'Cardboard': 'cardboard',
+  'Paper': 'paper',
+  'Plastics (hard)': 'plastics-hard',
+  'Plastics (film)': 'plastics-film',
+  'Metal': 'metal',
+  'Glass': 'glass',
+  'Bio/Food': 'bio-food',
+  'Wood': 'wood',
+  'Textiles': 'textiles',
+  'E-waste': 'e-waste',
+  'Other': 'other'
+};
+
+/**
+ * v3 → v4: streams refer to a stream type by ID
+ * Preset names are linked to their type; custom names stay unlinked.
+ * Site default streams change from names to type IDs.
+ * @param {Object} data - Data at schema version 3
+ * @returns {Object} Data at schema version 4
+ */
+function migrateV3ToV4(data) {
+  const migrated = {
+    ...data,
+    schemaVersion: 4,
+    scans: data.scans.map(scan => ({
+      ...scan,
+      streams: (scan.streams || []).map(stream => ({
+        typeId: V3_PRESET_TYPE_IDS[stream.name] || null,
+        ...stream
+      }))
+    }))
+  };
+
+  if (data.sites) {
+    migrated.sites = data.sites.map(({ defaultStreams, ...site }) => ({
+      defaultTypeIds: (defaultStreams || []).map(name => V3_PRESET_TYPE_IDS[name]).filter(Boolean),
+      ...site
+    }));
+  }
+
+  return migrated;
+}
+
+/**
+ * v4 → v5: streams keep the confidence and image regions of an AI suggestion
+ * @param {Object} data - Data at schema version 4
+ * @returns {Object} Data at schema version 5
+ */
+function migrateV4ToV5(data) {
+  return {
+    ...data,
+    schemaVersion: 5,
+    scans: data.scans.map(scan => ({
+      ...scan,
+      streams: (scan.streams || []).map(stream => ({
+        aiConfidence: null,
+        aiRegions: [],
+        ...stream
+      }))
+    }))
+  };
+}
+
+/**
+ * v5 → v6: a scan holds an ordered gallery of captioned photos instead of one photo
+ * AI regions record which photo they were found on.
+ * @param {Object} data - Data at schema version 5
+ * @returns {Object} Data at schema version 6
+ */
+function migrateV5ToV6(data) {
+  return {
+    ...data,
+    schemaVersion: 6,
+    scans: data.scans.map(({ photo, ...scan }) => ({
+      photos: photo ? [{ ...photo, caption: null }] : [],
+      ...scan,
+      streams: (scan.streams || []).map(stream => ({
+        ...stream,
+        aiRegions: (stream.aiRegions || []).map(region => ({ photoId: photo?.id ?? null, ...region }))
+      }))
+    }))
+  };
+}
+
+/**
+ * v6 → v7: weights record whether they were entered or estimated by the AI
+ * Earlier weights could be either, so their source stays unknown.
+ * @param {Object} data - Data at schema version 6
+ * @returns {Object} Data at schema version 7
+ */
+function migrateV6ToV7(data) {
+  return {
+    ...data,
+    schemaVersion: 7,
+    scans: data.scans.map(scan => ({
+      totalResidualSource: null,
+      ...scan,
+      streams: (scan.streams || []).map(stream => ({
+        weightSource: null,
+        ...stream
+      }))
+    }))
+  };
+}
+
+/**
+ * v7 → v8: a stream's volume can be entered as a number of containers and how full they are,
+ * and a weight converted from it records the density used
+ * @param {Object} data - Data at schema version 7
+ * @returns {Object} Data at schema version 8
+ */
+function migrateV7ToV8(data) {
+  return {
+    ...data,
+    schemaVersion: 8,
+    scans: data.scans.map(scan => ({
+      ...scan,
+      streams: (scan.streams || []).map(stream => ({
+        containerCount: null,
+        fillLevel: null,
+        densityKgPerL: null,
+        ...stream
+      }))
+    }))
+  };
+}
+
+/**
+ * v8 → v9: weights can be entered as gross weighings in containers, whose tare is subtracted
+ * @param {Object} data - Data at schema version 8
+ * @returns {Object} Data at schema version 9
+ */
+function migrateV8ToV9(data) {
+  return {
+    ...data,
+    schemaVersion: 9,
+    scans: data.scans.map(scan => ({
+      totalWeighings: [],
+      ...scan,
+      streams: (scan.streams || []).map(stream => ({
+        weighings: [],
+        ...stream
+      }))
+    }))
+  };
+}
+
+/**
+ * v9 → v10: besides its grade, a stream's contamination can be entered as a percentage
+ * @param {Object} data - Data at schema version 9
+ * @returns {Object} Data at schema version 10
+ */
+function migrateV9ToV10(data) {
+  return {
+    ...data,
+    schemaVersion: 10,
+    scans: data.scans.map(scan => ({
+      ...scan,
+      streams: (scan.streams || []).map(stream => ({
+        contaminationPct: null,
+        ...stream
+      }))
+    }))
+  };
+}
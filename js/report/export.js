@@ -2,22 +2,36 @@
  * Report HTML generation and export
  */
 
-import { formatKg, formatPercent, formatDateTime } from '../utils/format.js';
+import { formatKg, formatPercent, formatDate, formatDateTime } from '../utils/format.js';
+import { CONTAMINATION_LEVELS, CONTAINER_TYPES } from '../storage.js';
+import { describeVolumeEntry } from '../volume.js';
+import { describeWeighings } from '../weighing.js';
+import { calculateSeparationPotential, describeContamination } from '../contamination.js';
+import { summarizeScans } from '../sites.js';
+import { findStreamTypeByName } from '../taxonomy.js';
 
 /**
  * Generate a self-contained HTML report for a scan
  * @param {Object} scan - The scan object
+ * @param {Object|null} [site] - The site the scan belongs to
+ * @param {Array} [streamTypes] - The stream taxonomy, for colours and codes
  * @returns {string} Complete HTML document as string
  */
-export function generateReportHtml(scan) {
+export function generateReportHtml(scan, site = null, streamTypes = []) {
   const totalResidualKg = scan.totalResidualKg || 0;
-  const extractedKg = scan.streams.reduce((sum, s) => sum + (s.weightKg || 0), 0);
+  const { extractedKg, contaminatedKg, separationPct, realisticPct } =
+    calculateSeparationPotential(totalResidualKg, scan.streams, CONTAMINATION_LEVELS);
   const remainingKg = Math.max(0, totalResidualKg - extractedKg);
-  const separationPct = totalResidualKg > 0 ? (extractedKg / totalResidualKg * 100) : 0;
   
-  const photoHtml = scan.photo 
+  const photos = scan.photos || [];
+  const photoHtml = photos.length > 0
     ? `<div class="photo-section">
-        <img src="${scan.photo.dataUrl}" alt="Waste scan photo" class="scan-photo">
+        ${photos.map((photo, index) => `
+          <figure class="scan-photo-figure">
+            <img src="${photo.dataUrl}" alt="${escapeHtml(photo.caption) || `Waste scan photo ${index + 1}`}" class="scan-photo">
+            ${photo.caption ? `<figcaption>${escapeHtml(photo.caption)}</figcaption>` : ''}
+          </figure>
+        `).join('')}
        </div>`
     : '';
   
@@ -33,10 +47,19 @@ export function generateReportHtml(scan) {
         <tbody>
           ${scan.streams.map(stream => {
             const pct = totalResidualKg > 0 ? (stream.weightKg / totalResidualKg * 100) : 0;
+            const type = streamTypes.find(t => t.id === stream.typeId);
+            const details = formatStreamDetails(stream, type);
             return `
               <tr>
-                <td>${escapeHtml(stream.name)}</td>
-                <td>${formatKg(stream.weightKg)}</td>
+                <td>
+                  ${renderColorSwatch(type)}${escapeHtml(stream.name)}
+                  ${details ? `<span class="stream-details">${escapeHtml(details)}</span>` : ''}
+                </td>
+                <td>
+                  ${formatKg(stream.weightKg)}
+                  ${stream.weightSource === 'ai' ? '<span class="estimate-tag">AI estimate</span>' : ''}
+                  ${stream.weightSource === 'volume' ? `<span class="estimate-tag" title="${stream.volumeLiters} L at ${stream.densityKgPerL} kg/L">From volume</span>` : ''}
+                </td>
                 <td>${formatPercent(pct)}</td>
               </tr>
             `;
@@ -45,6 +68,13 @@ export function generateReportHtml(scan) {
       </table>`
     : '<p class="no-streams">No waste streams recorded</p>';
   
+  const hasEstimates = scan.totalResidualSource === 'ai' || scan.streams.some(stream => stream.weightSource === 'ai');
+  const hasConversions = scan.streams.some(stream => stream.weightSource === 'volume');
+  const estimateNoteHtml = [
+    hasEstimates ? '<p class="estimate-note">Weights marked <span class="estimate-tag">AI estimate</span> were estimated from the photos and not weighed.</p>' : '',
+    hasConversions ? '<p class="estimate-note">Weights marked <span class="estimate-tag">From volume</span> were derived from an estimated volume and the bulk density shown, and not weighed.</p>' : ''
+  ].join('');
+  
   const notesHtml = scan.notes 
     ? `<div class="notes-section">
         <h3>Notes</h3>
@@ -58,31 +88,32 @@ export function generateReportHtml(scan) {
        </div>`
     : '';
   
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Waste Scan Report - ${formatDateTime(scan.createdAt)}</title>
-  <style>
-    ${getReportStyles()}
-  </style>
-</head>
-<body>
-  <div class="report-container">
-    <header class="report-header">
-      <div class="logo">
-        <svg width="40" height="40" viewBox="0 0 180 180" fill="#fff"><path d="M156.9 89.9c.1 31.5-22 58.8-52.8 65.4-22.6 4.7-42.7-1-59.8-16.6-10.1-9.2-17-21.4-19.7-34.7-.8-3.8 2-6.8 5.7-6.1 1.9.3 3.5 1.8 3.8 3.7.6 3 1.5 5.9 2.6 8.8 8.2 19.8 22.8 32.1 43.9 35.9 30 5.4 58.5-14.2 65.2-43.5 2.4-10.5 1.8-21.4-1.8-31.6-.6-1.1-.7-2.4-.6-3.7.4-2.1 2.1-3.6 4.2-3.9 2.2-.3 4.3.9 5.1 3 .9 2.4 1.7 4.9 2.3 7.4 1.2 5.2 1.9 10.5 1.9 15.9zM0 90.2C-.1 53.9 21.5 21.1 54.9 7c.8-.4 1.6-.6 2.5-.7 2.6-.1 4.9 1.9 5 4.5.1 1.8-.8 3.5-2.4 4.4-.6.3-1.2.5-1.8.8-25 11.4-41 30.3-46.8 57.1-5.3 24.3.2 46.6 15.3 66.5.7.8 1.3 1.7 1.6 2.7.6 2.1-.4 4.4-2.4 5.4-2 1.1-4.5.6-6-1.2-2.5-3.1-4.8-6.3-6.8-9.7C6.6 126 2.4 113.9.7 101.4.2 97.7 0 93.9 0 90.2zm138.7-43.6c-.1 1.7-1.1 3.2-2.7 3.9-1.6.9-3.7.7-5.1-.5-.5-.4-1-.8-1.5-1.3-8.4-8.2-19.3-13.5-30.9-15.2C70.1 29.2 42.9 46.7 35 74.3c-.1.5-.3.9-.4 1.4-.9 2.3-3.4 3.5-5.8 2.8-2.5-.6-4-3.1-3.5-5.6.8-3.5 1.9-6.9 3.5-10.1 9.8-21 26-34.3 48.8-38.6s42.5 2 59.3 17.9c1.2 1.1 1.9 2.8 1.8 4.5zM180 91c-.1 14.8-4 29.4-11.1 42.3-.2.4-.5.9-.8 1.3-1.5 2.2-4.4 2.7-6.6 1.2-1.9-1.3-2.6-3.7-1.6-5.8.6-1.2 1.3-2.4 1.9-3.7 4.4-8.5 7.1-17.8 8.1-27.3 2.5-24.3-4.5-45.5-20.8-63.7-.8-.8-1.6-1.7-2.4-2.5-2-1.7-2.2-4.7-.5-6.7s4.7-2.2 6.7-.5c.1.1.3.2.4.4 3.5 3.4 6.6 7.1 9.4 11 8.5 11.6 14.1 25.1 16.2 39.4.8 4.8 1.1 9.7 1.1 14.6zm-89.9 88.9c-16.8.1-33.2-4.6-47.5-13.4-.5-.3-1-.6-1.5-1-2-1.7-2.3-4.7-.6-6.7 1.4-1.6 3.7-2.2 5.6-1.3.4.2.9.5 1.3.7 10 6.3 21.3 10.3 33.1 11.6 20.6 2.3 39.5-2.5 56.5-14.6.5-.4 1-.7 1.5-1.1 2.1-1.6 5.1-1.2 6.7.8 1.6 2.1 1.2 5.1-.8 6.7-.1.1-.2.1-.2.2-4.2 3.2-8.7 6-13.4 8.4-9.6 4.8-19.9 7.9-30.5 9.1-3.5.4-6.9.6-10.2.6zm4-97.3c-1.8 0-3.6.1-5.4 0-2.6 0-4.7-2-4.8-4.6 0-.7.1-1.4.4-2 .6-1.6 2.1-2.7 3.8-2.7 5.5 0 11.1-.7 16.5.8 11.8 3.3 19.3 10.8 21.5 22.9 1.5 8.3-.9 15.8-6.6 22.2-1.2 1.5-3.1 2-4.9 1.5-1.8-.5-3.2-2-3.3-3.9-.2-1.4.3-2.9 1.3-3.9 1.8-1.9 3.1-4.2 3.8-6.6 2.2-7.9-1.1-16.4-8.2-20.6-3.1-2-6.7-3-10.4-3l-3.7-.1zm-5.5 23.8c-3.5.2-7.1-.1-10.5-1-10.6-3.4-17.6-10.2-20.3-21.1-1.1-4.4-.7-8.9.3-13.3.4-2.3 1.1-4.6 2-6.8 1-2.4 3.8-3.4 6.2-2.4 2.2 1 3.3 3.5 2.5 5.8-1 2.7-1.6 5.5-2 8.3-.9 5.7 1 11.5 5.2 15.4 3.5 3.6 8.3 5.7 13.4 5.8 3.3.1 6.6 0 9.9.1 2.6.1 4.5 2.3 4.4 4.9-.1 2.4-2 4.3-4.4 4.4-2 0-4-.1-6.7-.1zm.1 23.5c-7.8.1-15.4-1.8-22.2-5.7-5.3-3.1-9.9-7.1-13.7-11.9-1.8-1.9-1.6-4.9.3-6.6 0 0 .1-.1.2-.1 2.1-1.8 4.9-1.4 6.8.8 1.9 2.3 4 4.4 6.3 6.3 5.9 4.8 13.2 7.6 20.8 7.8 3.3 0 6.7-.1 10-.4 2.2-.2 4.3 1.2 4.9 3.3.8 2.4-.6 5-3.1 5.8-.3.1-.6.2-.9.2-3.1.3-6.3.5-9.4.5zm3.1-82.6c8.6.1 16.4 2.5 23.1 8.1 1.3 1.1 2.4 2.3 3.4 3.6 1.7 2 1.4 4.9-.6 6.6 0 0-.1 0-.1.1-1.9 1.6-4.8 1.4-6.4-.5l-.1-.1c-5.4-6.8-17.5-10-26.7-7.3-1.4.5-2.8 1-4.1 1.7-2.3 1.2-5.1.2-6.3-2.1s0-5.2 2.3-6.4c2.4-1.3 5-2.3 7.7-2.9 2.6-.5 5.2-.8 7.8-.8zM93.3 0c10.6.4 21 2.6 30.8 6.6 1.7.5 3 2 3.3 3.8.5 2.5-1.2 5-3.7 5.5-.9.2-1.9.1-2.8-.3-3-1.1-6-2.2-9-3.1-6.8-1.9-13.8-2.9-20.9-3-.7 0-1.3 0-2-.2-2.3-.4-3.9-2.5-3.8-4.9C85.3 2 87.1.1 89.5 0h3.8z"/></svg>
-        <span>Seenons</span>
+  const siteMetaHtml = site ? `
+      <div class="meta-item">
+        <span class="meta-label">Site</span>
+        <span class="meta-value">${escapeHtml(site.name)}</span>
       </div>
-      <h1>Waste Scan Report</h1>
-    </header>
-    
+      ${site.client ? `
+      <div class="meta-item">
+        <span class="meta-label">Client</span>
+        <span class="meta-value">${escapeHtml(site.client)}</span>
+      </div>
+      ` : ''}
+      ${site.address ? `
+      <div class="meta-item">
+        <span class="meta-label">Address</span>
+        <span class="meta-value">${escapeHtml(site.address)}</span>
+      </div>
+      ` : ''}
+  ` : '';
+  
+  return renderReportDocument(`Waste Scan Report - ${formatDateTime(scan.createdAt)}`, 'Waste Scan Report', `
     <section class="meta-section">
       <div class="meta-item">
         <span class="meta-label">Date</span>
         <span class="meta-value">${formatDateTime(scan.createdAt)}</span>
       </div>
+      ${siteMetaHtml}
       ${scan.location ? `
       <div class="meta-item">
         <span class="meta-label">Location</span>
@@ -99,6 +130,8 @@ export function generateReportHtml(scan) {
         <div class="summary-card">
           <span class="card-label">Total Residual</span>
           <span class="card-value">${formatKg(totalResidualKg)}</span>
+          ${scan.totalResidualSource === 'ai' ? '<span class="estimate-tag">AI estimate</span>' : ''}
+          ${scan.totalWeighings?.length ? `<span class="card-detail">${escapeHtml(describeWeighings(scan.totalWeighings))}</span>` : ''}
         </div>
         <div class="summary-card highlight">
           <span class="card-label">Extractable</span>
@@ -108,21 +141,193 @@ export function generateReportHtml(scan) {
           <span class="card-label">Separation Potential</span>
           <span class="card-value">${formatPercent(separationPct)}</span>
         </div>
+        <div class="summary-card highlight">
+          <span class="card-label">Realistic Separation Potential</span>
+          <span class="card-value">${formatPercent(realisticPct)}</span>
+          <span class="card-detail">Without ${formatKg(contaminatedKg)} of contaminated material</span>
+        </div>
         <div class="summary-card">
           <span class="card-label">Remaining Residual</span>
           <span class="card-value">${formatKg(remainingKg)}</span>
         </div>
       </div>
+      <p class="estimate-note">
+        The realistic potential leaves out the contaminated share of each stream: the percentage entered,
+        or else ${CONTAMINATION_LEVELS.map(level => `${level.contaminationPct}% when ${level.name.toLowerCase()}`).join(', ')}.
+        Streams not graded count as clean.
+      </p>
       ${warningHtml}
     </section>
     
     <section class="streams-section">
       <h2>Waste Streams Breakdown</h2>
       ${streamsHtml}
+      ${estimateNoteHtml}
     </section>
     
     ${notesHtml}
+  `);
+}
+
+/**
+ * Generate a self-contained HTML report aggregating all scans of a site
+ * @param {Object} site - The site
+ * @param {Array} scans - The scans linked to the site
+ * @param {Array} [streamTypes] - The stream taxonomy, for colours and codes
+ * @returns {string} Complete HTML document as string
+ */
+export function generateSiteReportHtml(site, scans, streamTypes = []) {
+  const summary = summarizeScans(scans);
+  const remainingKg = Math.max(0, summary.totalKg - summary.extractedKg);
+  const dates = scans.map(scan => scan.createdAt).sort();
+  
+  const contact = [site.contactName, site.contactPhone, site.contactEmail].filter(Boolean).join(' · ');
+  
+  const streamsHtml = summary.streams.length > 0
+    ? `<table class="streams-table">
+        <thead>
+          <tr>
+            <th>Waste Stream</th>
+            <th>Weight</th>
+            <th>% of Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${summary.streams.map(stream => `
+            <tr>
+              <td>${renderColorSwatch(findStreamTypeByName(streamTypes, stream.name))}${escapeHtml(stream.name)}</td>
+              <td>${formatKg(stream.weightKg)}</td>
+              <td>${formatPercent(summary.totalKg > 0 ? (stream.weightKg / summary.totalKg * 100) : 0)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>`
+    : '<p class="no-streams">No waste streams recorded</p>';
+  
+  const scansHtml = scans.length > 0
+    ? `<table class="streams-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Total</th>
+            <th>Extractable</th>
+            <th>Separation</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${scans.map(scan => {
+            const extractedKg = scan.streams.reduce((sum, s) => sum + (s.weightKg || 0), 0);
+            const separationPct = scan.totalResidualKg > 0 ? (extractedKg / scan.totalResidualKg * 100) : 0;
+            return `
+              <tr>
+                <td>
+                  ${formatDateTime(scan.createdAt)}
+                  ${scan.location ? `<span class="stream-details">${escapeHtml(scan.location)}</span>` : ''}
+                </td>
+                <td>${formatKg(scan.totalResidualKg)}</td>
+                <td>${formatKg(extractedKg)}</td>
+                <td>${formatPercent(separationPct)}</td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>`
+    : '<p class="no-streams">No scans recorded for this site</p>';
+  
+  return renderReportDocument(`Site Report - ${site.name}`, 'Site Report', `
+    <section class="meta-section">
+      <div class="meta-item">
+        <span class="meta-label">Site</span>
+        <span class="meta-value">${escapeHtml(site.name)}</span>
+      </div>
+      ${site.client ? `
+      <div class="meta-item">
+        <span class="meta-label">Client</span>
+        <span class="meta-value">${escapeHtml(site.client)}</span>
+      </div>
+      ` : ''}
+      ${site.address ? `
+      <div class="meta-item">
+        <span class="meta-label">Address</span>
+        <span class="meta-value">${escapeHtml(site.address)}</span>
+      </div>
+      ` : ''}
+      ${contact ? `
+      <div class="meta-item">
+        <span class="meta-label">Contact</span>
+        <span class="meta-value">${escapeHtml(contact)}</span>
+      </div>
+      ` : ''}
+      ${dates.length > 0 ? `
+      <div class="meta-item">
+        <span class="meta-label">Period</span>
+        <span class="meta-value">${formatDate(dates[0])} – ${formatDate(dates[dates.length - 1])}</span>
+      </div>
+      ` : ''}
+    </section>
     
+    <section class="summary-section">
+      <h2>Summary of ${summary.scanCount} scan${summary.scanCount === 1 ? '' : 's'}</h2>
+      <div class="summary-cards">
+        <div class="summary-card">
+          <span class="card-label">Total Residual</span>
+          <span class="card-value">${formatKg(summary.totalKg)}</span>
+        </div>
+        <div class="summary-card highlight">
+          <span class="card-label">Extractable</span>
+          <span class="card-value">${formatKg(summary.extractedKg)}</span>
+        </div>
+        <div class="summary-card highlight-primary">
+          <span class="card-label">Separation Potential</span>
+          <span class="card-value">${formatPercent(summary.separationPct)}</span>
+        </div>
+        <div class="summary-card">
+          <span class="card-label">Remaining Residual</span>
+          <span class="card-value">${formatKg(remainingKg)}</span>
+        </div>
+      </div>
+    </section>
+    
+    <section class="streams-section">
+      <h2>Waste Streams Across All Scans</h2>
+      ${streamsHtml}
+    </section>
+    
+    <section class="streams-section">
+      <h2>Scans</h2>
+      ${scansHtml}
+    </section>
+  `);
+}
+
+/**
+ * Wrap report content in a complete, printable HTML document
+ * @param {string} documentTitle - The document title
+ * @param {string} heading - The heading shown next to the logo
+ * @param {string} content - Report sections HTML
+ * @returns {string} Complete HTML document as string
+ */
+function renderReportDocument(documentTitle, heading, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(documentTitle)}</title>
+  <style>
+    ${getReportStyles()}
+  </style>
+</head>
+<body>
+  <div class="report-container">
+    <header class="report-header">
+      <div class="logo">
+        <svg width="40" height="40" viewBox="0 0 180 180" fill="#fff"><path d="M156.9 89.9c.1 31.5-22 58.8-52.8 65.4-22.6 4.7-42.7-1-59.8-16.6-10.1-9.2-17-21.4-19.7-34.7-.8-3.8 2-6.8 5.7-6.1 1.9.3 3.5 1.8 3.8 3.7.6 3 1.5 5.9 2.6 8.8 8.2 19.8 22.8 32.1 43.9 35.9 30 5.4 58.5-14.2 65.2-43.5 2.4-10.5 1.8-21.4-1.8-31.6-.6-1.1-.7-2.4-.6-3.7.4-2.1 2.1-3.6 4.2-3.9 2.2-.3 4.3.9 5.1 3 .9 2.4 1.7 4.9 2.3 7.4 1.2 5.2 1.9 10.5 1.9 15.9zM0 90.2C-.1 53.9 21.5 21.1 54.9 7c.8-.4 1.6-.6 2.5-.7 2.6-.1 4.9 1.9 5 4.5.1 1.8-.8 3.5-2.4 4.4-.6.3-1.2.5-1.8.8-25 11.4-41 30.3-46.8 57.1-5.3 24.3.2 46.6 15.3 66.5.7.8 1.3 1.7 1.6 2.7.6 2.1-.4 4.4-2.4 5.4-2 1.1-4.5.6-6-1.2-2.5-3.1-4.8-6.3-6.8-9.7C6.6 126 2.4 113.9.7 101.4.2 97.7 0 93.9 0 90.2zm138.7-43.6c-.1 1.7-1.1 3.2-2.7 3.9-1.6.9-3.7.7-5.1-.5-.5-.4-1-.8-1.5-1.3-8.4-8.2-19.3-13.5-30.9-15.2C70.1 29.2 42.9 46.7 35 74.3c-.1.5-.3.9-.4 1.4-.9 2.3-3.4 3.5-5.8 2.8-2.5-.6-4-3.1-3.5-5.6.8-3.5 1.9-6.9 3.5-10.1 9.8-21 26-34.3 48.8-38.6s42.5 2 59.3 17.9c1.2 1.1 1.9 2.8 1.8 4.5zM180 91c-.1 14.8-4 29.4-11.1 42.3-.2.4-.5.9-.8 1.3-1.5 2.2-4.4 2.7-6.6 1.2-1.9-1.3-2.6-3.7-1.6-5.8.6-1.2 1.3-2.4 1.9-3.7 4.4-8.5 7.1-17.8 8.1-27.3 2.5-24.3-4.5-45.5-20.8-63.7-.8-.8-1.6-1.7-2.4-2.5-2-1.7-2.2-4.7-.5-6.7s4.7-2.2 6.7-.5c.1.1.3.2.4.4 3.5 3.4 6.6 7.1 9.4 11 8.5 11.6 14.1 25.1 16.2 39.4.8 4.8 1.1 9.7 1.1 14.6zm-89.9 88.9c-16.8.1-33.2-4.6-47.5-13.4-.5-.3-1-.6-1.5-1-2-1.7-2.3-4.7-.6-6.7 1.4-1.6 3.7-2.2 5.6-1.3.4.2.9.5 1.3.7 10 6.3 21.3 10.3 33.1 11.6 20.6 2.3 39.5-2.5 56.5-14.6.5-.4 1-.7 1.5-1.1 2.1-1.6 5.1-1.2 6.7.8 1.6 2.1 1.2 5.1-.8 6.7-.1.1-.2.1-.2.2-4.2 3.2-8.7 6-13.4 8.4-9.6 4.8-19.9 7.9-30.5 9.1-3.5.4-6.9.6-10.2.6zm4-97.3c-1.8 0-3.6.1-5.4 0-2.6 0-4.7-2-4.8-4.6 0-.7.1-1.4.4-2 .6-1.6 2.1-2.7 3.8-2.7 5.5 0 11.1-.7 16.5.8 11.8 3.3 19.3 10.8 21.5 22.9 1.5 8.3-.9 15.8-6.6 22.2-1.2 1.5-3.1 2-4.9 1.5-1.8-.5-3.2-2-3.3-3.9-.2-1.4.3-2.9 1.3-3.9 1.8-1.9 3.1-4.2 3.8-6.6 2.2-7.9-1.1-16.4-8.2-20.6-3.1-2-6.7-3-10.4-3l-3.7-.1zm-5.5 23.8c-3.5.2-7.1-.1-10.5-1-10.6-3.4-17.6-10.2-20.3-21.1-1.1-4.4-.7-8.9.3-13.3.4-2.3 1.1-4.6 2-6.8 1-2.4 3.8-3.4 6.2-2.4 2.2 1 3.3 3.5 2.5 5.8-1 2.7-1.6 5.5-2 8.3-.9 5.7 1 11.5 5.2 15.4 3.5 3.6 8.3 5.7 13.4 5.8 3.3.1 6.6 0 9.9.1 2.6.1 4.5 2.3 4.4 4.9-.1 2.4-2 4.3-4.4 4.4-2 0-4-.1-6.7-.1zm.1 23.5c-7.8.1-15.4-1.8-22.2-5.7-5.3-3.1-9.9-7.1-13.7-11.9-1.8-1.9-1.6-4.9.3-6.6 0 0 .1-.1.2-.1 2.1-1.8 4.9-1.4 6.8.8 1.9 2.3 4 4.4 6.3 6.3 5.9 4.8 13.2 7.6 20.8 7.8 3.3 0 6.7-.1 10-.4 2.2-.2 4.3 1.2 4.9 3.3.8 2.4-.6 5-3.1 5.8-.3.1-.6.2-.9.2-3.1.3-6.3.5-9.4.5zm3.1-82.6c8.6.1 16.4 2.5 23.1 8.1 1.3 1.1 2.4 2.3 3.4 3.6 1.7 2 1.4 4.9-.6 6.6 0 0-.1 0-.1.1-1.9 1.6-4.8 1.4-6.4-.5l-.1-.1c-5.4-6.8-17.5-10-26.7-7.3-1.4.5-2.8 1-4.1 1.7-2.3 1.2-5.1.2-6.3-2.1s0-5.2 2.3-6.4c2.4-1.3 5-2.3 7.7-2.9 2.6-.5 5.2-.8 7.8-.8zM93.3 0c10.6.4 21 2.6 30.8 6.6 1.7.5 3 2 3.3 3.8.5 2.5-1.2 5-3.7 5.5-.9.2-1.9.1-2.8-.3-3-1.1-6-2.2-9-3.1-6.8-1.9-13.8-2.9-20.9-3-.7 0-1.3 0-2-.2-2.3-.4-3.9-2.5-3.8-4.9C85.3 2 87.1.1 89.5 0h3.8z"/></svg>
+        <span>Seenons</span>
+      </div>
+      <h1>${escapeHtml(heading)}</h1>
+    </header>
+    ${content}
     <footer class="report-footer">
       <p>Generated by Seenons Waste Scan</p>
       <p class="footer-date">Report created: ${new Date().toLocaleString()}</p>
@@ -136,6 +341,35 @@ export function generateReportHtml(scan) {
 </html>`;
 }
 
+/**
+ * Render the colour of a stream type as a small swatch
+ * @param {Object|null|undefined} type - The stream type
+ * @returns {string} HTML, or an empty string without a colour
+ */
+function renderColorSwatch(type) {
+  return type?.color ? `<span class="stream-color" style="background: ${escapeHtml(type.color)}"></span>` : '';
+}
+
+/**
+ * Summarize the optional details of a stream on one line
+ * @param {Object} stream - The stream
+ * @param {Object} [type] - The stream type, whose code is used when the stream has none
+ * @returns {string} Details joined with separators, or an empty string
+ */
+function formatStreamDetails(stream, type) {
+  const container = CONTAINER_TYPES.find(type => type.id === stream.containerType);
+  const volume = describeVolumeEntry(stream, CONTAINER_TYPES);
+  
+  return [
+    stream.wasteCode || type?.code,
+    describeContamination(stream, CONTAMINATION_LEVELS),
+    describeWeighings(stream.weighings || []),
+    volume && stream.weightSource === 'volume' ? `${volume} × ${stream.densityKgPerL} kg/L` : volume,
+    !stream.containerCount ? container?.name : null,
+    stream.remark
+  ].filter(Boolean).join(' · ');
+}
+
 /**
  * Get CSS styles for the report
  * @returns {string} CSS styles
@@ -230,9 +464,25 @@ function getReportStyles() {
     
     .photo-section {
       padding: 24px 32px;
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      gap: 16px;
+    }
+    
+    .scan-photo-figure {
+      margin: 0;
+      flex: 1 1 240px;
+      max-width: 100%;
       text-align: center;
     }
     
+    .scan-photo-figure figcaption {
+      margin-top: 8px;
+      font-size: 13px;
+      color: #5a6b7c;
+    }
+    
     .scan-photo {
       max-width: 100%;
       max-height: 400px;
@@ -295,6 +545,13 @@ function getReportStyles() {
       letter-spacing: -0.5px;
     }
     
+    .card-detail {
+      display: block;
+      margin-top: 4px;
+      font-size: 12px;
+      color: #6b7c8d;
+    }
+    
     .warning {
       margin-top: 16px;
       padding: 12px 16px;
@@ -338,6 +595,43 @@ function getReportStyles() {
       font-weight: 500;
     }
     
+    .stream-color {
+      display: inline-block;
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      margin-right: 8px;
+      vertical-align: middle;
+      -webkit-print-color-adjust: exact;
+      print-color-adjust: exact;
+    }
+    
+    .streams-table .stream-details {
+      display: block;
+      font-size: 13px;
+      font-weight: 400;
+      color: #6b7c8d;
+    }
+    
+    .estimate-tag {
+      display: inline-block;
+      margin-left: 6px;
+      padding: 1px 6px;
+      border-radius: 4px;
+      font-size: 11px;
+      font-weight: 600;
+      letter-spacing: 0;
+      vertical-align: middle;
+      background: #e6f4ef;
+      color: #1d6b52;
+    }
+    
+    .estimate-note {
+      margin-top: 12px;
+      font-size: 13px;
+      color: #6b7c8d;
+    }
+    
     .streams-table tr:last-child td {
       border-bottom: none;
     }
@@ -427,7 +721,7 @@ function getReportStyles() {
         break-inside: avoid;
       }
       
-      .photo-section {
+      .scan-photo-figure {
         break-inside: avoid;
       }
     }
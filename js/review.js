@@ -0,0 +1,142 @@
+/**
+ * AI analysis review helpers
+ * Pure functions lining up an AI analysis with the values already in a scan,
+ * so nothing entered by hand is replaced without the user choosing it.
+ */
+
+import { applyStreamType } from './taxonomy.js';
+
+/**
+ * Where a weight came from: weighed or typed in, estimated by the AI, or converted from a volume
+ */
+export const WEIGHT_SOURCES = {
+  manual: 'Weighed',
+  ai: 'AI estimate',
+  volume: 'From volume'
+};
+
+/**
+ * Pair the streams suggested by the AI with the scan's current streams
+ * Streams pair up by stream type, or by name when the suggestion has no type.
+ * Current streams the AI did not find get a row without a suggestion.
+ * @param {Array} streams - The scan's current streams
+ * @param {Array} suggestions - Suggested streams, see mapDetectedStreams()
+ * @returns {Array<{current: Object|null, suggestion: Object|null}>} Rows in the order suggested, then the streams not found
+ */
+export function pairSuggestedStreams(streams, suggestions) {
+  const unpaired = [...streams];
+
+  const rows = suggestions.map(suggestion => {
+    const index = unpaired.findIndex(stream => suggestion.type
+      ? stream.typeId === suggestion.type.id
+      : !stream.typeId && normalizeName(stream.name) === normalizeName(suggestion.name));
+    const current = index === -1 ? null : unpaired.splice(index, 1)[0];
+    return { current, suggestion };
+  });
+
+  return [...rows, ...unpaired.map(current => ({ current, suggestion: null }))];
+}
+
+/**
+ * Build the rows of the review dialog: the total first, then one per stream
+ * @param {Object} scan - The scan as it is now
+ * @param {Array} suggestions - Suggested streams, see mapDetectedStreams()
+ * @param {number} totalEstimateKg - The total weight the AI estimated
+ * @returns {Array<{label: string, current: Object|null, suggestion: Object|null, isTotal: boolean, unmapped: boolean}>} The rows
+ */
+export function buildReviewRows(scan, suggestions, totalEstimateKg) {
+  return [
+    {
+      label: 'Total residual waste',
+      current: { weightKg: scan.totalResidualKg || 0 },
+      suggestion: totalEstimateKg > 0 ? { weightKg: totalEstimateKg } : null,
+      isTotal: true,
+      unmapped: false
+    },
+    ...pairSuggestedStreams(scan.streams, suggestions).map(row => ({
+      ...row,
+      label: row.suggestion?.name || row.current.name,
+      isTotal: false,
+      unmapped: !row.current && row.suggestion.unmapped
+    }))
+  ];
+}
+
+/**
+ * Apply the decisions made in the review dialog to a scan
+ * Accepted values are marked as AI estimates; values typed in the dialog as entered by hand.
+ * @param {Object} scan - The scan as it is now
+ * @param {Array} rows - The rows, see buildReviewRows()
+ * @param {Array<{decision: 'accept'|'reject'|'edit', weightKg: number|null}>} decisions - One decision per row
+ * @param {Function} createStream - Returns a new empty stream
+ * @returns {{scan: Object, applied: number, unmappedStreamIds: string[]}} The changed scan, the number of values used,
+ *   and the IDs of added streams that still need a stream type
+ */
+export function applyReviewDecisions(scan, rows, decisions, createStream) {
+  let updated = { ...scan, streams: [...scan.streams] };
+  let applied = 0;
+  const unmappedStreamIds = [];
+
+  rows.forEach((row, index) => {
+    const { decision, weightKg } = decisions[index];
+    if (!row.suggestion || decision === 'reject') return;
+
+    applied++;
+    const weightSource = decision === 'accept' ? 'ai' : 'manual';
+    const value = decision === 'accept' ? row.suggestion.weightKg : weightKg;
+
+    if (row.isTotal) {
+      updated = { ...updated, totalResidualKg: value, totalResidualSource: weightSource, totalWeighings: [] };
+      return;
+    }
+
+    // A weight taken from the review no longer comes from the weighings
+    const suggested = {
+      weightKg: value,
+      weightSource,
+      weighings: [],
+      aiConfidence: row.suggestion.confidence,
+      aiRegions: row.suggestion.regions
+    };
+
+    if (row.current) {
+      updated.streams = updated.streams.map(stream =>
+        stream.id === row.current.id ? { ...stream, ...suggested } : stream
+      );
+    } else {
+      // Streams not linked to the taxonomy are resolved by the user
+      const stream = { ...createStream(), name: row.suggestion.name, ...suggested };
+      if (row.unmapped) unmappedStreamIds.push(stream.id);
+      updated.streams.push(row.suggestion.type ? applyStreamType(stream, row.suggestion.type) : stream);
+    }
+  });
+
+  return { scan: updated, applied, unmappedStreamIds };
+}
+
+/**
+ * Decide a row in merge mode, where suggestions only fill in what is missing
+ * @param {{current: {weightKg: number}|null, suggestion: {weightKg: number}|null}} row - A stream or total row
+ * @returns {'accept'|'reject'} The decision
+ */
+export function getMergeDecision(row) {
+  return row.suggestion && !(row.current?.weightKg > 0) ? 'accept' : 'reject';
+}
+
+/**
+ * Check whether accepting every suggestion would overwrite a weight
+ * @param {Array<{current: {weightKg: number}|null, suggestion: Object|null}>} rows - Stream and total rows
+ * @returns {boolean} True if a suggestion has a weight entered already
+ */
+export function hasEnteredWeights(rows) {
+  return rows.some(row => row.suggestion && row.current?.weightKg > 0);
+}
+
+/**
+ * Normalize a stream name for comparison
+ * @param {string} name - The name
+ * @returns {string} Lowercase name without surrounding whitespace
+ */
+function normalizeName(name) {
+  return (name || '').trim().toLowerCase();
+}
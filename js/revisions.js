@@ -0,0 +1,103 @@
+/**
+ * Scan revision helpers
+ * Pure functions for describing what changed between two versions of a scan.
+ */
+
+/**
+ * Where a revision came from
+ */
+export const REVISION_SOURCES = {
+  baseline: 'Earlier version',
+  manual: 'Manual edit',
+  ai: 'AI analysis',
+  import: 'Import',
+  restore: 'Restored',
+  taxonomy: 'Stream type renamed',
+  sync: 'Synced from server'
+};
+
+/**
+ * Scan fields tracked in the revision log, with display labels
+ */
+const TRACKED_FIELDS = {
+  siteId: 'Site',
+  location: 'Location',
+  createdAt: 'Date',
+  notes: 'Notes',
+  totalResidualKg: 'Total weight',
+  photos: 'Photos',
+  streams: 'Streams'
+};
+
+/**
+ * List the fields that differ between two versions of a scan
+ * @param {Object|null} before - The previous version, or null for a new scan
+ * @param {Object} after - The new version
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields
+ */
+export function diffScans(before, after) {
+  return Object.keys(TRACKED_FIELDS)
+    .map(field => ({
+      field,
+      before: before ? comparableValue(field, before[field]) : null,
+      after: comparableValue(field, after[field])
+    }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+/**
+ * Reduce a field value to what matters for comparison
+ * @param {string} field - The field name
+ * @param {*} value - The field value
+ * @returns {*} Comparable value
+ */
+function comparableValue(field, value) {
+  if (field === 'photos') {
+    return (value || []).map(photo => ({ id: photo.id, caption: photo.caption || null }));
+  }
+  if (field === 'streams') {
+    // Sort keys so the comparison doesn't depend on property order
+    return (value || []).map(stream => Object.fromEntries(Object.entries(stream).sort()));
+  }
+  return value ?? null;
+}
+
+/**
+ * Get the display label of a tracked field
+ * @param {string} field - The field name
+ * @returns {string} Label
+ */
+export function getFieldLabel(field) {
+  return TRACKED_FIELDS[field] || field;
+}
+
+/**
+ * Compare stream weights between two versions
+ * Streams are matched by ID, falling back to name.
+ * @param {Array} beforeStreams - Streams of the older version
+ * @param {Array} afterStreams - Streams of the newer version
+ * @returns {Array<{name: string, before: number|null, after: number|null, delta: number}>} One row per stream
+ */
+export function diffStreamWeights(beforeStreams = [], afterStreams = []) {
+  const unmatched = [...beforeStreams];
+
+  const rows = afterStreams.map(stream => {
+    let index = unmatched.findIndex(s => s.id && s.id === stream.id);
+    if (index === -1) {
+      index = unmatched.findIndex(s => s.name === stream.name);
+    }
+    const previous = index === -1 ? null : unmatched.splice(index, 1)[0];
+
+    return {
+      name: stream.name,
+      before: previous ? previous.weightKg || 0 : null,
+      after: stream.weightKg || 0
+    };
+  });
+
+  unmatched.forEach(stream => {
+    rows.push({ name: stream.name, before: stream.weightKg || 0, after: null });
+  });
+
+  return rows.map(row => ({ ...row, delta: (row.after || 0) - (row.before || 0) }));
+}
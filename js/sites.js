@@ -0,0 +1,177 @@
+/**
+ * Site helpers
+ * Pure functions for suggesting sites from free-text locations
+ * and for aggregating scans per site.
+ */
+
+/**
+ * Normalize a free-text location for comparison
+ * @param {string} text - The location as typed
+ * @returns {string} Lowercase words separated by single spaces
+ */
+export function normalizeLocation(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether two normalized locations probably name the same place
+ * Words must match one to one, allowing abbreviations ("wh" for "warehouse")
+ * and single-letter typos in longer words.
+ * @param {string} a - Normalized location
+ * @param {string} b - Normalized location
+ * @returns {boolean} True if they look alike
+ */
+export function locationsMatch(a, b) {
+  if (a === b) return true;
+
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+  if (wordsA.length !== wordsB.length) return false;
+
+  return wordsA.every((word, index) => wordsMatch(word, wordsB[index]));
+}
+
+/**
+ * Compare two words of a location
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {boolean} True if equal, an abbreviation or a likely typo
+ */
+function wordsMatch(a, b) {
+  if (a === b) return true;
+
+  // Numbers must match exactly: "Hall 1" is not "Hall 2"
+  if (/^\d+$/.test(a) || /^\d+$/.test(b)) return false;
+
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+
+  if (short.length >= 2 && short[0] === long[0] && isSubsequence(short, long)) {
+    return true;
+  }
+
+  return short.length >= 4 && editDistance(a, b) <= 1;
+}
+
+/**
+ * Check whether all letters of one word appear in order in another
+ * @param {string} short - The candidate abbreviation
+ * @param {string} long - The full word
+ * @returns {boolean} True if `short` is a subsequence of `long`
+ */
+function isSubsequence(short, long) {
+  let position = 0;
+  for (const char of long) {
+    if (char === short[position]) position++;
+    if (position === short.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Levenshtein distance between two words
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number} Number of single-letter edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Group scans without a site by similar free-text location
+ * Each group is a suggestion to create one site (or link to an existing
+ * site with a matching name) for all of its scans.
+ * @param {Array} scans - Scan objects
+ * @param {Array} sites - Existing sites
+ * @returns {Array<{key: string, name: string, variants: Array<{text: string, count: number}>, scanIds: string[], siteId: string|null}>} Suggestions, largest first
+ */
+export function suggestSitesFromLocations(scans, sites = []) {
+  const groups = [];
+
+  scans
+    .filter(scan => !scan.siteId && normalizeLocation(scan.location))
+    .forEach(scan => {
+      const key = normalizeLocation(scan.location);
+      let group = groups.find(g => g.keys.some(k => locationsMatch(k, key)));
+      if (!group) {
+        group = { keys: [], variants: new Map(), scanIds: [] };
+        groups.push(group);
+      }
+      if (!group.keys.includes(key)) group.keys.push(key);
+
+      const text = scan.location.trim();
+      group.variants.set(text, (group.variants.get(text) || 0) + 1);
+      group.scanIds.push(scan.id);
+    });
+
+  return groups
+    .map(group => {
+      const variants = [...group.variants]
+        .map(([text, count]) => ({ text, count }))
+        .sort((a, b) => b.count - a.count || b.text.length - a.text.length);
+
+      const site = sites.find(s => {
+        const siteKey = normalizeLocation(s.name);
+        return siteKey && group.keys.some(k => locationsMatch(k, siteKey));
+      });
+
+      return {
+        key: group.keys[0],
+        name: variants[0].text,
+        variants,
+        scanIds: group.scanIds,
+        siteId: site ? site.id : null
+      };
+    })
+    .sort((a, b) => b.scanIds.length - a.scanIds.length);
+}
+
+/**
+ * Aggregate weights over a set of scans
+ * @param {Array} scans - Scan objects
+ * @returns {{scanCount: number, totalKg: number, extractedKg: number, separationPct: number, streams: Array<{name: string, weightKg: number}>}} Totals, with streams heaviest first
+ */
+export function summarizeScans(scans) {
+  const streamTotals = new Map();
+  let totalKg = 0;
+  let extractedKg = 0;
+
+  scans.forEach(scan => {
+    totalKg += scan.totalResidualKg || 0;
+    (scan.streams || []).forEach(stream => {
+      extractedKg += stream.weightKg || 0;
+      if (stream.name) {
+        streamTotals.set(stream.name, (streamTotals.get(stream.name) || 0) + (stream.weightKg || 0));
+      }
+    });
+  });
+
+  return {
+    scanCount: scans.length,
+    totalKg,
+    extractedKg,
+    separationPct: totalKg > 0 ? (extractedKg / totalKg * 100) : 0,
+    streams: [...streamTotals]
+      .map(([name, weightKg]) => ({ name, weightKg }))
+      .sort((a, b) => b.weightKg - a.weightKg)
+  };
+}
@@ -1,229 +1,1731 @@
 /**
- * LocalStorage management with schema versioning
+ * Scan persistence (IndexedDB) with schema versioning,
+ * plus settings management (LocalStorage)
+ *
+ * While the passphrase lock is on, scans, photos, revisions, sites, sync state
+ * and settings are stored encrypted; see the Encryption section.
  */
 
 import { generateUUID } from './utils/uuid.js';
+import { dataUrlToBlob, blobToDataUrl } from './utils/image.js';
+import { STORES, openDatabase, promisifyRequest, runTransaction, waitInTransaction, deleteDatabase } from './db.js';
+import { CURRENT_SCHEMA_VERSION, migrateSchema } from './migrations.js';
+import { BACKUP_FORMAT, BACKUP_VERSION, validateBackup, isNewerRecord, getRemovedSyncedIds } from './backup.js';
+import { getExpiredScans } from './trash.js';
+import { diffScans } from './revisions.js';
+import { DEFAULT_STREAM_TYPES } from './taxonomy.js';
+import { resolveRemoteChange, getStaleReason } from './conflicts.js';
+import { getMonthStart, summarizeAiCalls, isAiBudgetReached } from './usage.js';
+import { encryptJson, decryptJson, encryptBytes, decryptBytes, payloadToBase64, payloadFromBase64 } from './crypto.js';
+import { DEFAULT_AI_PROVIDER } from './api/ai.js';
 
-const STORAGE_KEY = 'seenons_waste_scan';
+const LEGACY_STORAGE_KEY = 'seenons_waste_scan';
 const SETTINGS_KEY = 'seenons_settings';
-const CURRENT_SCHEMA_VERSION = 1;
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const SYNC_META_KEY = 'sync';
+const LOCK_META_KEY = 'lock';
+const CHANGE_CHANNEL = 'seenons_waste_scan_changes';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+let readyPromise = null;
+const outboxListeners = new Set();
+const externalChangeListeners = new Set();
+let changeChannel;
+
+// Set while the passphrase lock is on and the app is unlocked
+let encryptionKey = null;
+let settingsCache = null;
+let settingsWrite = Promise.resolve();
+
+/**
+ * Stores whose records are encrypted while the passphrase lock is on,
+ * with the fields that stay readable because they are keys or indexed
+ */
+const SEALED_STORES = {
+  [STORES.SCANS]: ['id'],
+  [STORES.REVISIONS]: ['id', 'scanId'],
+  [STORES.SITES]: ['id'],
+  [STORES.SYNC_STATE]: ['scanId'],
+  [STORES.AI_CACHE]: ['key', 'createdAt'],
+  [STORES.AI_USAGE]: ['id', 'timestamp'],
+  [STORES.DRAFTS]: ['id', 'savedAt']
+};
+
+/**
+ * Thrown before an AI request when this month's estimated cost has reached the budget
+ */
+export class AiBudgetExceededError extends Error {
+  /**
+   * @param {number} budget - The monthly budget
+   */
+  constructor(budget) {
+    super(`The monthly AI budget of $${budget.toFixed(2)} has been reached. Raise it in Settings to continue.`);
+    this.name = 'AiBudgetExceededError';
+    this.budget = budget;
+  }
+}
+
+/**
+ * Thrown when saving a scan that was changed elsewhere since it was loaded
+ */
+export class StaleScanError extends Error {
+  /**
+   * @param {Object} scan - The stored version of the scan
+   */
+  constructor(scan) {
+    super('This scan was changed in another tab or on another device.');
+    this.name = 'StaleScanError';
+    this.scan = scan;
+  }
+}
+
+/**
+ * Open the database and bring stored data up to date
+ * Runs once per page load; every public scan function awaits it.
+ * @returns {Promise<void>}
+ */
+function ready() {
+  if (!readyPromise) {
+    readyPromise = openDatabase()
+      .then(upgradeStoredScans)
+      .then(seedStreamTypes)
+      .then(migrateLegacyStorage)
+      .catch(error => {
+        readyPromise = null;
+        throw error;
+      });
+  }
+  return readyPromise;
+}
+
+/**
+ * Run schema migrations on scans and sites already stored in IndexedDB
+ */
+async function upgradeStoredScans() {
+  const storedVersion = await runTransaction(STORES.META, 'readonly', tx =>
+    promisifyRequest(tx.objectStore(STORES.META).get(SCHEMA_VERSION_KEY))
+  );
+  
+  if (storedVersion >= CURRENT_SCHEMA_VERSION) {
+    return;
+  }
+  
+  await runTransaction([STORES.SCANS, STORES.SITES, STORES.META], 'readwrite', async tx => {
+    if (storedVersion !== undefined) {
+      const scans = await getRecords(tx, STORES.SCANS);
+      const sites = await getRecords(tx, STORES.SITES);
+      const migrated = migrateSchema({ schemaVersion: storedVersion, scans, sites });
+      await putRecords(tx, STORES.SCANS, migrated.scans);
+      await putRecords(tx, STORES.SITES, migrated.sites);
+    }
+    
+    tx.objectStore(STORES.META).put(CURRENT_SCHEMA_VERSION, SCHEMA_VERSION_KEY);
+  });
+}
+
+/**
+ * Fill an empty taxonomy with the default stream types
+ */
+async function seedStreamTypes() {
+  await runTransaction(STORES.STREAM_TYPES, 'readwrite', async tx => {
+    const typeStore = tx.objectStore(STORES.STREAM_TYPES);
+    const count = await promisifyRequest(typeStore.count());
+    
+    if (count > 0) {
+      return;
+    }
+    
+    const now = new Date().toISOString();
+    DEFAULT_STREAM_TYPES.forEach((type, index) => {
+      typeStore.put({ ...createEmptyStreamType(), ...type, order: index, createdAt: now, updatedAt: now });
+    });
+  });
+}
+
+/**
+ * Move scans saved by the LocalStorage version of the app into IndexedDB
+ * The LocalStorage key is only removed once the data has been committed.
+ */
+async function migrateLegacyStorage() {
+  const stored = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!stored) {
+    return;
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(stored);
+  } catch (error) {
+    console.error('Error parsing legacy LocalStorage data:', error);
+    return;
+  }
+  
+  data = migrateSchema(data);
+  
+  await runTransaction([STORES.SCANS, STORES.PHOTOS], 'readwrite', async tx => {
+    for (const scan of data.scans || []) {
+      const photos = await savePhotos(tx, scan.id, scan.photos);
+      await putRecords(tx, STORES.SCANS, [toScanRecord({ ...scan, photos })]);
+    }
+  });
+  
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+}
+
+/**
+ * Build the stored form of a scan, keeping only references to its photos
+ * @param {Object} scan - The scan object
+ * @returns {Object} The scan record
+ */
+function toScanRecord(scan) {
+  return {
+    ...scan,
+    photos: (scan.photos || []).map(photo => ({ id: photo.id, mime: photo.mime, caption: photo.caption || null }))
+  };
+}
+
+/**
+ * Store the photos a scan does not have stored yet and delete the ones it no longer has
+ * Photos keep their ID when they have one, so that AI regions stay linked to them.
+ * @param {IDBTransaction} tx - A readwrite transaction including the photo store
+ * @param {string} scanId - The owning scan ID
+ * @param {Array} photos - The scan's photos, in order; new ones need a `dataUrl`
+ * @param {Array} [previousPhotos] - The photos stored for the scan so far
+ * @returns {Promise<Array>} The scan's photos, each with an ID
+ */
+async function savePhotos(tx, scanId, photos = [], previousPhotos = []) {
+  const previousIds = new Set(previousPhotos.map(photo => photo.id));
+  const saved = [];
+  
+  for (const photo of photos) {
+    if (previousIds.has(photo.id)) {
+      saved.push(photo);
+    } else if (photo.dataUrl) {
+      const newPhoto = { ...photo, id: photo.id || generateUUID() };
+      await putPhoto(tx, scanId, newPhoto);
+      saved.push(newPhoto);
+    }
+  }
+  
+  const savedIds = new Set(saved.map(photo => photo.id));
+  previousPhotos
+    .filter(photo => !savedIds.has(photo.id))
+    .forEach(photo => tx.objectStore(STORES.PHOTOS).delete(photo.id));
+  
+  return saved;
+}
+
+/**
+ * Store a photo as a Blob in the photo store, or encrypted while the lock is on
+ * @param {IDBTransaction} tx - A readwrite transaction including the photo store
+ * @param {string} scanId - The owning scan ID
+ * @param {{id: string, dataUrl: string, mime: string}} photo - The photo
+ * @returns {Promise<void>}
+ */
+async function putPhoto(tx, scanId, photo) {
+  let record = {
+    id: photo.id,
+    scanId,
+    mime: photo.mime,
+    blob: dataUrlToBlob(photo.dataUrl)
+  };
+  if (encryptionKey) {
+    record = await waitInTransaction(tx, sealPhoto(encryptionKey, record));
+  }
+  tx.objectStore(STORES.PHOTOS).put(record);
+}
+
+/**
+ * Attach photo data URLs to stored scan records
+ * @param {Array} records - Scan records
+ * @returns {Promise<Array>} Scans with `dataUrl` filled in for each photo
+ */
+async function hydrateScans(records) {
+  const photoIds = records.flatMap(record => (record.photos || []).map(photo => photo.id));
+  
+  const photoRecords = photoIds.length === 0 ? [] : await runTransaction(STORES.PHOTOS, 'readonly', tx => {
+    const photoStore = tx.objectStore(STORES.PHOTOS);
+    return Promise.all(photoIds.map(id => promisifyRequest(photoStore.get(id))));
+  });
+  
+  const photosById = new Map(photoRecords.filter(Boolean).map(photo => [photo.id, photo]));
+  
+  // Blobs are read outside the transaction, which would otherwise auto-commit
+  return Promise.all(records.map(async record => {
+    // Drafts kept before their photos were stored separately still carry the data
+    const photos = await Promise.all((record.photos || [])
+      .filter(photo => photosById.has(photo.id) || photo.dataUrl)
+      .map(async photo => {
+        if (!photosById.has(photo.id)) return photo;
+        const { blob } = await openPhoto(encryptionKey, photosById.get(photo.id));
+        return { ...photo, dataUrl: await blobToDataUrl(blob) };
+      }));
+    return { ...record, photos };
+  }));
+}
+
+/**
+ * Read one record, decrypting it if needed
+ * @param {IDBTransaction} tx - A transaction including the store
+ * @param {string} storeName - The store name
+ * @param {IDBValidKey} key - The record key
+ * @returns {Promise<Object|undefined>} The record, or undefined if not found
+ */
+async function getRecord(tx, storeName, key) {
+  const stored = await promisifyRequest(tx.objectStore(storeName).get(key));
+  if (!stored) {
+    return stored;
+  }
+  const [record] = await openRecords(tx, [stored]);
+  return record;
+}
+
+/**
+ * Read all records of a store or index, decrypting them if needed
+ * @param {IDBTransaction} tx - A transaction including the store
+ * @param {string} storeName - The store name
+ * @param {Object} [options]
+ * @param {string} [options.index] - Index to read from
+ * @param {IDBValidKey} [options.query] - Key to look up
+ * @returns {Promise<Array>} The records
+ */
+async function getRecords(tx, storeName, { index, query } = {}) {
+  const store = tx.objectStore(storeName);
+  const stored = await promisifyRequest((index ? store.index(index) : store).getAll(query));
+  return openRecords(tx, stored);
+}
+
+/**
+ * Write records, encrypting them while the lock is on if the store is one of the SEALED_STORES
+ * @param {IDBTransaction} tx - A readwrite transaction including the store
+ * @param {string} storeName - The store name
+ * @param {Array} records - The records
+ * @param {'put'|'add'} [method] - How to write them
+ * @returns {Promise<void>}
+ */
+async function putRecords(tx, storeName, records, method = 'put') {
+  const stored = encryptionKey && SEALED_STORES[storeName] && records.length > 0
+    ? await waitInTransaction(tx, Promise.all(records.map(record => sealRecord(encryptionKey, storeName, record))))
+    : records;
+  
+  const store = tx.objectStore(storeName);
+  stored.forEach(record => store[method](record));
+}
+
+/**
+ * Decrypt stored records
+ * @param {IDBTransaction} tx - The transaction to keep open meanwhile
+ * @param {Array} stored - Records as stored
+ * @returns {Promise<Array>} The records
+ */
+async function openRecords(tx, stored) {
+  if (!stored.some(record => record.sealed)) {
+    return stored;
+  }
+  return waitInTransaction(tx, Promise.all(stored.map(record => openRecord(encryptionKey, record))));
+}
+
+/**
+ * Encrypt a record, keeping its key and index fields readable
+ * @param {CryptoKey} key - The encryption key
+ * @param {string} storeName - One of the SEALED_STORES
+ * @param {Object} record - The record
+ * @returns {Promise<Object>} The stored form
+ */
+async function sealRecord(key, storeName, record) {
+  const stored = {};
+  SEALED_STORES[storeName]
+    .filter(field => record[field] !== undefined)
+    .forEach(field => {
+      stored[field] = record[field];
+    });
+  stored.sealed = await encryptJson(key, record);
+  return stored;
+}
+
+/**
+ * Decrypt a record stored by sealRecord(); unencrypted records are returned as they are
+ * @param {CryptoKey|null} key - The encryption key
+ * @param {Object} stored - The stored form
+ * @returns {Promise<Object>} The record
+ * @throws {Error} If the record is encrypted and the app is locked
+ */
+async function openRecord(key, stored) {
+  if (!stored.sealed) {
+    return stored;
+  }
+  if (!key) {
+    throw new Error('The app is locked.');
+  }
+  
+  // Auto-increment keys are assigned after encryption
+  const { sealed, ...fields } = stored;
+  return { ...await decryptJson(key, sealed), ...fields };
+}
+
+/**
+ * Encrypt a photo record's image
+ * @param {CryptoKey} key - The encryption key
+ * @param {{id: string, scanId: string, mime: string, blob: Blob}} photo - The photo record
+ * @returns {Promise<Object>} The stored form
+ */
+async function sealPhoto(key, { blob, ...photo }) {
+  return { ...photo, sealed: await encryptBytes(key, await blob.arrayBuffer()) };
+}
+
+/**
+ * Decrypt a photo record stored by sealPhoto(); unencrypted records are returned as they are
+ * @param {CryptoKey|null} key - The encryption key
+ * @param {Object} stored - The stored form
+ * @returns {Promise<{id: string, scanId: string, mime: string, blob: Blob}>} The photo record
+ * @throws {Error} If the photo is encrypted and the app is locked
+ */
+async function openPhoto(key, stored) {
+  if (!stored.sealed) {
+    return stored;
+  }
+  if (!key) {
+    throw new Error('The app is locked.');
+  }
+  
+  const { sealed, ...photo } = stored;
+  return { ...photo, blob: new Blob([await decryptBytes(key, sealed)], { type: photo.mime }) };
+}
 
 /**
- * Get default empty data structure
- * @returns {Object} Default data structure
+ * Ensure streams have IDs and all schema fields, keeping any extra data
+ * @param {Array} streams - Stream objects
+ * @returns {Array} Normalized streams
  */
-function getDefaultData() {
+function normalizeStreams(streams) {
+  return streams.map(stream => ({
+    ...createEmptyStream(),
+    ...stream,
+    id: stream.id || generateUUID(),
+    weightKg: stream.weightKg || 0
+  }));
+}
+
+/**
+ * Append a revision to a scan's log
+ * Scans saved before the log existed also get their previous state recorded,
+ * so that it can be restored.
+ * @param {IDBTransaction} tx - A readwrite transaction including the revision store
+ * @param {Object|null} before - The previous scan record, or null for a new scan
+ * @param {Object} after - The new scan record
+ * @param {string} source - One of the REVISION_SOURCES keys
+ */
+async function addRevision(tx, before, after, source) {
+  const changes = diffScans(before, after);
+  if (changes.length === 0) {
+    return;
+  }
+  
+  const revisions = [];
+  
+  if (before) {
+    const count = await promisifyRequest(tx.objectStore(STORES.REVISIONS).index('scanId').count(before.id));
+    if (count === 0) {
+      revisions.push({
+        scanId: before.id,
+        timestamp: before.updatedAt || before.createdAt,
+        source: 'baseline',
+        changes: diffScans(null, before),
+        snapshot: before,
+        schemaVersion: CURRENT_SCHEMA_VERSION
+      });
+    }
+  }
+  
+  revisions.push({
+    scanId: after.id,
+    timestamp: after.updatedAt || new Date().toISOString(),
+    source,
+    changes,
+    snapshot: after,
+    schemaVersion: CURRENT_SCHEMA_VERSION
+  });
+  
+  await putRecords(tx, STORES.REVISIONS, revisions, 'add');
+}
+
+/**
+ * Queue a scan for the next push to the sync server
+ * Only the latest change per scan is kept; the scan itself is read when it is pushed.
+ * @param {IDBTransaction} tx - A readwrite transaction including the outbox
+ * @param {string} scanId - The scan ID
+ * @param {'put'|'delete'} [op] - Upload the scan, or delete it on the server
+ */
+function queueChange(tx, scanId, op = 'put') {
+  tx.objectStore(STORES.OUTBOX).put({
+    scanId,
+    op,
+    changeId: generateUUID(),
+    queuedAt: new Date().toISOString()
+  });
+  tx.addEventListener('complete', notifyOutboxListeners);
+}
+
+/**
+ * Tell other tabs about a change once the transaction has committed
+ * @param {IDBTransaction} tx - The transaction making the change
+ * @param {'scans'|'sites'|'streamTypes'|'lock'} store - What changed
+ * @param {string[]|null} [ids] - The changed records, or null if it could be any of them
+ */
+function announceChange(tx, store, ids = null) {
+  tx.addEventListener('complete', () => {
+    const channel = getChangeChannel();
+    const message = { store, ids };
+    
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      // The storage event fires in every other tab
+      localStorage.setItem(CHANGE_CHANNEL, JSON.stringify({ ...message, nonce: generateUUID() }));
+    }
+  });
+}
+
+/**
+ * Open the channel to other tabs, or null where BroadcastChannel is not supported
+ * @returns {BroadcastChannel|null} The channel
+ */
+function getChangeChannel() {
+  if (changeChannel === undefined) {
+    changeChannel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANGE_CHANNEL);
+  }
+  return changeChannel;
+}
+
+/**
+ * Tell listeners that local changes are waiting to be pushed
+ */
+function notifyOutboxListeners() {
+  outboxListeners.forEach(listener => listener());
+}
+
+/**
+ * Permanently remove a scan with its photos and revisions
+ * @param {IDBTransaction} tx - A readwrite transaction including scans, photos and revisions
+ * @param {Object} scan - The scan record
+ */
+async function removeScan(tx, scan) {
+  (scan.photos || []).forEach(photo => tx.objectStore(STORES.PHOTOS).delete(photo.id));
+  tx.objectStore(STORES.SCANS).delete(scan.id);
+  
+  const revisionStore = tx.objectStore(STORES.REVISIONS);
+  const revisionKeys = await promisifyRequest(revisionStore.index('scanId').getAllKeys(scan.id));
+  revisionKeys.forEach(key => revisionStore.delete(key));
+}
+
+/**
+ * Get notified when another tab of the app changes stored data
+ * @param {Function} listener - Receives `{store, ids}`: 'scans', 'sites' or 'streamTypes' with the
+ *   changed IDs (null if it could be any), or 'lock' when the passphrase lock was changed
+ */
+export function onExternalChange(listener) {
+  if (externalChangeListeners.size === 0) {
+    const notify = (message) => externalChangeListeners.forEach(fn => fn(message));
+    const channel = getChangeChannel();
+    
+    if (channel) {
+      channel.addEventListener('message', event => notify(event.data));
+    } else {
+      window.addEventListener('storage', event => {
+        if (event.key === CHANGE_CHANNEL && event.newValue) {
+          const { nonce, ...message } = JSON.parse(event.newValue);
+          notify(message);
+        }
+      });
+    }
+  }
+  
+  externalChangeListeners.add(listener);
+}
+
+/**
+ * Load all scan data
+ * @returns {Promise<Object>} The stored data as `{schemaVersion, scans}`
+ */
+export async function loadData() {
+  await ready();
+  
+  const records = await runTransaction(STORES.SCANS, 'readonly', tx => getRecords(tx, STORES.SCANS));
+  
   return {
     schemaVersion: CURRENT_SCHEMA_VERSION,
-    scans: []
+    scans: await hydrateScans(records)
+  };
+}
+
+/**
+ * Get all scans sorted by most recent first
+ * Scans in the trash are not included.
+ * @returns {Promise<Array>} Array of scan objects
+ */
+export async function getAllScans() {
+  const data = await loadData();
+  return data.scans
+    .filter(scan => !scan.deletedAt)
+    .sort((a, b) => 
+      new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt)
+    );
+}
+
+/**
+ * Get a single scan by ID
+ * Scans in the trash are returned too; check `deletedAt`.
+ * @param {string} id - The scan ID
+ * @returns {Promise<Object|null>} The scan or null if not found
+ */
+export async function getScanById(id) {
+  await ready();
+  
+  const record = await runTransaction(STORES.SCANS, 'readonly', tx => getRecord(tx, STORES.SCANS, id));
+  
+  if (!record) {
+    return null;
+  }
+  
+  const [scan] = await hydrateScans([record]);
+  return scan;
+}
+
+/**
+ * Create a new scan
+ * @param {Object} scanData - The scan data (without id/timestamps)
+ * @param {Object} [options]
+ * @param {string} [options.source] - Revision source: 'manual' (default), 'ai' or 'import'
+ * @returns {Promise<Object>} The created scan with id and timestamps
+ */
+export async function createScan(scanData, { source = 'manual' } = {}) {
+  await ready();
+  const now = new Date().toISOString();
+  
+  const newScan = {
+    id: generateUUID(),
+    createdAt: now,
+    updatedAt: now,
+    siteId: scanData.siteId || null,
+    location: scanData.location || null,
+    notes: scanData.notes || null,
+    photos: scanData.photos || [],
+    totalResidualKg: scanData.totalResidualKg || 0,
+    totalResidualSource: scanData.totalResidualSource || null,
+    totalWeighings: scanData.totalWeighings || [],
+    streams: normalizeStreams(scanData.streams || [])
+  };
+  
+  await runTransaction([STORES.SCANS, STORES.PHOTOS, STORES.REVISIONS, STORES.OUTBOX], 'readwrite', async tx => {
+    newScan.photos = await savePhotos(tx, newScan.id, newScan.photos);
+    const record = toScanRecord(newScan);
+    await putRecords(tx, STORES.SCANS, [record], 'add');
+    await addRevision(tx, null, record, source);
+    queueChange(tx, newScan.id);
+    announceChange(tx, STORES.SCANS, [newScan.id]);
+  });
+  
+  return newScan;
+}
+
+/**
+ * Update an existing scan
+ * Photos that are not stored yet are added and stored photos left out of `photos` are deleted.
+ * @param {string} id - The scan ID
+ * @param {Object} updates - The fields to update
+ * @param {Object} [options]
+ * @param {string} [options.source] - Revision source: 'manual' (default), 'ai', 'import' or 'restore'
+ * @param {string} [options.expectedUpdatedAt] - The `updatedAt` the changes are based on; if the
+ *   stored scan has changed or was moved to the trash since, nothing is saved
+ * @returns {Promise<Object|null>} The updated scan or null if not found
+ * @throws {StaleScanError} If the scan has changed since `expectedUpdatedAt`
+ */
+export async function updateScan(id, updates, { source = 'manual', expectedUpdatedAt } = {}) {
+  await ready();
+  
+  const record = await runTransaction([STORES.SCANS, STORES.PHOTOS, STORES.REVISIONS, STORES.OUTBOX], 'readwrite', async tx => {
+    const existing = await getRecord(tx, STORES.SCANS, id);
+    
+    if (!existing) {
+      return null;
+    }
+    
+    if (expectedUpdatedAt !== undefined && getStaleReason(existing, expectedUpdatedAt)) {
+      throw new StaleScanError(existing);
+    }
+    
+    const updatedScan = {
+      ...existing,
+      ...updates,
+      id,
+      updatedAt: new Date().toISOString()
+    };
+    
+    // Ensure streams have IDs
+    if (updatedScan.streams) {
+      updatedScan.streams = normalizeStreams(updatedScan.streams);
+    }
+    
+    updatedScan.photos = await savePhotos(tx, id, updatedScan.photos, existing.photos);
+    
+    const updatedRecord = toScanRecord(updatedScan);
+    await putRecords(tx, STORES.SCANS, [updatedRecord]);
+    await addRevision(tx, existing, updatedRecord, source);
+    queueChange(tx, id);
+    announceChange(tx, STORES.SCANS, [id]);
+    return updatedRecord;
+  });
+  
+  if (!record) {
+    return null;
+  }
+  
+  const [scan] = await hydrateScans([record]);
+  return scan;
+}
+
+/**
+ * Move a scan to the trash
+ * @param {string} id - The scan ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function deleteScan(id) {
+  await ready();
+  
+  return runTransaction([STORES.SCANS, STORES.OUTBOX], 'readwrite', async tx => {
+    const existing = await getRecord(tx, STORES.SCANS, id);
+    
+    if (!existing || existing.deletedAt) {
+      return false;
+    }
+    
+    await putRecords(tx, STORES.SCANS, [{ ...existing, deletedAt: new Date().toISOString() }]);
+    queueChange(tx, id);
+    announceChange(tx, STORES.SCANS, [id]);
+    return true;
+  });
+}
+
+/**
+ * Get all scans in the trash, most recently deleted first
+ * @returns {Promise<Array>} Array of scan objects with `deletedAt`
+ */
+export async function getDeletedScans() {
+  const data = await loadData();
+  return data.scans
+    .filter(scan => scan.deletedAt)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Restore a scan from the trash
+ * @param {string} id - The scan ID
+ * @returns {Promise<boolean>} True if restored, false if not in the trash
+ */
+export async function restoreScan(id) {
+  await ready();
+  
+  return runTransaction([STORES.SCANS, STORES.OUTBOX], 'readwrite', async tx => {
+    const existing = await getRecord(tx, STORES.SCANS, id);
+    
+    if (!existing || !existing.deletedAt) {
+      return false;
+    }
+    
+    const { deletedAt, ...restored } = existing;
+    await putRecords(tx, STORES.SCANS, [restored]);
+    queueChange(tx, id);
+    announceChange(tx, STORES.SCANS, [id]);
+    return true;
+  });
+}
+
+/**
+ * Permanently delete scans and their photos
+ * Scans that were synced are deleted on the server as well.
+ * @param {string[]} ids - The scan IDs
+ * @returns {Promise<number>} Number of scans removed
+ */
+export async function purgeScans(ids) {
+  await ready();
+  
+  const stores = [STORES.SCANS, STORES.PHOTOS, STORES.REVISIONS, STORES.OUTBOX, STORES.SYNC_STATE, STORES.DRAFTS];
+  return runTransaction(stores, 'readwrite', async tx => {
+    const existing = (await Promise.all(ids.map(id => getRecord(tx, STORES.SCANS, id)))).filter(Boolean);
+    
+    for (const scan of existing) {
+      await removeScan(tx, scan);
+      await removeDraft(tx, scan.id);
+      
+      // Only whether it exists matters, so it is not decrypted
+      const syncState = await promisifyRequest(tx.objectStore(STORES.SYNC_STATE).get(scan.id));
+      if (syncState) {
+        queueChange(tx, scan.id, 'delete');
+      } else {
+        tx.objectStore(STORES.OUTBOX).delete(scan.id);
+      }
+    }
+    
+    announceChange(tx, STORES.SCANS, existing.map(scan => scan.id));
+    return existing.length;
+  });
+}
+
+/**
+ * Permanently delete trashed scans older than the retention period
+ * @returns {Promise<number>} Number of scans removed
+ */
+export async function purgeExpiredScans() {
+  const expired = getExpiredScans(await getDeletedScans(), getTrashRetentionDays());
+  
+  if (expired.length === 0) {
+    return 0;
+  }
+  
+  return purgeScans(expired.map(scan => scan.id));
+}
+
+/**
+ * Get the revision log of a scan, newest first
+ * @param {string} scanId - The scan ID
+ * @returns {Promise<Array<{id: number, scanId: string, timestamp: string, source: string, changes: Array, snapshot: Object}>>} Revisions
+ */
+export async function getScanRevisions(scanId) {
+  await ready();
+  
+  const revisions = await runTransaction(STORES.REVISIONS, 'readonly', tx =>
+    getRecords(tx, STORES.REVISIONS, { index: 'scanId', query: scanId })
+  );
+  
+  return revisions.sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Restore a scan to the state of an earlier revision
+ * The current photos are kept, since removed photos are not retained.
+ * The restore itself is recorded as a new revision.
+ * @param {string} scanId - The scan ID
+ * @param {number} revisionId - The revision to restore
+ * @returns {Promise<Object|null>} The updated scan or null if not found
+ */
+export async function restoreScanRevision(scanId, revisionId) {
+  await ready();
+  
+  const revision = await runTransaction(STORES.REVISIONS, 'readonly', tx =>
+    getRecord(tx, STORES.REVISIONS, revisionId)
+  );
+  
+  if (!revision || revision.scanId !== scanId) {
+    return null;
+  }
+  
+  // Snapshots keep the schema they were saved with. Those from before the version was
+  // recorded are migrated from the start, which keeps the fields they already have.
+  const [snapshot] = migrateSchema({ schemaVersion: revision.schemaVersion || 1, scans: [revision.snapshot] }).scans;
+  const { id, photo, photos, deletedAt, updatedAt, ...fields } = snapshot;
+  
+  // Stream types may have been renamed since
+  const typesById = new Map((await getStreamTypes({ includeArchived: true })).map(type => [type.id, type]));
+  fields.streams = (fields.streams || []).map(stream =>
+    typesById.has(stream.typeId) ? { ...stream, name: typesById.get(stream.typeId).name } : stream
+  );
+  
+  return updateScan(scanId, fields, { source: 'restore' });
+}
+
+/**
+ * Create a new empty scan object (not saved)
+ * @returns {Object} A new scan template
+ */
+export function createEmptyScan() {
+  return {
+    id: null,
+    siteId: null,
+    location: '',
+    notes: '',
+    photos: [],
+    totalResidualKg: 0,
+    totalResidualSource: null,
+    totalWeighings: [],
+    streams: [],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Create a new empty stream object
+ * @returns {Object} A stream with all schema fields
+ */
+export function createEmptyStream() {
+  return {
+    id: generateUUID(),
+    typeId: null,
+    name: '',
+    weightKg: 0,
+    weightSource: null,
+    wasteCode: null,
+    contamination: null,
+    contaminationPct: null,
+    volumeLiters: null,
+    containerType: null,
+    containerCount: null,
+    fillLevel: null,
+    densityKgPerL: null,
+    weighings: [],
+    remark: null,
+    aiConfidence: null,
+    aiRegions: []
+  };
+}
+
+/**
+ * Contamination levels a stream can be graded with, and the share of the
+ * stream assumed to be lost to contamination unless a percentage is entered
+ */
+export const CONTAMINATION_LEVELS = [
+  { id: 'clean', name: 'Clean', contaminationPct: 0 },
+  { id: 'light', name: 'Lightly contaminated', contaminationPct: 15 },
+  { id: 'heavy', name: 'Heavily contaminated', contaminationPct: 50 }
+];
+
+/**
+ * Container types a stream can be collected in, with their usual size
+ */
+export const CONTAINER_TYPES = [
+  { id: 'bag', name: 'Bag', capacityLiters: 60, tareKg: 0.1 },
+  { id: 'box', name: 'Box', capacityLiters: 40, tareKg: 0.5 },
+  { id: 'crate', name: 'Crate', capacityLiters: 50, tareKg: 2 },
+  { id: 'bin-120', name: '120 L wheelie bin', capacityLiters: 120, tareKg: 9.5 },
+  { id: 'bin-240', name: '240 L wheelie bin', capacityLiters: 240, tareKg: 12.5 },
+  { id: 'container-1100', name: '1100 L container', capacityLiters: 1100, tareKg: 48 },
+  { id: 'other', name: 'Other', capacityLiters: null, tareKg: null }
+];
+
+// ============================================
+// Sites
+// ============================================
+
+/**
+ * Get all sites sorted by name
+ * @returns {Promise<Array>} Array of site objects
+ */
+export async function getAllSites() {
+  await ready();
+  
+  const sites = await runTransaction(STORES.SITES, 'readonly', tx => getRecords(tx, STORES.SITES));
+  
+  return sites.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a single site by ID
+ * @param {string} id - The site ID
+ * @returns {Promise<Object|null>} The site or null if not found
+ */
+export async function getSiteById(id) {
+  await ready();
+  
+  const site = await runTransaction(STORES.SITES, 'readonly', tx => getRecord(tx, STORES.SITES, id));
+  
+  return site || null;
+}
+
+/**
+ * Create or update a site
+ * A site without an `id` is created.
+ * @param {Object} siteData - The site fields
+ * @returns {Promise<Object>} The saved site
+ */
+export async function saveSite(siteData) {
+  await ready();
+  const now = new Date().toISOString();
+  
+  const site = {
+    ...createEmptySite(),
+    ...siteData,
+    id: siteData.id || generateUUID(),
+    name: (siteData.name || '').trim(),
+    defaultTypeIds: (siteData.defaultTypeIds || []).filter(Boolean),
+    createdAt: siteData.createdAt || now,
+    updatedAt: now
+  };
+  
+  if (!site.name) {
+    throw new Error('A site needs a name.');
+  }
+  
+  await runTransaction(STORES.SITES, 'readwrite', async tx => {
+    await putRecords(tx, STORES.SITES, [site]);
+    announceChange(tx, STORES.SITES, [site.id]);
+  });
+  
+  return site;
+}
+
+/**
+ * Delete a site
+ * Scans linked to it keep their data but are no longer linked to a site.
+ * @param {string} id - The site ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function deleteSite(id) {
+  await ready();
+  
+  return runTransaction([STORES.SITES, STORES.SCANS, STORES.REVISIONS, STORES.OUTBOX], 'readwrite', async tx => {
+    const existing = await promisifyRequest(tx.objectStore(STORES.SITES).get(id));
+    
+    if (!existing) {
+      return false;
+    }
+    
+    await linkScans(tx, await promisifyRequest(tx.objectStore(STORES.SCANS).getAllKeys()), id, null);
+    tx.objectStore(STORES.SITES).delete(id);
+    announceChange(tx, STORES.SITES, [id]);
+    return true;
+  });
+}
+
+/**
+ * Link scans to a site, e.g. to merge free-text locations into it
+ * @param {string[]} scanIds - The scan IDs
+ * @param {string} siteId - The site ID
+ * @returns {Promise<number>} Number of scans linked
+ */
+export async function assignScansToSite(scanIds, siteId) {
+  await ready();
+  
+  return runTransaction([STORES.SITES, STORES.SCANS, STORES.REVISIONS, STORES.OUTBOX], 'readwrite', async tx => {
+    const site = await promisifyRequest(tx.objectStore(STORES.SITES).get(siteId));
+    if (!site) {
+      throw new Error('Site not found');
+    }
+    
+    return linkScans(tx, scanIds, undefined, siteId);
+  });
+}
+
+/**
+ * Change the site link of scans, recording a revision for each
+ * @param {IDBTransaction} tx - A readwrite transaction including scans, revisions and the outbox
+ * @param {string[]} scanIds - The scan IDs
+ * @param {string|null|undefined} fromSiteId - Only change scans linked to this site (undefined for any)
+ * @param {string|null} toSiteId - The new site ID, or null to unlink
+ * @returns {Promise<number>} Number of scans changed
+ */
+async function linkScans(tx, scanIds, fromSiteId, toSiteId) {
+  const now = new Date().toISOString();
+  const changedIds = [];
+  
+  for (const id of scanIds) {
+    const existing = await getRecord(tx, STORES.SCANS, id);
+    if (!existing || (fromSiteId !== undefined && existing.siteId !== fromSiteId)) {
+      continue;
+    }
+    if ((existing.siteId || null) === toSiteId) {
+      continue;
+    }
+    
+    const updated = { ...existing, siteId: toSiteId, updatedAt: now };
+    await putRecords(tx, STORES.SCANS, [updated]);
+    await addRevision(tx, existing, updated, 'manual');
+    queueChange(tx, id);
+    changedIds.push(id);
+  }
+  
+  if (changedIds.length > 0) {
+    announceChange(tx, STORES.SCANS, changedIds);
+  }
+  return changedIds.length;
+}
+
+/**
+ * Create a new empty site object (not saved)
+ * @returns {Object} A site with all fields
+ */
+export function createEmptySite() {
+  return {
+    id: null,
+    name: '',
+    client: null,
+    address: null,
+    contactName: null,
+    contactPhone: null,
+    contactEmail: null,
+    defaultTypeIds: []
   };
 }
 
+// ============================================
+// Waste Stream Taxonomy
+// ============================================
+
+/**
+ * Get the stream types in display order
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived] - Also return archived types
+ * @returns {Promise<Array>} Array of stream type objects
+ */
+export async function getStreamTypes({ includeArchived = false } = {}) {
+  await ready();
+  
+  const types = await runTransaction(STORES.STREAM_TYPES, 'readonly', tx =>
+    promisifyRequest(tx.objectStore(STORES.STREAM_TYPES).getAll())
+  );
+  
+  return types
+    .filter(type => includeArchived || !type.archived)
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Create or update a stream type
+ * Renaming a type renames the streams of every scan linked to it.
+ * @param {Object} typeData - The stream type fields; without `id` a type is created
+ * @returns {Promise<{type: Object, renamedScans: number}>} The saved type and the number of scans renamed
+ * @throws {Error} If the name is empty or already used by another type
+ */
+export async function saveStreamType(typeData) {
+  await ready();
+  
+  const name = (typeData.name || '').trim();
+  if (!name) {
+    throw new Error('A stream type needs a name.');
+  }
+  
+  return runTransaction([STORES.STREAM_TYPES, STORES.SCANS, STORES.REVISIONS, STORES.OUTBOX], 'readwrite', async tx => {
+    const typeStore = tx.objectStore(STORES.STREAM_TYPES);
+    const types = await promisifyRequest(typeStore.getAll());
+    const existing = types.find(type => type.id === typeData.id) || null;
+    
+    if (types.some(type => type.id !== typeData.id && type.name.trim().toLowerCase() === name.toLowerCase())) {
+      throw new Error(`There is already a stream type called "${name}".`);
+    }
+    
+    const now = new Date().toISOString();
+    const type = {
+      ...createEmptyStreamType(),
+      ...existing,
+      ...typeData,
+      id: existing?.id || typeData.id || generateUUID(),
+      name,
+      code: (typeData.code || '').trim() || null,
+      order: existing ? existing.order : Math.max(-1, ...types.map(t => t.order)) + 1,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+    typeStore.put(type);
+    announceChange(tx, STORES.STREAM_TYPES, [type.id]);
+    
+    let renamedScans = 0;
+    if (existing && existing.name !== name) {
+      // Renamed streams are changes to the scans like any other: logged and synced.
+      // Trashed scans keep the old name; they are not edited or synced until restored.
+      const linked = (await getRecords(tx, STORES.SCANS))
+        .filter(scan => !scan.deletedAt && scan.streams.some(stream => stream.typeId === type.id));
+      const renamed = linked.map(scan => ({
+        ...scan,
+        streams: scan.streams.map(stream => stream.typeId === type.id ? { ...stream, name } : stream),
+        updatedAt: now
+      }));
+      await putRecords(tx, STORES.SCANS, renamed);
+      for (const [index, scan] of renamed.entries()) {
+        await addRevision(tx, linked[index], scan, 'taxonomy');
+        queueChange(tx, scan.id);
+      }
+      announceChange(tx, STORES.SCANS, renamed.map(scan => scan.id));
+      renamedScans = renamed.length;
+    }
+    
+    return { type, renamedScans };
+  });
+}
+
+/**
+ * Set the display order of the stream types
+ * @param {string[]} ids - Stream type IDs in the new order
+ * @returns {Promise<void>}
+ */
+export async function reorderStreamTypes(ids) {
+  await ready();
+  
+  await runTransaction(STORES.STREAM_TYPES, 'readwrite', async tx => {
+    const typeStore = tx.objectStore(STORES.STREAM_TYPES);
+    const types = await promisifyRequest(typeStore.getAll());
+    
+    types.forEach(type => {
+      const order = ids.indexOf(type.id);
+      typeStore.put({ ...type, order: order === -1 ? ids.length + type.order : order });
+    });
+    announceChange(tx, STORES.STREAM_TYPES);
+  });
+}
+
+/**
+ * Create a new empty stream type object (not saved)
+ * @returns {Object} A stream type with all fields
+ */
+export function createEmptyStreamType() {
+  return {
+    id: null,
+    name: '',
+    code: null,
+    color: null,
+    densityKgPerL: null,
+    order: 0,
+    archived: false
+  };
+}
+
+// ============================================
+// Sync
+// ============================================
+
+/**
+ * Get notified when local changes are queued for the sync server
+ * @param {Function} listener - Called after the change has been committed
+ */
+export function onOutboxChange(listener) {
+  outboxListeners.add(listener);
+}
+
+/**
+ * Get the queued local changes, oldest first
+ * Scans with an unresolved conflict are held back until it is resolved.
+ * @returns {Promise<Array<{scanId: string, op: string, changeId: string, queuedAt: string, baseUpdatedAt: string|null}>>} Changes to push
+ */
+export async function getPendingChanges() {
+  await ready();
+  
+  const [entries, states] = await runTransaction([STORES.OUTBOX, STORES.SYNC_STATE], 'readonly', tx => Promise.all([
+    promisifyRequest(tx.objectStore(STORES.OUTBOX).getAll()),
+    getRecords(tx, STORES.SYNC_STATE)
+  ]));
+  
+  const statesById = new Map(states.map(state => [state.scanId, state]));
+  
+  return entries
+    .filter(entry => !statesById.get(entry.scanId)?.conflict)
+    .map(entry => ({ ...entry, baseUpdatedAt: statesById.get(entry.scanId)?.remoteUpdatedAt || null }))
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * Record that a queued change has been accepted by the server
+ * The queue entry is kept if the scan changed again while it was being pushed.
+ * @param {Object} entry - The pushed entry from getPendingChanges()
+ * @param {Object} change - The change as stored by the server
+ * @returns {Promise<void>}
+ */
+export async function completePush(entry, change) {
+  await ready();
+  
+  await runTransaction([STORES.OUTBOX, STORES.SYNC_STATE], 'readwrite', async tx => {
+    const outbox = tx.objectStore(STORES.OUTBOX);
+    const current = await promisifyRequest(outbox.get(entry.scanId));
+    if (current?.changeId === entry.changeId) {
+      outbox.delete(entry.scanId);
+    }
+    
+    if (change.deleted) {
+      tx.objectStore(STORES.SYNC_STATE).delete(entry.scanId);
+    } else {
+      await putRecords(tx, STORES.SYNC_STATE, [{ scanId: entry.scanId, remoteUpdatedAt: change.updatedAt, conflict: null }]);
+    }
+  });
+}
+
+/**
+ * Apply a change pulled from the sync server
+ * Real conflicts are stored for the user to resolve; see resolveRemoteChange().
+ * @param {{id: string, updatedAt: string, deleted: boolean, schemaVersion: number, scan: Object|null}} change - The remote change
+ * @returns {Promise<string>} The action taken
+ */
+export async function applyRemoteChange(change) {
+  await ready();
+  
+  if (change.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    console.warn(`Skipping scan ${change.id}: it was synced by a newer version of the app`);
+    return 'keep';
+  }
+  
+  const remote = change.scan && change.schemaVersion < CURRENT_SCHEMA_VERSION
+    ? { ...change, scan: migrateSchema({ schemaVersion: change.schemaVersion, scans: [change.scan] }).scans[0] }
+    : change;
+  
+  const stores = [STORES.SCANS, STORES.PHOTOS, STORES.REVISIONS, STORES.OUTBOX, STORES.SYNC_STATE];
+  return runTransaction(stores, 'readwrite', async tx => {
+    const [local, state, pending] = await Promise.all([
+      getRecord(tx, STORES.SCANS, remote.id),
+      getRecord(tx, STORES.SYNC_STATE, remote.id),
+      promisifyRequest(tx.objectStore(STORES.OUTBOX).get(remote.id))
+    ]);
+    
+    const action = resolveRemoteChange({
+      local: local || null,
+      remote,
+      baseUpdatedAt: state?.remoteUpdatedAt || null,
+      pending: !!pending
+    });
+    
+    if (action === 'conflict') {
+      await putRecords(tx, STORES.SYNC_STATE, [{ scanId: remote.id, remoteUpdatedAt: state?.remoteUpdatedAt || null, conflict: remote }]);
+    } else if (action === 'push') {
+      queueChange(tx, remote.id);
+      await putRecords(tx, STORES.SYNC_STATE, [{ scanId: remote.id, remoteUpdatedAt: remote.updatedAt, conflict: null }]);
+    } else if (action !== 'keep') {
+      await acceptRemoteChange(tx, local || null, remote);
+    }
+    
+    if (action !== 'keep' && action !== 'same') {
+      announceChange(tx, STORES.SCANS, [remote.id]);
+    }
+    return action;
+  });
+}
+
+/**
+ * Make the local copy of a scan match a remote change
+ * @param {IDBTransaction} tx - A readwrite transaction including scans, photos, revisions, outbox and sync state
+ * @param {Object|null} local - The local scan record
+ * @param {Object} remote - The remote change
+ */
+async function acceptRemoteChange(tx, local, remote) {
+  tx.objectStore(STORES.OUTBOX).delete(remote.id);
+  
+  if (remote.deleted) {
+    if (local) {
+      await removeScan(tx, local);
+    }
+    tx.objectStore(STORES.SYNC_STATE).delete(remote.id);
+    return;
+  }
+  
+  const scan = remote.scan;
+  const photos = await savePhotos(tx, scan.id, scan.photos, local?.photos);
+  
+  const record = toScanRecord({ ...scan, photos, streams: normalizeStreams(scan.streams || []) });
+  await putRecords(tx, STORES.SCANS, [record]);
+  await addRevision(tx, local, record, 'sync');
+  
+  await putRecords(tx, STORES.SYNC_STATE, [{ scanId: remote.id, remoteUpdatedAt: remote.updatedAt, conflict: null }]);
+}
+
 /**
- * Migrate data from older schema versions
- * @param {Object} data - The stored data
- * @returns {Object} Migrated data
+ * Get the scans changed both on this device and on the server
+ * @returns {Promise<Array<{scanId: string, local: Object|null, remote: Object}>>} Conflicts; `local` is null if the scan was deleted here
  */
-function migrateSchema(data) {
-  // Clone to avoid mutating original
-  let migrated = JSON.parse(JSON.stringify(data));
+export async function getSyncConflicts() {
+  await ready();
   
-  // Future migration logic goes here
-  // Example:
-  // if (migrated.schemaVersion === 1) {
-  //   // Migrate from v1 to v2
-  //   migrated.scans.forEach(scan => {
-  //     // Add new fields, transform data, etc.
-  //   });
-  //   migrated.schemaVersion = 2;
-  // }
+  const states = await runTransaction(STORES.SYNC_STATE, 'readonly', tx => getRecords(tx, STORES.SYNC_STATE));
   
-  return migrated;
+  return Promise.all(states
+    .filter(state => state.conflict)
+    .map(async state => ({
+      scanId: state.scanId,
+      local: await getScanById(state.scanId),
+      remote: state.conflict
+    })));
 }
 
 /**
- * Load all data from LocalStorage
- * @returns {Object} The stored data
+ * Resolve a sync conflict by keeping one side
+ * Keeping the local version queues it to overwrite the server's.
+ * @param {string} scanId - The scan ID
+ * @param {'local'|'remote'} keep - Which version to keep
+ * @returns {Promise<boolean>} True if resolved, false if there was no conflict
  */
-export function loadData() {
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (!stored) {
-      return getDefaultData();
+export async function resolveSyncConflict(scanId, keep) {
+  await ready();
+  
+  const stores = [STORES.SCANS, STORES.PHOTOS, STORES.REVISIONS, STORES.OUTBOX, STORES.SYNC_STATE];
+  return runTransaction(stores, 'readwrite', async tx => {
+    const state = await getRecord(tx, STORES.SYNC_STATE, scanId);
+    if (!state?.conflict) {
+      return false;
     }
     
-    let data = JSON.parse(stored);
+    const remote = state.conflict;
+    const local = await getRecord(tx, STORES.SCANS, scanId);
     
-    // Check if migration is needed
-    if (data.schemaVersion < CURRENT_SCHEMA_VERSION) {
-      data = migrateSchema(data);
-      saveData(data);
+    announceChange(tx, STORES.SCANS, [scanId]);
+    
+    if (keep === 'remote') {
+      await acceptRemoteChange(tx, local || null, remote);
+      return true;
     }
     
-    return data;
-  } catch (error) {
-    console.error('Error loading data from LocalStorage:', error);
-    return getDefaultData();
-  }
+    // The server's version becomes the base, so the push is accepted
+    if (local || !remote.deleted) {
+      await putRecords(tx, STORES.SYNC_STATE, [{ scanId, remoteUpdatedAt: remote.updatedAt, conflict: null }]);
+      queueChange(tx, scanId, local ? 'put' : 'delete');
+    } else {
+      tx.objectStore(STORES.SYNC_STATE).delete(scanId);
+      tx.objectStore(STORES.OUTBOX).delete(scanId);
+    }
+    return true;
+  });
 }
 
 /**
- * Save all data to LocalStorage
- * @param {Object} data - The data to save
+ * Get the sync status of every scan known to the sync queue
+ * @returns {Promise<Map<string, 'synced'|'pending'|'conflict'>>} Status by scan ID
  */
-export function saveData(data) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-  } catch (error) {
-    console.error('Error saving data to LocalStorage:', error);
-    // Handle quota exceeded
-    if (error.name === 'QuotaExceededError') {
-      alert('Storage quota exceeded. Try deleting some old scans.');
+export async function getSyncStatuses() {
+  await ready();
+  
+  const [pendingIds, states] = await runTransaction([STORES.OUTBOX, STORES.SYNC_STATE], 'readonly', tx => Promise.all([
+    promisifyRequest(tx.objectStore(STORES.OUTBOX).getAllKeys()),
+    getRecords(tx, STORES.SYNC_STATE)
+  ]));
+  
+  const statuses = new Map(states.map(state => [state.scanId, state.conflict ? 'conflict' : 'synced']));
+  pendingIds.forEach(id => {
+    if (statuses.get(id) !== 'conflict') {
+      statuses.set(id, 'pending');
     }
-  }
+  });
+  
+  return statuses;
 }
 
 /**
- * Get all scans sorted by most recent first
- * @returns {Array} Array of scan objects
+ * Get the pull cursor and time of the last successful sync
+ * @returns {Promise<{cursor: string|null, lastSyncedAt: string|null}>}
  */
-export function getAllScans() {
-  const data = loadData();
-  return [...data.scans].sort((a, b) => 
-    new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt)
+export async function getSyncMeta() {
+  await ready();
+  
+  const meta = await runTransaction(STORES.META, 'readonly', tx =>
+    promisifyRequest(tx.objectStore(STORES.META).get(SYNC_META_KEY))
   );
+  
+  return { cursor: null, lastSyncedAt: null, ...meta };
 }
 
 /**
- * Get a single scan by ID
- * @param {string} id - The scan ID
- * @returns {Object|null} The scan or null if not found
+ * Store the pull cursor and time of the last successful sync
+ * @param {{cursor: string|null, lastSyncedAt: string|null}} meta
+ * @returns {Promise<void>}
  */
-export function getScanById(id) {
-  const data = loadData();
-  return data.scans.find(scan => scan.id === id) || null;
+export async function saveSyncMeta(meta) {
+  await ready();
+  
+  await runTransaction(STORES.META, 'readwrite', tx => {
+    tx.objectStore(STORES.META).put(meta, SYNC_META_KEY);
+  });
 }
 
 /**
- * Create a new scan
- * @param {Object} scanData - The scan data (without id/timestamps)
- * @returns {Object} The created scan with id and timestamps
+ * Start syncing from scratch, e.g. after switching to another server
+ * Every scan is queued for upload and the next pull fetches everything.
+ * @returns {Promise<void>}
  */
-export function createScan(scanData) {
-  const data = loadData();
-  const now = new Date().toISOString();
-  
-  const newScan = {
-    id: generateUUID(),
-    createdAt: now,
-    updatedAt: now,
-    location: scanData.location || null,
-    notes: scanData.notes || null,
-    photo: scanData.photo || null,
-    totalResidualKg: scanData.totalResidualKg || 0,
-    streams: (scanData.streams || []).map(stream => ({
-      id: stream.id || generateUUID(),
-      name: stream.name,
-      weightKg: stream.weightKg || 0
-    }))
-  };
+export async function resetSyncState() {
+  await ready();
   
-  data.scans.push(newScan);
-  saveData(data);
+  await runTransaction([STORES.SCANS, STORES.OUTBOX, STORES.SYNC_STATE, STORES.META], 'readwrite', async tx => {
+    const scanIds = await promisifyRequest(tx.objectStore(STORES.SCANS).getAllKeys());
+    
+    tx.objectStore(STORES.OUTBOX).clear();
+    tx.objectStore(STORES.SYNC_STATE).clear();
+    tx.objectStore(STORES.META).delete(SYNC_META_KEY);
+    scanIds.forEach(id => queueChange(tx, id));
+  });
+}
+
+// ============================================
+// Drafts
+// ============================================
+
+/**
+ * Get the unsaved editor changes kept on this device
+ * @returns {Promise<Array<{id: string, scanId: string|null, scan: Object, savedAt: string}>>} Drafts, most recent first
+ */
+export async function getDrafts() {
+  await ready();
   
-  return newScan;
+  const drafts = await runTransaction(STORES.DRAFTS, 'readonly', tx => getRecords(tx, STORES.DRAFTS));
+  const scans = await hydrateScans(drafts.map(draft => draft.scan));
+  return drafts
+    .map((draft, index) => toDraft(draft, scans[index]))
+    .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
 }
 
 /**
- * Update an existing scan
- * @param {string} id - The scan ID
- * @param {Object} updates - The fields to update
- * @returns {Object|null} The updated scan or null if not found
+ * Get one draft
+ * @param {string} id - The draft ID; the scan ID for drafts of saved scans
+ * @returns {Promise<Object|null>} The draft, or null if there is none
  */
-export function updateScan(id, updates) {
-  const data = loadData();
-  const index = data.scans.findIndex(scan => scan.id === id);
+export async function getDraft(id) {
+  await ready();
   
-  if (index === -1) {
+  const draft = await runTransaction(STORES.DRAFTS, 'readonly', tx => getRecord(tx, STORES.DRAFTS, id));
+  if (!draft) {
     return null;
   }
   
-  const updatedScan = {
-    ...data.scans[index],
-    ...updates,
-    updatedAt: new Date().toISOString()
-  };
+  const [scan] = await hydrateScans([draft.scan]);
+  return toDraft(draft, scan);
+}
+
+/**
+ * Keep the editor state as a draft, replacing the earlier one
+ * Photos already in the photo store are kept by reference; new ones are stored
+ * once, so saving a draft after a text change stays small.
+ * Drafts stay on this device; they are not synced or backed up.
+ * @param {{id: string, scanId: string|null, scan: Object}} draft - The draft; `scanId` is null for a scan that was never saved
+ * @returns {Promise<void>}
+ */
+export async function saveDraft(draft) {
+  await ready();
   
-  // Ensure streams have IDs
-  if (updatedScan.streams) {
-    updatedScan.streams = updatedScan.streams.map(stream => ({
-      id: stream.id || generateUUID(),
-      name: stream.name,
-      weightKg: stream.weightKg || 0
-    }));
-  }
+  await runTransaction([STORES.DRAFTS, STORES.PHOTOS], 'readwrite', async tx => {
+    const photoStore = tx.objectStore(STORES.PHOTOS);
+    const previous = await getRecord(tx, STORES.DRAFTS, draft.id);
+    const photos = draft.scan.photos || [];
+    const photoIds = [];
+    
+    for (const photo of photos) {
+      if ((previous?.photoIds || []).includes(photo.id)) {
+        photoIds.push(photo.id);
+      } else if (photo.dataUrl && await promisifyRequest(photoStore.getKey(photo.id)) === undefined) {
+        await putPhoto(tx, getDraftPhotoOwner(draft.id), photo);
+        photoIds.push(photo.id);
+      }
+    }
+    
+    // Photos removed from the draft since it was last saved
+    const keptIds = new Set(photos.map(photo => photo.id));
+    await deleteDraftPhotos(tx, draft.id, (previous?.photoIds || []).filter(id => !keptIds.has(id)));
+    
+    await putRecords(tx, STORES.DRAFTS, [{
+      ...draft,
+      scan: toScanRecord(draft.scan),
+      photoIds,
+      savedAt: new Date().toISOString()
+    }]);
+  });
+}
+
+/**
+ * Remove a draft
+ * @param {string} id - The draft ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDraft(id) {
+  await ready();
   
-  data.scans[index] = updatedScan;
-  saveData(data);
+  await runTransaction([STORES.DRAFTS, STORES.PHOTOS], 'readwrite', tx => removeDraft(tx, id));
+}
+
+/**
+ * Remove a draft and the photos stored only for it
+ * @param {IDBTransaction} tx - A readwrite transaction including the draft and photo stores
+ * @param {string} id - The draft ID
+ * @returns {Promise<void>}
+ */
+async function removeDraft(tx, id) {
+  const draft = await getRecord(tx, STORES.DRAFTS, id);
+  if (!draft) {
+    return;
+  }
   
-  return updatedScan;
+  await deleteDraftPhotos(tx, id, draft.photoIds || []);
+  tx.objectStore(STORES.DRAFTS).delete(id);
 }
 
 /**
- * Delete a scan by ID
- * @param {string} id - The scan ID
- * @returns {boolean} True if deleted, false if not found
+ * Delete photos stored for a draft, unless a scan was saved with them since
+ * @param {IDBTransaction} tx - A readwrite transaction including the photo store
+ * @param {string} draftId - The draft ID
+ * @param {string[]} photoIds - The photos to delete
+ * @returns {Promise<void>}
  */
-export function deleteScan(id) {
-  const data = loadData();
-  const index = data.scans.findIndex(scan => scan.id === id);
+async function deleteDraftPhotos(tx, draftId, photoIds) {
+  const photoStore = tx.objectStore(STORES.PHOTOS);
   
-  if (index === -1) {
-    return false;
+  for (const photoId of photoIds) {
+    const photo = await promisifyRequest(photoStore.get(photoId));
+    if (photo?.scanId === getDraftPhotoOwner(draftId)) {
+      photoStore.delete(photoId);
+    }
   }
+}
+
+/**
+ * Get the owner recorded with photos stored for a draft
+ * Saving the scan stores them again under its own ID.
+ * @param {string} draftId - The draft ID
+ * @returns {string} The owner
+ */
+function getDraftPhotoOwner(draftId) {
+  return `draft:${draftId}`;
+}
+
+/**
+ * Turn a stored draft into what the editor gets back
+ * @param {Object} record - The stored draft
+ * @param {Object} scan - Its scan with photo data
+ * @returns {{id: string, scanId: string|null, scan: Object, savedAt: string}} The draft
+ */
+function toDraft({ id, scanId, savedAt }, scan) {
+  return { id, scanId, scan, savedAt };
+}
+
+// ============================================
+// AI Result Cache
+// ============================================
+
+/**
+ * How long AI results are reused
+ */
+export const AI_CACHE_TTL_DAYS = 30;
+
+const AI_CACHE_STATS_KEY = 'aiCacheStats';
+
+/**
+ * Look up a cached AI result and count the lookup
+ * @param {string} key - Cache key, see getAnalysisCacheKey() and getClassificationCacheKey()
+ * @returns {Promise<{result: Object, createdAt: string}|null>} The result, or null if there is none or it expired
+ */
+export async function getCachedAiResult(key) {
+  await ready();
   
-  data.scans.splice(index, 1);
-  saveData(data);
+  return runTransaction([STORES.AI_CACHE, STORES.META], 'readwrite', async tx => {
+    const entry = await getRecord(tx, STORES.AI_CACHE, key);
+    const isFresh = !!entry && !isAiResultExpired(entry);
+    
+    const metaStore = tx.objectStore(STORES.META);
+    const stats = await promisifyRequest(metaStore.get(AI_CACHE_STATS_KEY)) || { hits: 0, misses: 0 };
+    metaStore.put(isFresh ? { ...stats, hits: stats.hits + 1 } : { ...stats, misses: stats.misses + 1 }, AI_CACHE_STATS_KEY);
+    
+    return isFresh ? { result: entry.result, createdAt: entry.createdAt } : null;
+  });
+}
+
+/**
+ * Cache an AI result, replacing any earlier one; expired results are removed meanwhile
+ * @param {string} key - Cache key
+ * @param {'analysis'|'classification'} operation - What the result is of
+ * @param {Object} result - The result
+ * @returns {Promise<void>}
+ */
+export async function putCachedAiResult(key, operation, result) {
+  await ready();
   
-  return true;
+  await runTransaction(STORES.AI_CACHE, 'readwrite', async tx => {
+    const store = tx.objectStore(STORES.AI_CACHE);
+    const entries = await promisifyRequest(store.getAll());
+    entries.filter(isAiResultExpired).forEach(entry => store.delete(entry.key));
+    
+    await putRecords(tx, STORES.AI_CACHE, [{ key, operation, createdAt: new Date().toISOString(), result }]);
+  });
 }
 
 /**
- * Create a new empty scan object (not saved)
- * @returns {Object} A new scan template
+ * Get the size and hit rate of the AI result cache
+ * @returns {Promise<{entries: number, bytes: number, hits: number, misses: number}>} Cache statistics; `bytes` is the stored size
  */
-export function createEmptyScan() {
-  return {
-    id: null,
-    location: '',
-    notes: '',
-    photo: null,
-    totalResidualKg: 0,
-    streams: [],
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
+export async function getAiCacheStats() {
+  await ready();
+  
+  return runTransaction([STORES.AI_CACHE, STORES.META], 'readonly', async tx => {
+    const entries = (await promisifyRequest(tx.objectStore(STORES.AI_CACHE).getAll()))
+      .filter(entry => !isAiResultExpired(entry));
+    const stats = await promisifyRequest(tx.objectStore(STORES.META).get(AI_CACHE_STATS_KEY)) || { hits: 0, misses: 0 };
+    
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + JSON.stringify(entry).length, 0),
+      hits: stats.hits,
+      misses: stats.misses
+    };
+  });
 }
 
 /**
- * Waste stream presets
+ * Remove all cached AI results and reset the hit rate
+ * @returns {Promise<void>}
  */
-export const STREAM_PRESETS = [
-  'Cardboard',
-  'Paper',
-  'Plastics (hard)',
-  'Plastics (film)',
-  'Metal',
-  'Glass',
-  'Bio/Food',
-  'Wood',
-  'Textiles',
-  'E-waste',
-  'Other'
-];
+export async function clearAiCache() {
+  await ready();
+  
+  await runTransaction([STORES.AI_CACHE, STORES.META], 'readwrite', tx => {
+    tx.objectStore(STORES.AI_CACHE).clear();
+    tx.objectStore(STORES.META).delete(AI_CACHE_STATS_KEY);
+  });
+}
+
+/**
+ * Check whether a cached result is too old to reuse
+ * @param {{createdAt: string}} entry - The cache entry as stored
+ * @returns {boolean} True if it expired
+ */
+function isAiResultExpired(entry) {
+  return Date.now() - new Date(entry.createdAt).getTime() > AI_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// ============================================
+// AI Usage
+// ============================================
+
+// Long enough to compare a month with the same month last year
+const AI_USAGE_RETENTION_DAYS = 400;
+
+/**
+ * Record a request made to the AI provider; records past the retention period are removed meanwhile
+ * @param {{operation: string, provider: string, model: string, inputTokens: number|null, outputTokens: number|null, latencyMs: number, outcome: string}} call - The call, see analyzeWasteImage()
+ * @returns {Promise<void>}
+ */
+export async function recordAiCall(call) {
+  await ready();
+  
+  const cutoff = new Date(Date.now() - AI_USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  
+  await runTransaction(STORES.AI_USAGE, 'readwrite', async tx => {
+    const store = tx.objectStore(STORES.AI_USAGE);
+    const expiredIds = await promisifyRequest(store.index('timestamp').getAllKeys(IDBKeyRange.upperBound(cutoff)));
+    expiredIds.forEach(id => store.delete(id));
+    
+    await putRecords(tx, STORES.AI_USAGE, [{ ...call, timestamp: new Date().toISOString() }], 'add');
+  });
+}
+
+/**
+ * Get the recorded AI requests since a date
+ * @param {Date} since - The earliest time to include
+ * @returns {Promise<Array>} The calls, oldest first
+ */
+export async function getAiCalls(since) {
+  await ready();
+  
+  return runTransaction(STORES.AI_USAGE, 'readonly', tx => getRecords(tx, STORES.AI_USAGE, {
+    index: 'timestamp',
+    query: IDBKeyRange.lowerBound(since.toISOString())
+  }));
+}
+
+/**
+ * Make sure another AI request fits in this month's budget
+ * @returns {Promise<void>}
+ * @throws {AiBudgetExceededError} If the estimated cost of this month has reached the budget
+ */
+export async function checkAiBudget() {
+  const { monthlyBudget, ...prices } = getAiUsageSettings();
+  if (monthlyBudget === null) {
+    return;
+  }
+  
+  const { cost } = summarizeAiCalls(await getAiCalls(getMonthStart()), prices);
+  if (isAiBudgetReached(cost, monthlyBudget)) {
+    throw new AiBudgetExceededError(monthlyBudget);
+  }
+}
 
 // ============================================
-// Settings / API Key Management
+// Settings / AI Provider Management
 // ============================================
 
 /**
@@ -232,21 +1734,38 @@ export const STREAM_PRESETS = [
  */
 function getDefaultSettings() {
   return {
-    geminiApiKey: null
+    geminiApiKey: null,
+    aiProvider: DEFAULT_AI_PROVIDER,
+    aiProviders: {},
+    aiTimeoutSeconds: null,
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+    syncEndpoint: null,
+    syncToken: null
   };
 }
 
 /**
  * Load settings from LocalStorage
+ * While the lock is on they are read from the copy decrypted by unlockStorage();
+ * encrypted settings read while locked come back as defaults.
  * @returns {Object} Settings object
  */
 export function loadSettings() {
+  if (settingsCache) {
+    return { ...settingsCache };
+  }
+  
   try {
     const stored = localStorage.getItem(SETTINGS_KEY);
     if (!stored) {
       return getDefaultSettings();
     }
-    return { ...getDefaultSettings(), ...JSON.parse(stored) };
+    
+    const parsed = JSON.parse(stored);
+    if (parsed.sealed) {
+      return getDefaultSettings();
+    }
+    return { ...getDefaultSettings(), ...parsed };
   } catch (error) {
     console.error('Error loading settings:', error);
     return getDefaultSettings();
@@ -255,39 +1774,392 @@ export function loadSettings() {
 
 /**
  * Save settings to LocalStorage
+ * While the lock is on they are encrypted in the background, in the order they were saved.
  * @param {Object} settings - Settings to save
  */
 export function saveSettings(settings) {
-  try {
-    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
-  } catch (error) {
-    console.error('Error saving settings:', error);
+  if (!encryptionKey) {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
+    return;
+  }
+  
+  const key = encryptionKey;
+  settingsCache = { ...settings };
+  settingsWrite = settingsWrite
+    .then(async () => {
+      const sealed = payloadToBase64(await encryptJson(key, settings));
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify({ sealed }));
+    })
+    .catch(error => console.error('Error saving settings:', error));
+}
+
+/**
+ * Get the AI provider settings
+ * Gemini keys saved before providers were configurable are still used.
+ * @param {string} [provider] - Provider to read; defaults to the selected one
+ * @returns {{provider: string, apiKey: string|null, model: string|null, baseUrl: string|null, timeoutSeconds: number|null}} AI settings; empty values mean the provider default
+ */
+export function getAiSettings(provider) {
+  const settings = loadSettings();
+  const name = provider || settings.aiProvider || DEFAULT_AI_PROVIDER;
+  const stored = settings.aiProviders?.[name] || {};
+  const legacyKey = name === 'gemini' ? settings.geminiApiKey : null;
+  
+  return {
+    provider: name,
+    apiKey: stored.apiKey || legacyKey || null,
+    model: stored.model || null,
+    baseUrl: stored.baseUrl || null,
+    timeoutSeconds: parseInt(settings.aiTimeoutSeconds) || null
+  };
+}
+
+/**
+ * Select an AI provider and save its settings
+ * Settings of the other providers are kept for switching back; the timeout applies to all.
+ * @param {{provider: string, apiKey: string|null, model: string|null, baseUrl: string|null, timeoutSeconds: number|null}} ai - AI settings
+ */
+export function setAiSettings({ provider, apiKey, model, baseUrl, timeoutSeconds }) {
+  const settings = loadSettings();
+  settings.aiProvider = provider;
+  settings.aiTimeoutSeconds = parseInt(timeoutSeconds) > 0 ? parseInt(timeoutSeconds) : null;
+  settings.aiProviders = {
+    ...settings.aiProviders,
+    [provider]: {
+      apiKey: apiKey || null,
+      model: model || null,
+      baseUrl: baseUrl || null
+    }
+  };
+  if (provider === 'gemini') {
+    settings.geminiApiKey = null;
   }
+  saveSettings(settings);
+}
+
+/**
+ * Get the number of days scans stay in the trash
+ * @returns {number} Retention period in days
+ */
+export function getTrashRetentionDays() {
+  const days = parseInt(loadSettings().trashRetentionDays);
+  return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Set the number of days scans stay in the trash
+ * @param {number} days - Retention period in days (at least 1)
+ */
+export function setTrashRetentionDays(days) {
+  const settings = loadSettings();
+  settings.trashRetentionDays = Math.max(1, parseInt(days) || DEFAULT_TRASH_RETENTION_DAYS);
+  saveSettings(settings);
+}
+
+/**
+ * Get the prices used to estimate the cost of AI requests, and the monthly budget
+ * @returns {{inputPricePerMillion: number|null, outputPricePerMillion: number|null, monthlyBudget: number|null}} Prices in US dollars per million tokens; no budget means no limit
+ */
+export function getAiUsageSettings() {
+  const settings = loadSettings();
+  return {
+    inputPricePerMillion: settings.aiInputPricePerMillion ?? null,
+    outputPricePerMillion: settings.aiOutputPricePerMillion ?? null,
+    monthlyBudget: settings.aiMonthlyBudget ?? null
+  };
+}
+
+/**
+ * Set the prices of AI requests and the monthly budget
+ * @param {{inputPricePerMillion: number|null, outputPricePerMillion: number|null, monthlyBudget: number|null}} usage - Usage settings
+ */
+export function setAiUsageSettings(usage) {
+  const settings = loadSettings();
+  settings.aiInputPricePerMillion = toAmountOrNull(usage.inputPricePerMillion);
+  settings.aiOutputPricePerMillion = toAmountOrNull(usage.outputPricePerMillion);
+  settings.aiMonthlyBudget = toAmountOrNull(usage.monthlyBudget);
+  saveSettings(settings);
+}
+
+/**
+ * @param {number|null} value - A number typed in
+ * @returns {number|null} The amount, or null if it is missing or negative
+ */
+function toAmountOrNull(value) {
+  return typeof value === 'number' && value >= 0 ? value : null;
+}
+
+/**
+ * Get the sync server settings
+ * @returns {{endpoint: string|null, token: string|null}} Sync settings; no endpoint means sync is off
+ */
+export function getSyncSettings() {
+  const settings = loadSettings();
+  return {
+    endpoint: settings.syncEndpoint || null,
+    token: settings.syncToken || null
+  };
 }
 
 /**
- * Get the Gemini API key
- * @returns {string|null} The API key or null
+ * Set the sync server settings
+ * @param {{endpoint: string|null, token: string|null}} sync - Sync settings
  */
-export function getApiKey() {
+export function setSyncSettings({ endpoint, token }) {
   const settings = loadSettings();
-  return settings.geminiApiKey || null;
+  settings.syncEndpoint = endpoint || null;
+  settings.syncToken = token || null;
+  saveSettings(settings);
+}
+
+// ============================================
+// Encryption
+// ============================================
+
+/**
+ * Get the passphrase lock settings
+ * They stay readable while locked, so that a passphrase can be checked.
+ * @returns {Promise<{salt: Uint8Array, iterations: number, check: Object, autoLockMinutes: number}|null>} The lock settings, or null if the lock is off
+ */
+export async function getLockSettings() {
+  const lock = await runTransaction(STORES.META, 'readonly', tx =>
+    promisifyRequest(tx.objectStore(STORES.META).get(LOCK_META_KEY))
+  );
+  
+  return lock || null;
+}
+
+/**
+ * Change the idle time after which the app locks itself
+ * @param {number} minutes - Minutes of inactivity, or 0 to only lock on reload
+ * @returns {Promise<void>}
+ */
+export async function setAutoLockMinutes(minutes) {
+  await runTransaction(STORES.META, 'readwrite', async tx => {
+    const metaStore = tx.objectStore(STORES.META);
+    const lock = await promisifyRequest(metaStore.get(LOCK_META_KEY));
+    if (lock) {
+      metaStore.put({ ...lock, autoLockMinutes: minutes }, LOCK_META_KEY);
+    }
+  });
+}
+
+/**
+ * Make the encrypted data readable for the rest of the session
+ * @param {CryptoKey} key - The key, already checked against the lock settings
+ * @returns {Promise<void>}
+ */
+export async function unlockStorage(key) {
+  encryptionKey = key;
+  settingsCache = null;
+  
+  const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+  if (stored?.sealed) {
+    settingsCache = { ...getDefaultSettings(), ...await decryptJson(key, payloadFromBase64(stored.sealed)) };
+  } else {
+    // Saved before the lock was turned on
+    saveSettings(loadSettings());
+    await settingsWrite;
+  }
 }
 
 /**
- * Set the Gemini API key
- * @param {string|null} apiKey - The API key to save
+ * Encrypt all stored data with a new key, or decrypt it to turn the lock off
+ * Everything is converted in one transaction, so a failure leaves the data as it was.
+ * @param {CryptoKey|null} key - The new key, or null to store everything unencrypted
+ * @param {Object|null} lock - The new lock settings (see getLockSettings()), or null with a null key
+ * @returns {Promise<void>}
  */
-export function setApiKey(apiKey) {
+export async function reencryptStorage(key, lock) {
+  await ready();
+  
+  const previousKey = encryptionKey;
+  const sealedStores = Object.keys(SEALED_STORES);
+  
+  await runTransaction([...sealedStores, STORES.PHOTOS, STORES.META], 'readwrite', async tx => {
+    for (const storeName of sealedStores) {
+      const store = tx.objectStore(storeName);
+      const stored = await promisifyRequest(store.getAll());
+      const converted = await waitInTransaction(tx, Promise.all(stored.map(async record => {
+        const plain = await openRecord(previousKey, record);
+        return key ? sealRecord(key, storeName, plain) : plain;
+      })));
+      converted.forEach(record => store.put(record));
+    }
+    
+    const photoStore = tx.objectStore(STORES.PHOTOS);
+    const photos = await promisifyRequest(photoStore.getAll());
+    const convertedPhotos = await waitInTransaction(tx, Promise.all(photos.map(async photo => {
+      const plain = await openPhoto(previousKey, photo);
+      return key ? sealPhoto(key, plain) : plain;
+    })));
+    convertedPhotos.forEach(photo => photoStore.put(photo));
+    
+    if (lock) {
+      tx.objectStore(STORES.META).put(lock, LOCK_META_KEY);
+    } else {
+      tx.objectStore(STORES.META).delete(LOCK_META_KEY);
+    }
+    
+    // Switch keys before any queued transaction can write with the old one
+    tx.addEventListener('complete', () => {
+      encryptionKey = key;
+    });
+    announceChange(tx, LOCK_META_KEY);
+  });
+  
   const settings = loadSettings();
-  settings.geminiApiKey = apiKey || null;
+  await settingsWrite;
+  settingsCache = null;
   saveSettings(settings);
+  await settingsWrite;
+}
+
+/**
+ * Delete all scans, photos, sites and settings from this device
+ * Used when the passphrase is forgotten; data on the sync server is kept.
+ * @returns {Promise<void>}
+ */
+export async function eraseAllData() {
+  await deleteDatabase();
+  localStorage.removeItem(SETTINGS_KEY);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  
+  readyPromise = null;
+  encryptionKey = null;
+  settingsCache = null;
+}
+
+// ============================================
+// Backup / Restore
+// ============================================
+
+/**
+ * Build a portable archive of all scans, photos, sites, stream types and settings
+ * AI provider and sync settings are never included, as they hold keys.
+ * @returns {Promise<Object>} The backup archive
+ */
+export async function createBackup() {
+  const data = await loadData();
+  const sites = await getAllSites();
+  const streamTypes = await getStreamTypes({ includeArchived: true });
+  const { geminiApiKey, aiProvider, aiProviders, syncEndpoint, syncToken, ...settings } = loadSettings();
+  
+  return {
+    format: BACKUP_FORMAT,
+    backupVersion: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    schemaVersion: data.schemaVersion,
+    scans: data.scans,
+    sites,
+    streamTypes,
+    settings
+  };
 }
 
 /**
- * Check if API key is configured
- * @returns {boolean} True if API key exists
+ * Restore a backup archive
+ * In 'merge' mode scans, sites and stream types are matched on `id` and the newer `updatedAt` wins.
+ * In 'replace' mode all existing scans and sites are removed first and settings are restored;
+ * the stream types are replaced when the backup has them.
+ * @param {Object} archive - The parsed archive
+ * @param {'merge'|'replace'} mode - How to combine with existing data
+ * @returns {Promise<{added: number, updated: number, skipped: number}>} Import summary
  */
-export function hasApiKey() {
-  return !!getApiKey();
+export async function restoreBackup(archive, mode = 'merge') {
+  validateBackup(archive, CURRENT_SCHEMA_VERSION);
+  await ready();
+  
+  const data = archive.schemaVersion < CURRENT_SCHEMA_VERSION
+    ? migrateSchema({ schemaVersion: archive.schemaVersion, scans: archive.scans, sites: archive.sites || [] })
+    : { ...archive, sites: archive.sites || [] };
+  
+  const stores = [
+    STORES.SCANS, STORES.PHOTOS, STORES.REVISIONS, STORES.SITES, STORES.STREAM_TYPES,
+    STORES.OUTBOX, STORES.SYNC_STATE, STORES.DRAFTS
+  ];
+  const summary = await runTransaction(stores, 'readwrite', async tx => {
+    const photoStore = tx.objectStore(STORES.PHOTOS);
+    const result = { added: 0, updated: 0, skipped: 0 };
+    
+    if (mode === 'replace') {
+      const syncedIds = await promisifyRequest(tx.objectStore(STORES.SYNC_STATE).getAllKeys());
+      getRemovedSyncedIds(syncedIds, data.scans).forEach(id => queueChange(tx, id, 'delete'));
+      
+      tx.objectStore(STORES.SCANS).clear();
+      photoStore.clear();
+      tx.objectStore(STORES.SITES).clear();
+      tx.objectStore(STORES.REVISIONS).clear();
+      // Drafts were edits of the scans being replaced
+      tx.objectStore(STORES.DRAFTS).clear();
+      if (archive.streamTypes) {
+        tx.objectStore(STORES.STREAM_TYPES).clear();
+      }
+    }
+    
+    const putIfNewer = async (storeName, record, template) => {
+      const existing = mode === 'replace' ? null : await getRecord(tx, storeName, record.id);
+      if (isNewerRecord(record, existing)) {
+        await putRecords(tx, storeName, [{ ...template, ...record }]);
+      }
+    };
+    
+    for (const site of data.sites) {
+      await putIfNewer(STORES.SITES, site, createEmptySite());
+    }
+    for (const type of archive.streamTypes || []) {
+      await putIfNewer(STORES.STREAM_TYPES, type, createEmptyStreamType());
+    }
+    
+    const existingScans = mode === 'replace' ? [] : await getRecords(tx, STORES.SCANS);
+    const existingById = new Map(existingScans.map(scan => [scan.id, scan]));
+    
+    for (const scan of data.scans) {
+      const existing = existingById.get(scan.id);
+      
+      if (!isNewerRecord(scan, existing)) {
+        result.skipped++;
+        continue;
+      }
+      
+      // A draft of the older version would be restored over the imported one
+      if (existing) {
+        await removeDraft(tx, scan.id);
+      }
+      
+      const photos = await savePhotos(tx, scan.id, scan.photos, existing?.photos);
+      const record = toScanRecord({
+        ...scan,
+        photos,
+        streams: normalizeStreams(scan.streams)
+      });
+      await putRecords(tx, STORES.SCANS, [record]);
+      await addRevision(tx, existing || null, record, 'import');
+      queueChange(tx, scan.id);
+      
+      if (existing) {
+        result.updated++;
+      } else {
+        result.added++;
+      }
+    }
+    
+    announceChange(tx, STORES.SCANS);
+    announceChange(tx, STORES.SITES);
+    if (archive.streamTypes) {
+      announceChange(tx, STORES.STREAM_TYPES);
+    }
+    return result;
+  });
+  
+  if (mode === 'replace' && archive.settings) {
+    const { geminiApiKey, aiProvider, aiProviders, syncEndpoint, syncToken } = loadSettings();
+    saveSettings({ ...getDefaultSettings(), ...archive.settings, geminiApiKey, aiProvider, aiProviders, syncEndpoint, syncToken });
+  }
+  
+  return summary;
 }
@@ -0,0 +1,164 @@
+/**
+ * Sync with a team server
+ *
+ * Local changes are queued in the outbox by the storage module and pushed
+ * whenever the app is online; remote changes are pulled with a cursor.
+ * Pulls run first, so conflicts are found before the local version is sent.
+ */
+
+import {
+  getSyncSettings, getPendingChanges, completePush, applyRemoteChange,
+  getScanById, getSyncMeta, saveSyncMeta, onOutboxChange
+} from './storage.js';
+import { pullChanges, pushScan, deleteRemoteScan } from './api/sync.js';
+import { CURRENT_SCHEMA_VERSION } from './migrations.js';
+
+const AUTO_SYNC_INTERVAL = 5 * 60 * 1000;
+const PUSH_DELAY = 2000;
+
+let syncPromise = null;
+let pushTimer = null;
+let lastResult = null;
+const listeners = new Set();
+
+/**
+ * Check whether a sync server has been configured
+ * @returns {boolean} True if sync is on
+ */
+export function isSyncEnabled() {
+  return !!getSyncSettings().endpoint;
+}
+
+/**
+ * Get the outcome of the most recent sync
+ * @returns {{status: 'success'|'offline'|'error', pulled: number, pushed: number, conflicts: number, error: string|null, finishedAt: string}|null} The result, or null if none ran yet
+ */
+export function getLastSyncResult() {
+  return lastResult;
+}
+
+/**
+ * Get notified after every sync attempt
+ * @param {Function} listener - Receives the sync result
+ */
+export function onSyncComplete(listener) {
+  listeners.add(listener);
+}
+
+/**
+ * Pull remote changes, then push the queued local ones
+ * Concurrent calls share the sync that is already running.
+ * @returns {Promise<Object>} The sync result, see getLastSyncResult()
+ */
+export function syncNow() {
+  if (!syncPromise) {
+    syncPromise = runSync().finally(() => {
+      syncPromise = null;
+    });
+  }
+  return syncPromise;
+}
+
+/**
+ * Sync in the background: when coming online, periodically and shortly after local changes
+ */
+export function startAutoSync() {
+  window.addEventListener('online', () => syncIfEnabled());
+  setInterval(syncIfEnabled, AUTO_SYNC_INTERVAL);
+
+  onOutboxChange(() => {
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(syncIfEnabled, PUSH_DELAY);
+  });
+
+  syncIfEnabled();
+}
+
+/**
+ * Sync if a server is configured and the browser is online
+ */
+function syncIfEnabled() {
+  if (isSyncEnabled() && navigator.onLine) {
+    syncNow().catch(error => console.error('Sync failed:', error));
+  }
+}
+
+/**
+ * Run one sync and notify listeners
+ * @returns {Promise<Object>} The sync result
+ */
+async function runSync() {
+  const config = getSyncSettings();
+  const result = { status: 'success', pulled: 0, pushed: 0, conflicts: 0, error: null };
+
+  if (!config.endpoint) {
+    throw new Error('No sync server configured');
+  }
+
+  if (!navigator.onLine) {
+    result.status = 'offline';
+  } else {
+    try {
+      await pull(config, result);
+      await push(config, result);
+    } catch (error) {
+      console.error('Sync error:', error);
+      result.status = 'error';
+      result.error = error.message;
+    }
+  }
+
+  lastResult = { ...result, finishedAt: new Date().toISOString() };
+  listeners.forEach(listener => listener(lastResult));
+  return lastResult;
+}
+
+/**
+ * Apply the remote changes made since the last pull
+ * @param {{endpoint: string, token: string|null}} config - Sync settings
+ * @param {Object} result - Sync result to update
+ */
+async function pull(config, result) {
+  const meta = await getSyncMeta();
+  const { changes, cursor } = await pullChanges(config, meta.cursor);
+
+  for (const change of changes) {
+    const action = await applyRemoteChange(change);
+    if (action === 'conflict') {
+      result.conflicts++;
+    } else if (action === 'insert' || action === 'update' || action === 'delete') {
+      result.pulled++;
+    }
+  }
+
+  await saveSyncMeta({ cursor: cursor ?? meta.cursor, lastSyncedAt: new Date().toISOString() });
+}
+
+/**
+ * Send the queued local changes
+ * A rejected push means the server has a newer version; it is applied like a pulled change.
+ * @param {{endpoint: string, token: string|null}} config - Sync settings
+ * @param {Object} result - Sync result to update
+ */
+async function push(config, result) {
+  const entries = await getPendingChanges();
+
+  for (const entry of entries) {
+    let response;
+
+    if (entry.op === 'delete') {
+      response = await deleteRemoteScan(config, entry.scanId, entry.baseUpdatedAt);
+    } else {
+      const scan = await getScanById(entry.scanId);
+      if (!scan) continue;
+      response = await pushScan(config, scan, CURRENT_SCHEMA_VERSION, entry.baseUpdatedAt);
+    }
+
+    if (response.ok) {
+      await completePush(entry, response.change);
+      result.pushed++;
+    } else if (await applyRemoteChange(response.change) === 'conflict') {
+      result.conflicts++;
+    }
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Waste stream taxonomy helpers
+ * The taxonomy itself is stored with the scans; these are the defaults
+ * it starts with and pure functions for working with it.
+ */
+
+/**
+ * Stream types a new installation starts with
+ * IDs are stable: scans refer to them, so they must never change.
+ */
+export const DEFAULT_STREAM_TYPES = [
+  { id: 'cardboard', name: 'Cardboard', code: null, color: '#B5835A' },
+  { id: 'paper', name: 'Paper', code: null, color: '#4A90D9' },
+  { id: 'plastics-hard', name: 'Plastics (hard)', code: null, color: '#F2B705' },
+  { id: 'plastics-film', name: 'Plastics (film)', code: null, color: '#F5D76E' },
+  { id: 'metal', name: 'Metal', code: null, color: '#8C99A6' },
+  { id: 'glass', name: 'Glass', code: null, color: '#2BB3A3' },
+  { id: 'bio-food', name: 'Bio/Food', code: null, color: '#6AA84F' },
+  { id: 'wood', name: 'Wood', code: null, color: '#8B5A2B' },
+  { id: 'textiles', name: 'Textiles', code: null, color: '#C27BA0' },
+  { id: 'e-waste', name: 'E-waste', code: null, color: '#E06666' },
+  { id: 'other', name: 'Other', code: null, color: '#999999' }
+];
+
+/**
+ * Other names for the default stream types, as AI analysis may report them
+ * Keyed by type ID, so they keep working after a type is renamed.
+ */
+const STREAM_TYPE_SYNONYMS = {
+  'cardboard': ['carton', 'cartons', 'corrugated', 'boxes', 'cardboard boxes', 'pizza boxes'],
+  'paper': ['newspaper', 'office paper', 'magazines', 'paper waste'],
+  'plastics-hard': ['hard plastic', 'rigid plastic', 'plastic bottles', 'pet', 'pet bottles', 'hdpe', 'plastic containers', 'plastic crates'],
+  'plastics-film': ['plastic film', 'film', 'foil', 'plastic foil', 'plastic bags', 'bags', 'stretch wrap', 'shrink wrap', 'soft plastic'],
+  'metal': ['metals', 'cans', 'tins', 'aluminium', 'aluminum', 'steel', 'scrap metal'],
+  'glass': ['glass bottles', 'jars', 'glass jars'],
+  'bio-food': ['food', 'food waste', 'organic', 'organic waste', 'organics', 'bio', 'biowaste', 'compost', 'gft', 'kitchen waste'],
+  'wood': ['timber', 'pallets', 'wooden pallets', 'wood waste'],
+  'textiles': ['textile', 'clothing', 'clothes', 'fabric', 'fabrics'],
+  'e-waste': ['electronics', 'electronic waste', 'weee', 'batteries', 'cables'],
+  'other': ['residual', 'residual waste', 'general waste', 'mixed waste', 'miscellaneous']
+};
+
+// Longest edit distance accepted as a typo, for names of at least 5 characters
+const MAX_TYPO_DISTANCE = 2;
+
+/**
+ * Colours offered to new stream types, in order
+ */
+const STREAM_TYPE_PALETTE = [
+  '#00A887', '#4A90D9', '#F2B705', '#E06666', '#8E7CC3',
+  '#6AA84F', '#C27BA0', '#B5835A', '#2BB3A3', '#8C99A6'
+];
+
+/**
+ * Pick a colour for a new stream type, preferring ones not yet used
+ * @param {Array} types - Existing stream types
+ * @returns {string} Hex colour
+ */
+export function pickStreamTypeColor(types) {
+  const used = new Set(types.map(type => (type.color || '').toLowerCase()));
+  return STREAM_TYPE_PALETTE.find(color => !used.has(color.toLowerCase()))
+    || STREAM_TYPE_PALETTE[types.length % STREAM_TYPE_PALETTE.length];
+}
+
+/**
+ * Find a stream type by name, ignoring case and surrounding whitespace
+ * @param {Array} types - Stream types
+ * @param {string} name - The name to look for
+ * @returns {Object|null} The matching type
+ */
+export function findStreamTypeByName(types, name) {
+  const wanted = (name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return types.find(type => type.name.trim().toLowerCase() === wanted) || null;
+}
+
+/**
+ * Link a stream to a stream type
+ * The type's code is used as waste code unless the stream already has one.
+ * @param {Object} stream - The stream
+ * @param {Object} type - The stream type
+ * @returns {Object} The updated stream
+ */
+export function applyStreamType(stream, type) {
+  return {
+    ...stream,
+    typeId: type.id,
+    name: type.name,
+    wasteCode: stream.wasteCode || type.code || null
+  };
+}
+
+/**
+ * Find the stream type a free-text stream name refers to
+ * Tries, in order: the exact name, a known synonym, a name whose words all
+ * appear in the text (e.g. "Cardboard boxes") and a small typo. A text that
+ * fits several types equally well is not matched.
+ * @param {Array} types - Stream types to choose from
+ * @param {string} name - The name to map, e.g. from AI analysis
+ * @returns {Object|null} The matching type, or null if it could not be mapped
+ */
+export function matchStreamType(types, name) {
+  const exact = findStreamTypeByName(types, name);
+  if (exact) return exact;
+  
+  const wanted = normalizeName(name);
+  if (!wanted) return null;
+  
+  const candidates = types.map(type => ({
+    type,
+    names: [type.name, ...(STREAM_TYPE_SYNONYMS[type.id] || [])].map(normalizeName)
+  }));
+  
+  const strategies = [
+    names => names.includes(wanted),
+    names => names.some(candidate => containsWords(wanted, candidate)),
+    names => wanted.length >= 5 && names.some(candidate => editDistance(wanted, candidate) <= MAX_TYPO_DISTANCE)
+  ];
+  
+  for (const matches of strategies) {
+    const found = candidates.filter(candidate => matches(candidate.names));
+    if (found.length === 1) return found[0].type;
+    if (found.length > 1) return null;
+  }
+  
+  return null;
+}
+
+/**
+ * Link detected streams to the taxonomy
+ * Streams mapped onto the same type are combined, keeping all their regions
+ * and the lowest confidence; streams that cannot be mapped keep their name
+ * and are marked `unmapped` for the user to resolve.
+ * @param {Array} types - Stream types to choose from
+ * @param {Array<{name: string, weightKg: number, confidence: string|null, regions: Array}>} detected - Detected streams
+ * @returns {Array<{name: string, weightKg: number, confidence: string|null, regions: Array, type: Object|null, unmapped: boolean}>} The mapped streams, in the order detected
+ */
+export function mapDetectedStreams(types, detected) {
+  const mapped = [];
+  
+  detected.forEach(stream => {
+    const type = matchStreamType(types, stream.name);
+    const existing = type && mapped.find(entry => entry.type?.id === type.id);
+    const confidence = stream.confidence ?? null;
+    const regions = stream.regions || [];
+    
+    if (existing) {
+      existing.weightKg += stream.weightKg;
+      existing.regions = [...existing.regions, ...regions];
+      existing.confidence = lowestConfidence(existing.confidence, confidence);
+    } else {
+      mapped.push({ name: type ? type.name : stream.name.trim(), weightKg: stream.weightKg, confidence, regions, type, unmapped: !type });
+    }
+  });
+  
+  return mapped;
+}
+
+/**
+ * Pick the lower of two confidence levels
+ * @param {string|null} a - 'low', 'medium', 'high' or null if unknown
+ * @param {string|null} b - 'low', 'medium', 'high' or null if unknown
+ * @returns {string|null} The lower level; unknown only if both are
+ */
+function lowestConfidence(a, b) {
+  const levels = ['low', 'medium', 'high'];
+  if (!a || !b) return a || b;
+  return levels.indexOf(a) <= levels.indexOf(b) ? a : b;
+}
+
+/**
+ * Reduce a name to lowercase words without punctuation or plural "s"
+ * @param {string} name - The name
+ * @returns {string} Space-separated words
+ */
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .join(' ');
+}
+
+/**
+ * Check whether all words of a name appear in a text
+ * @param {string} text - Normalized text
+ * @param {string} name - Normalized name
+ * @returns {boolean} True if every word of the name is in the text
+ */
+function containsWords(text, name) {
+  const words = new Set(text.split(' '));
+  return name.split(' ').every(word => words.has(word));
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
@@ -0,0 +1,39 @@
+/**
+ * Trash helpers
+ * Pure functions deciding when trashed scans expire.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the moment a trashed scan expires
+ * @param {Object} scan - A scan with `deletedAt` set
+ * @param {number} retentionDays - Days scans stay in the trash
+ * @returns {number} Expiry time in milliseconds since the epoch
+ */
+function getExpiryTime(scan, retentionDays) {
+  return new Date(scan.deletedAt).getTime() + retentionDays * DAY_MS;
+}
+
+/**
+ * Select the trashed scans whose retention period has passed
+ * A scan expires once it has been in the trash for longer than `retentionDays`.
+ * @param {Array} scans - Trashed scans
+ * @param {number} retentionDays - Days scans stay in the trash
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array} The expired scans
+ */
+export function getExpiredScans(scans, retentionDays, now = Date.now()) {
+  return scans.filter(scan => getExpiryTime(scan, retentionDays) < now);
+}
+
+/**
+ * Count the whole days left before a trashed scan is purged
+ * @param {Object} scan - A scan with `deletedAt` set
+ * @param {number} retentionDays - Days scans stay in the trash
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Days left, rounded up, never below 0
+ */
+export function getDaysLeft(scan, retentionDays, now = Date.now()) {
+  return Math.max(0, Math.ceil((getExpiryTime(scan, retentionDays) - now) / DAY_MS));
+}
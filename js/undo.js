@@ -0,0 +1,102 @@
+/**
+ * Undo helpers
+ * Pure functions keeping the undo and redo history of the scan in the editor.
+ * The history holds copies of the whole scan; each function returns a new history.
+ */
+
+/**
+ * Edits of the same field closer together than this are undone as one
+ */
+export const COALESCE_MS = 1000;
+
+/**
+ * Most steps that can be undone
+ */
+export const MAX_UNDO_STEPS = 100;
+
+/**
+ * Create an empty history
+ * @returns {{past: Array, future: Array, lastKey: string|null, lastTime: number}} The history
+ */
+export function createUndoHistory() {
+  return { past: [], future: [], lastKey: null, lastTime: 0 };
+}
+
+/**
+ * Copy a scan so that later edits do not change the copy
+ * Photos are copied without copying their image data, which never changes.
+ * @param {Object} scan - The scan
+ * @returns {Object} The copy
+ */
+export function snapshotScan(scan) {
+  return {
+    ...scan,
+    photos: scan.photos.map(photo => ({ ...photo })),
+    streams: structuredClone(scan.streams)
+  };
+}
+
+/**
+ * Remember the scan as it was before an edit
+ * Another edit of the same field within COALESCE_MS adds no step, so typing a
+ * word is undone at once. Any edit clears what could be redone.
+ * @param {Object} history - The history
+ * @param {Object} scan - The scan before the edit
+ * @param {string|null} key - What is edited, e.g. "weight:<stream ID>"; null for edits that are never combined
+ * @param {number} [now] - The time of the edit, in milliseconds
+ * @returns {Object} The new history
+ */
+export function recordUndoStep(history, scan, key, now = Date.now()) {
+  const isSameEdit = key !== null && key === history.lastKey && now - history.lastTime < COALESCE_MS;
+  
+  return {
+    past: isSameEdit ? history.past : [...history.past, snapshotScan(scan)].slice(-MAX_UNDO_STEPS),
+    future: [],
+    lastKey: key,
+    lastTime: now
+  };
+}
+
+/**
+ * Go back one step
+ * @param {Object} history - The history
+ * @param {Object} scan - The scan as it is now
+ * @returns {{history: Object, scan: Object}|null} The new history and the scan to show, or null if there is nothing to undo
+ */
+export function undoStep(history, scan) {
+  if (history.past.length === 0) {
+    return null;
+  }
+  
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, snapshotScan(scan)],
+      lastKey: null,
+      lastTime: 0
+    },
+    scan: history.past[history.past.length - 1]
+  };
+}
+
+/**
+ * Go forward one undone step
+ * @param {Object} history - The history
+ * @param {Object} scan - The scan as it is now
+ * @returns {{history: Object, scan: Object}|null} The new history and the scan to show, or null if there is nothing to redo
+ */
+export function redoStep(history, scan) {
+  if (history.future.length === 0) {
+    return null;
+  }
+  
+  return {
+    history: {
+      past: [...history.past, snapshotScan(scan)],
+      future: history.future.slice(0, -1),
+      lastKey: null,
+      lastTime: 0
+    },
+    scan: history.future[history.future.length - 1]
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * AI usage helpers
+ * Pure functions totalling recorded AI calls and estimating what they cost.
+ */
+
+/**
+ * How a call ended
+ */
+export const AI_CALL_OUTCOMES = {
+  success: 'Succeeded',
+  truncated: 'Cut off',
+  error: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Get the start of the day of a date, in local time
+ * @param {Date} [now] - The date
+ * @returns {Date} Midnight at the start of that day
+ */
+export function getDayStart(now = new Date()) {
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+/**
+ * Get the start of the month of a date, in local time
+ * @param {Date} [now] - The date
+ * @returns {Date} Midnight at the start of the first day of that month
+ */
+export function getMonthStart(now = new Date()) {
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+/**
+ * Estimate the cost of tokens
+ * @param {{inputTokens: number|null, outputTokens: number|null}} tokens - Token counts
+ * @param {{inputPricePerMillion: number|null, outputPricePerMillion: number|null}} prices - Prices per million tokens
+ * @returns {number|null} The cost, or null if no prices are set
+ */
+export function estimateAiCost(tokens, prices) {
+  if (prices.inputPricePerMillion === null && prices.outputPricePerMillion === null) {
+    return null;
+  }
+  return ((tokens.inputTokens || 0) * (prices.inputPricePerMillion || 0)
+    + (tokens.outputTokens || 0) * (prices.outputPricePerMillion || 0)) / 1e6;
+}
+
+/**
+ * Add up recorded calls
+ * @param {Array<{inputTokens: number|null, outputTokens: number|null, latencyMs: number, outcome: string}>} calls - Recorded calls
+ * @param {Object} prices - Prices per million tokens, see estimateAiCost()
+ * @returns {{calls: number, failed: number, inputTokens: number, outputTokens: number, averageLatencyMs: number|null, cost: number|null}} Totals
+ */
+export function summarizeAiCalls(calls, prices) {
+  const inputTokens = calls.reduce((sum, call) => sum + (call.inputTokens || 0), 0);
+  const outputTokens = calls.reduce((sum, call) => sum + (call.outputTokens || 0), 0);
+
+  return {
+    calls: calls.length,
+    failed: calls.filter(call => call.outcome === 'error' || call.outcome === 'truncated').length,
+    inputTokens,
+    outputTokens,
+    averageLatencyMs: calls.length
+      ? Math.round(calls.reduce((sum, call) => sum + call.latencyMs, 0) / calls.length)
+      : null,
+    cost: estimateAiCost({ inputTokens, outputTokens }, prices)
+  };
+}
+
+/**
+ * Add up the calls of today and of this month
+ * @param {Array<{timestamp: string}>} calls - Recorded calls, at least those of this month
+ * @param {Object} prices - Prices per million tokens, see estimateAiCost()
+ * @param {Date} [now] - The current time
+ * @returns {{today: Object, month: Object}} Totals, see summarizeAiCalls()
+ */
+export function summarizeAiUsage(calls, prices, now = new Date()) {
+  const since = date => calls.filter(call => new Date(call.timestamp) >= date);
+
+  return {
+    today: summarizeAiCalls(since(getDayStart(now)), prices),
+    month: summarizeAiCalls(since(getMonthStart(now)), prices)
+  };
+}
+
+/**
+ * Check whether this month's cost has used up the budget
+ * @param {number|null} monthCost - Estimated cost of this month, null if unknown
+ * @param {number|null} monthlyBudget - The budget, null for no limit
+ * @returns {boolean} True if no more calls should be made this month
+ */
+export function isAiBudgetReached(monthCost, monthlyBudget) {
+  return monthlyBudget !== null && monthCost !== null && monthCost >= monthlyBudget;
+}
@@ -111,3 +111,39 @@ export function createThumbnail(dataUrl, size = 100) {
     img.src = dataUrl;
   });
 }
+
+/**
+ * Convert a base64 data URL to a Blob
+ * @param {string} dataUrl - The image data URL
+ * @returns {Blob} The decoded image
+ */
+export function dataUrlToBlob(dataUrl) {
+  const matches = dataUrl.match(/^data:(.+);base64,(.+)$/);
+  if (!matches) {
+    throw new Error('Invalid image data URL');
+  }
+  
+  const binary = atob(matches[2]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  
+  return new Blob([bytes], { type: matches[1] });
+}
+
+/**
+ * Read a Blob back into a base64 data URL
+ * @param {Blob} blob - The image blob
+ * @returns {Promise<string>} The image data URL
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read image data'));
+    
+    reader.readAsDataURL(blob);
+  });
+}
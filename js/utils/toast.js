@@ -0,0 +1,52 @@
+/**
+ * Toast notification utility
+ */
+
+const DEFAULT_DURATION = 2500;
+
+let hideTimeout = null;
+
+/**
+ * Show a short message in the toast, optionally with an action button
+ * @param {string} message - The message
+ * @param {Object} [options]
+ * @param {string} [options.actionLabel] - Label of the action button (e.g. 'Undo')
+ * @param {Function} [options.onAction] - Called when the action button is clicked
+ * @param {number} [options.duration] - How long to show the toast in ms
+ */
+export function showToast(message, options = {}) {
+  const toast = document.getElementById('toast');
+  if (!toast) return;
+
+  const { actionLabel, onAction, duration = DEFAULT_DURATION } = options;
+
+  toast.textContent = '';
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+
+  if (actionLabel && onAction) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'toast-action';
+    button.textContent = actionLabel;
+    button.addEventListener('click', () => {
+      hideToast();
+      onAction();
+    });
+    toast.appendChild(button);
+  }
+
+  toast.classList.add('show');
+
+  clearTimeout(hideTimeout);
+  hideTimeout = setTimeout(hideToast, duration);
+}
+
+/**
+ * Hide the toast
+ */
+export function hideToast() {
+  clearTimeout(hideTimeout);
+  document.getElementById('toast')?.classList.remove('show');
+}
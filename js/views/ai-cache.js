@@ -0,0 +1,57 @@
+/**
+ * AI Result Cache (settings modal section)
+ */
+
+import { getAiCacheStats, clearAiCache } from '../storage.js';
+
+/**
+ * Initialize the cache controls
+ */
+export function initAiCacheSection() {
+  document.getElementById('clear-ai-cache-btn')?.addEventListener('click', handleClear);
+}
+
+/**
+ * Show the size and hit rate of the cache (called when the settings modal opens)
+ * @returns {Promise<void>}
+ */
+export async function renderAiCacheSection() {
+  try {
+    const { entries, bytes, hits, misses } = await getAiCacheStats();
+    const lookups = hits + misses;
+    const hitRate = lookups ? `${Math.round(hits / lookups * 100)}% of ${lookups} lookup${lookups === 1 ? '' : 's'} answered from the cache` : 'Not used yet';
+    updateAiCacheStatus('', `${entries} saved result${entries === 1 ? '' : 's'} (${Math.ceil(bytes / 1024)} KB). ${hitRate}.`);
+  } catch (error) {
+    console.error('Error loading AI cache statistics:', error);
+    updateAiCacheStatus('error', 'Could not read the cache.');
+  }
+}
+
+/**
+ * Remove every saved result
+ */
+async function handleClear() {
+  try {
+    await clearAiCache();
+    await renderAiCacheSection();
+  } catch (error) {
+    console.error('Error clearing AI cache:', error);
+    updateAiCacheStatus('error', 'Clearing the cache failed. Please try again.');
+  }
+}
+
+/**
+ * Update cache status display
+ * @param {string} status - Status type: '', 'loading', 'success', 'error'
+ * @param {string} message - Status message
+ */
+function updateAiCacheStatus(status, message) {
+  const statusEl = document.getElementById('ai-cache-status');
+  if (!statusEl) return;
+
+  statusEl.className = 'api-key-status';
+  if (status) {
+    statusEl.classList.add(`status-${status}`);
+  }
+  statusEl.textContent = message;
+}
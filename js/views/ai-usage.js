@@ -0,0 +1,138 @@
+/**
+ * AI Usage (settings modal section)
+ */
+
+import { getAiCalls, getAiUsageSettings, setAiUsageSettings } from '../storage.js';
+import { getMonthStart, summarizeAiUsage, isAiBudgetReached } from '../usage.js';
+
+const PRICE_INPUTS = {
+  inputPricePerMillion: 'ai-input-price-input',
+  outputPricePerMillion: 'ai-output-price-input',
+  monthlyBudget: 'ai-budget-input'
+};
+
+/**
+ * Initialize the price and budget inputs
+ */
+export function initAiUsageSection() {
+  Object.values(PRICE_INPUTS).forEach(id => {
+    document.getElementById(id)?.addEventListener('change', handleSettingsChange);
+  });
+}
+
+/**
+ * Fill in the prices and show the totals (called when the settings modal opens)
+ * @returns {Promise<void>}
+ */
+export async function renderAiUsageSection() {
+  const usageSettings = getAiUsageSettings();
+  Object.entries(PRICE_INPUTS).forEach(([field, id]) => {
+    const input = document.getElementById(id);
+    if (input) input.value = usageSettings[field] ?? '';
+  });
+
+  await renderUsageSummary();
+}
+
+/**
+ * Save the prices and budget, and recalculate the costs with them
+ */
+async function handleSettingsChange() {
+  const usage = {};
+  Object.entries(PRICE_INPUTS).forEach(([field, id]) => {
+    const value = document.getElementById(id)?.value.trim();
+    usage[field] = value ? parseFloat(value) : null;
+  });
+  setAiUsageSettings(usage);
+
+  await renderUsageSummary();
+}
+
+/**
+ * Show the totals of today and this month
+ * @returns {Promise<void>}
+ */
+async function renderUsageSummary() {
+  const container = document.getElementById('ai-usage-summary');
+  if (!container) return;
+
+  const { monthlyBudget, ...prices } = getAiUsageSettings();
+
+  let usage;
+  try {
+    usage = summarizeAiUsage(await getAiCalls(getMonthStart()), prices);
+  } catch (error) {
+    console.error('Error loading AI usage:', error);
+    updateAiUsageStatus('error', 'Could not read the AI usage.');
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="usage-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>Requests</th>
+          <th>Tokens in / out</th>
+          <th>Avg. time</th>
+          <th>Est. cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${[['Today', usage.today], ['This month', usage.month]].map(([label, totals]) => `
+          <tr>
+            <th scope="row">${label}</th>
+            <td>${totals.calls}${totals.failed ? ` <span class="muted">(${totals.failed} failed)</span>` : ''}</td>
+            <td>${formatTokens(totals.inputTokens)} / ${formatTokens(totals.outputTokens)}</td>
+            <td>${totals.averageLatencyMs === null ? '—' : `${(totals.averageLatencyMs / 1000).toFixed(1)} s`}</td>
+            <td>${totals.cost === null ? '—' : formatCost(totals.cost)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  if (isAiBudgetReached(usage.month.cost, monthlyBudget)) {
+    updateAiUsageStatus('error', `The budget of ${formatCost(monthlyBudget)} is used up. AI requests are blocked until next month.`);
+  } else if (monthlyBudget !== null && usage.month.cost !== null) {
+    updateAiUsageStatus('', `${formatCost(usage.month.cost)} of the ${formatCost(monthlyBudget)} budget used this month.`);
+  } else if (monthlyBudget !== null) {
+    updateAiUsageStatus('error', 'Enter the token prices, the budget cannot be checked without them.');
+  } else {
+    updateAiUsageStatus('', '');
+  }
+}
+
+/**
+ * Format a token count
+ * @param {number} tokens - Token count
+ * @returns {string} e.g. "12,345"
+ */
+function formatTokens(tokens) {
+  return tokens.toLocaleString('en-US');
+}
+
+/**
+ * Format an amount in US dollars
+ * @param {number} amount - The amount
+ * @returns {string} e.g. "$1.23", or "$0.0012" for amounts under a cent
+ */
+function formatCost(amount) {
+  return `$${amount > 0 && amount < 0.01 ? amount.toPrecision(2) : amount.toFixed(2)}`;
+}
+
+/**
+ * Update usage status display
+ * @param {string} status - Status type: '', 'loading', 'success', 'error'
+ * @param {string} message - Status message
+ */
+function updateAiUsageStatus(status, message) {
+  const statusEl = document.getElementById('ai-usage-status');
+  if (!statusEl) return;
+
+  statusEl.className = 'api-key-status';
+  if (status) {
+    statusEl.classList.add(`status-${status}`);
+  }
+  statusEl.textContent = message;
+}
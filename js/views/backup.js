@@ -0,0 +1,109 @@
+/**
+ * Backup & Restore (settings modal section)
+ */
+
+import { createBackup, restoreBackup } from '../storage.js';
+
+let onRestoredCallback = null;
+
+/**
+ * Initialize the backup & restore controls
+ * @param {Function} onRestored - Callback after data has been imported
+ */
+export function initBackupSection(onRestored) {
+  onRestoredCallback = onRestored;
+
+  const importInput = document.getElementById('import-data-input');
+
+  document.getElementById('export-data-btn')?.addEventListener('click', handleExport);
+  document.getElementById('import-data-btn')?.addEventListener('click', () => importInput?.click());
+  importInput?.addEventListener('change', handleImportFile);
+}
+
+/**
+ * Reset the status line (called when the settings modal opens)
+ */
+export function resetBackupStatus() {
+  updateBackupStatus('', '');
+}
+
+/**
+ * Download all data as a backup archive
+ */
+async function handleExport() {
+  updateBackupStatus('loading', 'Preparing backup...');
+
+  try {
+    const archive = await createBackup();
+    const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `seenons-waste-scan-backup-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    const count = archive.scans.length;
+    updateBackupStatus('success', `Exported ${count} scan${count === 1 ? '' : 's'}`);
+  } catch (error) {
+    console.error('Backup export failed:', error);
+    updateBackupStatus('error', 'Export failed. Please try again.');
+  }
+}
+
+/**
+ * Import a backup archive chosen by the user
+ * @param {Event} e - The file input change event
+ */
+async function handleImportFile(e) {
+  const file = e.target.files?.[0];
+
+  // Reset input so same file can be selected again
+  e.target.value = '';
+
+  if (!file) return;
+
+  const mode = document.querySelector('input[name="import-mode"]:checked')?.value || 'merge';
+
+  if (mode === 'replace' && !confirm('Replace all existing scans with the backup? Scans not in the backup will be lost.')) {
+    return;
+  }
+
+  updateBackupStatus('loading', 'Importing backup...');
+
+  let archive;
+  try {
+    archive = JSON.parse(await file.text());
+  } catch {
+    updateBackupStatus('error', 'This file is not valid JSON.');
+    return;
+  }
+
+  try {
+    const { added, updated, skipped } = await restoreBackup(archive, mode);
+    updateBackupStatus('success', `Imported: ${added} added, ${updated} updated, ${skipped} unchanged`);
+    if (onRestoredCallback) onRestoredCallback();
+  } catch (error) {
+    console.error('Backup import failed:', error);
+    updateBackupStatus('error', error.message);
+  }
+}
+
+/**
+ * Update backup status display
+ * @param {string} status - Status type: '', 'loading', 'success', 'error'
+ * @param {string} message - Status message
+ */
+function updateBackupStatus(status, message) {
+  const statusEl = document.getElementById('backup-status');
+  if (!statusEl) return;
+
+  statusEl.className = 'api-key-status';
+  if (status) {
+    statusEl.classList.add(`status-${status}`);
+  }
+  statusEl.textContent = message;
+}
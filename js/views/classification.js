@@ -2,12 +2,21 @@
  * Waste Classification View
  */
 
-import { getApiKey, hasApiKey } from '../storage.js';
+import { getAiSettings, getCachedAiResult, putCachedAiResult, checkAiBudget, recordAiCall } from '../storage.js';
 import { processImage } from '../utils/image.js';
-import { classifyWasteImage } from '../api/gemini.js';
+import { formatDateTime } from '../utils/format.js';
+import { classifyWasteImage, getClassificationCacheKey, isAiConfigured } from '../api/ai.js';
+import { RequestCancelledError } from '../api/request.js';
+
+const CONFIDENCE_LABELS = {
+  low: 'Not sure',
+  medium: 'Fairly sure',
+  high: 'Sure'
+};
 
 let classificationPhoto = null;
 let isClassifying = false;
+let classificationController = null;
 
 /**
  * Initialize the classification modal
@@ -21,6 +30,7 @@ export function initClassificationModal() {
   const photoCaptureBtn = document.getElementById('classification-photo-capture-btn');
   const photoRemoveBtn = document.getElementById('classification-photo-remove-btn');
   const classifyBtn = document.getElementById('classify-btn');
+  const cancelBtn = document.getElementById('classify-cancel-btn');
   const locationInput = document.getElementById('classification-location');
   
   // Open modal - use event delegation as backup
@@ -58,7 +68,9 @@ export function initClassificationModal() {
   locationInput?.addEventListener('input', handleLocationChange);
   
   // Classify button
-  classifyBtn?.addEventListener('click', handleClassify);
+  classifyBtn?.addEventListener('click', () => handleClassify());
+  document.getElementById('classification-refresh-btn')?.addEventListener('click', () => handleClassify({ fresh: true }));
+  cancelBtn?.addEventListener('click', () => classificationController?.abort());
   
   // Handle escape key
   document.addEventListener('keydown', (e) => {
@@ -75,9 +87,9 @@ function openClassification() {
   const modal = document.getElementById('classification-modal');
   if (!modal) return;
   
-  // Check if API key is configured
-  if (!hasApiKey()) {
-    alert('Please configure your Gemini API key in Settings first.');
+  // Check if an AI provider is configured
+  if (!isAiConfigured(getAiSettings())) {
+    alert('Please set up AI analysis in Settings first.');
     return;
   }
   
@@ -109,7 +121,8 @@ function closeClassification() {
   modal.classList.remove('open');
   document.body.style.overflow = '';
   
-  // Reset state
+  // Reset state; a running classification is no longer wanted
+  classificationController?.abort();
   classificationPhoto = null;
   isClassifying = false;
 }
@@ -199,8 +212,9 @@ function handleLocationChange() {
 
 /**
  * Handle classify button click
+ * @param {{fresh: boolean}} [options] - Skip the cached result and ask the AI again
  */
-async function handleClassify() {
+async function handleClassify({ fresh = false } = {}) {
   if (isClassifying) return;
   
   const locationInput = document.getElementById('classification-location');
@@ -216,18 +230,22 @@ async function handleClassify() {
     return;
   }
   
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    alert('Please configure your Gemini API key in Settings first.');
+  const aiSettings = getAiSettings();
+  if (!isAiConfigured(aiSettings)) {
+    alert('Please set up AI analysis in Settings first.');
     return;
   }
   
   const classifyBtn = document.getElementById('classify-btn');
+  const cancelBtn = document.getElementById('classify-cancel-btn');
   const resultDiv = document.getElementById('classification-result');
   const contentDiv = document.getElementById('classification-content');
+  const cachedNote = document.getElementById('classification-cached');
   
   try {
     isClassifying = true;
+    classificationController = new AbortController();
+    if (cancelBtn) cancelBtn.style.display = 'inline-flex';
     updateClassifyButton();
     
     if (classifyBtn) {
@@ -244,6 +262,9 @@ async function handleClassify() {
     if (resultDiv) {
       resultDiv.style.display = 'block';
     }
+    if (cachedNote) {
+      cachedNote.style.display = 'none';
+    }
     if (contentDiv) {
       contentDiv.innerHTML = `
         <div class="classification-loading">
@@ -255,15 +276,21 @@ async function handleClassify() {
       `;
     }
     
-    const result = await classifyWasteImage(apiKey, classificationPhoto.dataUrl, location);
+    const { result, cachedAt } = await classifyWithCache(aiSettings, classificationPhoto.dataUrl, location, {
+      fresh,
+      signal: classificationController.signal
+    });
     
-    // Display results as markdown
+    // Display the result card
     if (resultDiv && contentDiv) {
-      const markdownHtml = convertMarkdownToHtml(result.markdown || '');
-      
-      contentDiv.innerHTML = markdownHtml;
+      contentDiv.innerHTML = renderClassificationCard(result);
       resultDiv.style.display = 'block';
       
+      if (cachedNote && cachedAt) {
+        document.getElementById('classification-cached-time').textContent = formatDateTime(cachedAt);
+        cachedNote.style.display = 'flex';
+      }
+      
       // Scroll to results
       setTimeout(() => {
         resultDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
@@ -271,10 +298,16 @@ async function handleClassify() {
     }
     
   } catch (error) {
+    if (error instanceof RequestCancelledError) {
+      if (resultDiv) resultDiv.style.display = 'none';
+      return;
+    }
     console.error('Classification failed:', error);
     alert(`Classification failed: ${error.message}`);
   } finally {
     isClassifying = false;
+    classificationController = null;
+    if (cancelBtn) cancelBtn.style.display = 'none';
     updateClassifyButton();
     
     if (classifyBtn) {
@@ -290,26 +323,95 @@ async function handleClassify() {
 }
 
 /**
- * Convert simple markdown to HTML
- * @param {string} markdown - Markdown text
- * @returns {string} HTML
+ * Classify a photo, reusing the cached result for the same photo and location unless a fresh one is wanted
+ * @param {Object} aiSettings - AI settings
+ * @param {string} imageDataUrl - The photo
+ * @param {string} location - Town or region
+ * @param {{fresh: boolean, signal: AbortSignal}} options - Whether to skip the cache, and a signal to cancel
+ * @returns {Promise<{result: Object, cachedAt: string|null}>} The result, and when it was cached if it came from the cache
  */
-function convertMarkdownToHtml(markdown) {
-  if (!markdown) return '';
-  
-  // First escape all HTML to prevent XSS
-  const div = document.createElement('div');
-  div.textContent = markdown;
-  let html = div.innerHTML;
-  
-  // Convert **bold** to <strong> (after escaping)
-  html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-  
-  // Convert line breaks to <br>
-  html = html.replace(/\n/g, '<br>');
+async function classifyWithCache(aiSettings, imageDataUrl, location, { fresh, signal }) {
+  let cacheKey = null;
+  try {
+    cacheKey = await getClassificationCacheKey(aiSettings, imageDataUrl, location);
+    const cached = fresh ? null : await getCachedAiResult(cacheKey);
+    if (cached) {
+      return { result: cached.result, cachedAt: cached.createdAt };
+    }
+  } catch (error) {
+    console.error('Error reading the AI result cache:', error);
+  }
   
-  // Wrap in a div for styling
-  return `<div class="classification-markdown">${html}</div>`;
+  await checkAiBudget();
+  const result = await classifyWasteImage(aiSettings, imageDataUrl, location, {
+    signal,
+    onCall: call => recordAiCall(call).catch(error => console.error('Error recording AI usage:', error))
+  });
+  if (cacheKey) {
+    putCachedAiResult(cacheKey, 'classification', result)
+      .catch(error => console.error('Error caching the AI result:', error));
+  }
+  return { result, cachedAt: null };
+}
+
+/**
+ * Render a classification as a result card
+ * @param {Object} result - The classification, see classifyWasteImage()
+ * @returns {string} HTML
+ */
+function renderClassificationCard(result) {
+  return `
+    <div class="classification-card">
+      <div class="classification-bin">
+        ${renderBinSwatch(result.binColor)}
+        <div class="classification-bin-text">
+          <span class="classification-bin-label">Bin</span>
+          <strong class="classification-bin-name">${escapeHtml(result.binName)}</strong>
+        </div>
+        ${result.confidence ? `<span class="classification-confidence confidence-${result.confidence}">${CONFIDENCE_LABELS[result.confidence]}</span>` : ''}
+      </div>
+      
+      ${result.reason ? `
+        <div class="classification-section">
+          <h4>Why</h4>
+          <p>${escapeHtml(result.reason)}</p>
+        </div>
+      ` : ''}
+      
+      ${result.reductionTip ? `
+        <div class="classification-section">
+          <h4>Reduce impact</h4>
+          <p>${escapeHtml(result.reductionTip)}</p>
+        </div>
+      ` : ''}
+      
+      ${result.alternatives.length > 0 ? `
+        <div class="classification-section">
+          <h4>Also possible</h4>
+          <ul class="classification-alternatives">
+            ${result.alternatives.map(alternative => `
+              <li>
+                ${renderBinSwatch(alternative.binColor)}
+                <div>
+                  <strong>${escapeHtml(alternative.binName)}</strong>
+                  ${alternative.reason ? `<p>${escapeHtml(alternative.reason)}</p>` : ''}
+                </div>
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render the colour of a bin
+ * @param {string|null} color - One of BIN_COLORS, or null if unknown
+ * @returns {string} HTML
+ */
+function renderBinSwatch(color) {
+  return `<span class="bin-swatch${color ? ` bin-color-${color}` : ''}" title="${color ? `${color[0].toUpperCase()}${color.slice(1)} bin` : 'Colour unknown'}"></span>`;
 }
 
 /**
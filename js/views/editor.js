@@ -2,17 +2,44 @@
  * Scan Editor View
  */
 
-import { getScanById, createScan, updateScan, createEmptyScan, STREAM_PRESETS, getApiKey, hasApiKey } from '../storage.js';
-import { generateUUID } from '../utils/uuid.js';
+import { getScanById, createScan, updateScan, createEmptyScan, createEmptyStream, getScanRevisions, restoreScanRevision, getAllSites, getStreamTypes, CONTAMINATION_LEVELS, CONTAINER_TYPES, getAiSettings, getCachedAiResult, putCachedAiResult, checkAiBudget, recordAiCall, getDraft, saveDraft, deleteDraft } from '../storage.js';
+import { REVISION_SOURCES, getFieldLabel, diffStreamWeights } from '../revisions.js';
+import { applyStreamType, mapDetectedStreams } from '../taxonomy.js';
+import { getStaleReason, isRenamedOnlySince } from '../conflicts.js';
+import { buildReviewRows, applyReviewDecisions } from '../review.js';
+import { getScanContent, hasUnsavedChanges } from '../drafts.js';
+import { createUndoHistory, recordUndoStep, undoStep, redoStep } from '../undo.js';
+import { FILL_LEVELS, getBulkDensity, calculateVolumeLiters, convertVolumeToKg } from '../volume.js';
+import { createWeighing, getNetKg, summarizeWeighings, describeWeighings } from '../weighing.js';
+import { getContaminationPct, calculateSeparationPotential } from '../contamination.js';
+import { isLockingNow } from '../lock.js';
 import { processImage } from '../utils/image.js';
-import { formatKg, formatPercent, formatDateTimeLocal, parseNumber } from '../utils/format.js';
+import { generateUUID } from '../utils/uuid.js';
+import { formatKg, formatPercent, formatDateTime, formatDateTimeLocal, parseNumber } from '../utils/format.js';
+import { showToast } from '../utils/toast.js';
 import { generateReportHtml } from '../report/export.js';
-import { analyzeWasteImage } from '../api/gemini.js';
+import { analyzeWasteImage, getAnalysisCacheKey, isAiConfigured, MAX_ANALYSIS_PHOTOS } from '../api/ai.js';
+import { RequestCancelledError } from '../api/request.js';
+import { openAnalysisReview, closeAnalysisReview } from './review.js';
 
 let currentScan = null;
 let isNewScan = true;
 let onBackCallback = null;
 let isAnalyzing = false;
+let analysisController = null;
+let expandedStreamIds = new Set();
+let unmappedStreamIds = new Set();
+let revisionSource = 'manual';
+let expandedRevisionId = null;
+let sites = [];
+let streamTypes = [];
+
+// Unsaved changes are kept as a draft shortly after each edit
+const DRAFT_SAVE_DELAY = 500;
+let draftId = null;
+let draftTimer = null;
+let savedContent = null;
+let undoHistory = createUndoHistory();
 
 /**
  * Initialize the editor view
@@ -33,6 +60,13 @@ export function initEditorView(onBack) {
   document.getElementById('download-btn')?.addEventListener('click', handleDownload);
   document.getElementById('download-btn-mobile')?.addEventListener('click', handleDownload);
   
+  // Undo and redo buttons
+  document.getElementById('undo-btn')?.addEventListener('click', handleUndo);
+  document.getElementById('undo-btn-mobile')?.addEventListener('click', handleUndo);
+  document.getElementById('redo-btn')?.addEventListener('click', handleRedo);
+  document.getElementById('redo-btn-mobile')?.addEventListener('click', handleRedo);
+  document.addEventListener('keydown', handleUndoShortcut);
+  
   // Print button
   document.getElementById('print-btn')?.addEventListener('click', handlePrint);
   document.getElementById('print-btn-mobile')?.addEventListener('click', handlePrint);
@@ -43,40 +77,431 @@ export function initEditorView(onBack) {
   
   // Photo buttons
   document.getElementById('photo-capture-btn')?.addEventListener('click', () => photoInput?.click());
-  document.getElementById('photo-remove-btn')?.addEventListener('click', handlePhotoRemove);
+  
+  // Photo gallery - event delegation, photos are re-rendered
+  document.getElementById('photo-gallery')?.addEventListener('click', handleGalleryClick);
+  document.getElementById('photo-gallery')?.addEventListener('input', handleCaptionInput);
+  document.getElementById('analyze-cancel-btn')?.addEventListener('click', () => analysisController?.abort());
   
   // Form inputs - live update
+  document.getElementById('scan-site')?.addEventListener('change', handleSiteChange);
   document.getElementById('scan-location')?.addEventListener('input', handleInputChange);
   document.getElementById('scan-datetime')?.addEventListener('input', handleInputChange);
   document.getElementById('scan-notes')?.addEventListener('input', handleInputChange);
   document.getElementById('total-weight')?.addEventListener('input', handleTotalWeightChange);
+  document.getElementById('total-gross-btn')?.addEventListener('click', handleToggleGrossWeighing);
   
   // Add stream button
   document.getElementById('add-stream-btn')?.addEventListener('click', handleAddStream);
   
   // AI Analyze button
-  document.getElementById('analyze-btn')?.addEventListener('click', handleAnalyze);
+  document.getElementById('analyze-btn')?.addEventListener('click', () => handleAnalyze());
+  
+  // Revision history - event delegation, entries are re-rendered
+  document.getElementById('history-list')?.addEventListener('click', handleHistoryClick);
+  
+  // Changed elsewhere banner
+  document.getElementById('editor-stale-reload-btn')?.addEventListener('click', handleLoadLatest);
+  document.getElementById('editor-stale-dismiss-btn')?.addEventListener('click', hideStaleBanner);
+  
+  // Restored draft banner
+  document.getElementById('editor-draft-discard-btn')?.addEventListener('click', handleDiscardDraft);
+  
+  // Closing or reloading the tab
+  window.addEventListener('beforeunload', handleBeforeUnload);
 }
 
 /**
  * Load a scan into the editor
+ * A draft of the scan left from an earlier visit is restored.
  * @param {string|null} scanId - The scan ID to edit, or null for new scan
+ * @param {string} [newDraftId] - For a new scan, the ID of its draft
+ * @returns {Promise<void>}
  */
-export function loadScan(scanId) {
+export async function loadScan(scanId, newDraftId) {
+  hideStaleBanner();
+  hideDraftBanner();
+  clearTimeout(draftTimer);
+  
   if (scanId) {
-    currentScan = getScanById(scanId);
+    try {
+      currentScan = await getScanById(scanId);
+    } catch (error) {
+      console.error('Error loading scan:', error);
+      currentScan = null;
+    }
     if (!currentScan) {
       alert('Scan not found');
       if (onBackCallback) onBackCallback();
       return;
     }
+    if (currentScan.deletedAt) {
+      alert('This scan is in the trash. Restore it first to edit it.');
+      currentScan = null;
+      if (onBackCallback) onBackCallback();
+      return;
+    }
     isNewScan = false;
   } else {
     currentScan = createEmptyScan();
     isNewScan = true;
   }
   
+  draftId = scanId || newDraftId || generateUUID();
+  savedContent = getScanContent(currentScan);
+  
+  let draft = null;
+  try {
+    draft = await getDraft(draftId);
+  } catch (error) {
+    console.error('Error loading draft:', error);
+  }
+  if (draft) {
+    currentScan = draft.scan;
+    showDraftBanner(draft.savedAt);
+  }
+  
+  revisionSource = 'manual';
+  expandedRevisionId = null;
+  undoHistory = createUndoHistory();
+  
+  // Archived types are kept so that older scans still show them
+  try {
+    streamTypes = await getStreamTypes({ includeArchived: true });
+  } catch (error) {
+    console.error('Error loading stream types:', error);
+    streamTypes = [];
+  }
+  
+  // Show details for streams that already have some filled in
+  expandedStreamIds = new Set(
+    currentScan.streams.filter(hasStreamDetails).map(stream => stream.id)
+  );
+  unmappedStreamIds = new Set();
+  
+  renderEditor();
+}
+
+/**
+ * Reload the stream taxonomy after it was edited in settings
+ * Streams linked to a renamed type pick up the new name.
+ * @returns {Promise<void>}
+ */
+export async function refreshStreamTypes() {
+  try {
+    streamTypes = await getStreamTypes({ includeArchived: true });
+  } catch (error) {
+    console.error('Error loading stream types:', error);
+    return;
+  }
+  
+  if (!currentScan) return;
+  
+  currentScan.streams = currentScan.streams.map(stream => {
+    const type = getStreamType(stream);
+    return type ? { ...stream, name: type.name } : stream;
+  });
+  renderStreams();
+  updateSummary();
+  
+  await adoptRenamedVersion();
+}
+
+/**
+ * Take over the stored version of the open scan if only renames changed it
+ * The renamed stream names are already applied, so saving is not a conflict.
+ * @returns {Promise<void>}
+ */
+async function adoptRenamedVersion() {
+  if (!currentScan || isNewScan) return;
+  
+  const { id: scanId, updatedAt } = currentScan;
+  let latest;
+  let revisions;
+  try {
+    [latest, revisions] = await Promise.all([getScanById(scanId), getScanRevisions(scanId)]);
+  } catch (error) {
+    console.error('Error checking for renamed streams:', error);
+    return;
+  }
+  
+  // Another scan was opened or this one was saved meanwhile
+  if (currentScan?.id !== scanId || currentScan.updatedAt !== updatedAt) return;
+  
+  if (getStaleReason(latest, updatedAt) === 'changed' && isRenamedOnlySince(revisions, updatedAt)) {
+    currentScan.updatedAt = latest.updatedAt;
+  }
+}
+
+/**
+ * Check whether the open scan was changed elsewhere, e.g. in another tab or by a sync
+ * Unsaved edits are kept; a banner offers to load the latest version instead.
+ * @returns {Promise<void>}
+ */
+export async function checkForExternalChange() {
+  if (!currentScan || isNewScan) return;
+  
+  const scanId = currentScan.id;
+  let latest;
+  try {
+    latest = await getScanById(scanId);
+  } catch (error) {
+    console.error('Error checking for changes:', error);
+    return;
+  }
+  
+  // Another scan was opened meanwhile
+  if (currentScan?.id !== scanId) return;
+  
+  const reason = getStaleReason(latest, currentScan.updatedAt);
+  if (reason === 'deleted') {
+    showStaleBanner('This scan was permanently deleted elsewhere. It can no longer be saved.', false);
+  } else if (reason === 'trashed') {
+    showStaleBanner('This scan was moved to the trash elsewhere.', false);
+  } else if (reason === 'changed') {
+    let revisions = [];
+    try {
+      revisions = await getScanRevisions(scanId);
+    } catch (error) {
+      console.error('Error loading revisions:', error);
+    }
+    if (currentScan?.id !== scanId) return;
+    
+    if (isRenamedOnlySince(revisions, currentScan.updatedAt)) {
+      await refreshStreamTypes();
+    } else {
+      showStaleBanner('This scan was changed in another tab or on another device.', true);
+    }
+  }
+}
+
+/**
+ * Show the banner warning that the scan was changed elsewhere
+ * @param {string} message - What happened
+ * @param {boolean} canReload - Whether a newer version can be loaded
+ */
+function showStaleBanner(message, canReload) {
+  const banner = document.getElementById('editor-stale-banner');
+  const text = document.getElementById('editor-stale-text');
+  const reloadBtn = document.getElementById('editor-stale-reload-btn');
+  if (!banner) return;
+  
+  if (text) text.textContent = message;
+  if (reloadBtn) reloadBtn.style.display = canReload ? 'inline-flex' : 'none';
+  banner.style.display = 'flex';
+}
+
+/**
+ * Hide the changed elsewhere banner
+ */
+function hideStaleBanner() {
+  const banner = document.getElementById('editor-stale-banner');
+  if (banner) banner.style.display = 'none';
+}
+
+/**
+ * Replace the form with the stored version of the scan, dropping unsaved edits
+ * @returns {Promise<void>}
+ */
+async function handleLoadLatest() {
+  if (currentScan?.id) {
+    await discardDraft();
+    loadScan(currentScan.id);
+  }
+}
+
+/**
+ * Show the banner telling that unsaved changes were restored
+ * @param {string} savedAt - When the draft was saved
+ */
+function showDraftBanner(savedAt) {
+  const banner = document.getElementById('editor-draft-banner');
+  const text = document.getElementById('editor-draft-text');
+  if (!banner) return;
+  
+  if (text) text.textContent = `Unsaved changes from ${formatDateTime(savedAt)} were restored.`;
+  banner.style.display = 'flex';
+}
+
+/**
+ * Hide the restored draft banner
+ */
+function hideDraftBanner() {
+  const banner = document.getElementById('editor-draft-banner');
+  if (banner) banner.style.display = 'none';
+}
+
+/**
+ * Drop the restored changes and go back to the saved scan, or to an empty one
+ * @returns {Promise<void>}
+ */
+async function handleDiscardDraft() {
+  if (!confirm('Discard the unsaved changes?')) {
+    return;
+  }
+  
+  await discardDraft();
+  loadScan(isNewScan ? null : currentScan.id, draftId);
+}
+
+/**
+ * Check whether the editor holds changes that are not saved
+ * @returns {boolean} True if the open scan was changed since it was loaded or saved
+ */
+export function hasEditorChanges() {
+  return !!currentScan && hasUnsavedChanges(savedContent, currentScan);
+}
+
+/**
+ * Ask before leaving the editor with unsaved changes, and close the scan when leaving
+ * The changes stay available as a draft.
+ * @returns {boolean} True if the editor may be left
+ */
+export function confirmLeaveEditor() {
+  if (hasEditorChanges() && !confirm('This scan has unsaved changes. Leave the editor anyway? The changes are kept as a draft on this device.')) {
+    return false;
+  }
+  
+  if (currentScan) {
+    saveDraftNow();
+  }
+  leaveEditor();
+  return true;
+}
+
+/**
+ * Keep the changes as a draft once editing pauses
+ */
+function scheduleDraftSave() {
+  clearTimeout(draftTimer);
+  draftTimer = setTimeout(saveDraftNow, DRAFT_SAVE_DELAY);
+}
+
+/**
+ * Store the unsaved changes as a draft now, or remove the draft when there are none
+ * @returns {Promise<void>}
+ */
+async function saveDraftNow() {
+  clearTimeout(draftTimer);
+  draftTimer = null;
+  if (!currentScan) return;
+  
+  // Taken before waiting, as the scan may be closed meanwhile
+  const draft = { id: draftId, scanId: isNewScan ? null : currentScan.id, scan: currentScan };
+  try {
+    if (hasEditorChanges()) {
+      await saveDraft(draft);
+    } else {
+      await deleteDraft(draft.id);
+    }
+  } catch (error) {
+    console.error('Error saving draft:', error);
+  }
+}
+
+/**
+ * Remove the draft of the open scan
+ * @returns {Promise<void>}
+ */
+async function discardDraft() {
+  clearTimeout(draftTimer);
+  hideDraftBanner();
+  try {
+    await deleteDraft(draftId);
+  } catch (error) {
+    console.error('Error removing draft:', error);
+  }
+}
+
+/**
+ * Warn before the tab is closed or reloaded with unsaved changes
+ * @param {BeforeUnloadEvent} e
+ */
+function handleBeforeUnload(e) {
+  if (!hasEditorChanges()) return;
+  
+  // Waiting for the last edits could lose them
+  saveDraftNow();
+  if (isLockingNow()) return;
+  
+  e.preventDefault();
+  e.returnValue = '';
+}
+
+/**
+ * Remember the scan before an edit, so the edit can be undone
+ * @param {string|null} [key] - What is edited; quick edits with the same key are undone together
+ */
+function recordUndo(key = null) {
+  undoHistory = recordUndoStep(undoHistory, currentScan, key);
+  renderUndoButtons();
+}
+
+/**
+ * Undo the last edit
+ */
+function handleUndo() {
+  applyUndoStep(undoStep(undoHistory, currentScan));
+}
+
+/**
+ * Redo the last undone edit
+ */
+function handleRedo() {
+  applyUndoStep(redoStep(undoHistory, currentScan));
+}
+
+/**
+ * Show the scan of an undo or redo step
+ * @param {{history: Object, scan: Object}|null} step - The step, or null if there was nothing to do
+ */
+function applyUndoStep(step) {
+  if (!step || !currentScan) return;
+  
+  undoHistory = step.history;
+  currentScan = step.scan;
+  expandedStreamIds = new Set([
+    ...[...expandedStreamIds].filter(id => currentScan.streams.some(stream => stream.id === id)),
+    ...currentScan.streams.filter(hasStreamDetails).map(stream => stream.id)
+  ]);
   renderEditor();
+  scheduleDraftSave();
+}
+
+/**
+ * Undo with Ctrl+Z, redo with Ctrl+Shift+Z or Ctrl+Y (Cmd on a Mac)
+ * Edits in the form are undone by the editor rather than per input.
+ * @param {KeyboardEvent} e
+ */
+function handleUndoShortcut(e) {
+  if (!currentScan || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (document.querySelector('.modal.open')) return;
+  
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    handleUndo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    handleRedo();
+  }
+}
+
+/**
+ * Enable the undo and redo buttons when there is something to undo or redo
+ */
+function renderUndoButtons() {
+  const canUndo = undoHistory.past.length > 0;
+  const canRedo = undoHistory.future.length > 0;
+  
+  ['undo-btn', 'undo-btn-mobile'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !canUndo;
+  });
+  ['redo-btn', 'redo-btn-mobile'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !canRedo;
+  });
 }
 
 /**
@@ -95,9 +520,14 @@ function renderEditor() {
   if (datetimeInput) datetimeInput.value = formatDateTimeLocal(currentScan.createdAt);
   if (notesInput) notesInput.value = currentScan.notes || '';
   if (totalWeightInput) totalWeightInput.value = currentScan.totalResidualKg || '';
+  renderTotalWeightSource();
+  renderTotalWeighings();
   
-  // Update photo preview
-  renderPhotoPreview();
+  // Update site picker
+  renderSitePicker();
+  
+  // Update photo gallery
+  renderPhotoGallery();
   
   // Update streams
   renderStreams();
@@ -105,6 +535,12 @@ function renderEditor() {
   // Update summary
   updateSummary();
   
+  // Update revision history
+  renderHistory();
+  
+  // Update undo and redo buttons
+  renderUndoButtons();
+  
   // Update title
   const title = document.getElementById('editor-title');
   if (title) {
@@ -113,36 +549,250 @@ function renderEditor() {
 }
 
 /**
- * Render photo preview
+ * Fill the site picker with the current sites
+ * @returns {Promise<void>}
  */
-function renderPhotoPreview() {
-  const preview = document.getElementById('photo-preview');
+async function renderSitePicker() {
+  const select = document.getElementById('scan-site');
+  if (!select) return;
+  
+  try {
+    sites = await getAllSites();
+  } catch (error) {
+    console.error('Error loading sites:', error);
+    sites = [];
+  }
+  
+  if (!currentScan) return;
+  
+  select.innerHTML = `
+    <option value="">No site</option>
+    ${sites.map(site => `<option value="${site.id}">${escapeHtml(site.name)}${site.client ? ` (${escapeHtml(site.client)})` : ''}</option>`).join('')}
+  `;
+  select.value = sites.some(site => site.id === currentScan.siteId) ? currentScan.siteId : '';
+}
+
+/**
+ * Render the revision history of the current scan
+ * @returns {Promise<void>}
+ */
+async function renderHistory() {
+  const section = document.getElementById('history-section');
+  const container = document.getElementById('history-list');
+  if (!section || !container) return;
+  
+  if (isNewScan || !currentScan?.id) {
+    section.style.display = 'none';
+    return;
+  }
+  
+  const scanId = currentScan.id;
+  let revisions;
+  try {
+    revisions = await getScanRevisions(scanId);
+  } catch (error) {
+    console.error('Error loading revision history:', error);
+    section.style.display = 'none';
+    return;
+  }
+  
+  // Another scan may have been opened in the meantime
+  if (currentScan?.id !== scanId) return;
+  
+  section.style.display = revisions.length > 0 ? 'block' : 'none';
+  
+  container.innerHTML = revisions.map((revision, index) => {
+    const previous = revisions[index + 1];
+    const isExpanded = expandedRevisionId === revision.id;
+    const fields = revision.changes.map(change => getFieldLabel(change.field)).join(', ');
+    
+    return `
+      <div class="history-item ${isExpanded ? 'expanded' : ''}">
+        <div class="history-item-header">
+          <div class="history-item-info">
+            <span class="history-date">${formatDateTime(revision.timestamp)}</span>
+            <span class="history-source history-source-${revision.source}">${REVISION_SOURCES[revision.source] || escapeHtml(revision.source)}</span>
+            <span class="history-fields">${escapeHtml(fields)}</span>
+          </div>
+          <div class="history-actions">
+            <button type="button" class="btn btn-ghost btn-sm" data-action="compare" data-id="${revision.id}">
+              ${isExpanded ? 'Hide' : 'Compare'}
+            </button>
+            ${index === 0
+              ? '<span class="history-current">Current</span>'
+              : `<button type="button" class="btn btn-secondary btn-sm" data-action="restore" data-id="${revision.id}">Restore</button>`}
+          </div>
+        </div>
+        ${isExpanded ? renderRevisionDiff(previous?.snapshot, revision.snapshot) : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render a comparison of stream weights between two revisions
+ * @param {Object|undefined} before - The older snapshot, if any
+ * @param {Object} after - The newer snapshot
+ * @returns {string} HTML
+ */
+function renderRevisionDiff(before, after) {
+  const rows = [
+    ...diffStreamWeights(before?.streams, after.streams),
+    {
+      name: 'Total residual',
+      before: before ? before.totalResidualKg || 0 : null,
+      after: after.totalResidualKg || 0,
+      delta: (after.totalResidualKg || 0) - (before?.totalResidualKg || 0),
+      isTotal: true
+    }
+  ];
+  
+  const formatDelta = (delta) => {
+    if (Math.abs(delta) < 0.05) return '';
+    return `${delta > 0 ? '+' : '−'}${formatKg(Math.abs(delta))}`;
+  };
+  
+  return `
+    <table class="history-diff">
+      <thead>
+        <tr>
+          <th>Stream</th>
+          <th>Before</th>
+          <th>After</th>
+          <th>Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr class="${row.isTotal ? 'history-diff-total' : ''}">
+            <td>${escapeHtml(row.name) || '<span class="muted">Unnamed</span>'}</td>
+            <td>${row.before === null ? '—' : formatKg(row.before)}</td>
+            <td>${row.after === null ? '—' : formatKg(row.after)}</td>
+            <td class="${row.delta > 0 ? 'diff-up' : row.delta < 0 ? 'diff-down' : ''}">${formatDelta(row.delta)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render the photo gallery
+ * Photos are numbered in order, as the AI refers to them by number.
+ */
+function renderPhotoGallery() {
+  const gallery = document.getElementById('photo-gallery');
   const captureBtn = document.getElementById('photo-capture-btn');
-  const removeBtn = document.getElementById('photo-remove-btn');
+  const captureLabel = document.getElementById('photo-capture-label');
   const analyzeBtn = document.getElementById('analyze-btn');
+  const photos = currentScan.photos;
   
-  if (currentScan.photo) {
-    preview.innerHTML = `<img src="${currentScan.photo.dataUrl}" alt="Scan photo">`;
-    preview.classList.add('has-photo');
-    if (captureBtn) captureBtn.textContent = 'Replace Photo';
-    if (removeBtn) removeBtn.style.display = 'inline-flex';
-    if (analyzeBtn) analyzeBtn.style.display = hasApiKey() ? 'inline-flex' : 'none';
+  if (photos.length > 0) {
+    gallery.innerHTML = photos.map((photo, index) => `
+      <figure class="photo-gallery-item">
+        <div class="photo-frame" data-photo-id="${photo.id}">
+          <span class="photo-number">${index + 1}</span>
+          <img src="${photo.dataUrl}" alt="${escapeHtml(photo.caption) || `Scan photo ${index + 1}`}">
+        </div>
+        <input type="text" class="input photo-caption-input" data-index="${index}"
+               value="${escapeHtml(photo.caption)}" placeholder="Caption, e.g. Bag 2 or Container back">
+        <div class="photo-gallery-item-actions">
+          <button type="button" class="btn btn-icon" data-action="move-left" data-index="${index}" title="Move earlier" ${index === 0 ? 'disabled' : ''}>
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="15 18 9 12 15 6"/>
+            </svg>
+          </button>
+          <button type="button" class="btn btn-icon" data-action="move-right" data-index="${index}" title="Move later" ${index === photos.length - 1 ? 'disabled' : ''}>
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="9 18 15 12 9 6"/>
+            </svg>
+          </button>
+          <button type="button" class="btn btn-icon btn-remove-photo" data-action="remove" data-index="${index}" title="Remove photo">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+      </figure>
+    `).join('');
+    gallery.classList.add('has-photo');
+    // The overlays need the image sizes
+    gallery.querySelectorAll('.photo-frame img').forEach(img => {
+      img.addEventListener('load', renderPhotoRegions);
+    });
+    renderPhotoRegions();
+    if (analyzeBtn) analyzeBtn.style.display = isAiConfigured(getAiSettings()) ? 'inline-flex' : 'none';
   } else {
-    preview.innerHTML = `
+    gallery.innerHTML = `
       <div class="photo-placeholder">
         <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
           <rect x="3" y="3" width="18" height="18" rx="2"/>
           <circle cx="8.5" cy="8.5" r="1.5"/>
           <path d="M21 15l-5-5L5 21"/>
         </svg>
-        <span>No photo</span>
+        <span>No photos</span>
       </div>
     `;
-    preview.classList.remove('has-photo');
-    if (captureBtn) captureBtn.textContent = 'Take Photo';
-    if (removeBtn) removeBtn.style.display = 'none';
+    gallery.classList.remove('has-photo');
     if (analyzeBtn) analyzeBtn.style.display = 'none';
   }
+  
+  if (captureLabel) captureLabel.textContent = photos.length > 0 ? 'Add Photo' : 'Take Photo';
+  if (captureBtn) captureBtn.style.display = photos.length < MAX_ANALYSIS_PHOTOS ? 'inline-flex' : 'none';
+}
+
+/**
+ * Draw the image regions of AI-suggested streams over each photo
+ * The overlay is an SVG with the image's own coordinates, scaled the same way
+ * as the image, so the boxes stay on what the model saw at any size.
+ */
+function renderPhotoRegions() {
+  if (!currentScan) return;
+  
+  document.querySelectorAll('#photo-gallery .photo-frame').forEach(frame => {
+    const img = frame.querySelector('img');
+    frame.querySelector('.photo-regions')?.remove();
+    if (!img.naturalWidth) return;
+    
+    const regions = currentScan.streams.flatMap(stream =>
+      (stream.aiRegions || [])
+        .filter(region => region.photoId === frame.dataset.photoId)
+        .map(region => ({ stream, region }))
+    );
+    if (regions.length > 0) {
+      drawPhotoRegions(frame, img, regions);
+    }
+  });
+}
+
+/**
+ * Add the region overlay to one photo
+ * @param {HTMLElement} frame - The photo's frame
+ * @param {HTMLImageElement} img - The loaded photo
+ * @param {Array<{stream: Object, region: Object}>} regions - The regions on this photo
+ */
+function drawPhotoRegions(frame, img, regions) {
+  const width = img.naturalWidth;
+  const height = img.naturalHeight;
+  const fontSize = Math.round(Math.max(width, height) * 0.03);
+  
+  frame.insertAdjacentHTML('beforeend', `
+    <svg class="photo-regions" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img" aria-label="Image regions found by the AI">
+      ${regions.map(({ stream, region }) => {
+        const type = getStreamType(stream);
+        const label = stream.name || 'Unnamed stream';
+        const isLow = stream.aiConfidence === 'low';
+        return `
+          <g class="photo-region ${isLow ? 'photo-region-low' : ''}" style="${type?.color ? `--stream-color: ${type.color}` : ''}">
+            <title>${escapeHtml(label)}${stream.aiConfidence ? ` (${stream.aiConfidence} confidence)` : ''}</title>
+            <rect x="${region.x * width}" y="${region.y * height}" width="${region.width * width}" height="${region.height * height}"/>
+            <text x="${region.x * width + fontSize / 3}" y="${region.y * height + fontSize * 1.1}" font-size="${fontSize}">${escapeHtml(label)}${isLow ? ' ?' : ''}</text>
+          </g>
+        `;
+      }).join('')}
+    </svg>
+  `);
 }
 
 /**
@@ -152,6 +802,9 @@ function renderStreams() {
   const container = document.getElementById('streams-list');
   if (!container) return;
   
+  // Labels and colours of the photo overlay follow the streams
+  renderPhotoRegions();
+  
   if (currentScan.streams.length === 0) {
     container.innerHTML = `
       <div class="streams-empty">
@@ -161,22 +814,33 @@ function renderStreams() {
     return;
   }
   
-  const html = currentScan.streams.map((stream, index) => `
-    <div class="stream-row" data-index="${index}">
+  const html = currentScan.streams.map((stream, index) => {
+    const type = getStreamType(stream);
+    const isUnmapped = unmappedStreamIds.has(stream.id);
+    const isCustom = !type && !!stream.name && !isUnmapped;
+    const isLowConfidence = stream.aiConfidence === 'low';
+    const options = streamTypes.filter(t => !t.archived || t.id === stream.typeId);
+    const isWeighed = stream.weighings?.length > 0;
+    
+    return `
+    <div class="stream-row ${isUnmapped ? 'stream-row-unmapped' : ''} ${isLowConfidence ? 'stream-row-low-confidence' : ''}" data-index="${index}" style="${type?.color ? `--stream-color: ${type.color}` : ''}">
       <div class="stream-name">
         <select class="stream-select" data-index="${index}">
           <option value="">Select stream...</option>
-          ${STREAM_PRESETS.map(preset => 
-            `<option value="${preset}" ${stream.name === preset ? 'selected' : ''}>${preset}</option>`
+          ${options.map(t => 
+            `<option value="${t.id}" ${t.id === stream.typeId ? 'selected' : ''}>${escapeHtml(t.name)}${t.archived ? ' (archived)' : ''}</option>`
           ).join('')}
-          <option value="__custom__" ${!STREAM_PRESETS.includes(stream.name) && stream.name ? 'selected' : ''}>Custom...</option>
+          <option value="__custom__" ${isCustom ? 'selected' : ''}>Custom...</option>
         </select>
         <input type="text" 
                class="stream-custom-name input" 
                placeholder="Custom stream name"
-               value="${!STREAM_PRESETS.includes(stream.name) ? escapeHtml(stream.name) : ''}"
+               value="${!type ? escapeHtml(stream.name) : ''}"
                data-index="${index}"
-               style="display: ${!STREAM_PRESETS.includes(stream.name) && stream.name ? 'block' : 'none'}">
+               style="display: ${isCustom ? 'block' : 'none'}">
+        ${isLowConfidence ? `<span class="stream-confidence-badge" title="The AI was not sure about this stream; please check it">Low AI confidence</span>` : ''}
+        ${stream.weightSource === 'ai' ? `<span class="stream-estimate-tag" title="This weight was estimated by the AI, not weighed">AI estimate</span>` : ''}
+        ${stream.weightSource === 'volume' ? `<span class="stream-estimate-tag" title="Converted from ${stream.volumeLiters} L at ${stream.densityKgPerL} kg/L, not weighed">From volume</span>` : ''}
       </div>
       <div class="stream-weight">
         <input type="number" 
@@ -185,17 +849,40 @@ function renderStreams() {
                step="0.1"
                min="0"
                value="${stream.weightKg || ''}"
-               data-index="${index}">
+               data-index="${index}"
+               ${isWeighed ? 'readonly title="Net weight of the weighings below"' : ''}>
         <span class="stream-weight-unit">kg</span>
       </div>
+      <button class="btn btn-icon btn-gross-weighing ${isWeighed ? 'active' : ''}" data-owner="${index}" title="Weigh in containers (gross weight)">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="5" r="2"/>
+          <path d="M6 8h12l2 12H4z"/>
+        </svg>
+      </button>
+      <button class="btn btn-icon btn-stream-details ${expandedStreamIds.has(stream.id) ? 'active' : ''}" data-index="${index}" title="Stream details">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="4" y1="6" x2="20" y2="6"/>
+          <line x1="4" y1="12" x2="20" y2="12"/>
+          <line x1="4" y1="18" x2="14" y2="18"/>
+        </svg>
+      </button>
       <button class="btn btn-icon btn-remove-stream" data-index="${index}" title="Remove stream">
         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <line x1="18" y1="6" x2="6" y2="18"/>
           <line x1="6" y1="6" x2="18" y2="18"/>
         </svg>
       </button>
+      ${isUnmapped ? `
+        <p class="stream-unmapped-note">
+          The AI found "${escapeHtml(stream.name)}", which is not one of your streams.
+          Choose the stream it belongs to, or Custom... to keep the name.
+        </p>
+      ` : ''}
+      ${isWeighed ? renderWeighings(stream.weighings, index) : ''}
+      ${renderStreamDetails(stream, index)}
     </div>
-  `).join('');
+  `;
+  }).join('');
   
   container.innerHTML = html;
   
@@ -215,6 +902,202 @@ function renderStreams() {
   container.querySelectorAll('.btn-remove-stream').forEach(btn => {
     btn.addEventListener('click', handleRemoveStream);
   });
+  
+  container.querySelectorAll('.btn-stream-details').forEach(btn => {
+    btn.addEventListener('click', handleToggleStreamDetails);
+  });
+  
+  container.querySelectorAll('.stream-detail-input').forEach(input => {
+    input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', handleStreamDetailChange);
+  });
+  
+  container.querySelectorAll('.btn-volume-convert').forEach(btn => {
+    btn.addEventListener('click', handleConvertVolume);
+  });
+  
+  container.querySelectorAll('.btn-gross-weighing').forEach(btn => {
+    btn.addEventListener('click', handleToggleGrossWeighing);
+  });
+  
+  attachWeighingListeners(container);
+}
+
+/**
+ * Render the weighings of a stream or of the total, each a gross weight minus the tare of its container
+ * @param {Array} weighings - The weighings
+ * @param {number|string} owner - The stream index, or 'total'
+ * @returns {string} HTML
+ */
+function renderWeighings(weighings, owner) {
+  return `
+    <div class="weighings" data-owner="${owner}">
+      ${weighings.map(weighing => `
+        <div class="weighing-row" data-id="${weighing.id}">
+          <label class="stream-detail">
+            <span class="form-label">Gross (kg)</span>
+            <input type="number" class="input weighing-input" data-field="grossKg"
+                   placeholder="0.0" step="0.1" min="0" value="${weighing.grossKg || ''}">
+          </label>
+          <label class="stream-detail">
+            <span class="form-label">Container</span>
+            <select class="select weighing-input" data-field="containerType">
+              <option value="">No container</option>
+              ${CONTAINER_TYPES.map(type => 
+                `<option value="${type.id}" ${weighing.containerType === type.id ? 'selected' : ''}>${type.name}${type.tareKg !== null ? ` (${formatKg(type.tareKg)})` : ''}</option>`
+              ).join('')}
+            </select>
+          </label>
+          <label class="stream-detail">
+            <span class="form-label">Tare (kg)</span>
+            <input type="number" class="input weighing-input" data-field="tareKg"
+                   placeholder="0.0" step="0.1" min="0" value="${weighing.tareKg || ''}">
+          </label>
+          <span class="weighing-net">${formatKg(getNetKg(weighing))} net</span>
+          <button type="button" class="btn btn-icon btn-remove-weighing" title="Remove weighing">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+      `).join('')}
+      <div class="weighings-footer">
+        <button type="button" class="btn btn-secondary btn-sm btn-add-weighing">Add weighing</button>
+        <span class="weighings-total">${describeWeighingsTotal(weighings)}</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Describe the weighings with the net weight they add up to
+ * @param {Array} weighings - The weighings
+ * @returns {string} e.g. "2 weighings: 52.0 kg gross − 25.0 kg tare = 27.0 kg net"
+ */
+function describeWeighingsTotal(weighings) {
+  return `${describeWeighings(weighings)} = ${formatKg(summarizeWeighings(weighings).netKg)} net`;
+}
+
+/**
+ * Attach the listeners of rendered weighings
+ * @param {HTMLElement} container - Element containing the weighings
+ */
+function attachWeighingListeners(container) {
+  container.querySelectorAll('.weighing-input').forEach(input => {
+    input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', handleWeighingChange);
+  });
+  
+  container.querySelectorAll('.btn-add-weighing').forEach(btn => {
+    btn.addEventListener('click', handleAddWeighing);
+  });
+  
+  container.querySelectorAll('.btn-remove-weighing').forEach(btn => {
+    btn.addEventListener('click', handleRemoveWeighing);
+  });
+}
+
+/**
+ * Show the weighings of the total, whose net weight then replaces the entered total
+ */
+function renderTotalWeighings() {
+  const container = document.getElementById('total-weighings');
+  const weighings = currentScan.totalWeighings || [];
+  const isWeighed = weighings.length > 0;
+  
+  if (container) {
+    container.innerHTML = isWeighed ? renderWeighings(weighings, 'total') : '';
+    container.style.display = isWeighed ? 'block' : 'none';
+    attachWeighingListeners(container);
+  }
+  
+  const totalWeightInput = document.getElementById('total-weight');
+  if (totalWeightInput) {
+    totalWeightInput.readOnly = isWeighed;
+    totalWeightInput.title = isWeighed ? 'Net weight of the weighings below' : '';
+  }
+  document.getElementById('total-gross-btn')?.classList.toggle('active', isWeighed);
+}
+
+/**
+ * Render the optional details panel of a stream row
+ * @param {Object} stream - The stream
+ * @param {number} index - The stream index
+ * @returns {string} HTML
+ */
+function renderStreamDetails(stream, index) {
+  const renderOptions = (options, selected, emptyLabel) => `
+    <option value="">${emptyLabel}</option>
+    ${options.map(option => 
+      `<option value="${option.id}" ${selected === option.id ? 'selected' : ''}>${option.name}</option>`
+    ).join('')}
+  `;
+  
+  return `
+    <div class="stream-details" style="display: ${expandedStreamIds.has(stream.id) ? 'grid' : 'none'}">
+      <label class="stream-detail">
+        <span class="form-label">Waste code</span>
+        <input type="text" class="input stream-detail-input" data-index="${index}" data-field="wasteCode"
+               placeholder="e.g., EWC 15 01 01" value="${escapeHtml(stream.wasteCode)}">
+      </label>
+      <label class="stream-detail">
+        <span class="form-label">Contamination</span>
+        <select class="select stream-detail-input" data-index="${index}" data-field="contamination">
+          ${renderOptions(CONTAMINATION_LEVELS, stream.contamination, 'Not graded')}
+        </select>
+      </label>
+      <label class="stream-detail">
+        <span class="form-label">Contamination (%)</span>
+        <input type="number" class="input stream-detail-input" data-index="${index}" data-field="contaminationPct"
+               placeholder="${getContaminationPct({ contamination: stream.contamination }, CONTAMINATION_LEVELS)}" step="1" min="0" max="100" value="${stream.contaminationPct ?? ''}">
+      </label>
+      <label class="stream-detail">
+        <span class="form-label">Container</span>
+        <select class="select stream-detail-input" data-index="${index}" data-field="containerType">
+          ${renderOptions(CONTAINER_TYPES, stream.containerType, 'Not specified')}
+        </select>
+      </label>
+      <label class="stream-detail">
+        <span class="form-label">Containers</span>
+        <input type="number" class="input stream-detail-input" data-index="${index}" data-field="containerCount"
+               placeholder="0" step="1" min="0" value="${stream.containerCount ?? ''}">
+      </label>
+      <label class="stream-detail">
+        <span class="form-label">Fill level</span>
+        <select class="select stream-detail-input" data-index="${index}" data-field="fillLevel">
+          ${renderOptions(FILL_LEVELS.map(level => ({ id: level.value, name: level.name })), stream.fillLevel, 'Not specified')}
+        </select>
+      </label>
+      <label class="stream-detail">
+        <span class="form-label">Volume (L)</span>
+        <input type="number" class="input stream-detail-input" data-index="${index}" data-field="volumeLiters"
+               placeholder="0" step="1" min="0" value="${stream.volumeLiters ?? ''}">
+      </label>
+      <label class="stream-detail">
+        <span class="form-label">Density (kg/L)</span>
+        <input type="number" class="input stream-detail-input" data-index="${index}" data-field="densityKgPerL"
+               placeholder="${getBulkDensity(getStreamType(stream)) ?? '0.00'}" step="0.01" min="0" value="${stream.densityKgPerL ?? ''}">
+      </label>
+      <div class="stream-detail stream-volume-convert">
+        <button type="button" class="btn btn-secondary btn-sm btn-volume-convert" data-index="${index}"
+                title="Set the weight to the volume times the density">Calculate weight</button>
+      </div>
+      <label class="stream-detail stream-detail-wide">
+        <span class="form-label">Remark</span>
+        <input type="text" class="input stream-detail-input" data-index="${index}" data-field="remark"
+               placeholder="e.g., mostly pizza boxes" value="${escapeHtml(stream.remark)}">
+      </label>
+    </div>
+  `;
+}
+
+/**
+ * Check whether any optional stream detail is filled in
+ * @param {Object} stream - The stream
+ * @returns {boolean} True if the stream has details
+ */
+function hasStreamDetails(stream) {
+  return !!(stream.wasteCode || stream.contamination || stream.contaminationPct != null || stream.volumeLiters
+    || stream.containerType || stream.containerCount || stream.fillLevel || stream.remark);
 }
 
 /**
@@ -222,15 +1105,17 @@ function renderStreams() {
  */
 function updateSummary() {
   const totalResidualKg = currentScan.totalResidualKg || 0;
-  const extractedKg = currentScan.streams.reduce((sum, s) => sum + (s.weightKg || 0), 0);
+  const { extractedKg, contaminatedKg, separationPct, realisticPct } =
+    calculateSeparationPotential(totalResidualKg, currentScan.streams, CONTAMINATION_LEVELS);
   const remainingKg = Math.max(0, totalResidualKg - extractedKg);
-  const separationPct = totalResidualKg > 0 ? (extractedKg / totalResidualKg * 100) : 0;
   
   // Update summary values
   document.getElementById('summary-total').textContent = formatKg(totalResidualKg);
   document.getElementById('summary-extracted').textContent = formatKg(extractedKg);
   document.getElementById('summary-remaining').textContent = formatKg(remainingKg);
   document.getElementById('summary-separation').textContent = formatPercent(separationPct);
+  document.getElementById('summary-realistic').textContent = formatPercent(realisticPct);
+  document.getElementById('summary-contaminated').textContent = formatKg(contaminatedKg);
   
   // Update per-stream breakdown
   const breakdownContainer = document.getElementById('summary-breakdown');
@@ -242,9 +1127,13 @@ function updateSummary() {
         .filter(s => s.name)
         .map(stream => {
           const pct = totalResidualKg > 0 ? (stream.weightKg / totalResidualKg * 100) : 0;
+          const color = getStreamType(stream)?.color;
           return `
             <div class="breakdown-row">
-              <span class="breakdown-name">${escapeHtml(stream.name)}</span>
+              <span class="breakdown-name">
+                ${color ? `<span class="stream-color-dot" style="background: ${color}"></span>` : ''}
+                ${escapeHtml(stream.name)}
+              </span>
               <span class="breakdown-value">${formatKg(stream.weightKg)} (${formatPercent(pct)})</span>
             </div>
           `;
@@ -275,8 +1164,27 @@ function updateSummary() {
 
 // Event Handlers
 
+function handleSiteChange(e) {
+  recordUndo();
+  currentScan.siteId = e.target.value || null;
+  
+  // Start an empty scan with the streams usually found at this site
+  const site = sites.find(s => s.id === currentScan.siteId);
+  const defaultTypes = (site?.defaultTypeIds || [])
+    .map(id => streamTypes.find(type => type.id === id && !type.archived))
+    .filter(Boolean);
+  if (defaultTypes.length > 0 && currentScan.streams.length === 0) {
+    currentScan.streams = defaultTypes.map(type => applyStreamType(createEmptyStream(), type));
+    renderStreams();
+    updateSummary();
+    showToast(`Added the usual streams for ${site.name}`);
+  }
+  scheduleDraftSave();
+}
+
 function handleInputChange(e) {
   const field = e.target.id;
+  recordUndo(field);
   if (field === 'scan-location') {
     currentScan.location = e.target.value || null;
   } else if (field === 'scan-datetime') {
@@ -284,101 +1192,470 @@ function handleInputChange(e) {
   } else if (field === 'scan-notes') {
     currentScan.notes = e.target.value || null;
   }
+  scheduleDraftSave();
 }
 
 function handleTotalWeightChange(e) {
+  recordUndo('total-weight');
   currentScan.totalResidualKg = parseNumber(e.target.value);
+  currentScan.totalResidualSource = 'manual';
+  renderTotalWeightSource();
   updateSummary();
+  scheduleDraftSave();
+}
+
+/**
+ * Get the weighings of a stream or of the total
+ * @param {string} owner - The stream index, or 'total'
+ * @returns {Array} The weighings
+ */
+function getWeighings(owner) {
+  return (owner === 'total' ? currentScan.totalWeighings : currentScan.streams[parseInt(owner)].weighings) || [];
+}
+
+/**
+ * Replace the weighings of a stream or of the total
+ * While there are weighings, their net weight is the weight.
+ * @param {string} owner - The stream index, or 'total'
+ * @param {Array} weighings - The new weighings
+ */
+function setWeighings(owner, weighings) {
+  const { netKg } = summarizeWeighings(weighings);
+  
+  if (owner === 'total') {
+    currentScan.totalWeighings = weighings;
+    if (weighings.length > 0) {
+      currentScan.totalResidualKg = netKg;
+      currentScan.totalResidualSource = 'manual';
+    }
+    return;
+  }
+  
+  const stream = currentScan.streams[parseInt(owner)];
+  stream.weighings = weighings;
+  if (weighings.length > 0) {
+    stream.weightKg = netKg;
+    stream.weightSource = 'manual';
+  }
+}
+
+/**
+ * Re-render the weighings of a stream or of the total, and the weight they give
+ * @param {string} owner - The stream index, or 'total'
+ */
+function renderOwnerWeighings(owner) {
+  if (owner === 'total') {
+    document.getElementById('total-weight').value = currentScan.totalResidualKg || '';
+    renderTotalWeightSource();
+    renderTotalWeighings();
+  } else {
+    renderStreams();
+  }
+  updateSummary();
+}
+
+/**
+ * Switch a stream or the total between entering the net weight and weighing gross in containers
+ * @param {MouseEvent} e
+ */
+function handleToggleGrossWeighing(e) {
+  const owner = e.currentTarget.dataset.owner;
+  const weighings = getWeighings(owner);
+  
+  if (weighings.length > 0) {
+    const weightKg = owner === 'total' ? currentScan.totalResidualKg : currentScan.streams[parseInt(owner)].weightKg;
+    if (!confirm(`Stop weighing gross? The weighings are removed and the net weight of ${formatKg(weightKg)} is kept.`)) {
+      return;
+    }
+    recordUndo();
+    setWeighings(owner, []);
+  } else {
+    // Streams are usually weighed in the container they were collected in
+    const containerType = owner === 'total' ? null : currentScan.streams[parseInt(owner)].containerType;
+    recordUndo();
+    setWeighings(owner, [createWeighing(generateUUID(), CONTAINER_TYPES.find(type => type.id === containerType))]);
+  }
+  
+  renderOwnerWeighings(owner);
+  scheduleDraftSave();
+}
+
+function handleAddWeighing(e) {
+  const owner = e.currentTarget.closest('.weighings').dataset.owner;
+  const weighings = getWeighings(owner);
+  const last = weighings[weighings.length - 1];
+  
+  // The next weighing is most likely in the same kind of container
+  recordUndo();
+  setWeighings(owner, [...weighings, createWeighing(generateUUID(), last && { id: last.containerType, tareKg: last.tareKg })]);
+  renderOwnerWeighings(owner);
+  scheduleDraftSave();
+}
+
+function handleRemoveWeighing(e) {
+  const owner = e.currentTarget.closest('.weighings').dataset.owner;
+  const id = e.currentTarget.closest('.weighing-row').dataset.id;
+  
+  recordUndo();
+  setWeighings(owner, getWeighings(owner).filter(weighing => weighing.id !== id));
+  renderOwnerWeighings(owner);
+  scheduleDraftSave();
+}
+
+function handleWeighingChange(e) {
+  const panel = e.target.closest('.weighings');
+  const owner = panel.dataset.owner;
+  const id = e.target.closest('.weighing-row').dataset.id;
+  const field = e.target.dataset.field;
+  const value = e.target.value;
+  recordUndo(`weighing:${id}:${field}`);
+  
+  setWeighings(owner, getWeighings(owner).map(weighing => {
+    if (weighing.id !== id) return weighing;
+    if (field === 'containerType') {
+      // Choosing a container fills in its tare, which can still be corrected
+      const container = CONTAINER_TYPES.find(type => type.id === value);
+      return { ...weighing, containerType: value || null, tareKg: container?.tareKg ?? weighing.tareKg };
+    }
+    return { ...weighing, [field]: parseNumber(value) };
+  }));
+  
+  // Update the net weights in place, so the input keeps focus
+  const weighings = getWeighings(owner);
+  panel.querySelectorAll('.weighing-row').forEach(row => {
+    const weighing = weighings.find(w => w.id === row.dataset.id);
+    row.querySelector('.weighing-net').textContent = `${formatKg(getNetKg(weighing))} net`;
+    if (field === 'containerType' && weighing.id === id) {
+      row.querySelector('[data-field="tareKg"]').value = weighing.tareKg || '';
+    }
+  });
+  panel.querySelector('.weighings-total').textContent = describeWeighingsTotal(weighings);
+  
+  if (owner === 'total') {
+    document.getElementById('total-weight').value = currentScan.totalResidualKg || '';
+    renderTotalWeightSource();
+  } else {
+    const row = panel.closest('.stream-row');
+    row.querySelector('.stream-weight-input').value = currentScan.streams[parseInt(owner)].weightKg || '';
+    row.querySelector('.stream-estimate-tag')?.remove();
+  }
+  updateSummary();
+  scheduleDraftSave();
+}
+
+/**
+ * Show whether the total weight is an AI estimate
+ */
+function renderTotalWeightSource() {
+  const tag = document.getElementById('total-weight-source');
+  if (tag) tag.style.display = currentScan.totalResidualSource === 'ai' ? 'inline-flex' : 'none';
 }
 
 async function handlePhotoChange(e) {
-  const file = e.target.files?.[0];
-  if (!file) return;
+  const files = Array.from(e.target.files || []);
+  if (files.length === 0) return;
+  
+  const room = MAX_ANALYSIS_PHOTOS - currentScan.photos.length;
+  if (files.length > room) {
+    alert(`A scan can have at most ${MAX_ANALYSIS_PHOTOS} photos. Only the first ${room} will be added.`);
+  }
   
+  recordUndo();
   try {
-    const photo = await processImage(file);
-    currentScan.photo = photo;
-    renderPhotoPreview();
+    for (const file of files.slice(0, room)) {
+      const photo = await processImage(file);
+      currentScan.photos.push({ ...photo, id: generateUUID(), caption: null });
+    }
   } catch (error) {
     console.error('Error processing photo:', error);
     alert('Failed to process photo. Please try again.');
   }
+  renderPhotoGallery();
+  scheduleDraftSave();
   
   // Reset input so same file can be selected again
   e.target.value = '';
 }
 
-function handlePhotoRemove() {
-  currentScan.photo = null;
-  renderPhotoPreview();
+function handleGalleryClick(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  
+  const index = parseInt(button.dataset.index);
+  const photos = currentScan.photos;
+  
+  if (button.dataset.action === 'remove') {
+    recordUndo();
+    const [removed] = photos.splice(index, 1);
+    clearPhotoRegions(removed.id);
+  } else {
+    const target = button.dataset.action === 'move-left' ? index - 1 : index + 1;
+    if (target < 0 || target >= photos.length) return;
+    recordUndo();
+    [photos[index], photos[target]] = [photos[target], photos[index]];
+  }
+  
+  renderPhotoGallery();
+  scheduleDraftSave();
+}
+
+function handleCaptionInput(e) {
+  if (!e.target.classList.contains('photo-caption-input')) return;
+  const photo = currentScan.photos[parseInt(e.target.dataset.index)];
+  recordUndo(`caption:${photo.id}`);
+  photo.caption = e.target.value.trim() || null;
+  scheduleDraftSave();
+}
+
+/**
+ * Forget the AI regions once the photo they were found on is gone
+ * @param {string} photoId - The removed photo
+ */
+function clearPhotoRegions(photoId) {
+  currentScan.streams = currentScan.streams.map(stream => ({
+    ...stream,
+    aiRegions: (stream.aiRegions || []).filter(region => region.photoId !== photoId)
+  }));
 }
 
 function handleAddStream() {
-  currentScan.streams.push({
-    id: generateUUID(),
-    name: '',
-    weightKg: 0
-  });
+  recordUndo();
+  currentScan.streams.push(createEmptyStream());
   renderStreams();
   updateSummary();
+  scheduleDraftSave();
 }
 
 function handleStreamNameChange(e) {
   const index = parseInt(e.target.dataset.index);
   const value = e.target.value;
-  
-  const customInput = e.target.parentElement.querySelector('.stream-custom-name');
+  const stream = currentScan.streams[index];
+  recordUndo();
+  unmappedStreamIds.delete(stream.id);
   
   if (value === '__custom__') {
+    const customInput = e.target.parentElement.querySelector('.stream-custom-name');
     customInput.style.display = 'block';
     customInput.focus();
-    currentScan.streams[index].name = customInput.value || '';
-  } else {
-    customInput.style.display = 'none';
-    currentScan.streams[index].name = value;
+    stream.typeId = null;
+    stream.name = customInput.value || '';
+    e.target.closest('.stream-row')?.style.removeProperty('--stream-color');
+    e.target.closest('.stream-row')?.classList.remove('stream-row-unmapped');
+    e.target.closest('.stream-row')?.querySelector('.stream-unmapped-note')?.remove();
+    updateSummary();
+    scheduleDraftSave();
+    return;
   }
   
+  const type = streamTypes.find(t => t.id === value);
+  currentScan.streams[index] = type ? applyStreamType(stream, type) : { ...stream, typeId: null, name: '' };
+  
+  // Re-render for the colour and a waste code taken from the type
+  renderStreams();
   updateSummary();
+  scheduleDraftSave();
 }
 
 function handleCustomNameChange(e) {
   const index = parseInt(e.target.dataset.index);
+  recordUndo(`name:${currentScan.streams[index].id}`);
   currentScan.streams[index].name = e.target.value;
   updateSummary();
+  scheduleDraftSave();
 }
 
 function handleStreamWeightChange(e) {
   const index = parseInt(e.target.dataset.index);
+  recordUndo(`weight:${currentScan.streams[index].id}`);
   currentScan.streams[index].weightKg = parseNumber(e.target.value);
+  currentScan.streams[index].weightSource = 'manual';
+  e.target.closest('.stream-row')?.querySelector('.stream-estimate-tag')?.remove();
   updateSummary();
+  scheduleDraftSave();
+}
+
+function handleToggleStreamDetails(e) {
+  const index = parseInt(e.currentTarget.dataset.index);
+  const stream = currentScan.streams[index];
+  
+  if (expandedStreamIds.has(stream.id)) {
+    expandedStreamIds.delete(stream.id);
+  } else {
+    expandedStreamIds.add(stream.id);
+  }
+  renderStreams();
+}
+
+function handleStreamDetailChange(e) {
+  const index = parseInt(e.target.dataset.index);
+  const field = e.target.dataset.field;
+  const value = e.target.value;
+  const stream = currentScan.streams[index];
+  recordUndo(`${field}:${stream.id}`);
+  
+  if (field === 'volumeLiters' || field === 'densityKgPerL') {
+    stream[field] = value === '' ? null : parseNumber(value);
+  } else if (field === 'containerCount') {
+    stream.containerCount = value === '' ? null : Math.round(parseNumber(value));
+  } else if (field === 'fillLevel') {
+    stream.fillLevel = value === '' ? null : parseNumber(value);
+  } else if (field === 'contaminationPct') {
+    stream.contaminationPct = value === '' ? null : Math.min(100, parseNumber(value));
+  } else {
+    stream[field] = value || null;
+  }
+  
+  const row = e.target.closest('.stream-row');
+  
+  // Containers and fill level give the volume
+  if (field === 'containerType' || field === 'containerCount' || field === 'fillLevel') {
+    const container = CONTAINER_TYPES.find(type => type.id === stream.containerType);
+    const volumeLiters = calculateVolumeLiters(container, stream.containerCount, stream.fillLevel);
+    if (volumeLiters !== null) {
+      stream.volumeLiters = volumeLiters;
+      const volumeInput = row?.querySelector('[data-field="volumeLiters"]');
+      if (volumeInput) volumeInput.value = volumeLiters;
+    }
+  }
+  
+  // The grade gives the percentage unless one is entered
+  if (field === 'contamination' || field === 'contaminationPct') {
+    const pctInput = row?.querySelector('[data-field="contaminationPct"]');
+    if (pctInput) pctInput.placeholder = getContaminationPct({ contamination: stream.contamination }, CONTAMINATION_LEVELS);
+    updateSummary();
+  }
+  
+  // A weight converted from the volume follows it
+  if (stream.weightSource === 'volume' && !['wasteCode', 'contamination', 'contaminationPct', 'remark'].includes(field)
+      && applyVolumeWeight(stream)) {
+    const weightInput = row?.querySelector('.stream-weight-input');
+    if (weightInput) weightInput.value = stream.weightKg || '';
+    updateSummary();
+  }
+  scheduleDraftSave();
+}
+
+/**
+ * Set a stream's weight from its volume
+ * @param {MouseEvent} e
+ */
+function handleConvertVolume(e) {
+  const index = parseInt(e.currentTarget.dataset.index);
+  const stream = currentScan.streams[index];
+  
+  if (stream.weighings?.length > 0) {
+    alert('This stream is weighed. Stop weighing it gross to calculate its weight from the volume instead.');
+    return;
+  }
+  if (!stream.volumeLiters) {
+    alert('Enter the volume first, or the containers and how full they are.');
+    return;
+  }
+  if (!(stream.densityKgPerL ?? getBulkDensity(getStreamType(stream)))) {
+    alert('Enter the density of this waste. Streams without a stream type have no default density.');
+    return;
+  }
+  
+  recordUndo();
+  applyVolumeWeight(stream);
+  renderStreams();
+  updateSummary();
+  scheduleDraftSave();
+}
+
+/**
+ * Convert a stream's volume to its weight, with its own density or else that of its type
+ * The density used is kept with the stream.
+ * @param {Object} stream - The stream, changed in place
+ * @returns {boolean} True if the weight was set
+ */
+function applyVolumeWeight(stream) {
+  const densityKgPerL = stream.densityKgPerL ?? getBulkDensity(getStreamType(stream));
+  const weightKg = convertVolumeToKg(stream.volumeLiters, densityKgPerL);
+  if (weightKg === null) {
+    return false;
+  }
+  
+  stream.weightKg = weightKg;
+  stream.weightSource = 'volume';
+  stream.densityKgPerL = densityKgPerL;
+  return true;
 }
 
 function handleRemoveStream(e) {
   const index = parseInt(e.target.dataset.index);
+  recordUndo();
   currentScan.streams.splice(index, 1);
   renderStreams();
   updateSummary();
+  scheduleDraftSave();
 }
 
 function handleBack() {
+  if (!confirmLeaveEditor()) return;
   if (onBackCallback) onBackCallback();
 }
 
-function handleSave() {
+/**
+ * Close the open scan when the editor is left
+ * A running analysis and an open review belong to this scan and are discarded.
+ */
+function leaveEditor() {
+  analysisController?.abort();
+  closeAnalysisReview();
+  currentScan = null;
+}
+
+async function handleSave() {
   if (!currentScan.totalResidualKg || currentScan.totalResidualKg <= 0) {
     alert('Please enter the total residual waste weight.');
     return;
   }
   
+  if (currentScan.streams.some(stream => unmappedStreamIds.has(stream.id))) {
+    alert('Some streams found by the AI are not in your stream list. Choose a stream for each of them first.');
+    return;
+  }
+  
   // Filter out empty streams
   currentScan.streams = currentScan.streams.filter(s => s.name && s.name.trim());
+  clearTimeout(draftTimer);
   
-  if (isNewScan) {
-    const saved = createScan(currentScan);
-    currentScan = saved;
-    isNewScan = false;
-  } else {
-    updateScan(currentScan.id, currentScan);
+  try {
+    if (isNewScan) {
+      const saved = await createScan(currentScan, { source: revisionSource });
+      currentScan = saved;
+      isNewScan = false;
+    } else {
+      const saved = await updateScan(currentScan.id, currentScan, {
+        source: revisionSource,
+        expectedUpdatedAt: currentScan.updatedAt
+      });
+      if (!saved) {
+        alert('This scan was permanently deleted elsewhere, so it cannot be saved.');
+        return;
+      }
+      currentScan = saved;
+    }
+    revisionSource = 'manual';
+    await discardDraft();
+    draftId = currentScan.id;
+    savedContent = getScanContent(currentScan);
+    undoHistory = createUndoHistory();
+    renderUndoButtons();
+  } catch (error) {
+    if (error.name === 'StaleScanError') {
+      await handleStaleSave(error.scan);
+      return;
+    }
+    
+    console.error('Error saving scan:', error);
+    if (error.name === 'QuotaExceededError') {
+      alert('Storage quota exceeded. Try deleting some old scans.');
+    } else {
+      alert('Failed to save scan. Please try again.');
+    }
+    return;
   }
   
   // Update title
@@ -386,7 +1663,72 @@ function handleSave() {
   if (title) title.textContent = 'Edit Scan';
   
   // Show feedback
+  hideStaleBanner();
   showToast('Scan saved successfully');
+  renderHistory();
+}
+
+/**
+ * Ask what to do when saving over changes made elsewhere since the scan was opened
+ * Overwriting is safe to undo: the other version stays in the revision history.
+ * @param {Object} stored - The stored version of the scan
+ * @returns {Promise<void>}
+ */
+async function handleStaleSave(stored) {
+  if (stored.deletedAt) {
+    showStaleBanner('This scan was moved to the trash elsewhere.', false);
+    alert('This scan was moved to the trash elsewhere. Restore it first to edit it.');
+    return;
+  }
+  
+  if (!confirm('This scan was changed in another tab or on another device since you opened it. Save anyway and overwrite those changes? The other version stays in the history.')) {
+    showStaleBanner('This scan was changed in another tab or on another device.', true);
+    return;
+  }
+  
+  currentScan.updatedAt = stored.updatedAt;
+  await handleSave();
+}
+
+function handleHistoryClick(e) {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+  
+  const revisionId = parseInt(btn.dataset.id);
+  
+  if (btn.dataset.action === 'compare') {
+    expandedRevisionId = expandedRevisionId === revisionId ? null : revisionId;
+    renderHistory();
+  } else if (btn.dataset.action === 'restore') {
+    handleRestoreRevision(revisionId);
+  }
+}
+
+async function handleRestoreRevision(revisionId) {
+  if (!confirm('Restore this version of the scan? Unsaved changes will be lost. The photos are not changed.')) {
+    return;
+  }
+  
+  try {
+    const restored = await restoreScanRevision(currentScan.id, revisionId);
+    if (!restored) {
+      alert('This version could not be found.');
+      return;
+    }
+    currentScan = restored;
+    await discardDraft();
+    savedContent = getScanContent(currentScan);
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    alert('Failed to restore this version. Please try again.');
+    return;
+  }
+  
+  revisionSource = 'manual';
+  expandedRevisionId = null;
+  undoHistory = createUndoHistory();
+  renderEditor();
+  showToast('Earlier version restored');
 }
 
 function handleDownload() {
@@ -395,7 +1737,7 @@ function handleDownload() {
     return;
   }
   
-  const html = generateReportHtml(currentScan);
+  const html = generateReportHtml(currentScan, getCurrentSite(), streamTypes);
   const blob = new Blob([html], { type: 'text/html' });
   const url = URL.createObjectURL(blob);
   
@@ -416,7 +1758,7 @@ function handlePrint() {
     return;
   }
   
-  const html = generateReportHtml(currentScan);
+  const html = generateReportHtml(currentScan, getCurrentSite(), streamTypes);
   const printWindow = window.open('', '_blank');
   printWindow.document.write(html);
   printWindow.document.close();
@@ -429,15 +1771,21 @@ function handlePrint() {
   };
 }
 
-function showToast(message) {
-  const toast = document.getElementById('toast');
-  if (toast) {
-    toast.textContent = message;
-    toast.classList.add('show');
-    setTimeout(() => {
-      toast.classList.remove('show');
-    }, 2500);
-  }
+/**
+ * Get the stream type a stream is linked to
+ * @param {Object} stream - The stream
+ * @returns {Object|null} The stream type, if any
+ */
+function getStreamType(stream) {
+  return streamTypes.find(type => type.id === stream.typeId) || null;
+}
+
+/**
+ * Get the site the current scan is linked to
+ * @returns {Object|null} The site, if any
+ */
+function getCurrentSite() {
+  return sites.find(site => site.id === currentScan?.siteId) || null;
 }
 
 function escapeHtml(text) {
@@ -448,27 +1796,31 @@ function escapeHtml(text) {
 }
 
 /**
- * Handle AI analysis of the photo
+ * Handle AI analysis of the photos
+ * @param {{fresh: boolean}} [options] - Skip the cached result and ask the AI again
  */
-async function handleAnalyze() {
+async function handleAnalyze({ fresh = false } = {}) {
   if (isAnalyzing) return;
   
-  if (!currentScan.photo) {
+  if (currentScan.photos.length === 0) {
     alert('Please add a photo first.');
     return;
   }
   
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    alert('Please configure your Gemini API key in Settings first.');
+  const aiSettings = getAiSettings();
+  if (!isAiConfigured(aiSettings)) {
+    alert('Please set up AI analysis in Settings first.');
     return;
   }
   
   const analyzeBtn = document.getElementById('analyze-btn');
+  const cancelBtn = document.getElementById('analyze-cancel-btn');
   const originalText = analyzeBtn?.innerHTML;
   
   try {
     isAnalyzing = true;
+    analysisController = new AbortController();
+    if (cancelBtn) cancelBtn.style.display = 'inline-flex';
     if (analyzeBtn) {
       analyzeBtn.disabled = true;
       analyzeBtn.innerHTML = `
@@ -479,46 +1831,47 @@ async function handleAnalyze() {
       `;
     }
     
-    const result = await analyzeWasteImage(apiKey, currentScan.photo.dataUrl);
+    // The gallery may change while waiting; regions refer to the photos as sent
+    const scanId = currentScan.id;
+    const photos = [...currentScan.photos];
+    const activeTypes = streamTypes.filter(type => !type.archived);
+    const { result, cachedAt } = await analyzeWithCache(aiSettings, photos, activeTypes.map(type => type.name), {
+      fresh,
+      signal: analysisController.signal
+    });
     
-    // Apply results
-    if (result.totalEstimateKg > 0) {
-      currentScan.totalResidualKg = result.totalEstimateKg;
-      const totalWeightInput = document.getElementById('total-weight');
-      if (totalWeightInput) totalWeightInput.value = result.totalEstimateKg;
-    }
+    // The editor was left or another scan opened meanwhile
+    if (currentScan?.id !== scanId) return;
     
-    if (result.streams && result.streams.length > 0) {
-      // Add AI-detected streams
-      currentScan.streams = result.streams.map(stream => ({
-        id: generateUUID(),
-        name: stream.name,
-        weightKg: stream.weightKg
-      }));
-      renderStreams();
-    }
+    // Link the detected streams to the taxonomy and their regions to the photos
+    const suggestions = mapDetectedStreams(activeTypes, result.streams).map(stream => ({
+      ...stream,
+      regions: stream.regions.map(({ photoIndex, ...region }) => ({ photoId: photos[photoIndex].id, ...region }))
+    }));
     
-    updateSummary();
+    // Nothing changes until the user has reviewed the suggestions
+    const rows = buildReviewRows(currentScan, suggestions, result.totalEstimateKg);
     
-    // Show success message with confidence
-    let message = 'AI analysis complete';
-    if (result.confidence) {
-      message += ` (${result.confidence} confidence)`;
-    }
-    showToast(message);
-    
-    // Add notes if provided
-    if (result.notes && !currentScan.notes) {
-      currentScan.notes = `AI Analysis: ${result.notes}`;
-      const notesInput = document.getElementById('scan-notes');
-      if (notesInput) notesInput.value = currentScan.notes;
+    if (!rows.some(row => row.suggestion)) {
+      showToast('The AI found no waste streams in the photos');
+      return;
     }
     
+    openAnalysisReview(rows, decisions => applyAnalysisReview(scanId, result, rows, decisions), {
+      cachedAt,
+      onRefresh: () => handleAnalyze({ fresh: true })
+    });
   } catch (error) {
+    if (error instanceof RequestCancelledError) {
+      showToast('AI analysis cancelled');
+      return;
+    }
     console.error('AI analysis failed:', error);
     alert(`AI analysis failed: ${error.message}`);
   } finally {
     isAnalyzing = false;
+    analysisController = null;
+    if (cancelBtn) cancelBtn.style.display = 'none';
     if (analyzeBtn) {
       analyzeBtn.disabled = false;
       analyzeBtn.innerHTML = originalText || `
@@ -532,3 +1885,88 @@ async function handleAnalyze() {
     }
   }
 }
+
+/**
+ * Analyze photos, reusing the cached result of the same photos unless a fresh one is wanted
+ * The cache is only a shortcut: when it cannot be used, the AI is asked as usual.
+ * Requests to the AI are recorded, and refused once the monthly budget is used up.
+ * @param {Object} aiSettings - AI settings
+ * @param {Array} photos - The photos, in order
+ * @param {string[]} categories - Names of the waste streams to detect
+ * @param {{fresh: boolean, signal: AbortSignal}} options - Whether to skip the cache, and a signal to cancel
+ * @returns {Promise<{result: Object, cachedAt: string|null}>} The result, and when it was cached if it came from the cache
+ */
+async function analyzeWithCache(aiSettings, photos, categories, { fresh, signal }) {
+  let cacheKey = null;
+  try {
+    cacheKey = await getAnalysisCacheKey(aiSettings, photos, categories);
+    const cached = fresh ? null : await getCachedAiResult(cacheKey);
+    if (cached) {
+      return { result: cached.result, cachedAt: cached.createdAt };
+    }
+  } catch (error) {
+    console.error('Error reading the AI result cache:', error);
+  }
+  
+  await checkAiBudget();
+  const result = await analyzeWasteImage(aiSettings, photos, categories, {
+    signal,
+    onCall: call => recordAiCall(call).catch(error => console.error('Error recording AI usage:', error))
+  });
+  if (cacheKey) {
+    putCachedAiResult(cacheKey, 'analysis', result)
+      .catch(error => console.error('Error caching the AI result:', error));
+  }
+  return { result, cachedAt: null };
+}
+
+/**
+ * Apply the values chosen in the review dialog
+ * Accepted values are marked as AI estimates; values typed in the dialog count as entered by hand.
+ * @param {string|null} scanId - ID of the scan the rows were built from
+ * @param {Object} result - The analysis result
+ * @param {Array} rows - The reviewed rows, the total first
+ * @param {Array<{decision: string, weightKg: number}>} decisions - One per row
+ */
+function applyAnalysisReview(scanId, result, rows, decisions) {
+  // The rows refer to the streams of the scan that was analyzed
+  if (!currentScan || currentScan.id !== scanId) return;
+  
+  const applied = applyReviewDecisions(currentScan, rows, decisions, createEmptyStream);
+  
+  if (applied.applied === 0) {
+    showToast('No AI values were used');
+    return;
+  }
+  
+  recordUndo();
+  currentScan = applied.scan;
+  applied.unmappedStreamIds.forEach(id => unmappedStreamIds.add(id));
+  scheduleDraftSave();
+  
+  const totalWeightInput = document.getElementById('total-weight');
+  if (totalWeightInput) totalWeightInput.value = currentScan.totalResidualKg || '';
+  renderTotalWeightSource();
+  renderTotalWeighings();
+  renderStreams();
+  updateSummary();
+  revisionSource = 'ai';
+  
+  // Show success message with confidence
+  let message = 'AI suggestions applied';
+  if (result.confidence) {
+    message += ` (${result.confidence} confidence)`;
+  }
+  const unmappedCount = unmappedStreamIds.size;
+  if (unmappedCount > 0) {
+    message += `. ${unmappedCount === 1 ? '1 stream needs' : `${unmappedCount} streams need`} a stream type`;
+  }
+  showToast(message);
+  
+  // Add notes if provided
+  if (result.notes && !currentScan.notes) {
+    currentScan.notes = `AI Analysis: ${result.notes}`;
+    const notesInput = document.getElementById('scan-notes');
+    if (notesInput) notesInput.value = currentScan.notes;
+  }
+}
@@ -2,15 +2,38 @@
  * Scan List View (Home)
  */
 
-import { getAllScans, deleteScan } from '../storage.js';
-import { formatKg, formatPercent, formatDate } from '../utils/format.js';
+import { getAllScans, deleteScan, restoreScan, getAllSites, getStreamTypes, getSyncStatuses, getDrafts, deleteDraft } from '../storage.js';
+import { isSyncEnabled } from '../sync.js';
+import { summarizeScans } from '../sites.js';
+import { formatKg, formatPercent, formatDate, formatDateTime } from '../utils/format.js';
+import { showToast } from '../utils/toast.js';
+import { generateSiteReportHtml } from '../report/export.js';
+
+const UNDO_TOAST_DURATION = 6000;
+const NO_SITE_FILTER = '__none__';
+
+/**
+ * Sync badge labels and tooltips by sync status
+ */
+const SYNC_BADGES = {
+  synced: { label: 'Synced', title: 'Up to date with the server' },
+  pending: { label: 'Not synced', title: 'Waiting to be sent to the server' },
+  conflict: { label: 'Conflict', title: 'Changed here and on another device' }
+};
+
+// '' for all scans, NO_SITE_FILTER for scans without a site, or a site ID
+let siteFilter = '';
 
 /**
  * Initialize the list view
  * @param {Function} onEditScan - Callback when editing a scan
  * @param {Function} onNewScan - Callback when creating a new scan
+ * @param {Function} onOpenTrash - Callback when opening the trash
+ * @param {Function} onOpenSites - Callback when opening the sites
+ * @param {Function} onResolveConflicts - Callback when choosing to resolve sync conflicts
+ * @param {Function} onResumeDraft - Callback when resuming the draft of a scan that was never saved
  */
-export function initListView(onEditScan, onNewScan) {
+export function initListView(onEditScan, onNewScan, onOpenTrash, onOpenSites, onResolveConflicts, onResumeDraft) {
   // Use event delegation on the list header to handle button clicks
   // This ensures it works even if buttons are re-rendered
   const listHeader = document.querySelector('.list-header');
@@ -39,20 +62,102 @@ export function initListView(onEditScan, onNewScan) {
     });
   }
   
+  // Trash button
+  document.getElementById('trash-btn')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (onOpenTrash) {
+      onOpenTrash();
+    }
+  });
+  
+  // Sites button
+  document.getElementById('sites-btn')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (onOpenSites) {
+      onOpenSites();
+    }
+  });
+  
+  // Site filter
+  document.getElementById('site-filter')?.addEventListener('change', (e) => {
+    siteFilter = e.target.value;
+    renderList();
+  });
+  
+  document.getElementById('site-report-btn')?.addEventListener('click', handleSiteReport);
+  
+  document.getElementById('sync-resolve-btn')?.addEventListener('click', () => {
+    if (onResolveConflicts) {
+      onResolveConflicts();
+    }
+  });
+  
   // Store callbacks for use in render
-  window._listViewCallbacks = { onEditScan, onNewScan };
+  window._listViewCallbacks = { onEditScan, onNewScan, onResumeDraft };
 }
 
 /**
  * Render the scan list
+ * @returns {Promise<void>}
  */
-export function renderList() {
+export async function renderList() {
   const container = document.getElementById('scan-list');
   if (!container) return;
   
-  const scans = getAllScans();
+  let scans;
+  let sites;
+  let syncStatuses;
+  let drafts;
+  try {
+    [scans, sites, syncStatuses, drafts] = await Promise.all([
+      getAllScans(),
+      getAllSites(),
+      isSyncEnabled() ? getSyncStatuses() : new Map(),
+      getDrafts()
+    ]);
+  } catch (error) {
+    console.error('Error loading scans:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        <h3>Could not load scans</h3>
+        <p>Your browser storage is unavailable. Check that private browsing is off and reload the page.</p>
+      </div>
+    `;
+    return;
+  }
+  
+  // Forget a filter on a site that no longer exists
+  if (siteFilter && siteFilter !== NO_SITE_FILTER && !sites.some(site => site.id === siteFilter)) {
+    siteFilter = '';
+  }
+  
+  renderSiteFilter(sites);
+  renderSyncBanner(syncStatuses);
+  
+  const sitesById = new Map(sites.map(site => [site.id, site]));
+  const allScanCount = scans.length;
+  const matchesFilter = scan => {
+    if (siteFilter === NO_SITE_FILTER) return !scan.siteId;
+    return !siteFilter || scan.siteId === siteFilter;
+  };
+  scans = scans.filter(matchesFilter);
+  drafts = drafts.filter(draft => matchesFilter(draft.scan));
+  
+  renderListSummary(scans);
+  
+  const draftsHtml = drafts.map(draft => renderDraftCard(draft, sitesById)).join('');
+  
+  if (allScanCount > 0 && scans.length === 0 && drafts.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <h3>No scans for this site</h3>
+        <p>Choose another site or show all scans.</p>
+      </div>
+    `;
+    return;
+  }
   
-  if (scans.length === 0) {
+  if (scans.length === 0 && drafts.length === 0) {
     container.innerHTML = `
       <div class="empty-state">
         <div class="empty-state-icon">
@@ -73,9 +178,11 @@ export function renderList() {
     const separationPct = scan.totalResidualKg > 0 
       ? (extractedKg / scan.totalResidualKg * 100) 
       : 0;
+    const site = scan.siteId ? sitesById.get(scan.siteId) : null;
+    const syncBadge = SYNC_BADGES[syncStatuses.get(scan.id)];
     
-    const thumbnailHtml = scan.photo 
-      ? `<img src="${scan.photo.dataUrl}" alt="Scan photo" class="scan-thumbnail">`
+    const thumbnailHtml = scan.photos?.length
+      ? `<img src="${scan.photos[0].dataUrl}" alt="Scan photo" class="scan-thumbnail">`
       : `<div class="scan-thumbnail scan-thumbnail-placeholder">
           <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
             <rect x="3" y="3" width="18" height="18" rx="2"/>
@@ -92,7 +199,9 @@ export function renderList() {
         <div class="scan-card-content">
           <div class="scan-card-header">
             <span class="scan-card-date">${formatDate(scan.createdAt)}</span>
+            ${site ? `<span class="scan-card-site">${escapeHtml(site.name)}</span>` : ''}
             ${scan.location ? `<span class="scan-card-location">${escapeHtml(scan.location)}</span>` : ''}
+            ${syncBadge ? `<span class="sync-badge sync-badge-${syncStatuses.get(scan.id)}" title="${syncBadge.title}">${syncBadge.label}</span>` : ''}
           </div>
           <div class="scan-card-stats">
             <div class="scan-stat">
@@ -128,9 +237,29 @@ export function renderList() {
     `;
   }).join('');
   
-  container.innerHTML = html;
+  container.innerHTML = draftsHtml + html;
   
   // Attach event listeners
+  container.querySelectorAll('[data-action="resume-draft"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      resumeDraft(btn.dataset.draftId, btn.dataset.scanId);
+    });
+  });
+  
+  container.querySelectorAll('[data-action="discard-draft"]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleDiscardDraft(btn.dataset.draftId);
+    });
+  });
+  
+  container.querySelectorAll('.scan-card-draft').forEach(card => {
+    card.addEventListener('click', () => {
+      resumeDraft(card.dataset.draftId, card.dataset.scanId);
+    });
+  });
+  
   container.querySelectorAll('[data-action="edit"]').forEach(btn => {
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -150,7 +279,7 @@ export function renderList() {
   });
   
   // Click on card to edit
-  container.querySelectorAll('.scan-card').forEach(card => {
+  container.querySelectorAll('.scan-card[data-id]').forEach(card => {
     card.addEventListener('click', () => {
       const id = card.dataset.id;
       if (window._listViewCallbacks?.onEditScan) {
@@ -161,13 +290,269 @@ export function renderList() {
 }
 
 /**
- * Handle scan deletion with confirmation
+ * Render the card of a draft
+ * @param {{id: string, scanId: string|null, scan: Object, savedAt: string}} draft - The draft
+ * @param {Map<string, Object>} sitesById - Sites by ID
+ * @returns {string} HTML
+ */
+function renderDraftCard(draft, sitesById) {
+  const scan = draft.scan;
+  const extractedKg = scan.streams.reduce((sum, s) => sum + (s.weightKg || 0), 0);
+  const site = scan.siteId ? sitesById.get(scan.siteId) : null;
+  const ids = `data-draft-id="${draft.id}" data-scan-id="${draft.scanId || ''}"`;
+  
+  const thumbnailHtml = scan.photos?.length
+    ? `<img src="${scan.photos[0].dataUrl}" alt="Scan photo" class="scan-thumbnail">`
+    : `<div class="scan-thumbnail scan-thumbnail-placeholder">
+        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+          <rect x="3" y="3" width="18" height="18" rx="2"/>
+          <circle cx="8.5" cy="8.5" r="1.5"/>
+          <path d="M21 15l-5-5L5 21"/>
+        </svg>
+      </div>`;
+  
+  return `
+    <div class="scan-card scan-card-draft" ${ids}>
+      <div class="scan-card-thumbnail">
+        ${thumbnailHtml}
+      </div>
+      <div class="scan-card-content">
+        <div class="scan-card-header">
+          <span class="scan-card-date">${formatDate(scan.createdAt)}</span>
+          ${site ? `<span class="scan-card-site">${escapeHtml(site.name)}</span>` : ''}
+          ${scan.location ? `<span class="scan-card-location">${escapeHtml(scan.location)}</span>` : ''}
+          <span class="draft-badge" title="${draft.scanId ? 'Unsaved changes to a scan' : 'A new scan that was never saved'}">Draft</span>
+        </div>
+        <div class="scan-card-stats">
+          <div class="scan-stat">
+            <span class="scan-stat-label">Total</span>
+            <span class="scan-stat-value">${formatKg(scan.totalResidualKg)}</span>
+          </div>
+          <div class="scan-stat">
+            <span class="scan-stat-label">Extracted</span>
+            <span class="scan-stat-value">${formatKg(extractedKg)}</span>
+          </div>
+          <div class="scan-stat">
+            <span class="scan-stat-label">Last edited</span>
+            <span class="scan-stat-value">${formatDateTime(draft.savedAt)}</span>
+          </div>
+        </div>
+      </div>
+      <div class="scan-card-actions">
+        <button class="btn btn-icon btn-edit" data-action="resume-draft" ${ids} title="Resume draft">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+            <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+          </svg>
+        </button>
+        <button class="btn btn-icon btn-delete" data-action="discard-draft" data-draft-id="${draft.id}" title="Discard draft">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Open a draft in the editor
+ * Drafts of saved scans are restored when the scan is opened.
+ * @param {string} draftId - The draft ID
+ * @param {string} scanId - The scan ID, or '' for a scan that was never saved
+ */
+function resumeDraft(draftId, scanId) {
+  const callbacks = window._listViewCallbacks;
+  if (scanId && callbacks?.onEditScan) {
+    callbacks.onEditScan(scanId);
+  } else if (!scanId && callbacks?.onResumeDraft) {
+    callbacks.onResumeDraft(draftId);
+  }
+}
+
+/**
+ * Handle discarding a draft
+ * @param {string} draftId - The draft ID
+ */
+async function handleDiscardDraft(draftId) {
+  if (!confirm('Discard this draft? Its unsaved changes will be lost.')) {
+    return;
+  }
+  
+  try {
+    await deleteDraft(draftId);
+  } catch (error) {
+    console.error('Error discarding draft:', error);
+    alert('Failed to discard the draft. Please try again.');
+    return;
+  }
+  
+  renderList();
+  showToast('Draft discarded');
+}
+
+/**
+ * Show only the scans of one site
+ * @param {string} siteId - The site ID, or '' for all scans
+ */
+export function setSiteFilter(siteId) {
+  siteFilter = siteId || '';
+}
+
+/**
+ * Fill the site filter with the current sites
+ * @param {Array} sites - All sites
+ */
+function renderSiteFilter(sites) {
+  const select = document.getElementById('site-filter');
+  const reportBtn = document.getElementById('site-report-btn');
+  const toolbar = document.getElementById('list-toolbar');
+  
+  if (toolbar) toolbar.style.display = sites.length > 0 ? 'flex' : 'none';
+  
+  if (select) {
+    select.innerHTML = `
+      <option value="">All sites</option>
+      ${sites.map(site => `<option value="${site.id}">${escapeHtml(site.name)}</option>`).join('')}
+      <option value="${NO_SITE_FILTER}">No site</option>
+    `;
+    select.value = siteFilter;
+  }
+  
+  if (reportBtn) {
+    reportBtn.style.display = siteFilter && siteFilter !== NO_SITE_FILTER ? 'inline-flex' : 'none';
+  }
+}
+
+/**
+ * Show a notice when scans have sync conflicts to resolve
+ * @param {Map<string, string>} syncStatuses - Sync status by scan ID
+ */
+function renderSyncBanner(syncStatuses) {
+  const banner = document.getElementById('sync-banner');
+  if (!banner) return;
+  
+  const count = [...syncStatuses.values()].filter(status => status === 'conflict').length;
+  banner.style.display = count > 0 ? 'flex' : 'none';
+  
+  const text = document.getElementById('sync-banner-text');
+  if (text) {
+    text.textContent = `${count} scan${count === 1 ? ' was' : 's were'} changed here and on another device.`;
+  }
+}
+
+/**
+ * Show totals for the scans currently listed
+ * @param {Array} scans - The listed scans
+ */
+function renderListSummary(scans) {
+  const container = document.getElementById('list-summary');
+  if (!container) return;
+  
+  if (scans.length < 2) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const summary = summarizeScans(scans);
+  container.innerHTML = `
+    <div class="scan-stat">
+      <span class="scan-stat-label">Scans</span>
+      <span class="scan-stat-value">${summary.scanCount}</span>
+    </div>
+    <div class="scan-stat">
+      <span class="scan-stat-label">Total</span>
+      <span class="scan-stat-value">${formatKg(summary.totalKg)}</span>
+    </div>
+    <div class="scan-stat">
+      <span class="scan-stat-label">Extracted</span>
+      <span class="scan-stat-value">${formatKg(summary.extractedKg)}</span>
+    </div>
+    <div class="scan-stat scan-stat-highlight">
+      <span class="scan-stat-label">Separation</span>
+      <span class="scan-stat-value">${formatPercent(summary.separationPct)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Download a report aggregating all scans of the filtered site
+ */
+async function handleSiteReport() {
+  if (!siteFilter || siteFilter === NO_SITE_FILTER) return;
+  
+  let site;
+  let scans;
+  let streamTypes;
+  try {
+    let allScans;
+    let sites;
+    [allScans, sites, streamTypes] = await Promise.all([
+      getAllScans(),
+      getAllSites(),
+      getStreamTypes({ includeArchived: true })
+    ]);
+    site = sites.find(s => s.id === siteFilter);
+    scans = allScans
+      .filter(scan => scan.siteId === siteFilter)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  } catch (error) {
+    console.error('Error loading site report data:', error);
+    alert('Failed to create the site report. Please try again.');
+    return;
+  }
+  
+  if (!site) return;
+  
+  const html = generateSiteReportHtml(site, scans, streamTypes);
+  const blob = new Blob([html], { type: 'text/html' });
+  const url = URL.createObjectURL(blob);
+  
+  const slug = site.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'site';
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `site-report-${slug}-${new Date().toISOString().split('T')[0]}.html`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+  
+  showToast('Site report downloaded');
+}
+
+/**
+ * Handle scan deletion by moving it to the trash, with an undo action
  * @param {string} id - The scan ID to delete
  */
-function handleDelete(id) {
-  if (confirm('Are you sure you want to delete this scan? This cannot be undone.')) {
-    deleteScan(id);
+async function handleDelete(id) {
+  try {
+    await deleteScan(id);
+  } catch (error) {
+    console.error('Error deleting scan:', error);
+    alert('Failed to delete scan. Please try again.');
+    return;
+  }
+  
+  renderList();
+  showToast('Scan moved to trash', {
+    actionLabel: 'Undo',
+    duration: UNDO_TOAST_DURATION,
+    onAction: () => handleUndoDelete(id)
+  });
+}
+
+/**
+ * Restore a scan that was just deleted
+ * @param {string} id - The scan ID to restore
+ */
+async function handleUndoDelete(id) {
+  try {
+    await restoreScan(id);
     renderList();
+  } catch (error) {
+    console.error('Error restoring scan:', error);
+    alert('Failed to restore scan. You can still restore it from the trash.');
   }
 }
 
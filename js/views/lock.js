@@ -0,0 +1,273 @@
+/**
+ * Passphrase lock (unlock screen and settings modal section)
+ */
+
+import {
+  isLockEnabled, unlock, enableLock, changePassphrase, disableLock, setAutoLock, lockNow,
+  MIN_PASSPHRASE_LENGTH, DEFAULT_AUTO_LOCK_MINUTES
+} from '../lock.js';
+import { getLockSettings, eraseAllData } from '../storage.js';
+import { showToast } from '../utils/toast.js';
+
+/**
+ * Show the unlock screen until the right passphrase has been entered
+ * @returns {Promise<void>} Resolves once the data is unlocked
+ */
+export function showUnlockScreen() {
+  const screen = document.getElementById('lock-screen');
+  const form = document.getElementById('unlock-form');
+  const input = document.getElementById('unlock-passphrase-input');
+  const submitBtn = document.getElementById('unlock-btn');
+  const errorEl = document.getElementById('unlock-error');
+  const eraseBtn = document.getElementById('unlock-erase-btn');
+
+  screen.classList.add('open');
+  input.value = '';
+  input.focus();
+
+  return new Promise(resolve => {
+    const finish = () => {
+      form.removeEventListener('submit', handleSubmit);
+      eraseBtn.removeEventListener('click', handleErase);
+      screen.classList.remove('open');
+      resolve();
+    };
+
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+
+      submitBtn.disabled = true;
+      errorEl.textContent = '';
+
+      try {
+        await unlock(input.value);
+        input.value = '';
+        errorEl.textContent = '';
+        finish();
+      } catch (error) {
+        console.error('Unlock failed:', error);
+        errorEl.textContent = error.message === 'Wrong passphrase'
+          ? 'Wrong passphrase. Please try again.'
+          : 'Could not unlock the data. Please try again.';
+        input.select();
+      } finally {
+        submitBtn.disabled = false;
+      }
+    };
+
+    const handleErase = async () => {
+      if (!confirm('Erase all scans, photos and settings on this device? This cannot be undone. Scans already synced to the team server stay there.')) {
+        return;
+      }
+
+      try {
+        await eraseAllData();
+        finish();
+      } catch (error) {
+        console.error('Error erasing data:', error);
+        alert('Failed to erase the data. Close other tabs of the app and try again.');
+      }
+    };
+
+    form.addEventListener('submit', handleSubmit);
+    eraseBtn.addEventListener('click', handleErase);
+  });
+}
+
+/**
+ * Show that the lock state could not be read, until the user tries again
+ * Nothing may be loaded or saved before then: with the lock on, it would be stored unencrypted.
+ * @returns {Promise<void>} Resolves when the user asks to try again
+ */
+export function showLockCheckError() {
+  const screen = document.getElementById('lock-screen');
+  const form = document.getElementById('unlock-form');
+  const content = document.getElementById('lock-check-error');
+  const retryBtn = document.getElementById('lock-check-retry-btn');
+
+  form.style.display = 'none';
+  content.style.display = 'flex';
+  screen.classList.add('open');
+
+  return new Promise(resolve => {
+    retryBtn.addEventListener('click', () => {
+      screen.classList.remove('open');
+      content.style.display = 'none';
+      form.style.display = '';
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Initialize the security settings
+ */
+export function initSecuritySection() {
+  document.getElementById('lock-enable-btn')?.addEventListener('click', handleEnable);
+  document.getElementById('lock-change-btn')?.addEventListener('click', handleChange);
+  document.getElementById('lock-disable-btn')?.addEventListener('click', handleDisable);
+  document.getElementById('lock-now-btn')?.addEventListener('click', lockNow);
+  document.getElementById('auto-lock-select')?.addEventListener('change', handleAutoLockChange);
+}
+
+/**
+ * Show the controls for the current lock state (called when the settings modal opens)
+ * @returns {Promise<void>}
+ */
+export async function renderSecuritySection() {
+  let lock = null;
+  try {
+    lock = await getLockSettings();
+  } catch (error) {
+    console.error('Error loading lock settings:', error);
+  }
+
+  ['lock-current-input', 'lock-new-input', 'lock-confirm-input'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) input.value = '';
+  });
+
+  const autoLockSelect = document.getElementById('auto-lock-select');
+  if (autoLockSelect) {
+    autoLockSelect.value = String(lock ? lock.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES);
+  }
+
+  setDisplay('lock-current-group', lock ? 'block' : 'none');
+  setDisplay('lock-enable-btn', lock ? 'none' : 'inline-flex');
+  setDisplay('lock-change-btn', lock ? 'inline-flex' : 'none');
+  setDisplay('lock-disable-btn', lock ? 'inline-flex' : 'none');
+  setDisplay('lock-now-btn', lock ? 'inline-flex' : 'none');
+
+  const newLabel = document.getElementById('lock-new-label');
+  if (newLabel) newLabel.textContent = lock ? 'New passphrase' : 'Passphrase';
+
+  updateLockStatus(lock ? 'saved' : '', lock ? 'Data on this device is encrypted' : '');
+}
+
+/**
+ * Turn the lock on
+ */
+async function handleEnable() {
+  const passphrase = readNewPassphrase();
+  if (!passphrase) return;
+
+  const minutes = parseInt(document.getElementById('auto-lock-select')?.value) || 0;
+  await runLockAction('Encrypting data...', () => enableLock(passphrase, minutes), 'Lock turned on');
+}
+
+/**
+ * Change the passphrase
+ */
+async function handleChange() {
+  const current = document.getElementById('lock-current-input')?.value || '';
+  const passphrase = readNewPassphrase();
+  if (!passphrase) return;
+
+  await runLockAction('Re-encrypting data...', () => changePassphrase(current, passphrase), 'Passphrase changed');
+}
+
+/**
+ * Turn the lock off
+ */
+async function handleDisable() {
+  const current = document.getElementById('lock-current-input')?.value || '';
+
+  if (!confirm('Turn off the lock? Scans, photos and your API key will be stored unencrypted on this device.')) {
+    return;
+  }
+
+  await runLockAction('Decrypting data...', () => disableLock(current), 'Lock turned off');
+}
+
+/**
+ * Save the auto-lock time right away when the lock is on
+ */
+async function handleAutoLockChange() {
+  if (!await isLockEnabled()) return;
+
+  const minutes = parseInt(document.getElementById('auto-lock-select')?.value) || 0;
+
+  try {
+    await setAutoLock(minutes);
+    updateLockStatus('success', minutes ? `The app locks after ${minutes} minutes without use` : 'The app only locks when reloaded');
+  } catch (error) {
+    console.error('Error saving auto-lock time:', error);
+    updateLockStatus('error', 'Failed to save the auto-lock time. Please try again.');
+  }
+}
+
+/**
+ * Read the new passphrase and check that it was typed the same twice
+ * @returns {string|null} The passphrase, or null if it is not valid
+ */
+function readNewPassphrase() {
+  const passphrase = document.getElementById('lock-new-input')?.value || '';
+  const confirmation = document.getElementById('lock-confirm-input')?.value || '';
+
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    updateLockStatus('error', `The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+    return null;
+  }
+
+  if (passphrase !== confirmation) {
+    updateLockStatus('error', 'The passphrases do not match.');
+    return null;
+  }
+
+  return passphrase;
+}
+
+/**
+ * Run a lock change with the buttons disabled, then show the new state
+ * @param {string} progressMessage - Shown while it runs
+ * @param {Function} action - Returns a promise
+ * @param {string} successMessage - Shown in a toast when done
+ * @returns {Promise<void>}
+ */
+async function runLockAction(progressMessage, action, successMessage) {
+  const buttons = ['lock-enable-btn', 'lock-change-btn', 'lock-disable-btn']
+    .map(id => document.getElementById(id))
+    .filter(Boolean);
+
+  buttons.forEach(btn => { btn.disabled = true; });
+  updateLockStatus('loading', progressMessage);
+
+  try {
+    await action();
+    await renderSecuritySection();
+    showToast(successMessage);
+  } catch (error) {
+    console.error('Lock change failed:', error);
+    updateLockStatus('error', error.message === 'Wrong passphrase'
+      ? 'The current passphrase is wrong.'
+      : error.message);
+  } finally {
+    buttons.forEach(btn => { btn.disabled = false; });
+  }
+}
+
+/**
+ * Show or hide an element
+ * @param {string} id - Element ID
+ * @param {string} display - CSS display value
+ */
+function setDisplay(id, display) {
+  const el = document.getElementById(id);
+  if (el) el.style.display = display;
+}
+
+/**
+ * Update lock status display
+ * @param {string} status - Status type: '', 'loading', 'success', 'error', 'saved'
+ * @param {string} message - Status message
+ */
+function updateLockStatus(status, message) {
+  const statusEl = document.getElementById('lock-status');
+  if (!statusEl) return;
+
+  statusEl.className = 'api-key-status';
+  if (status) {
+    statusEl.classList.add(`status-${status}`);
+  }
+  statusEl.textContent = message;
+}
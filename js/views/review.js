@@ -0,0 +1,206 @@
+/**
+ * AI Analysis Review Dialog
+ * Shows the AI's suggestions next to the scan's current values and lets the
+ * user accept, reject or edit each of them before the scan is changed.
+ */
+
+import { getMergeDecision, hasEnteredWeights } from '../review.js';
+import { formatKg, formatDateTime, parseNumber } from '../utils/format.js';
+
+let rows = [];
+let decisions = [];
+let onApplyCallback = null;
+let onRefreshCallback = null;
+
+/**
+ * Initialize the review dialog
+ */
+export function initAnalysisReview() {
+  const modal = document.getElementById('analysis-review-modal');
+  document.getElementById('analysis-review-close-btn')?.addEventListener('click', closeAnalysisReview);
+  document.getElementById('analysis-review-cancel-btn')?.addEventListener('click', closeAnalysisReview);
+  document.getElementById('analysis-review-apply-btn')?.addEventListener('click', handleApply);
+  document.getElementById('analysis-review-refresh-btn')?.addEventListener('click', handleRefresh);
+  modal?.querySelector('.modal-backdrop')?.addEventListener('click', closeAnalysisReview);
+
+  document.querySelectorAll('input[name="review-mode"]').forEach(input => {
+    input.addEventListener('change', () => setMode(input.value));
+  });
+
+  // Event delegation - rows are re-rendered when the mode changes
+  const list = document.getElementById('analysis-review-list');
+  list?.addEventListener('change', handleDecisionChange);
+  list?.addEventListener('input', handleEditInput);
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal?.classList.contains('open')) {
+      closeAnalysisReview();
+    }
+  });
+}
+
+/**
+ * Open the dialog for an analysis
+ * Scans with weights entered already start in merge mode, so nothing is overwritten by default.
+ * @param {Array<{label: string, current: {weightKg: number}|null, suggestion: {weightKg: number}|null, isTotal: boolean, unmapped: boolean}>} reviewRows - The total row and one row per stream
+ * @param {Function} onApply - Called with one `{decision, weightKg}` per row when the user applies
+ * @param {{cachedAt: string|null, onRefresh: Function}} [options] - When a cached result is shown, and how to ask the AI again
+ */
+export function openAnalysisReview(reviewRows, onApply, { cachedAt = null, onRefresh = null } = {}) {
+  const modal = document.getElementById('analysis-review-modal');
+  if (!modal) return;
+
+  rows = reviewRows;
+  onApplyCallback = onApply;
+  onRefreshCallback = onRefresh;
+
+  const cachedNote = document.getElementById('analysis-review-cached');
+  const cachedTime = document.getElementById('analysis-review-cached-time');
+  if (cachedNote) cachedNote.style.display = cachedAt ? 'flex' : 'none';
+  if (cachedTime) cachedTime.textContent = cachedAt ? formatDateTime(cachedAt) : '';
+
+  const mode = hasEnteredWeights(rows) ? 'merge' : 'replace';
+  document.querySelectorAll('input[name="review-mode"]').forEach(input => {
+    input.checked = input.value === mode;
+  });
+  setMode(mode);
+
+  modal.classList.add('open');
+  document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Close the dialog without changing the scan
+ */
+export function closeAnalysisReview() {
+  const modal = document.getElementById('analysis-review-modal');
+  if (!modal?.classList.contains('open')) return;
+
+  modal.classList.remove('open');
+  document.body.style.overflow = '';
+  onApplyCallback = null;
+  onRefreshCallback = null;
+}
+
+/**
+ * Reset every row to the decision of a mode
+ * @param {'replace'|'merge'} mode - Accept every suggestion, or only fill in missing values
+ */
+function setMode(mode) {
+  decisions = rows.map(row => ({
+    decision: !row.suggestion ? 'reject' : mode === 'merge' ? getMergeDecision(row) : 'accept',
+    weightKg: row.suggestion?.weightKg ?? null
+  }));
+  renderRows();
+}
+
+/**
+ * Render the rows with the current and suggested values
+ */
+function renderRows() {
+  const container = document.getElementById('analysis-review-list');
+  if (!container) return;
+
+  container.innerHTML = `
+    <table class="review-table">
+      <thead>
+        <tr>
+          <th>Stream</th>
+          <th>Current</th>
+          <th>AI suggestion</th>
+          <th>Use</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map((row, index) => {
+          const { decision, weightKg } = decisions[index];
+          return `
+            <tr class="${row.isTotal ? 'review-row-total' : ''} ${decision === 'reject' && row.suggestion ? 'review-row-rejected' : ''}">
+              <td>
+                ${escapeHtml(row.label) || '<span class="muted">Unnamed</span>'}
+                ${row.unmapped ? '<span class="review-unmapped">Not in your streams</span>' : ''}
+              </td>
+              <td>${row.current ? formatKg(row.current.weightKg) : '—'}</td>
+              <td>${row.suggestion ? formatKg(row.suggestion.weightKg) : '<span class="muted">Not found</span>'}</td>
+              <td>
+                ${row.suggestion ? `
+                  <select class="select review-decision" data-index="${index}" aria-label="Use for ${escapeHtml(row.label)}">
+                    <option value="accept" ${decision === 'accept' ? 'selected' : ''}>AI value</option>
+                    <option value="reject" ${decision === 'reject' ? 'selected' : ''}>${row.current ? 'Current value' : 'Leave out'}</option>
+                    <option value="edit" ${decision === 'edit' ? 'selected' : ''}>Other value...</option>
+                  </select>
+                  <input type="number" class="input review-edit-input" data-index="${index}"
+                         step="0.1" min="0" value="${weightKg ?? ''}" aria-label="Weight in kg"
+                         style="display: ${decision === 'edit' ? 'block' : 'none'};">
+                ` : '<span class="muted">Kept</span>'}
+              </td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Handle a changed decision
+ * @param {Event} e
+ */
+function handleDecisionChange(e) {
+  if (!e.target.classList.contains('review-decision')) return;
+
+  const index = parseInt(e.target.dataset.index);
+  decisions[index].decision = e.target.value;
+
+  const row = e.target.closest('tr');
+  row.classList.toggle('review-row-rejected', e.target.value === 'reject');
+  const editInput = row.querySelector('.review-edit-input');
+  editInput.style.display = e.target.value === 'edit' ? 'block' : 'none';
+  if (e.target.value === 'edit') {
+    editInput.focus();
+  }
+}
+
+/**
+ * Handle a typed weight
+ * @param {Event} e
+ */
+function handleEditInput(e) {
+  if (!e.target.classList.contains('review-edit-input')) return;
+  decisions[parseInt(e.target.dataset.index)].weightKg = parseNumber(e.target.value);
+}
+
+/**
+ * Hand the decisions to the editor and close
+ */
+function handleApply() {
+  const onApply = onApplyCallback;
+  closeAnalysisReview();
+  if (onApply) onApply(decisions.map(decision => ({ ...decision })));
+}
+
+/**
+ * Close and ask the AI again instead of using the cached result
+ */
+function handleRefresh() {
+  const onRefresh = onRefreshCallback;
+  closeAnalysisReview();
+  if (onRefresh) onRefresh();
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
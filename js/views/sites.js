@@ -0,0 +1,335 @@
+/**
+ * Sites View
+ * Manage sites and merge free-text scan locations into them
+ */
+
+import { getAllSites, saveSite, deleteSite, assignScansToSite, createEmptySite, getAllScans, getStreamTypes } from '../storage.js';
+import { suggestSitesFromLocations, summarizeScans } from '../sites.js';
+import { formatKg, formatPercent } from '../utils/format.js';
+import { showToast } from '../utils/toast.js';
+
+let onViewScansCallback = null;
+let editingSite = null;
+let currentSites = [];
+let streamTypes = [];
+let suggestions = [];
+
+/**
+ * Initialize the sites view
+ * @param {Function} onBack - Callback when going back to the list
+ * @param {Function} onViewScans - Callback to show the scans of a site, receives the site ID
+ */
+export function initSitesView(onBack, onViewScans) {
+  onViewScansCallback = onViewScans;
+
+  document.getElementById('sites-back-btn')?.addEventListener('click', () => {
+    if (onBack) onBack();
+  });
+
+  document.getElementById('add-site-btn')?.addEventListener('click', () => openSiteForm(createEmptySite()));
+  document.getElementById('site-cancel-btn')?.addEventListener('click', closeSiteForm);
+  document.getElementById('site-save-btn')?.addEventListener('click', handleSaveSite);
+
+  // Event delegation - cards are re-rendered on every change
+  document.getElementById('sites-list')?.addEventListener('click', handleSiteListClick);
+  document.getElementById('site-suggestions')?.addEventListener('click', handleSuggestionClick);
+  document.getElementById('site-suggestions')?.addEventListener('change', (e) => {
+    if (e.target.matches('.suggestion-target')) {
+      const nameInput = e.target.closest('.suggestion-card')?.querySelector('.suggestion-name');
+      if (nameInput) nameInput.style.display = e.target.value ? 'none' : 'block';
+    }
+  });
+}
+
+/**
+ * Render the sites list and location suggestions
+ * @returns {Promise<void>}
+ */
+export async function renderSites() {
+  const container = document.getElementById('sites-list');
+  if (!container) return;
+
+  let sites;
+  let scans;
+  try {
+    [sites, scans, streamTypes] = await Promise.all([
+      getAllSites(),
+      getAllScans(),
+      getStreamTypes({ includeArchived: true })
+    ]);
+    currentSites = sites;
+  } catch (error) {
+    console.error('Error loading sites:', error);
+    container.innerHTML = '<p class="muted">Could not load sites.</p>';
+    return;
+  }
+
+  renderSuggestions(scans, sites);
+
+  if (sites.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <h3>No sites yet</h3>
+        <p>Add the sites you scan regularly, with their client, address and usual waste streams.</p>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = sites.map(site => {
+    const summary = summarizeScans(scans.filter(scan => scan.siteId === site.id));
+    const contact = [site.contactName, site.contactPhone, site.contactEmail].filter(Boolean);
+    const defaultTypes = site.defaultTypeIds
+      .map(id => streamTypes.find(type => type.id === id))
+      .filter(Boolean);
+
+    return `
+      <div class="site-card" data-id="${site.id}">
+        <div class="site-card-content">
+          <div class="site-card-header">
+            <span class="site-card-name">${escapeHtml(site.name)}</span>
+            ${site.client ? `<span class="site-card-client">${escapeHtml(site.client)}</span>` : ''}
+          </div>
+          ${site.address ? `<p class="site-card-detail">${escapeHtml(site.address)}</p>` : ''}
+          ${contact.length > 0 ? `<p class="site-card-detail">${contact.map(escapeHtml).join(' · ')}</p>` : ''}
+          ${defaultTypes.length > 0 ? `
+            <div class="site-card-streams">
+              ${defaultTypes.map(type => `<span class="site-stream-chip">${escapeHtml(type.name)}</span>`).join('')}
+            </div>
+          ` : ''}
+          <div class="scan-card-stats">
+            <div class="scan-stat">
+              <span class="scan-stat-label">Scans</span>
+              <span class="scan-stat-value">${summary.scanCount}</span>
+            </div>
+            <div class="scan-stat">
+              <span class="scan-stat-label">Total</span>
+              <span class="scan-stat-value">${formatKg(summary.totalKg)}</span>
+            </div>
+            <div class="scan-stat scan-stat-highlight">
+              <span class="scan-stat-label">Separation</span>
+              <span class="scan-stat-value">${formatPercent(summary.separationPct)}</span>
+            </div>
+          </div>
+        </div>
+        <div class="scan-card-actions">
+          <button class="btn btn-secondary btn-sm" data-action="scans" data-id="${site.id}" ${summary.scanCount === 0 ? 'disabled' : ''}>View scans</button>
+          <button class="btn btn-ghost btn-sm" data-action="edit" data-id="${site.id}">Edit</button>
+          <button class="btn btn-ghost btn-sm btn-delete" data-action="delete" data-id="${site.id}">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render suggestions for merging free-text locations into sites
+ * @param {Array} scans - All scans
+ * @param {Array} sites - All sites
+ */
+function renderSuggestions(scans, sites) {
+  const section = document.getElementById('site-suggestions-section');
+  const container = document.getElementById('site-suggestions');
+  if (!section || !container) return;
+
+  suggestions = suggestSitesFromLocations(scans, sites);
+  section.style.display = suggestions.length > 0 ? 'block' : 'none';
+
+  container.innerHTML = suggestions.map((suggestion, index) => `
+    <div class="suggestion-card" data-index="${index}">
+      <div class="suggestion-info">
+        <div class="suggestion-variants">
+          ${suggestion.variants.map(variant =>
+            `<span class="site-stream-chip">${escapeHtml(variant.text)}${variant.count > 1 ? ` ×${variant.count}` : ''}</span>`
+          ).join('')}
+        </div>
+        <span class="muted">${suggestion.scanIds.length} scan${suggestion.scanIds.length === 1 ? '' : 's'} without a site</span>
+      </div>
+      <div class="suggestion-actions">
+        <select class="input suggestion-target">
+          <option value="">Create new site</option>
+          ${sites.map(site =>
+            `<option value="${site.id}" ${site.id === suggestion.siteId ? 'selected' : ''}>Add to ${escapeHtml(site.name)}</option>`
+          ).join('')}
+        </select>
+        <input type="text" class="input suggestion-name" value="${escapeHtml(suggestion.name)}" placeholder="Site name"
+               style="display: ${suggestion.siteId ? 'none' : 'block'}">
+        <button type="button" class="btn btn-primary btn-sm" data-action="apply" data-index="${index}">Merge</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Show the site form
+ * @param {Object} site - The site to edit, or an empty site
+ */
+function openSiteForm(site) {
+  editingSite = site;
+
+  const section = document.getElementById('site-form-section');
+  if (!section) return;
+
+  document.getElementById('site-form-title').textContent = site.id ? 'Edit Site' : 'New Site';
+  document.getElementById('site-name').value = site.name || '';
+  document.getElementById('site-client').value = site.client || '';
+  document.getElementById('site-address').value = site.address || '';
+  document.getElementById('site-contact-name').value = site.contactName || '';
+  document.getElementById('site-contact-phone').value = site.contactPhone || '';
+  document.getElementById('site-contact-email').value = site.contactEmail || '';
+
+  // Active types plus any archived ones the site still uses
+  const types = streamTypes.filter(type => !type.archived || site.defaultTypeIds.includes(type.id));
+  document.getElementById('site-default-streams').innerHTML = types.map(type => `
+    <label class="checkbox-option">
+      <input type="checkbox" value="${type.id}" ${site.defaultTypeIds.includes(type.id) ? 'checked' : ''}>
+      ${escapeHtml(type.name)}
+    </label>
+  `).join('');
+
+  section.style.display = 'block';
+  section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  document.getElementById('site-name').focus();
+}
+
+/**
+ * Hide the site form
+ */
+function closeSiteForm() {
+  editingSite = null;
+  const section = document.getElementById('site-form-section');
+  if (section) section.style.display = 'none';
+}
+
+/**
+ * Save the site in the form
+ */
+async function handleSaveSite() {
+  if (!editingSite) return;
+
+  const value = (id) => document.getElementById(id).value.trim() || null;
+  const name = value('site-name');
+
+  if (!name) {
+    alert('Please enter a site name.');
+    return;
+  }
+
+  const defaultTypeIds = [...document.querySelectorAll('#site-default-streams input:checked')]
+    .map(input => input.value);
+
+  try {
+    await saveSite({
+      ...editingSite,
+      name,
+      client: value('site-client'),
+      address: value('site-address'),
+      contactName: value('site-contact-name'),
+      contactPhone: value('site-contact-phone'),
+      contactEmail: value('site-contact-email'),
+      defaultTypeIds
+    });
+  } catch (error) {
+    console.error('Error saving site:', error);
+    alert('Failed to save site. Please try again.');
+    return;
+  }
+
+  closeSiteForm();
+  showToast('Site saved');
+  renderSites();
+}
+
+/**
+ * Handle clicks on site cards
+ * @param {MouseEvent} e
+ */
+function handleSiteListClick(e) {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+
+  const id = btn.dataset.id;
+
+  if (btn.dataset.action === 'scans') {
+    if (onViewScansCallback) onViewScansCallback(id);
+  } else if (btn.dataset.action === 'edit') {
+    const site = currentSites.find(s => s.id === id);
+    if (site) openSiteForm(site);
+  } else if (btn.dataset.action === 'delete') {
+    handleDeleteSite(id);
+  }
+}
+
+/**
+ * Delete a site after confirmation
+ * @param {string} id - The site ID
+ */
+async function handleDeleteSite(id) {
+  if (!confirm('Delete this site? Its scans are kept but will no longer be linked to a site.')) {
+    return;
+  }
+
+  try {
+    await deleteSite(id);
+    showToast('Site deleted');
+  } catch (error) {
+    console.error('Error deleting site:', error);
+    alert('Failed to delete site. Please try again.');
+  }
+
+  if (editingSite?.id === id) closeSiteForm();
+  renderSites();
+}
+
+/**
+ * Handle clicks on location suggestions
+ * @param {MouseEvent} e
+ */
+async function handleSuggestionClick(e) {
+  const btn = e.target.closest('[data-action="apply"]');
+  if (!btn) return;
+
+  const suggestion = suggestions[parseInt(btn.dataset.index)];
+  const card = btn.closest('.suggestion-card');
+  if (!suggestion || !card) return;
+
+  let siteId = card.querySelector('.suggestion-target').value;
+  const name = card.querySelector('.suggestion-name').value.trim();
+
+  if (!siteId && !name) {
+    alert('Please enter a name for the new site.');
+    return;
+  }
+
+  btn.disabled = true;
+
+  try {
+    if (!siteId) {
+      siteId = (await saveSite({ ...createEmptySite(), name })).id;
+    }
+    const count = await assignScansToSite(suggestion.scanIds, siteId);
+    showToast(`${count} scan${count === 1 ? '' : 's'} linked to the site`);
+  } catch (error) {
+    console.error('Error merging locations:', error);
+    alert('Failed to link the scans to the site. Please try again.');
+  }
+
+  renderSites();
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
@@ -0,0 +1,295 @@
+/**
+ * Team Sync (settings modal section and conflict dialog)
+ */
+
+import { getSyncSettings, setSyncSettings, resetSyncState, getSyncMeta, getSyncConflicts, resolveSyncConflict } from '../storage.js';
+import { syncNow, getLastSyncResult } from '../sync.js';
+import { formatKg, formatDate, formatDateTime } from '../utils/format.js';
+import { showToast } from '../utils/toast.js';
+
+let onChangedCallback = null;
+let conflicts = [];
+
+/**
+ * Initialize the sync settings and the conflict dialog
+ * @param {Function} onChanged - Callback after scans changed through a conflict resolution
+ */
+export function initSyncSection(onChanged) {
+  onChangedCallback = onChanged;
+
+  document.getElementById('sync-endpoint-input')?.addEventListener('change', handleSettingsChange);
+  document.getElementById('sync-token-input')?.addEventListener('change', handleSettingsChange);
+  document.getElementById('sync-now-btn')?.addEventListener('click', handleSyncNow);
+
+  const modal = document.getElementById('sync-conflict-modal');
+  document.getElementById('sync-conflict-close-btn')?.addEventListener('click', closeConflictDialog);
+  modal?.querySelector('.modal-backdrop')?.addEventListener('click', closeConflictDialog);
+
+  // Event delegation - conflicts are re-rendered after every resolution
+  document.getElementById('sync-conflict-list')?.addEventListener('click', handleConflictClick);
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal?.classList.contains('open')) {
+      closeConflictDialog();
+    }
+  });
+}
+
+/**
+ * Fill in the sync settings (called when the settings modal opens)
+ * @returns {Promise<void>}
+ */
+export async function renderSyncSection() {
+  const { endpoint, token } = getSyncSettings();
+  const endpointInput = document.getElementById('sync-endpoint-input');
+  const tokenInput = document.getElementById('sync-token-input');
+
+  if (endpointInput) endpointInput.value = endpoint || '';
+  if (tokenInput) tokenInput.value = token || '';
+
+  await showSyncResult(getLastSyncResult());
+}
+
+/**
+ * Open the dialog listing scans changed both here and on the server
+ * @returns {Promise<void>}
+ */
+export async function openConflictDialog() {
+  const modal = document.getElementById('sync-conflict-modal');
+  if (!modal) return;
+
+  await renderConflicts();
+
+  modal.classList.add('open');
+  document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Close the conflict dialog
+ */
+function closeConflictDialog() {
+  const modal = document.getElementById('sync-conflict-modal');
+  if (!modal) return;
+
+  modal.classList.remove('open');
+  document.body.style.overflow = '';
+}
+
+/**
+ * Render each conflict with both versions side by side
+ * @returns {Promise<void>}
+ */
+async function renderConflicts() {
+  const container = document.getElementById('sync-conflict-list');
+  if (!container) return;
+
+  try {
+    conflicts = await getSyncConflicts();
+  } catch (error) {
+    console.error('Error loading sync conflicts:', error);
+    container.innerHTML = '<p class="muted">Could not load the conflicts.</p>';
+    return;
+  }
+
+  if (conflicts.length === 0) {
+    container.innerHTML = '<p class="muted">All conflicts have been resolved.</p>';
+    return;
+  }
+
+  container.innerHTML = conflicts.map(conflict => {
+    const remoteScan = conflict.remote.deleted ? null : conflict.remote.scan;
+    const scan = conflict.local || remoteScan;
+    const localTime = conflict.local ? new Date(conflict.local.updatedAt).getTime() : 0;
+    const remoteTime = new Date(conflict.remote.updatedAt).getTime();
+
+    return `
+      <div class="conflict-card" data-id="${conflict.scanId}">
+        <div class="conflict-title">
+          ${escapeHtml(scan?.location || 'Scan')} · ${scan ? formatDate(scan.createdAt) : ''}
+        </div>
+        <div class="conflict-versions">
+          ${renderVersion('This device', conflict.local, 'Deleted on this device', localTime > remoteTime, 'local')}
+          ${renderVersion('Server', remoteScan, 'Deleted on the server', remoteTime >= localTime, 'remote')}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render one side of a conflict
+ * @param {string} label - Which side this is
+ * @param {Object|null} scan - The scan, or null if it was deleted
+ * @param {string} deletedText - Text shown for a deleted scan
+ * @param {boolean} isNewer - Whether this is the most recently changed side
+ * @param {'local'|'remote'} keep - Value passed to resolveSyncConflict()
+ * @returns {string} HTML
+ */
+function renderVersion(label, scan, deletedText, isNewer, keep) {
+  const details = scan
+    ? `
+      <p class="conflict-detail">Changed ${formatDateTime(scan.updatedAt)}</p>
+      <p class="conflict-detail">${formatKg(scan.totalResidualKg)} total${scan.deletedAt ? ' · in the trash' : ''}</p>
+      ${scan.notes ? `<p class="conflict-detail">${escapeHtml(scan.notes)}</p>` : ''}
+      <p class="conflict-detail">${scan.streams.map(stream =>
+        `${escapeHtml(stream.name || 'Unnamed')} ${formatKg(stream.weightKg)}`
+      ).join(', ') || 'No streams'}</p>
+    `
+    : `<p class="conflict-detail">${deletedText}</p>`;
+
+  return `
+    <div class="conflict-version">
+      <div class="conflict-version-header">
+        <span class="conflict-version-label">${label}</span>
+        ${isNewer ? '<span class="conflict-newer">Newer</span>' : ''}
+      </div>
+      ${details}
+      <button type="button" class="btn ${isNewer ? 'btn-primary' : 'btn-secondary'} btn-sm" data-action="${keep}">
+        Keep this version
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Keep the chosen version of a conflicting scan
+ * @param {MouseEvent} e
+ */
+async function handleConflictClick(e) {
+  const btn = e.target.closest('[data-action]');
+  const scanId = btn?.closest('.conflict-card')?.dataset.id;
+  if (!scanId) return;
+
+  btn.disabled = true;
+
+  try {
+    await resolveSyncConflict(scanId, btn.dataset.action);
+  } catch (error) {
+    console.error('Error resolving sync conflict:', error);
+    alert('Failed to resolve the conflict. Please try again.');
+  }
+
+  await renderConflicts();
+  if (onChangedCallback) onChangedCallback();
+
+  if (conflicts.length === 0) {
+    closeConflictDialog();
+    showToast('Conflicts resolved');
+  }
+
+  // Send the kept local versions
+  syncNow().catch(error => console.error('Sync failed:', error));
+}
+
+/**
+ * Save the server settings when they change
+ * A new server starts from scratch: everything is uploaded and pulled again.
+ */
+async function handleSettingsChange() {
+  const endpoint = document.getElementById('sync-endpoint-input')?.value.trim() || null;
+  const token = document.getElementById('sync-token-input')?.value.trim() || null;
+
+  if (endpoint && !/^https?:\/\/\S+$/i.test(endpoint)) {
+    updateSyncStatus('error', 'Please enter a server URL starting with http:// or https://');
+    return;
+  }
+
+  const previous = getSyncSettings();
+  setSyncSettings({ endpoint, token });
+
+  if (!endpoint) {
+    updateSyncStatus('', previous.endpoint ? 'Sync is off. Scans stay on this device.' : '');
+    return;
+  }
+
+  if (endpoint !== previous.endpoint) {
+    try {
+      await resetSyncState();
+    } catch (error) {
+      console.error('Error resetting sync state:', error);
+      updateSyncStatus('error', 'Could not prepare the scans for syncing. Please try again.');
+      return;
+    }
+  }
+
+  if (endpoint !== previous.endpoint || token !== previous.token) {
+    await handleSyncNow();
+  }
+}
+
+/**
+ * Sync immediately and show the outcome
+ */
+async function handleSyncNow() {
+  if (!getSyncSettings().endpoint) {
+    updateSyncStatus('error', 'Enter a server URL first.');
+    return;
+  }
+
+  updateSyncStatus('loading', 'Syncing...');
+
+  try {
+    await showSyncResult(await syncNow());
+  } catch (error) {
+    console.error('Sync failed:', error);
+    updateSyncStatus('error', error.message);
+  }
+}
+
+/**
+ * Show the outcome of a sync in the status line
+ * @param {Object|null} result - The sync result, or null to show the last sync time
+ * @returns {Promise<void>}
+ */
+async function showSyncResult(result) {
+  if (!getSyncSettings().endpoint) {
+    updateSyncStatus('', '');
+    return;
+  }
+
+  if (result?.status === 'offline') {
+    updateSyncStatus('', 'You are offline. Changes will be sent when you are back online.');
+  } else if (result?.status === 'error') {
+    updateSyncStatus('error', `Sync failed: ${result.error}. Changes are kept and sent later.`);
+  } else if (result?.conflicts > 0) {
+    updateSyncStatus('error', `${result.conflicts} scan${result.conflicts === 1 ? ' was' : 's were'} changed on another device too. Resolve them from the scan list.`);
+  } else if (result) {
+    updateSyncStatus('success', `Synced: ${result.pulled} received, ${result.pushed} sent`);
+  } else {
+    const { lastSyncedAt } = await getSyncMeta().catch(() => ({}));
+    updateSyncStatus('', lastSyncedAt ? `Last synced ${formatDateTime(lastSyncedAt)}` : 'Not synced yet');
+  }
+}
+
+/**
+ * Update sync status display
+ * @param {string} status - Status type: '', 'loading', 'success', 'error'
+ * @param {string} message - Status message
+ */
+function updateSyncStatus(status, message) {
+  const statusEl = document.getElementById('sync-status');
+  if (!statusEl) return;
+
+  statusEl.className = 'api-key-status';
+  if (status) {
+    statusEl.classList.add(`status-${status}`);
+  }
+  statusEl.textContent = message;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
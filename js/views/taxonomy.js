@@ -0,0 +1,232 @@
+/**
+ * Waste Stream Taxonomy (settings modal section)
+ */
+
+import { getStreamTypes, saveStreamType, reorderStreamTypes } from '../storage.js';
+import { pickStreamTypeColor } from '../taxonomy.js';
+import { DEFAULT_BULK_DENSITIES } from '../volume.js';
+
+let onChangedCallback = null;
+let streamTypes = [];
+
+/**
+ * Initialize the taxonomy controls
+ * @param {Function} onChanged - Callback after a stream type has changed
+ */
+export function initTaxonomySection(onChanged) {
+  onChangedCallback = onChanged;
+
+  document.getElementById('add-stream-type-btn')?.addEventListener('click', handleAddType);
+
+  // Event delegation - rows are re-rendered on every change
+  const list = document.getElementById('stream-type-list');
+  list?.addEventListener('change', handleFieldChange);
+  list?.addEventListener('click', handleRowClick);
+}
+
+/**
+ * Render the stream type list (called when the settings modal opens)
+ * @returns {Promise<void>}
+ */
+export async function renderTaxonomySection() {
+  const container = document.getElementById('stream-type-list');
+  if (!container) return;
+
+  try {
+    streamTypes = await getStreamTypes({ includeArchived: true });
+  } catch (error) {
+    console.error('Error loading stream types:', error);
+    container.innerHTML = '<p class="muted">Could not load the waste streams.</p>';
+    return;
+  }
+
+  // Active types in their order, archived ones at the end
+  const active = streamTypes.filter(type => !type.archived);
+  const archived = streamTypes.filter(type => type.archived);
+
+  container.innerHTML = [...active, ...archived].map((type, index) => `
+    <div class="stream-type-row ${type.archived ? 'archived' : ''}" data-id="${type.id}">
+      <input type="color" class="stream-type-color" data-field="color" value="${type.color || '#999999'}" title="Colour" ${type.archived ? 'disabled' : ''}>
+      <input type="text" class="input stream-type-name" data-field="name" value="${escapeHtml(type.name)}" aria-label="Stream name" ${type.archived ? 'disabled' : ''}>
+      <input type="text" class="input stream-type-code" data-field="code" value="${escapeHtml(type.code)}" placeholder="Code" aria-label="Stream code" ${type.archived ? 'disabled' : ''}>
+      <input type="number" class="input stream-type-density" data-field="densityKgPerL" value="${type.densityKgPerL ?? ''}"
+             placeholder="${DEFAULT_BULK_DENSITIES[type.id] ?? 'kg/L'}" step="0.01" min="0"
+             title="Bulk density in kg per litre, to convert volumes to weights" aria-label="Bulk density in kg per litre" ${type.archived ? 'disabled' : ''}>
+      ${type.archived ? '' : `
+        <button type="button" class="btn btn-ghost btn-icon btn-sm" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 15l-6-6-6 6"/></svg>
+        </button>
+        <button type="button" class="btn btn-ghost btn-icon btn-sm" data-action="down" title="Move down" ${index === active.length - 1 ? 'disabled' : ''}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 9l6 6 6-6"/></svg>
+        </button>
+      `}
+      <button type="button" class="btn btn-ghost btn-sm" data-action="${type.archived ? 'unarchive' : 'archive'}">
+        ${type.archived ? 'Restore' : 'Archive'}
+      </button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Reset the status line (called when the settings modal opens)
+ */
+export function resetTaxonomyStatus() {
+  updateTaxonomyStatus('', '');
+}
+
+/**
+ * Save a changed name, code, colour or density
+ * @param {Event} e - The change event
+ */
+async function handleFieldChange(e) {
+  const field = e.target.dataset.field;
+  const type = findRowType(e.target);
+  if (!field || !type) return;
+
+  const value = e.target.value.trim();
+  if (field === 'name' && !value) {
+    updateTaxonomyStatus('error', 'A waste stream needs a name.');
+    renderTaxonomySection();
+    return;
+  }
+
+  if (field === 'densityKgPerL') {
+    const density = parseFloat(value);
+    await updateType({ ...type, densityKgPerL: density > 0 ? density : null });
+    return;
+  }
+
+  await updateType({ ...type, [field]: value || null });
+}
+
+/**
+ * Handle the move and archive buttons
+ * @param {MouseEvent} e
+ */
+async function handleRowClick(e) {
+  const btn = e.target.closest('[data-action]');
+  const type = btn && findRowType(btn);
+  if (!type) return;
+
+  const action = btn.dataset.action;
+
+  if (action === 'archive' || action === 'unarchive') {
+    await updateType({ ...type, archived: action === 'archive' });
+    return;
+  }
+
+  const active = streamTypes.filter(t => !t.archived);
+  const index = active.findIndex(t => t.id === type.id);
+  const target = action === 'up' ? index - 1 : index + 1;
+  if (target < 0 || target >= active.length) return;
+
+  [active[index], active[target]] = [active[target], active[index]];
+
+  try {
+    await reorderStreamTypes([...active, ...streamTypes.filter(t => t.archived)].map(t => t.id));
+    updateTaxonomyStatus('', '');
+  } catch (error) {
+    console.error('Error reordering stream types:', error);
+    updateTaxonomyStatus('error', 'Could not change the order. Please try again.');
+  }
+
+  await renderTaxonomySection();
+  notifyChanged();
+}
+
+/**
+ * Add a new stream type and focus its name
+ */
+async function handleAddType() {
+  let name = 'New stream';
+  for (let i = 2; streamTypes.some(type => type.name.toLowerCase() === name.toLowerCase()); i++) {
+    name = `New stream ${i}`;
+  }
+
+  let saved;
+  try {
+    ({ type: saved } = await saveStreamType({ name, color: pickStreamTypeColor(streamTypes) }));
+    updateTaxonomyStatus('', '');
+  } catch (error) {
+    console.error('Error adding stream type:', error);
+    updateTaxonomyStatus('error', 'Could not add a waste stream. Please try again.');
+    return;
+  }
+
+  await renderTaxonomySection();
+  notifyChanged();
+
+  const input = document.querySelector(`.stream-type-row[data-id="${saved.id}"] .stream-type-name`);
+  input?.focus();
+  input?.select();
+}
+
+/**
+ * Save a stream type and show the outcome
+ * @param {Object} type - The updated stream type
+ */
+async function updateType(type) {
+  try {
+    const { renamedScans } = await saveStreamType(type);
+    updateTaxonomyStatus(
+      renamedScans > 0 ? 'success' : '',
+      renamedScans > 0 ? `Renamed in ${renamedScans} scan${renamedScans === 1 ? '' : 's'}` : ''
+    );
+  } catch (error) {
+    console.error('Error saving stream type:', error);
+    updateTaxonomyStatus('error', error.message || 'Could not save the waste stream.');
+  }
+
+  await renderTaxonomySection();
+  notifyChanged();
+}
+
+/**
+ * Find the stream type of the row an element is in
+ * @param {Element} element - An element inside a row
+ * @returns {Object|undefined} The stream type
+ */
+function findRowType(element) {
+  const id = element.closest('.stream-type-row')?.dataset.id;
+  return streamTypes.find(type => type.id === id);
+}
+
+/**
+ * Let the rest of the app pick up taxonomy changes
+ */
+function notifyChanged() {
+  if (onChangedCallback) onChangedCallback();
+}
+
+/**
+ * Update the taxonomy status line
+ * @param {string} status - Status type: '', 'loading', 'success', 'error'
+ * @param {string} message - Status message
+ */
+function updateTaxonomyStatus(status, message) {
+  const statusEl = document.getElementById('stream-type-status');
+  if (!statusEl) return;
+
+  statusEl.className = 'api-key-status';
+  if (status) {
+    statusEl.classList.add(`status-${status}`);
+  }
+  statusEl.textContent = message;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
@@ -0,0 +1,179 @@
+/**
+ * Trash View
+ */
+
+import { getDeletedScans, restoreScan, purgeScans, getTrashRetentionDays } from '../storage.js';
+import { formatKg, formatDate } from '../utils/format.js';
+import { showToast } from '../utils/toast.js';
+import { getDaysLeft } from '../trash.js';
+
+/**
+ * Initialize the trash view
+ * @param {Function} onBack - Callback when going back to the list
+ */
+export function initTrashView(onBack) {
+  document.getElementById('trash-back-btn')?.addEventListener('click', () => {
+    if (onBack) onBack();
+  });
+
+  document.getElementById('empty-trash-btn')?.addEventListener('click', handleEmptyTrash);
+
+  // Event delegation - cards are re-rendered on every change
+  document.getElementById('trash-list')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+
+    if (btn.dataset.action === 'restore') {
+      handleRestore(btn.dataset.id);
+    } else if (btn.dataset.action === 'purge') {
+      handlePurge(btn.dataset.id);
+    }
+  });
+}
+
+/**
+ * Render the trash list
+ * @returns {Promise<void>}
+ */
+export async function renderTrash() {
+  const container = document.getElementById('trash-list');
+  const emptyBtn = document.getElementById('empty-trash-btn');
+  const retentionEl = document.getElementById('trash-retention');
+  if (!container) return;
+
+  const retentionDays = getTrashRetentionDays();
+  if (retentionEl) {
+    retentionEl.textContent = `Scans are permanently deleted ${retentionDays} day${retentionDays === 1 ? '' : 's'} after being moved to the trash.`;
+  }
+
+  let scans;
+  try {
+    scans = await getDeletedScans();
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    container.innerHTML = '<p class="muted">Could not load the trash.</p>';
+    return;
+  }
+
+  if (emptyBtn) emptyBtn.disabled = scans.length === 0;
+
+  if (scans.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <h3>Trash is empty</h3>
+        <p>Deleted scans appear here and can be restored until they expire.</p>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = scans.map(scan => {
+    const daysLeft = getDaysLeft(scan, retentionDays);
+
+    const thumbnailHtml = scan.photos?.length
+      ? `<img src="${scan.photos[0].dataUrl}" alt="Scan photo" class="scan-thumbnail">`
+      : `<div class="scan-thumbnail scan-thumbnail-placeholder">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+            <rect x="3" y="3" width="18" height="18" rx="2"/>
+            <circle cx="8.5" cy="8.5" r="1.5"/>
+            <path d="M21 15l-5-5L5 21"/>
+          </svg>
+        </div>`;
+
+    return `
+      <div class="scan-card scan-card-trashed" data-id="${scan.id}">
+        <div class="scan-card-thumbnail">
+          ${thumbnailHtml}
+        </div>
+        <div class="scan-card-content">
+          <div class="scan-card-header">
+            <span class="scan-card-date">${formatDate(scan.createdAt)}</span>
+            ${scan.location ? `<span class="scan-card-location">${escapeHtml(scan.location)}</span>` : ''}
+          </div>
+          <div class="scan-card-stats">
+            <div class="scan-stat">
+              <span class="scan-stat-label">Total</span>
+              <span class="scan-stat-value">${formatKg(scan.totalResidualKg)}</span>
+            </div>
+            <div class="scan-stat">
+              <span class="scan-stat-label">Deleted</span>
+              <span class="scan-stat-value">${formatDate(scan.deletedAt)}</span>
+            </div>
+            <div class="scan-stat">
+              <span class="scan-stat-label">Expires in</span>
+              <span class="scan-stat-value">${daysLeft} day${daysLeft === 1 ? '' : 's'}</span>
+            </div>
+          </div>
+        </div>
+        <div class="scan-card-actions">
+          <button class="btn btn-secondary" data-action="restore" data-id="${scan.id}">Restore</button>
+          <button class="btn btn-ghost btn-delete" data-action="purge" data-id="${scan.id}">Delete forever</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Restore a scan from the trash
+ * @param {string} id - The scan ID
+ */
+async function handleRestore(id) {
+  try {
+    await restoreScan(id);
+    showToast('Scan restored');
+  } catch (error) {
+    console.error('Error restoring scan:', error);
+    alert('Failed to restore scan. Please try again.');
+  }
+  renderTrash();
+}
+
+/**
+ * Permanently delete a single scan
+ * @param {string} id - The scan ID
+ */
+async function handlePurge(id) {
+  if (!confirm('Permanently delete this scan? This cannot be undone.')) {
+    return;
+  }
+
+  try {
+    await purgeScans([id]);
+    showToast('Scan permanently deleted');
+  } catch (error) {
+    console.error('Error deleting scan:', error);
+    alert('Failed to delete scan. Please try again.');
+  }
+  renderTrash();
+}
+
+/**
+ * Permanently delete every scan in the trash
+ */
+async function handleEmptyTrash() {
+  if (!confirm('Permanently delete all scans in the trash? This cannot be undone.')) {
+    return;
+  }
+
+  try {
+    const scans = await getDeletedScans();
+    const count = await purgeScans(scans.map(scan => scan.id));
+    showToast(`${count} scan${count === 1 ? '' : 's'} permanently deleted`);
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    alert('Failed to empty the trash. Please try again.');
+  }
+  renderTrash();
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -0,0 +1,89 @@
+/**
+ * Volume helpers
+ * Pure functions turning an estimated volume of waste into kilograms, for
+ * streams that cannot be weighed on site.
+ */
+
+/**
+ * How full the containers of a stream are
+ */
+export const FILL_LEVELS = [
+  { value: 1, name: 'Full' },
+  { value: 0.75, name: 'Three quarters full' },
+  { value: 0.5, name: 'Half full' },
+  { value: 0.25, name: 'A quarter full' }
+];
+
+/**
+ * Typical bulk densities of loose waste in kg per litre, by default stream type ID
+ * Used when a stream type has no density of its own.
+ */
+export const DEFAULT_BULK_DENSITIES = {
+  'cardboard': 0.05,
+  'paper': 0.1,
+  'plastics-hard': 0.04,
+  'plastics-film': 0.03,
+  'metal': 0.08,
+  'glass': 0.3,
+  'bio-food': 0.5,
+  'wood': 0.2,
+  'textiles': 0.15,
+  'e-waste': 0.2,
+  'other': 0.15
+};
+
+/**
+ * Get the bulk density of a stream type
+ * @param {Object|null} type - The stream type
+ * @returns {number|null} Kilograms per litre, or null if unknown
+ */
+export function getBulkDensity(type) {
+  return type?.densityKgPerL ?? DEFAULT_BULK_DENSITIES[type?.id] ?? null;
+}
+
+/**
+ * Calculate the volume of waste in a number of containers
+ * @param {{capacityLiters: number|null}|null} container - The container type
+ * @param {number|null} count - How many containers
+ * @param {number|null} fillLevel - How full they are, 0 to 1; full if not given
+ * @returns {number|null} Litres, or null if the container size or count is unknown
+ */
+export function calculateVolumeLiters(container, count, fillLevel) {
+  if (!container?.capacityLiters || !count) {
+    return null;
+  }
+  return Math.round(container.capacityLiters * count * (fillLevel ?? 1) * 10) / 10;
+}
+
+/**
+ * Convert a volume to a weight
+ * @param {number|null} volumeLiters - The volume
+ * @param {number|null} densityKgPerL - The bulk density
+ * @returns {number|null} Kilograms rounded to 0.1 kg, or null if either is missing
+ */
+export function convertVolumeToKg(volumeLiters, densityKgPerL) {
+  if (!volumeLiters || !densityKgPerL) {
+    return null;
+  }
+  return Math.round(volumeLiters * densityKgPerL * 10) / 10;
+}
+
+/**
+ * Describe how a stream's volume was entered, e.g. "2 × 240 L wheelie bin, half full"
+ * @param {Object} stream - The stream
+ * @param {Array<{id: string, name: string}>} containerTypes - The container types
+ * @returns {string} The description, or an empty string without a volume
+ */
+export function describeVolumeEntry(stream, containerTypes) {
+  const container = containerTypes.find(type => type.id === stream.containerType);
+  const fill = FILL_LEVELS.find(level => level.value === stream.fillLevel);
+  
+  const parts = [];
+  if (container && stream.containerCount) {
+    parts.push(`${stream.containerCount} × ${container.name}${fill ? `, ${fill.name.toLowerCase()}` : ''}`);
+  }
+  if (stream.volumeLiters) {
+    parts.push(`${stream.volumeLiters} L`);
+  }
+  return parts.join(' = ');
+}
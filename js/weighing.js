@@ -0,0 +1,62 @@
+/**
+ * Weighing helpers
+ * Pure functions for weights taken with the container still on the scale:
+ * each weighing records its gross weight and the tare of the container.
+ */
+
+import { formatKg } from './utils/format.js';
+
+/**
+ * Create a weighing in a container
+ * @param {string} id - A new unique ID
+ * @param {{id: string, tareKg: number|null}|null} container - The container type, if known
+ * @returns {{id: string, grossKg: number, containerType: string|null, tareKg: number}} The weighing
+ */
+export function createWeighing(id, container) {
+  return {
+    id,
+    grossKg: 0,
+    containerType: container?.id ?? null,
+    tareKg: container?.tareKg ?? 0
+  };
+}
+
+/**
+ * Get the net weight of one weighing
+ * @param {{grossKg: number, tareKg: number}} weighing - The weighing
+ * @returns {number} Gross minus tare, never below zero
+ */
+export function getNetKg(weighing) {
+  return Math.max(0, (weighing.grossKg || 0) - (weighing.tareKg || 0));
+}
+
+/**
+ * Add up weighings
+ * @param {Array<{grossKg: number, tareKg: number}>} weighings - The weighings
+ * @returns {{count: number, grossKg: number, tareKg: number, netKg: number}} Totals, rounded to 0.01 kg
+ */
+export function summarizeWeighings(weighings) {
+  const round = kg => Math.round(kg * 100) / 100;
+  
+  return {
+    count: weighings.length,
+    grossKg: round(weighings.reduce((sum, weighing) => sum + (weighing.grossKg || 0), 0)),
+    tareKg: round(weighings.reduce((sum, weighing) => sum + (weighing.tareKg || 0), 0)),
+    netKg: round(weighings.reduce((sum, weighing) => sum + getNetKg(weighing), 0))
+  };
+}
+
+/**
+ * Describe weighings, e.g. "2 weighings: 52.0 kg gross − 25.0 kg tare"
+ * @param {Array<{grossKg: number, tareKg: number}>} weighings - The weighings
+ * @returns {string} The description, or an empty string without weighings
+ */
+export function describeWeighings(weighings) {
+  if (weighings.length === 0) {
+    return '';
+  }
+  
+  const summary = summarizeWeighings(weighings);
+  return `${summary.count} ${summary.count === 1 ? 'weighing' : 'weighings'}: `
+    + `${formatKg(summary.grossKg)} gross − ${formatKg(summary.tareKg)} tare`;
+}
@@ -0,0 +1,122 @@
+/**
+ * AI analysis tests against recorded Gemini responses
+ * The mock server in tools/mock-ai-server.js replays the fixtures in tools/fixtures/gemini.
+ * Run with: node --test tests/
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAiServer } from '../tools/mock-ai-server.js';
+import { analyzeWasteImage, classifyWasteImage, testAiConnection } from '../js/api/ai.js';
+import { DEFAULT_STREAM_TYPES, mapDetectedStreams } from '../js/taxonomy.js';
+import { buildReviewRows, applyReviewDecisions, getMergeDecision } from '../js/review.js';
+
+const PHOTOS = [{ dataUrl: 'data:image/jpeg;base64,/9j/AAAA', caption: null }];
+const CATEGORIES = DEFAULT_STREAM_TYPES.map(type => type.name);
+
+let server;
+let settings;
+
+/**
+ * Settings that make the mock server replay a fixture
+ * @param {string} [fixture] - Fixture name; by default analyses and classifications get their own
+ * @returns {Object} AI settings
+ */
+function withFixture(fixture) {
+  return fixture ? { ...settings, model: fixture } : settings;
+}
+
+before(async () => {
+  server = createMockAiServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  settings = { provider: 'gemini', apiKey: 'test-key', baseUrl: `http://127.0.0.1:${server.address().port}` };
+});
+
+after(() => {
+  server.close();
+});
+
+test('a recorded analysis is parsed and its usage reported', async () => {
+  const calls = [];
+  const result = await analyzeWasteImage(settings, PHOTOS, CATEGORIES, { onCall: call => calls.push(call) });
+
+  assert.ok(server.requests.at(-1).body.generationConfig.responseJsonSchema);
+  assert.deepEqual(result.streams.map(stream => [stream.name, stream.weightKg, stream.confidence, stream.regions.length]), [
+    ['Cardboard', 3.5, 'high', 1],
+    ['Plastics (film)', 1.2, 'medium', 1],
+    ['Bio/Food', 2, 'low', 0]
+  ]);
+  assert.deepEqual(result.streams[0].regions, [{ photoIndex: 0, x: 0.05, y: 0.42, width: 0.38, height: 0.5 }]);
+  assert.equal(result.totalEstimateKg, 6.7);
+  assert.equal(calls[0].outcome, 'success');
+  assert.equal(calls[0].inputTokens, 1834);
+  assert.ok(calls[0].outputTokens > 0);
+});
+
+test('an analysis in a code fence gives the same result', async () => {
+  assert.deepEqual(
+    await analyzeWasteImage(withFixture('analysis-fenced'), PHOTOS, CATEGORIES),
+    await analyzeWasteImage(settings, PHOTOS, CATEGORIES)
+  );
+});
+
+test('cut-off, empty and failed responses are reported', async () => {
+  const calls = [];
+  const onCall = call => calls.push(call.outcome);
+
+  await assert.rejects(analyzeWasteImage(withFixture('analysis-max-tokens'), PHOTOS, CATEGORIES, { onCall }), /truncated/);
+  await assert.rejects(analyzeWasteImage(withFixture('empty-candidates'), PHOTOS, CATEGORIES, { onCall }), /No response from API/);
+  await assert.rejects(analyzeWasteImage(withFixture('error-invalid-key'), PHOTOS, CATEGORIES, { onCall }), /API key not valid/);
+  await assert.rejects(classifyWasteImage(withFixture('error-quota'), PHOTOS[0].dataUrl, 'Utrecht', { onCall }), /exceeded your current quota/);
+
+  assert.deepEqual(calls, ['truncated', 'error', 'error', 'error']);
+});
+
+test('recorded classifications are returned as structured fields', async () => {
+  const plain = await classifyWasteImage(settings, PHOTOS[0].dataUrl, 'Utrecht');
+  const fenced = await classifyWasteImage(withFixture('classification-fenced'), PHOTOS[0].dataUrl, 'Utrecht');
+
+  assert.ok(server.requests.at(-2).body.generationConfig.responseJsonSchema.properties.binColor);
+  assert.deepEqual(plain, {
+    binName: 'Paper & cardboard',
+    binColor: 'blue',
+    reason: 'Flattened boxes are clean cardboard, and they love a second life as new boxes!',
+    reductionTip: 'Ask your suppliers for reusable crates and skip the box altogether.',
+    confidence: 'high',
+    alternatives: [{ binName: 'Residual waste', binColor: 'grey', reason: 'Only for boxes soaked with grease or food.' }]
+  });
+  assert.equal(fenced.binName, 'Residual waste');
+  assert.equal(fenced.binColor, 'black');
+  assert.deepEqual(fenced.alternatives, []);
+});
+
+test('merging a recorded analysis keeps the weights entered by hand', async () => {
+  const result = await analyzeWasteImage(settings, PHOTOS, CATEGORIES);
+  const scan = {
+    totalResidualKg: 0,
+    totalResidualSource: null,
+    streams: [{ id: 'existing', typeId: 'cardboard', name: 'Cardboard', weightKg: 4, weightSource: 'manual' }]
+  };
+  let nextId = 0;
+  const createStream = () => ({ id: `new-${++nextId}`, typeId: null, name: '', weightKg: 0, weightSource: null });
+
+  const rows = buildReviewRows(scan, mapDetectedStreams(DEFAULT_STREAM_TYPES, result.streams), result.totalEstimateKg);
+  const decisions = rows.map(row => ({ decision: getMergeDecision(row), weightKg: null }));
+  const applied = applyReviewDecisions(scan, rows, decisions, createStream);
+
+  assert.equal(applied.applied, 3);
+  assert.deepEqual(applied.unmappedStreamIds, []);
+  assert.equal(applied.scan.totalResidualKg, 6.7);
+  assert.equal(applied.scan.totalResidualSource, 'ai');
+  assert.deepEqual(applied.scan.streams.map(stream => [stream.id, stream.typeId, stream.weightKg, stream.weightSource]), [
+    ['existing', 'cardboard', 4, 'manual'],
+    ['new-1', 'plastics-film', 1.2, 'ai'],
+    ['new-2', 'bio-food', 2, 'ai']
+  ]);
+  assert.equal(scan.streams.length, 1);
+});
+
+test('the connection test passes with a key and fails without one', async () => {
+  assert.equal(await testAiConnection(settings), true);
+  assert.equal(await testAiConnection({ ...settings, apiKey: null }), false);
+});
@@ -0,0 +1,204 @@
+/**
+ * AI provider layer tests
+ * Run with: node --test tests/
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeWasteImage, classifyWasteImage, resolveAiConfig, isAiConfigured, testAiConnection, buildAnalysisSchema, getAnalysisCacheKey, getClassificationCacheKey } from '../js/api/ai.js';
+
+const IMAGE = 'data:image/jpeg;base64,/9j/AAAA';
+const PHOTOS = [{ dataUrl: IMAGE, caption: null }];
+const REGION = { photo: 1, x: 0.1, y: 0.2, width: 0.3, height: 0.4 };
+const ANALYSIS = {
+  streams: [{ name: 'Cardboard', weightKg: 2.5, confidence: 'medium', regions: [REGION] }],
+  totalEstimateKg: 2.5,
+  confidence: 'high',
+  notes: 'Boxes'
+};
+
+const originalFetch = globalThis.fetch;
+let requests = [];
+
+/**
+ * Replace fetch with a stub that records requests and answers with a fixed body
+ * @param {Object} body - JSON response body
+ * @param {number} status - HTTP status
+ */
+function stubFetch(body, status = 200) {
+  requests = [];
+  globalThis.fetch = async (url, options = {}) => {
+    requests.push({ url, ...options, body: options.body ? JSON.parse(options.body) : null });
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  };
+}
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('missing settings fall back to the provider defaults', () => {
+  assert.deepEqual(resolveAiConfig({ provider: 'ollama' }), {
+    provider: 'ollama', apiKey: null, model: 'llava', baseUrl: 'http://localhost:11434', timeoutMs: 60000
+  });
+  assert.equal(resolveAiConfig({ provider: 'openai', baseUrl: 'http://ai.local/v1/' }).baseUrl, 'http://ai.local/v1');
+  assert.throws(() => resolveAiConfig({ provider: 'unknown' }), /Unknown AI provider/);
+});
+
+test('only Gemini requires an API key', () => {
+  assert.equal(isAiConfigured({ provider: 'gemini', apiKey: null }), false);
+  assert.equal(isAiConfigured({ provider: 'gemini', apiKey: 'key' }), true);
+  assert.equal(isAiConfigured({ provider: 'openai', apiKey: null }), true);
+  assert.equal(isAiConfigured({ provider: 'ollama', apiKey: null }), true);
+});
+
+test('every provider returns the same normalized analysis', async () => {
+  const text = JSON.stringify(ANALYSIS);
+  const expected = { ...ANALYSIS, streams: [{ ...ANALYSIS.streams[0], regions: [{ photoIndex: 0, x: 0.1, y: 0.2, width: 0.3, height: 0.4 }] }] };
+
+  stubFetch({ candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }] });
+  assert.deepEqual(await analyzeWasteImage({ provider: 'gemini', apiKey: 'key' }, PHOTOS, ['Cardboard']), expected);
+  assert.match(requests[0].url, /\/models\/gemini-2\.5-flash:generateContent\?key=key$/);
+  assert.equal(requests[0].body.contents[0].parts[1].inline_data.data, '/9j/AAAA');
+  assert.deepEqual(requests[0].body.generationConfig.responseJsonSchema, buildAnalysisSchema(['Cardboard']));
+
+  stubFetch({ choices: [{ message: { content: text }, finish_reason: 'stop' }] });
+  assert.deepEqual(await analyzeWasteImage({ provider: 'openai', apiKey: 'key', model: 'vision' }, PHOTOS), expected);
+  assert.equal(requests[0].url, 'https://api.openai.com/v1/chat/completions');
+  assert.equal(requests[0].headers.Authorization, 'Bearer key');
+  assert.equal(requests[0].body.model, 'vision');
+  assert.equal(requests[0].body.messages[0].content[1].image_url.url, IMAGE);
+  assert.equal(requests[0].body.response_format.json_schema.strict, true);
+
+  stubFetch({ message: { content: text }, done_reason: 'stop' });
+  assert.deepEqual(await analyzeWasteImage({ provider: 'ollama', baseUrl: 'http://gpu.local:11434' }, PHOTOS), expected);
+  assert.equal(requests[0].url, 'http://gpu.local:11434/api/chat');
+  assert.deepEqual(requests[0].body.messages[0].images, ['/9j/AAAA']);
+  assert.deepEqual(requests[0].body.format, buildAnalysisSchema());
+  assert.equal(requests[0].headers.Authorization, undefined);
+});
+
+test('truncated responses and provider errors are reported', async () => {
+  stubFetch({ choices: [{ message: { content: '{"streams":[' }, finish_reason: 'length' }] });
+  await assert.rejects(analyzeWasteImage({ provider: 'openai' }, PHOTOS), /truncated/);
+
+  stubFetch({ error: 'model "llava" not found' }, 404);
+  await assert.rejects(analyzeWasteImage({ provider: 'ollama' }, PHOTOS), /model "llava" not found/);
+
+  stubFetch({ error: { message: 'API key not valid' } }, 400);
+  await assert.rejects(analyzeWasteImage({ provider: 'gemini', apiKey: 'bad' }, PHOTOS), /API key not valid/);
+  assert.equal(await testAiConnection({ provider: 'gemini', apiKey: 'bad' }), false);
+});
+
+test('the schema limits stream names to the categories', () => {
+  const schema = buildAnalysisSchema(['Cardboard', 'Metal']);
+  assert.deepEqual(schema.properties.streams.items.properties.name.enum, ['Cardboard', 'Metal']);
+  assert.equal(buildAnalysisSchema().properties.streams.items.properties.name.enum, undefined);
+});
+
+test('analyses that do not match the schema are rejected', async () => {
+  const analyze = async (result) => {
+    stubFetch({ message: { content: typeof result === 'string' ? result : JSON.stringify(result) }, done_reason: 'stop' });
+    return analyzeWasteImage({ provider: 'ollama' }, PHOTOS);
+  };
+
+  await assert.rejects(analyze('The photo shows some cardboard.'), /parse API response as JSON/);
+  await assert.rejects(analyze({ totalEstimateKg: 1 }), /streams must be a list/);
+  await assert.rejects(analyze({ ...ANALYSIS, streams: [{ name: 'Cardboard', weightKg: '2.5' }] }), /streams\[0\]\.weightKg/);
+  await assert.rejects(analyze({ ...ANALYSIS, streams: [{ name: ' ', weightKg: 1 }] }), /streams\[0\]\.name/);
+  await assert.rejects(analyze({ ...ANALYSIS, totalEstimateKg: -1 }), /totalEstimateKg/);
+  await assert.rejects(analyze({ ...ANALYSIS, confidence: 'certain' }), /^Error: .*confidence must be one of/);
+  await assert.rejects(analyze({ ...ANALYSIS, streams: [{ name: 'Metal', weightKg: 1, confidence: 'sure' }] }), /streams\[0\]\.confidence/);
+  await assert.rejects(analyze({ ...ANALYSIS, streams: [{ name: 'Metal', weightKg: 1, regions: [{ x: 0 }] }] }), /streams\[0\]\.regions\[0\]/);
+  await assert.rejects(analyze({ ...ANALYSIS, streams: [{ name: 'Metal', weightKg: 1, regions: [{ ...REGION, photo: 0 }] }] }), /regions\[0\]\.photo/);
+
+  // Models without schema support often leave out the optional fields
+  const { confidence, notes, ...minimal } = ANALYSIS;
+  assert.deepEqual(await analyze({ ...minimal, streams: [{ name: 'Cardboard', weightKg: 2.5 }] }), {
+    streams: [{ name: 'Cardboard', weightKg: 2.5, confidence: null, regions: [] }],
+    totalEstimateKg: 2.5,
+    confidence: null,
+    notes: null
+  });
+});
+
+test('regions are cut off at the image edges', async () => {
+  const regions = [{ x: -0.1, y: 0.5, width: 0.5, height: 0.6 }, { x: 1.2, y: 0, width: 0.1, height: 0.1 }];
+  stubFetch({ message: { content: JSON.stringify({ ...ANALYSIS, streams: [{ name: 'Metal', weightKg: 1, regions }] }) } });
+
+  const [stream] = (await analyzeWasteImage({ provider: 'ollama' }, PHOTOS)).streams;
+
+  assert.deepEqual(stream.regions, [{ photoIndex: 0, x: 0, y: 0.5, width: 0.4, height: 0.5 }]);
+});
+
+test('several photos are sent in one request and regions point at their photo', async () => {
+  const photos = [{ dataUrl: IMAGE, caption: 'Front of the container' }, { dataUrl: 'data:image/png;base64,iVBO', caption: null }];
+  const regions = [{ photo: 2, x: 0, y: 0, width: 0.5, height: 0.5 }, { photo: 3, x: 0, y: 0, width: 1, height: 1 }];
+  stubFetch({ message: { content: JSON.stringify({ ...ANALYSIS, streams: [{ name: 'Metal', weightKg: 1, regions }] }) } });
+
+  const [stream] = (await analyzeWasteImage({ provider: 'ollama' }, photos)).streams;
+
+  assert.deepEqual(requests[0].body.messages[0].images, ['/9j/AAAA', 'iVBO']);
+  assert.match(requests[0].body.messages[0].content, /Photo 1: Front of the container\nPhoto 2\n/);
+  assert.match(requests[0].body.messages[0].content, /counted once/);
+  assert.deepEqual(stream.regions, [{ photoIndex: 1, x: 0, y: 0, width: 0.5, height: 0.5 }]);
+
+  await assert.rejects(analyzeWasteImage({ provider: 'ollama' }, []), /Image is required/);
+});
+
+test('cache keys change with everything that changes the answer', async () => {
+  const settings = { provider: 'ollama' };
+  const key = await getAnalysisCacheKey(settings, PHOTOS, ['Metal']);
+
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(await getAnalysisCacheKey({ ...settings, apiKey: 'other' }, PHOTOS, ['Metal']), key);
+  assert.notEqual(await getAnalysisCacheKey({ ...settings, model: 'other' }, PHOTOS, ['Metal']), key);
+  assert.notEqual(await getAnalysisCacheKey({ ...settings, baseUrl: 'http://gpu-box:11434' }, PHOTOS, ['Metal']), key);
+  assert.equal(await getAnalysisCacheKey({ ...settings, baseUrl: 'http://localhost:11434/' }, PHOTOS, ['Metal']), key);
+  assert.notEqual(await getAnalysisCacheKey(settings, [{ dataUrl: IMAGE, caption: 'Inside' }], ['Metal']), key);
+  assert.notEqual(await getAnalysisCacheKey(settings, [...PHOTOS, ...PHOTOS], ['Metal']), key);
+  assert.notEqual(await getAnalysisCacheKey(settings, PHOTOS, ['Metal', 'Glass']), key);
+
+  const classificationKey = await getClassificationCacheKey(settings, IMAGE, 'Utrecht');
+  assert.equal(await getClassificationCacheKey(settings, IMAGE, ' Utrecht '), classificationKey);
+  assert.notEqual(await getClassificationCacheKey(settings, IMAGE, 'Amsterdam'), classificationKey);
+  assert.notEqual(await getClassificationCacheKey({ ...settings, baseUrl: 'http://gpu-box:11434' }, IMAGE, 'Utrecht'), classificationKey);
+});
+
+test('every call is reported with its tokens, latency and outcome', async () => {
+  const calls = [];
+  const onCall = call => calls.push(call);
+
+  stubFetch({ message: { content: JSON.stringify(ANALYSIS) }, prompt_eval_count: 1200, eval_count: 80 });
+  await analyzeWasteImage({ provider: 'ollama' }, PHOTOS, [], { onCall });
+
+  stubFetch({ error: 'model not found' }, 404);
+  await assert.rejects(classifyWasteImage({ provider: 'ollama' }, IMAGE, 'Utrecht', { onCall }), /model not found/);
+
+  assert.deepEqual(calls.map(({ latencyMs, ...call }) => call), [
+    { operation: 'analysis', provider: 'ollama', model: 'llava', inputTokens: 1200, outputTokens: 80, outcome: 'success' },
+    { operation: 'classification', provider: 'ollama', model: 'llava', inputTokens: null, outputTokens: null, outcome: 'error' }
+  ]);
+  assert.ok(calls.every(call => call.latencyMs >= 0));
+});
+
+test('classifications that do not match the schema are rejected', async () => {
+  const classify = async (result) => {
+    stubFetch({ message: { content: JSON.stringify(result) }, done_reason: 'stop' });
+    return classifyWasteImage({ provider: 'ollama' }, IMAGE, 'Utrecht');
+  };
+
+  await assert.rejects(classify({ binColor: 'blue', reason: 'Paper' }), /binName must be a non-empty text/);
+  await assert.rejects(classify({ binName: 'Paper', reason: 'Paper', confidence: 'sure' }), /confidence must be one of/);
+  await assert.rejects(classify({ binName: 'Paper', reason: 'Paper', alternatives: [{ binName: 'Rest' }] }), /alternatives\[0\]\.reason/);
+
+  assert.ok(requests[0].body.format.properties.alternatives);
+  assert.deepEqual(await classify({ binName: ' Paper ', binColor: 'turquoise', reason: 'Clean paper.' }), {
+    binName: 'Paper',
+    binColor: null,
+    reason: 'Clean paper.',
+    reductionTip: null,
+    confidence: null,
+    alternatives: []
+  });
+});
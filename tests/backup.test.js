@@ -0,0 +1,92 @@
+/**
+ * Backup validation and merge tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKUP_FORMAT, validateBackup, isNewerRecord, getRemovedSyncedIds } from '../js/backup.js';
+
+/**
+ * Create a minimal valid archive
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Archive
+ */
+function createArchive(overrides = {}) {
+  return {
+    format: BACKUP_FORMAT,
+    backupVersion: 1,
+    schemaVersion: 1,
+    scans: [{ id: 'scan-1', streams: [] }],
+    ...overrides
+  };
+}
+
+test('a well-formed archive is accepted', () => {
+  assert.doesNotThrow(() => validateBackup(createArchive(), 1));
+  assert.doesNotThrow(() => validateBackup(createArchive({ scans: [] }), 1));
+});
+
+test('files that are not backups are rejected', () => {
+  assert.throws(() => validateBackup(null, 1), /not a Seenons Waste Scan backup/);
+  assert.throws(() => validateBackup([], 1), /not a Seenons Waste Scan backup/);
+  assert.throws(() => validateBackup(createArchive({ format: 'other' }), 1), /not a Seenons Waste Scan backup/);
+});
+
+test('a missing or invalid schema version is rejected', () => {
+  assert.throws(() => validateBackup(createArchive({ schemaVersion: undefined }), 1), /no valid schema version/);
+  assert.throws(() => validateBackup(createArchive({ schemaVersion: 0 }), 1), /no valid schema version/);
+  assert.throws(() => validateBackup(createArchive({ schemaVersion: 1.5 }), 2), /no valid schema version/);
+});
+
+test('backups from a newer schema are rejected, older ones accepted', () => {
+  assert.throws(() => validateBackup(createArchive({ schemaVersion: 3 }), 2), /newer version of the app/);
+  assert.doesNotThrow(() => validateBackup(createArchive({ schemaVersion: 1 }), 2));
+});
+
+test('the scan list and each scan are checked', () => {
+  assert.throws(() => validateBackup(createArchive({ scans: undefined }), 1), /no scan list/);
+  assert.throws(() => validateBackup(createArchive({ scans: [{ id: 'a', streams: [] }, { id: '', streams: [] }] }), 1), /Scan #2/);
+  assert.throws(() => validateBackup(createArchive({ scans: [{ id: 'a' }] }), 1), /Scan #1/);
+  assert.throws(() => validateBackup(createArchive({ scans: [null] }), 1), /Scan #1/);
+});
+
+test('backups without sites are accepted, invalid site lists rejected', () => {
+  assert.doesNotThrow(() => validateBackup(createArchive({ sites: [{ id: 'site-1', name: 'Main' }] }), 1));
+  assert.throws(() => validateBackup(createArchive({ sites: 'Main' }), 1), /invalid site list/);
+  assert.throws(() => validateBackup(createArchive({ sites: [{ id: 'site-1' }] }), 1), /Site #1/);
+});
+
+test('backups without stream types are accepted, invalid type lists rejected', () => {
+  assert.doesNotThrow(() => validateBackup(createArchive({ streamTypes: [{ id: 'type-1', name: 'Glass' }] }), 1));
+  assert.throws(() => validateBackup(createArchive({ streamTypes: {} }), 1), /invalid stream type list/);
+  assert.throws(() => validateBackup(createArchive({ streamTypes: [{ id: '', name: 'Glass' }] }), 1), /Stream type #1/);
+});
+
+test('a record without a stored counterpart is always written', () => {
+  assert.equal(isNewerRecord({ id: 'a', updatedAt: '2024-01-01T00:00:00Z' }, null), true);
+  assert.equal(isNewerRecord({ id: 'a', updatedAt: '2024-01-01T00:00:00Z' }, undefined), true);
+});
+
+test('in a merge the newer updatedAt wins and ties keep the stored record', () => {
+  const stored = { id: 'a', updatedAt: '2024-03-01T10:00:00Z' };
+
+  assert.equal(isNewerRecord({ id: 'a', updatedAt: '2024-03-01T10:00:01Z' }, stored), true);
+  assert.equal(isNewerRecord({ id: 'a', updatedAt: '2024-03-01T09:59:59Z' }, stored), false);
+  assert.equal(isNewerRecord({ id: 'a', updatedAt: '2024-03-01T10:00:00Z' }, stored), false);
+});
+
+test('records never edited are compared on createdAt', () => {
+  const stored = { id: 'a', createdAt: '2024-03-01T10:00:00Z' };
+
+  assert.equal(isNewerRecord({ id: 'a', createdAt: '2024-03-02T10:00:00Z' }, stored), true);
+  assert.equal(isNewerRecord({ id: 'a', updatedAt: '2024-02-01T10:00:00Z' }, stored), false);
+});
+
+test('replacing deletes synced scans missing from the backup on the server', () => {
+  const scans = [{ id: 'kept', streams: [] }, { id: 'new', streams: [] }];
+
+  assert.deepEqual(getRemovedSyncedIds(['kept', 'gone', 'also-gone'], scans), ['gone', 'also-gone']);
+  assert.deepEqual(getRemovedSyncedIds([], scans), []);
+  assert.deepEqual(getRemovedSyncedIds(['gone'], []), ['gone']);
+});
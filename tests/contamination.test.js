@@ -0,0 +1,55 @@
+/**
+ * Contamination tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getContaminationPct, calculateSeparationPotential, describeContamination } from '../js/contamination.js';
+
+const LEVELS = [
+  { id: 'clean', name: 'Clean', contaminationPct: 0 },
+  { id: 'light', name: 'Lightly contaminated', contaminationPct: 15 },
+  { id: 'heavy', name: 'Heavily contaminated', contaminationPct: 50 }
+];
+
+test('the grade gives the contaminated share, unless a percentage is entered', () => {
+  assert.equal(getContaminationPct({ contamination: 'heavy', contaminationPct: null }, LEVELS), 50);
+  assert.equal(getContaminationPct({ contamination: 'heavy', contaminationPct: 30 }, LEVELS), 30);
+  assert.equal(getContaminationPct({ contamination: null, contaminationPct: 0 }, LEVELS), 0);
+});
+
+test('streams not graded count as clean', () => {
+  assert.equal(getContaminationPct({ contamination: null, contaminationPct: null }, LEVELS), 0);
+  assert.equal(getContaminationPct({}, LEVELS), 0);
+});
+
+test('percentages outside 0 to 100 are capped', () => {
+  assert.equal(getContaminationPct({ contaminationPct: 120 }, LEVELS), 100);
+  assert.equal(getContaminationPct({ contaminationPct: -5 }, LEVELS), 0);
+});
+
+test('the realistic potential discounts contaminated weight', () => {
+  const potential = calculateSeparationPotential(100, [
+    { weightKg: 20, contamination: 'clean', contaminationPct: null },
+    { weightKg: 10, contamination: 'heavy', contaminationPct: null },
+    { weightKg: 10, contamination: null, contaminationPct: 20 }
+  ], LEVELS);
+
+  assert.deepEqual(potential, { extractedKg: 40, recyclableKg: 33, contaminatedKg: 7, separationPct: 40, realisticPct: 33 });
+});
+
+test('without a total both percentages are zero', () => {
+  const potential = calculateSeparationPotential(0, [{ weightKg: 5, contamination: 'light' }], LEVELS);
+
+  assert.equal(potential.separationPct, 0);
+  assert.equal(potential.realisticPct, 0);
+  assert.equal(potential.recyclableKg, 4.25);
+});
+
+test('contamination is described by grade and percentage', () => {
+  assert.equal(describeContamination({ contamination: 'light', contaminationPct: null }, LEVELS), 'Lightly contaminated');
+  assert.equal(describeContamination({ contamination: 'light', contaminationPct: 30 }, LEVELS), 'Lightly contaminated, 30%');
+  assert.equal(describeContamination({ contamination: null, contaminationPct: 30 }, LEVELS), '30% contaminated');
+  assert.equal(describeContamination({ contamination: null, contaminationPct: null }, LEVELS), '');
+});
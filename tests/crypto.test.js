@@ -0,0 +1,55 @@
+/**
+ * Passphrase encryption tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateSalt, deriveKey, encryptBytes, decryptBytes, encryptJson, decryptJson,
+  payloadToBase64, payloadFromBase64
+} from '../js/crypto.js';
+
+// Keeps the tests fast; the app uses DEFAULT_PBKDF2_ITERATIONS
+const ITERATIONS = 1000;
+
+test('encrypted values decrypt with the same passphrase and salt', async () => {
+  const salt = generateSalt();
+  const value = { id: 'scan-1', location: 'Warehouse A', streams: [{ name: 'Cardboard', weightKg: 5 }] };
+
+  const payload = await encryptJson(await deriveKey('correct horse', salt, ITERATIONS), value);
+  assert.deepEqual(await decryptJson(await deriveKey('correct horse', salt, ITERATIONS), payload), value);
+});
+
+test('every payload gets its own IV', async () => {
+  const key = await deriveKey('correct horse', generateSalt(), ITERATIONS);
+  const first = await encryptJson(key, 'same');
+  const second = await encryptJson(key, 'same');
+
+  assert.notDeepEqual(first.iv, second.iv);
+  assert.notDeepEqual(new Uint8Array(first.data), new Uint8Array(second.data));
+});
+
+test('a wrong passphrase or salt cannot decrypt', async () => {
+  const salt = generateSalt();
+  const payload = await encryptJson(await deriveKey('correct horse', salt, ITERATIONS), 'secret');
+
+  await assert.rejects(decryptJson(await deriveKey('wrong horse', salt, ITERATIONS), payload), /passphrase may be wrong/);
+  await assert.rejects(decryptJson(await deriveKey('correct horse', generateSalt(), ITERATIONS), payload), /passphrase may be wrong/);
+});
+
+test('tampered data is rejected', async () => {
+  const key = await deriveKey('correct horse', generateSalt(), ITERATIONS);
+  const payload = await encryptBytes(key, new Uint8Array([1, 2, 3, 4]));
+  new Uint8Array(payload.data)[0] ^= 1;
+
+  await assert.rejects(decryptBytes(key, payload), /Could not decrypt/);
+});
+
+test('payloads survive a round trip through text', async () => {
+  const key = await deriveKey('correct horse', generateSalt(), ITERATIONS);
+  const encoded = JSON.parse(JSON.stringify(payloadToBase64(await encryptJson(key, { geminiApiKey: 'abc' }))));
+
+  assert.equal(typeof encoded.iv, 'string');
+  assert.deepEqual(await decryptJson(key, payloadFromBase64(encoded)), { geminiApiKey: 'abc' });
+});
@@ -0,0 +1,52 @@
+/**
+ * Draft tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getScanContent, hasUnsavedChanges } from '../js/drafts.js';
+
+function scan(overrides = {}) {
+  return {
+    id: 'scan-1',
+    siteId: null,
+    location: '',
+    notes: '',
+    photos: [{ id: 'p1', dataUrl: 'data:image/jpeg;base64,AAAA', caption: null }],
+    totalResidualKg: 0,
+    totalResidualSource: null,
+    streams: [{ id: 's1', typeId: 'glass', name: 'Glass', weightKg: 2 }],
+    createdAt: '2026-10-01T08:00:00.000Z',
+    updatedAt: '2026-10-01T08:00:00.000Z',
+    ...overrides
+  };
+}
+
+test('an unchanged scan has no unsaved changes', () => {
+  const saved = getScanContent(scan());
+
+  assert.equal(hasUnsavedChanges(saved, scan()), false);
+});
+
+test('empty fields as stored and as cleared in the form count as the same', () => {
+  const saved = getScanContent(scan());
+
+  assert.equal(hasUnsavedChanges(saved, scan({ location: null, notes: null })), false);
+});
+
+test('edited fields, streams and photo captions are unsaved changes', () => {
+  const saved = getScanContent(scan());
+
+  assert.equal(hasUnsavedChanges(saved, scan({ location: 'Kitchen' })), true);
+  assert.equal(hasUnsavedChanges(saved, scan({ totalResidualKg: 12 })), true);
+  assert.equal(hasUnsavedChanges(saved, scan({ streams: [{ id: 's1', typeId: 'glass', name: 'Glass', weightKg: 3 }] })), true);
+  assert.equal(hasUnsavedChanges(saved, scan({ photos: [{ id: 'p1', dataUrl: 'data:image/jpeg;base64,AAAA', caption: 'Bag 1' }] })), true);
+  assert.equal(hasUnsavedChanges(saved, scan({ photos: [] })), true);
+});
+
+test('saving metadata alone is not a change', () => {
+  const saved = getScanContent(scan());
+
+  assert.equal(hasUnsavedChanges(saved, scan({ updatedAt: '2026-10-02T08:00:00.000Z' })), false);
+});
@@ -0,0 +1,247 @@
+/**
+ * Schema migration tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CURRENT_SCHEMA_VERSION, migrateSchema } from '../js/migrations.js';
+
+function createV1Data() {
+  return {
+    schemaVersion: 1,
+    scans: [
+      {
+        id: 'scan-1',
+        createdAt: '2024-03-01T10:00:00.000Z',
+        updatedAt: '2024-03-01T11:00:00.000Z',
+        location: 'Warehouse A',
+        notes: 'Morning audit',
+        photo: { dataUrl: 'data:image/jpeg;base64,AAAA', mime: 'image/jpeg' },
+        totalResidualKg: 42.5,
+        streams: [
+          { id: 'stream-1', name: 'Cardboard', weightKg: 10.2 },
+          { id: 'stream-2', name: 'Metal', weightKg: '3.5' }
+        ]
+      }
+    ]
+  };
+}
+
+test('migrates v1 data to the current version', () => {
+  const migrated = migrateSchema(createV1Data());
+
+  assert.equal(migrated.schemaVersion, CURRENT_SCHEMA_VERSION);
+});
+
+test('v1 → v2 adds the new stream fields with empty values', () => {
+  // Later steps add fields of their own
+  const { typeId, aiConfidence, aiRegions, weightSource, containerCount, fillLevel, densityKgPerL, weighings, contaminationPct, ...stream } = migrateSchema(createV1Data()).scans[0].streams[0];
+
+  assert.deepEqual(stream, {
+    id: 'stream-1',
+    name: 'Cardboard',
+    weightKg: 10.2,
+    wasteCode: null,
+    contamination: null,
+    volumeLiters: null,
+    containerType: null,
+    remark: null
+  });
+});
+
+test('v1 → v2 keeps all scan data and coerces weights to numbers', () => {
+  const original = createV1Data();
+  const [scan] = migrateSchema(original).scans;
+
+  assert.equal(scan.location, 'Warehouse A');
+  assert.equal(scan.notes, 'Morning audit');
+  assert.equal(scan.totalResidualKg, 42.5);
+  assert.deepEqual(scan.photos, [{ ...original.scans[0].photo, caption: null }]);
+  assert.equal(scan.streams[1].weightKg, 3.5);
+});
+
+test('v1 → v2 preserves stream fields that already exist', () => {
+  const data = createV1Data();
+  data.scans[0].streams[0].remark = 'Flattened boxes';
+  data.scans[0].streams[0].supplier = 'ACME';
+
+  const [stream] = migrateSchema(data).scans[0].streams;
+
+  assert.equal(stream.remark, 'Flattened boxes');
+  assert.equal(stream.supplier, 'ACME');
+});
+
+test('v2 → v3 adds an empty site link and keeps the free-text location', () => {
+  const [scan] = migrateSchema(createV1Data()).scans;
+
+  assert.equal(scan.siteId, null);
+  assert.equal(scan.location, 'Warehouse A');
+});
+
+test('v2 → v3 keeps an existing site link', () => {
+  const data = { ...createV1Data(), schemaVersion: 2 };
+  data.scans[0].siteId = 'site-1';
+
+  assert.equal(migrateSchema(data).scans[0].siteId, 'site-1');
+});
+
+test('v3 → v4 links preset stream names to their stream type', () => {
+  const data = createV1Data();
+  data.scans[0].streams.push({ id: 'stream-3', name: 'Coffee cups', weightKg: 1 });
+
+  const streams = migrateSchema(data).scans[0].streams;
+
+  assert.deepEqual(streams.map(stream => stream.typeId), ['cardboard', 'metal', null]);
+  assert.equal(streams[2].name, 'Coffee cups');
+});
+
+test('v3 → v4 turns site default stream names into type IDs', () => {
+  const data = {
+    schemaVersion: 3,
+    scans: [],
+    sites: [{ id: 'site-1', name: 'Warehouse A', defaultStreams: ['Glass', 'Coffee cups', 'Paper'] }]
+  };
+
+  const [site] = migrateSchema(data).sites;
+
+  assert.deepEqual(site.defaultTypeIds, ['glass', 'paper']);
+  assert.equal('defaultStreams' in site, false);
+});
+
+test('v4 → v5 adds empty AI confidence and regions to streams', () => {
+  const data = {
+    schemaVersion: 4,
+    scans: [{
+      id: 'scan-1',
+      streams: [
+        { id: 'stream-1', typeId: 'metal', name: 'Metal', weightKg: 2 },
+        { id: 'stream-2', typeId: 'glass', name: 'Glass', weightKg: 1, aiConfidence: 'high' }
+      ]
+    }]
+  };
+
+  const streams = migrateSchema(data).scans[0].streams;
+
+  assert.deepEqual(streams.map(stream => [stream.aiConfidence, stream.aiRegions]), [[null, []], ['high', []]]);
+});
+
+test('v5 → v6 turns the single photo into a captioned gallery', () => {
+  const data = {
+    schemaVersion: 5,
+    scans: [
+      {
+        id: 'scan-1',
+        photo: { id: 'photo-1', mime: 'image/jpeg' },
+        streams: [{ id: 'stream-1', aiRegions: [{ x: 0.1, y: 0.2, width: 0.3, height: 0.4 }] }]
+      },
+      { id: 'scan-2', photo: null, streams: [] }
+    ]
+  };
+
+  const [scan, withoutPhoto] = migrateSchema(data).scans;
+
+  assert.deepEqual(scan.photos, [{ id: 'photo-1', mime: 'image/jpeg', caption: null }]);
+  assert.equal('photo' in scan, false);
+  assert.equal(scan.streams[0].aiRegions[0].photoId, 'photo-1');
+  assert.deepEqual(withoutPhoto.photos, []);
+});
+
+test('v6 → v7 leaves the source of earlier weights unknown', () => {
+  const data = {
+    schemaVersion: 6,
+    scans: [{ id: 'scan-1', totalResidualKg: 10, streams: [{ id: 'stream-1', weightKg: 2 }] }]
+  };
+
+  const [scan] = migrateSchema(data).scans;
+
+  assert.equal(scan.totalResidualSource, null);
+  assert.equal(scan.streams[0].weightSource, null);
+});
+
+test('v7 → v8 adds an empty container count, fill level and density to streams', () => {
+  const data = {
+    schemaVersion: 7,
+    scans: [{ id: 'scan-1', streams: [{ id: 'stream-1', weightKg: 2, volumeLiters: 240, containerType: 'bin-240' }] }]
+  };
+
+  const [stream] = migrateSchema(data).scans[0].streams;
+
+  assert.equal(stream.containerCount, null);
+  assert.equal(stream.fillLevel, null);
+  assert.equal(stream.densityKgPerL, null);
+  assert.equal(stream.volumeLiters, 240);
+  assert.equal(stream.containerType, 'bin-240');
+});
+
+test('v8 → v9 adds empty weighings to scans and streams', () => {
+  const data = {
+    schemaVersion: 8,
+    scans: [{ id: 'scan-1', totalResidualKg: 10, streams: [{ id: 'stream-1', weightKg: 2 }] }]
+  };
+
+  const [scan] = migrateSchema(data).scans;
+
+  assert.deepEqual(scan.totalWeighings, []);
+  assert.deepEqual(scan.streams[0].weighings, []);
+  assert.equal(scan.streams[0].weightKg, 2);
+});
+
+test('v9 → v10 keeps the contamination grade and adds an empty percentage', () => {
+  const data = {
+    schemaVersion: 9,
+    scans: [{ id: 'scan-1', streams: [{ id: 'stream-1', weightKg: 2, contamination: 'heavy' }] }]
+  };
+
+  const [stream] = migrateSchema(data).scans[0].streams;
+
+  assert.equal(stream.contamination, 'heavy');
+  assert.equal(stream.contaminationPct, null);
+});
+
+test('a revision snapshot of unknown version can be migrated from the start', () => {
+  // Saved at schema version 8: no weighings yet, but everything earlier steps add
+  const snapshot = {
+    id: 'scan-1',
+    siteId: 'site-1',
+    totalResidualKg: 12,
+    totalResidualSource: 'ai',
+    photos: [{ id: 'photo-1', caption: 'Bin' }],
+    streams: [{
+      id: 'stream-1', typeId: null, name: 'Cardboard', weightKg: 2, weightSource: 'volume',
+      contamination: 'light', wasteCode: null, volumeLiters: 40, containerType: 'crate', remark: null,
+      containerCount: 1, fillLevel: 1, densityKgPerL: 0.05,
+      aiConfidence: null, aiRegions: [{ photoId: 'photo-1', label: 'Cardboard' }]
+    }]
+  };
+
+  const [scan] = migrateSchema({ schemaVersion: 1, scans: [snapshot] }).scans;
+
+  assert.deepEqual(scan.totalWeighings, []);
+  assert.equal(scan.totalResidualSource, 'ai');
+  assert.deepEqual(scan.photos, snapshot.photos);
+  assert.deepEqual(scan.streams[0], { ...snapshot.streams[0], weighings: [], contaminationPct: null });
+});
+
+test('does not mutate the input', () => {
+  const data = createV1Data();
+  const snapshot = JSON.parse(JSON.stringify(data));
+
+  migrateSchema(data);
+
+  assert.deepEqual(data, snapshot);
+});
+
+test('leaves current data unchanged', () => {
+  const current = migrateSchema(createV1Data());
+
+  assert.deepEqual(migrateSchema(current), current);
+});
+
+test('treats data without a version as v1 and without scans as empty', () => {
+  assert.deepEqual(migrateSchema({}), { schemaVersion: CURRENT_SCHEMA_VERSION, scans: [] });
+});
+
+test('throws when no migration step exists', () => {
+  assert.throws(() => migrateSchema({ schemaVersion: 0.5, scans: [] }), /No migration/);
+});
@@ -0,0 +1,103 @@
+/**
+ * AI request layer tests: timeouts, retries and cancellation
+ * Run with: node --test tests/
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fetchWithRetry, parseRetryAfter, getBackoffDelay, RequestCancelledError, RequestTimeoutError
+} from '../js/api/request.js';
+
+const originalFetch = globalThis.fetch;
+const FAST = { baseDelayMs: 1, maxDelayMs: 50 };
+
+/**
+ * Replace fetch with a stub that plays back the given answers in order
+ * An answer is a status code, or 'hang' for a request that never answers until aborted.
+ * @param {Array<number|string|{status: number, headers: Object}>} answers - One answer per attempt
+ * @returns {{count: number}} Number of attempts made
+ */
+function stubFetch(answers) {
+  const calls = { count: 0 };
+  globalThis.fetch = (url, { signal }) => {
+    const answer = answers[calls.count++];
+    if (answer === 'hang') {
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      });
+    }
+    const { status, headers = {} } = typeof answer === 'number' ? { status: answer } : answer;
+    return Promise.resolve(new Response(JSON.stringify({ status }), { status, headers }));
+  };
+  return calls;
+}
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('rate limits and temporary server errors are retried', async () => {
+  const calls = stubFetch([429, 503, 200]);
+  const response = await fetchWithRetry('http://ai.local', {}, FAST);
+
+  assert.equal(response.status, 200);
+  assert.equal(calls.count, 3);
+});
+
+test('other errors and the last failed retry are returned as they are', async () => {
+  let calls = stubFetch([400]);
+  assert.equal((await fetchWithRetry('http://ai.local', {}, FAST)).status, 400);
+  assert.equal(calls.count, 1);
+
+  calls = stubFetch([503, 503, 503]);
+  assert.equal((await fetchWithRetry('http://ai.local', {}, { ...FAST, retries: 2 })).status, 503);
+  assert.equal(calls.count, 3);
+});
+
+test('a Retry-After longer than the longest delay is not waited for', async () => {
+  const calls = stubFetch([{ status: 429, headers: { 'Retry-After': '120' } }]);
+  assert.equal((await fetchWithRetry('http://ai.local', {}, FAST)).status, 429);
+  assert.equal(calls.count, 1);
+});
+
+test('Retry-After is read as seconds or as a date', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+  assert.ok(parseRetryAfter(new Date(Date.now() + 60000).toUTCString()) > 50000);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test('backoff doubles per attempt with jitter, up to the longest delay', () => {
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const expected = Math.min(10000, 1000 * 2 ** attempt);
+    const delay = getBackoffDelay(attempt, 1000, 10000);
+    assert.ok(delay >= expected / 2 && delay <= expected);
+  }
+});
+
+test('attempts that hang time out and are retried', async () => {
+  const calls = stubFetch(['hang', 200]);
+  assert.equal((await fetchWithRetry('http://ai.local', {}, { ...FAST, timeoutMs: 20 })).status, 200);
+  assert.equal(calls.count, 2);
+
+  stubFetch(['hang']);
+  await assert.rejects(fetchWithRetry('http://ai.local', {}, { timeoutMs: 20, retries: 0 }), RequestTimeoutError);
+});
+
+test('cancelling aborts the request and any pending retry', async () => {
+  stubFetch(['hang']);
+  let controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(fetchWithRetry('http://ai.local', {}, { signal: controller.signal }), RequestCancelledError);
+
+  const calls = stubFetch([503, 200]);
+  controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(
+    fetchWithRetry('http://ai.local', {}, { signal: controller.signal, baseDelayMs: 5000 }),
+    RequestCancelledError
+  );
+  assert.equal(calls.count, 1);
+});
@@ -0,0 +1,73 @@
+/**
+ * AI analysis review tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pairSuggestedStreams, getMergeDecision, hasEnteredWeights, applyReviewDecisions } from '../js/review.js';
+
+const METAL = { id: 'metal', name: 'Metal' };
+const GLASS = { id: 'glass', name: 'Glass' };
+
+function suggest(name, weightKg, type = null) {
+  return { name, weightKg, confidence: 'high', regions: [], type, unmapped: !type };
+}
+
+test('suggestions pair with current streams by type, or by name without a type', () => {
+  const streams = [
+    { id: 's1', typeId: 'glass', name: 'Glass', weightKg: 4 },
+    { id: 's2', typeId: null, name: 'Styrofoam', weightKg: 1 },
+    { id: 's3', typeId: 'paper', name: 'Paper', weightKg: 2 }
+  ];
+
+  const rows = pairSuggestedStreams(streams, [suggest('Metal', 3, METAL), suggest('Glass', 5, GLASS), suggest('styrofoam ', 0.5)]);
+
+  assert.deepEqual(rows.map(row => [row.current?.id ?? null, row.suggestion?.name ?? null]), [
+    [null, 'Metal'],
+    ['s1', 'Glass'],
+    ['s2', 'styrofoam '],
+    ['s3', null]
+  ]);
+});
+
+test('each current stream is paired at most once', () => {
+  const streams = [{ id: 's1', typeId: 'glass', name: 'Glass', weightKg: 4 }];
+
+  const rows = pairSuggestedStreams(streams, [suggest('Glass', 5, GLASS), suggest('Glass', 1, GLASS)]);
+
+  assert.deepEqual(rows.map(row => row.current?.id ?? null), ['s1', null]);
+});
+
+test('merge mode only fills in values that are missing', () => {
+  assert.equal(getMergeDecision({ current: null, suggestion: { weightKg: 3 } }), 'accept');
+  assert.equal(getMergeDecision({ current: { weightKg: 0 }, suggestion: { weightKg: 3 } }), 'accept');
+  assert.equal(getMergeDecision({ current: { weightKg: 2 }, suggestion: { weightKg: 3 } }), 'reject');
+  assert.equal(getMergeDecision({ current: { weightKg: 2 }, suggestion: null }), 'reject');
+});
+
+test('only suggestions for weights already entered count as overwriting', () => {
+  assert.equal(hasEnteredWeights([{ current: { weightKg: 0 }, suggestion: { weightKg: 3 } }, { current: { weightKg: 2 }, suggestion: null }]), false);
+  assert.equal(hasEnteredWeights([{ current: { weightKg: 2 }, suggestion: { weightKg: 3 } }]), true);
+});
+
+test('a weight taken from the review replaces the weighings it was added up from', () => {
+  const weighing = { id: 'w1', grossKg: 14, tareKg: 12.5, containerType: 'bin-240' };
+  const scan = {
+    totalResidualKg: 1.5,
+    totalWeighings: [weighing],
+    streams: [{ id: 'stream-1', typeId: 'metal', weightKg: 1.5, weightSource: 'manual', weighings: [weighing] }]
+  };
+  const rows = [
+    { current: scan.streams[0], suggestion: suggest('Metal', 3, METAL) },
+    { isTotal: true, current: { weightKg: 1.5 }, suggestion: { weightKg: 9 } }
+  ];
+
+  const { scan: updated } = applyReviewDecisions(scan, rows, [{ decision: 'accept' }, { decision: 'edit', weightKg: 8 }], () => ({}));
+
+  assert.deepEqual(updated.streams[0].weighings, []);
+  assert.equal(updated.streams[0].weightKg, 3);
+  assert.deepEqual(updated.totalWeighings, []);
+  assert.equal(updated.totalResidualKg, 8);
+  assert.deepEqual(scan.streams[0].weighings, [weighing]);
+});
@@ -0,0 +1,98 @@
+/**
+ * Revision diff tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffScans, diffStreamWeights, getFieldLabel } from '../js/revisions.js';
+
+/**
+ * Create a saved scan
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object} Scan
+ */
+function createScan(overrides = {}) {
+  return {
+    id: 'scan-1',
+    siteId: 'site-1',
+    location: 'Kitchen',
+    createdAt: '2026-01-05T10:00:00.000Z',
+    updatedAt: '2026-01-05T10:00:00.000Z',
+    notes: null,
+    totalResidualKg: 20,
+    photos: [{ id: 'photo-1', mime: 'image/jpeg', caption: null }],
+    streams: [{ id: 'stream-1', name: 'Cardboard', weightKg: 4 }],
+    ...overrides
+  };
+}
+
+test('a new scan lists every field that has a value', () => {
+  const changes = diffScans(null, createScan());
+
+  assert.deepEqual(changes.map(change => change.field), ['siteId', 'location', 'createdAt', 'totalResidualKg', 'photos', 'streams']);
+  assert.ok(changes.every(change => change.before === null));
+});
+
+test('saving without changes records nothing', () => {
+  assert.deepEqual(diffScans(createScan(), createScan({ updatedAt: '2026-01-06T10:00:00.000Z' })), []);
+});
+
+test('changed fields are listed with both values', () => {
+  const changes = diffScans(createScan(), createScan({ location: 'Canteen', notes: 'Busy day' }));
+
+  assert.deepEqual(changes, [
+    { field: 'location', before: 'Kitchen', after: 'Canteen' },
+    { field: 'notes', before: null, after: 'Busy day' }
+  ]);
+});
+
+test('photos are compared by ID and caption only', () => {
+  const withData = createScan({ photos: [{ id: 'photo-1', mime: 'image/jpeg', caption: '', dataUrl: 'data:image/jpeg;base64,AAAA' }] });
+  assert.deepEqual(diffScans(createScan(), withData), []);
+
+  const captioned = createScan({ photos: [{ id: 'photo-1', mime: 'image/jpeg', caption: 'Bin 3' }] });
+  assert.deepEqual(diffScans(createScan(), captioned).map(change => change.field), ['photos']);
+});
+
+test('streams are compared regardless of key order', () => {
+  const reordered = createScan({ streams: [{ weightKg: 4, name: 'Cardboard', id: 'stream-1' }] });
+  assert.deepEqual(diffScans(createScan(), reordered), []);
+
+  const heavier = createScan({ streams: [{ id: 'stream-1', name: 'Cardboard', weightKg: 5 }] });
+  assert.deepEqual(diffScans(createScan(), heavier).map(change => change.field), ['streams']);
+});
+
+test('stream weights are compared per stream, with added and removed streams', () => {
+  const before = [
+    { id: 'stream-1', name: 'Cardboard', weightKg: 4 },
+    { id: 'stream-2', name: 'Glass', weightKg: 3 }
+  ];
+  const after = [
+    { id: 'stream-1', name: 'Cardboard', weightKg: 6.5 },
+    { id: 'stream-3', name: 'Metal', weightKg: 1 }
+  ];
+
+  assert.deepEqual(diffStreamWeights(before, after), [
+    { name: 'Cardboard', before: 4, after: 6.5, delta: 2.5 },
+    { name: 'Metal', before: null, after: 1, delta: 1 },
+    { name: 'Glass', before: 3, after: null, delta: -3 }
+  ]);
+});
+
+test('streams without a matching ID are paired by name', () => {
+  const rows = diffStreamWeights([{ name: 'Cardboard', weightKg: 4 }], [{ id: 'stream-9', name: 'Cardboard', weightKg: 5 }]);
+
+  assert.deepEqual(rows, [{ name: 'Cardboard', before: 4, after: 5, delta: 1 }]);
+});
+
+test('a renamed stream keeps its row through its ID', () => {
+  const rows = diffStreamWeights([{ id: 'stream-1', name: 'Paper', weightKg: 2 }], [{ id: 'stream-1', name: 'Cardboard', weightKg: 2 }]);
+
+  assert.deepEqual(rows, [{ name: 'Cardboard', before: 2, after: 2, delta: 0 }]);
+});
+
+test('fields have display labels', () => {
+  assert.equal(getFieldLabel('totalResidualKg'), 'Total weight');
+  assert.equal(getFieldLabel('unknown'), 'unknown');
+});
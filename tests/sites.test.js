@@ -0,0 +1,126 @@
+/**
+ * Site suggestion and aggregation tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLocation, locationsMatch, suggestSitesFromLocations, summarizeScans } from '../js/sites.js';
+
+/**
+ * Check whether two locations as typed match
+ * @param {string} a - Location
+ * @param {string} b - Location
+ * @returns {boolean} True if they look alike
+ */
+function match(a, b) {
+  return locationsMatch(normalizeLocation(a), normalizeLocation(b));
+}
+
+/**
+ * Create a scan without a site
+ * @param {string} id - Scan ID
+ * @param {string} location - Free-text location
+ * @returns {Object} Scan
+ */
+function scanAt(id, location) {
+  return { id, siteId: null, location, streams: [] };
+}
+
+test('locations are normalized to lowercase words without accents or punctuation', () => {
+  assert.equal(normalizeLocation('  Warehouse-A, Café  '), 'warehouse a cafe');
+  assert.equal(normalizeLocation(null), '');
+});
+
+test('case, punctuation and abbreviations of the same place match', () => {
+  assert.equal(match('Warehouse A', 'warehouse a'), true);
+  assert.equal(match('Warehouse A', 'WH-A'), true);
+  assert.equal(match('warehouse a', 'WH-A'), true);
+});
+
+test('numbered places only match with the same number', () => {
+  assert.equal(match('Hall 1', 'Hall 2'), false);
+  assert.equal(match('Hall 12', 'hall 12'), true);
+});
+
+test('a single typo in a longer word is tolerated', () => {
+  assert.equal(match('Warehouse A', 'Warehose A'), true);
+  assert.equal(match('Kitchen', 'Kitchan'), true);
+  assert.equal(match('Kitchen', 'Kotchan'), false);
+});
+
+test('short words must match exactly or as an abbreviation', () => {
+  assert.equal(match('Bay 3', 'Bat 3'), false);
+  assert.equal(match('Loading bay', 'Loading b'), false);
+  assert.equal(match('Loading bay', 'Ldg bay'), true);
+});
+
+test('locations with a different number of words do not match', () => {
+  assert.equal(match('Warehouse A', 'Warehouse'), false);
+});
+
+test('an ambiguous abbreviation matches both places, which stay apart', () => {
+  assert.equal(match('Main St', 'Main Street'), true);
+  assert.equal(match('Main St', 'Main Station'), true);
+  assert.equal(match('Main Street', 'Main Station'), false);
+
+  const suggestions = suggestSitesFromLocations([
+    scanAt('1', 'Main Street'),
+    scanAt('2', 'Main Station'),
+    scanAt('3', 'Main St')
+  ]);
+
+  // The abbreviation joins the first group it matches
+  assert.deepEqual(suggestions.map(s => s.scanIds), [['1', '3'], ['2']]);
+});
+
+test('scans at the same place are suggested as one site named after the most used variant', () => {
+  const suggestions = suggestSitesFromLocations([
+    scanAt('1', 'Warehouse A'),
+    scanAt('2', 'warehouse a'),
+    scanAt('3', 'WH-A'),
+    scanAt('4', 'Warehouse A'),
+    scanAt('5', 'Hall 2'),
+    { ...scanAt('6', 'Warehouse A'), siteId: 'site-1' },
+    scanAt('7', '  ')
+  ]);
+
+  assert.equal(suggestions.length, 2);
+  assert.equal(suggestions[0].name, 'Warehouse A');
+  assert.deepEqual(suggestions[0].scanIds, ['1', '2', '3', '4']);
+  assert.deepEqual(suggestions[0].variants, [
+    { text: 'Warehouse A', count: 2 },
+    { text: 'warehouse a', count: 1 },
+    { text: 'WH-A', count: 1 }
+  ]);
+  assert.equal(suggestions[0].siteId, null);
+  assert.deepEqual(suggestions[1].scanIds, ['5']);
+});
+
+test('suggestions link to an existing site with a matching name', () => {
+  const sites = [{ id: 'site-a', name: 'Warehouse A' }, { id: 'site-h1', name: 'Hall 1' }];
+  const suggestions = suggestSitesFromLocations([scanAt('1', 'WH A'), scanAt('2', 'Hall 2')], sites);
+
+  assert.equal(suggestions.find(s => s.name === 'WH A').siteId, 'site-a');
+  assert.equal(suggestions.find(s => s.name === 'Hall 2').siteId, null);
+});
+
+test('scans of a site are totalled per stream, heaviest first', () => {
+  const summary = summarizeScans([
+    { totalResidualKg: 40, streams: [{ name: 'Cardboard', weightKg: 6 }, { name: 'Glass', weightKg: 2 }] },
+    { totalResidualKg: 60, streams: [{ name: 'Glass', weightKg: 10 }, { name: '', weightKg: 2 }] },
+    { totalResidualKg: 0 }
+  ]);
+
+  assert.deepEqual(summary, {
+    scanCount: 3,
+    totalKg: 100,
+    extractedKg: 20,
+    separationPct: 20,
+    streams: [{ name: 'Glass', weightKg: 12 }, { name: 'Cardboard', weightKg: 6 }]
+  });
+});
+
+test('no scans add up to zero', () => {
+  assert.deepEqual(summarizeScans([]), { scanCount: 0, totalKg: 0, extractedKg: 0, separationPct: 0, streams: [] });
+});
@@ -0,0 +1,61 @@
+/**
+ * Stale-save detection tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getStaleReason, isRenamedOnlySince } from '../js/conflicts.js';
+
+const LOADED = '2026-02-01T10:00:00.000Z';
+
+/**
+ * Create a revision
+ * @param {string} timestamp - When it was made
+ * @param {string} source - What made it
+ * @returns {Object} Revision
+ */
+function revision(timestamp, source) {
+  return { timestamp, source };
+}
+
+test('an unchanged scan is not stale', () => {
+  assert.equal(getStaleReason({ id: 'a', updatedAt: LOADED, deletedAt: null }, LOADED), null);
+});
+
+test('a scan saved since it was loaded is stale', () => {
+  assert.equal(getStaleReason({ id: 'a', updatedAt: '2026-02-01T10:05:00.000Z' }, LOADED), 'changed');
+});
+
+test('trashed and deleted scans are reported before other changes', () => {
+  assert.equal(getStaleReason({ id: 'a', updatedAt: LOADED, deletedAt: '2026-02-01T11:00:00.000Z' }, LOADED), 'trashed');
+  assert.equal(getStaleReason({ id: 'a', updatedAt: '2026-02-01T11:00:00.000Z', deletedAt: '2026-02-01T11:00:00.000Z' }, LOADED), 'trashed');
+  assert.equal(getStaleReason(null, LOADED), 'deleted');
+  assert.equal(getStaleReason(undefined, LOADED), 'deleted');
+});
+
+test('changes made only by stream type renames are recognized', () => {
+  const revisions = [
+    revision('2026-02-01T12:00:00.000Z', 'taxonomy'),
+    revision('2026-02-01T11:00:00.000Z', 'taxonomy'),
+    revision(LOADED, 'manual'),
+    revision('2026-01-20T09:00:00.000Z', 'ai')
+  ];
+
+  assert.equal(isRenamedOnlySince(revisions, LOADED), true);
+});
+
+test('any other change since the loaded version makes it a real conflict', () => {
+  const revisions = [
+    revision('2026-02-01T12:00:00.000Z', 'taxonomy'),
+    revision('2026-02-01T11:00:00.000Z', 'sync'),
+    revision(LOADED, 'manual')
+  ];
+
+  assert.equal(isRenamedOnlySince(revisions, LOADED), false);
+});
+
+test('without newer revisions nothing counts as a rename', () => {
+  assert.equal(isRenamedOnlySince([revision(LOADED, 'taxonomy')], LOADED), false);
+  assert.equal(isRenamedOnlySince([], LOADED), false);
+});
@@ -0,0 +1,138 @@
+/**
+ * Sync conflict rules and REST client tests
+ * Run with: node --test tests/
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRemoteChange } from '../js/conflicts.js';
+import { pullChanges, pushScan, deleteRemoteScan } from '../js/api/sync.js';
+import { createMockSyncServer } from '../tools/mock-sync-server.js';
+
+function createScan(overrides = {}) {
+  return {
+    id: 'scan-1',
+    createdAt: '2024-03-01T10:00:00.000Z',
+    updatedAt: '2024-03-01T11:00:00.000Z',
+    siteId: null,
+    location: 'Warehouse A',
+    notes: null,
+    photo: null,
+    totalResidualKg: 20,
+    streams: [{ id: 'stream-1', typeId: 'cardboard', name: 'Cardboard', weightKg: 5 }],
+    ...overrides
+  };
+}
+
+function createChange(scan, overrides = {}) {
+  return { id: scan.id, updatedAt: scan.updatedAt, deleted: false, schemaVersion: 4, scan, ...overrides };
+}
+
+test('a remote scan that is not here yet is inserted', () => {
+  const remote = createChange(createScan());
+  assert.equal(resolveRemoteChange({ local: null, remote, baseUpdatedAt: null, pending: false }), 'insert');
+});
+
+test('without local changes the newer remote version wins', () => {
+  const local = createScan();
+  const remote = createChange(createScan({ updatedAt: '2024-03-02T09:00:00.000Z', totalResidualKg: 25 }));
+  assert.equal(resolveRemoteChange({ local, remote, baseUpdatedAt: local.updatedAt, pending: false }), 'update');
+});
+
+test('without local changes an older remote version is overwritten by a push', () => {
+  const local = createScan({ updatedAt: '2024-03-03T09:00:00.000Z', notes: 'Recounted' });
+  const remote = createChange(createScan());
+  assert.equal(resolveRemoteChange({ local, remote, baseUpdatedAt: null, pending: false }), 'push');
+});
+
+test('local changes win when the server has not changed since the last sync', () => {
+  const local = createScan({ updatedAt: '2024-03-02T09:00:00.000Z', totalResidualKg: 30 });
+  const remote = createChange(createScan());
+  assert.equal(resolveRemoteChange({ local, remote, baseUpdatedAt: remote.updatedAt, pending: true }), 'keep');
+});
+
+test('changes on both sides are a conflict', () => {
+  const local = createScan({ updatedAt: '2024-03-02T09:00:00.000Z', totalResidualKg: 30 });
+  const remote = createChange(createScan({ updatedAt: '2024-03-02T10:00:00.000Z', totalResidualKg: 35 }));
+  assert.equal(resolveRemoteChange({ local, remote, baseUpdatedAt: '2024-03-01T11:00:00.000Z', pending: true }), 'conflict');
+});
+
+test('the same change made on both sides is not a conflict', () => {
+  const local = createScan({ updatedAt: '2024-03-02T09:00:00.000Z', totalResidualKg: 30 });
+  const remote = createChange(createScan({ updatedAt: '2024-03-02T10:00:00.000Z', totalResidualKg: 30 }));
+  assert.equal(resolveRemoteChange({ local, remote, baseUpdatedAt: '2024-03-01T11:00:00.000Z', pending: true }), 'same');
+});
+
+test('a remote deletion removes an unchanged scan but conflicts with local edits', () => {
+  const local = createScan();
+  const remote = { id: local.id, updatedAt: '2024-03-05T08:00:00.000Z', deleted: true, schemaVersion: 4, scan: null };
+  assert.equal(resolveRemoteChange({ local, remote, baseUpdatedAt: local.updatedAt, pending: false }), 'delete');
+  assert.equal(resolveRemoteChange({ local, remote, baseUpdatedAt: local.updatedAt, pending: true }), 'conflict');
+});
+
+test('a remote edit of a scan deleted here is a conflict', () => {
+  const remote = createChange(createScan({ updatedAt: '2024-03-02T10:00:00.000Z' }));
+  assert.equal(resolveRemoteChange({ local: null, remote, baseUpdatedAt: '2024-03-01T11:00:00.000Z', pending: true }), 'conflict');
+});
+
+// REST client against the mock server
+
+let server;
+let config;
+
+before(async () => {
+  server = createMockSyncServer({ token: 'secret' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  config = { endpoint: `http://127.0.0.1:${server.address().port}/`, token: 'secret' };
+});
+
+after(() => {
+  server.close();
+});
+
+test('pushed scans are pulled with a cursor, and stale writes are rejected', async () => {
+  const scan = createScan();
+
+  const created = await pushScan(config, scan, 4, null);
+  assert.equal(created.ok, true);
+  assert.equal(created.change.updatedAt, scan.updatedAt);
+
+  const first = await pullChanges(config, null);
+  assert.deepEqual(first.changes.map(change => change.id), ['scan-1']);
+  assert.deepEqual(first.changes[0].scan, scan);
+
+  const edited = createScan({ updatedAt: '2024-03-02T09:00:00.000Z', totalResidualKg: 22 });
+  assert.equal((await pushScan(config, edited, 4, scan.updatedAt)).ok, true);
+
+  // Another device still based on the first version
+  const stale = await pushScan(config, createScan({ updatedAt: '2024-03-02T10:00:00.000Z' }), 4, scan.updatedAt);
+  assert.equal(stale.ok, false);
+  assert.equal(stale.change.scan.totalResidualKg, 22);
+
+  const second = await pullChanges(config, first.cursor);
+  assert.equal(second.changes.length, 1);
+  assert.equal(second.changes[0].updatedAt, edited.updatedAt);
+
+  const third = await pullChanges(config, second.cursor);
+  assert.deepEqual(third.changes, []);
+});
+
+test('deleting a scan leaves a tombstone for other devices', async () => {
+  const scan = createScan({ id: 'scan-2' });
+  await pushScan(config, scan, 4, null);
+  const { cursor } = await pullChanges(config, null);
+
+  assert.equal((await deleteRemoteScan(config, 'scan-2', '2020-01-01T00:00:00.000Z')).ok, false);
+
+  const deleted = await deleteRemoteScan(config, 'scan-2', scan.updatedAt);
+  assert.equal(deleted.ok, true);
+
+  const { changes } = await pullChanges(config, cursor);
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].deleted, true);
+  assert.equal(changes[0].scan, null);
+});
+
+test('requests without the access token fail', async () => {
+  await assert.rejects(pullChanges({ ...config, token: null }, null), /Invalid access token/);
+});
@@ -0,0 +1,54 @@
+/**
+ * Stream taxonomy matching tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STREAM_TYPES, matchStreamType, mapDetectedStreams } from '../js/taxonomy.js';
+
+const matchId = (name, types = DEFAULT_STREAM_TYPES) => matchStreamType(types, name)?.id ?? null;
+
+test('names, synonyms and plurals map onto the default types', () => {
+  assert.equal(matchId('cardboard'), 'cardboard');
+  assert.equal(matchId('Corrugated'), 'cardboard');
+  assert.equal(matchId('Food waste'), 'bio-food');
+  assert.equal(matchId('Aluminium cans'), 'metal');
+  assert.equal(matchId('Metals'), 'metal');
+  assert.equal(matchId('PET bottles'), 'plastics-hard');
+});
+
+test('descriptive names and typos map onto the type they contain', () => {
+  assert.equal(matchId('Cardboard boxes'), 'cardboard');
+  assert.equal(matchId('Hard plastics'), 'plastics-hard');
+  assert.equal(matchId('Plastic film'), 'plastics-film');
+  assert.equal(matchId('Cardbord'), 'cardboard');
+});
+
+test('names that fit several types or none are not mapped', () => {
+  assert.equal(matchId('Plastic'), null);
+  assert.equal(matchId('Paper & cardboard'), null);
+  assert.equal(matchId('Styrofoam'), null);
+  assert.equal(matchId(''), null);
+});
+
+test('synonyms follow a renamed type', () => {
+  const types = DEFAULT_STREAM_TYPES.map(type => type.id === 'cardboard' ? { ...type, name: 'Karton' } : type);
+  assert.equal(matchId('Cardboard boxes', types), 'cardboard');
+  assert.equal(matchId('karton', types), 'cardboard');
+});
+
+test('detected streams of the same type are combined and the rest flagged', () => {
+  const left = { x: 0, y: 0, width: 0.5, height: 1 };
+  const right = { x: 0.5, y: 0, width: 0.5, height: 1 };
+  const mapped = mapDetectedStreams(DEFAULT_STREAM_TYPES, [
+    { name: 'Cardboard', weightKg: 2, confidence: 'high', regions: [left] },
+    { name: 'Styrofoam', weightKg: 0.5, confidence: null, regions: [] },
+    { name: 'Cardboard boxes', weightKg: 1.5, confidence: 'low', regions: [right] }
+  ]);
+
+  assert.deepEqual(mapped.map(({ type, ...stream }) => ({ ...stream, typeId: type?.id ?? null })), [
+    { name: 'Cardboard', weightKg: 3.5, confidence: 'low', regions: [left, right], unmapped: false, typeId: 'cardboard' },
+    { name: 'Styrofoam', weightKg: 0.5, confidence: null, regions: [], unmapped: true, typeId: null }
+  ]);
+});
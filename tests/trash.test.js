@@ -0,0 +1,50 @@
+/**
+ * Trash expiry tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getExpiredScans, getDaysLeft } from '../js/trash.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-06-30T12:00:00Z').getTime();
+
+/**
+ * Create a scan trashed some time before NOW
+ * @param {string} id - Scan ID
+ * @param {number} msAgo - How long ago it was trashed
+ * @returns {Object} Trashed scan
+ */
+function trashedAgo(id, msAgo) {
+  return { id, deletedAt: new Date(NOW - msAgo).toISOString() };
+}
+
+test('scans in the trash longer than the retention period expire', () => {
+  const scans = [
+    trashedAgo('old', 31 * DAY_MS),
+    trashedAgo('recent', 2 * DAY_MS),
+    trashedAgo('just-over', 30 * DAY_MS + 1000)
+  ];
+
+  assert.deepEqual(getExpiredScans(scans, 30, NOW).map(scan => scan.id), ['old', 'just-over']);
+});
+
+test('a scan exactly at the retention cutoff is kept', () => {
+  assert.deepEqual(getExpiredScans([trashedAgo('edge', 30 * DAY_MS)], 30, NOW), []);
+});
+
+test('the cutoff follows the configured retention period', () => {
+  const scans = [trashedAgo('a', 3 * DAY_MS), trashedAgo('b', 10 * DAY_MS)];
+
+  assert.deepEqual(getExpiredScans(scans, 1, NOW).map(scan => scan.id), ['a', 'b']);
+  assert.deepEqual(getExpiredScans(scans, 7, NOW).map(scan => scan.id), ['b']);
+  assert.deepEqual(getExpiredScans(scans, 30, NOW), []);
+});
+
+test('days left are rounded up and never negative', () => {
+  assert.equal(getDaysLeft(trashedAgo('a', 0), 30, NOW), 30);
+  assert.equal(getDaysLeft(trashedAgo('a', 29.5 * DAY_MS), 30, NOW), 1);
+  assert.equal(getDaysLeft(trashedAgo('a', 30 * DAY_MS), 30, NOW), 0);
+  assert.equal(getDaysLeft(trashedAgo('a', 45 * DAY_MS), 30, NOW), 0);
+});
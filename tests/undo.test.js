@@ -0,0 +1,94 @@
+/**
+ * Undo history tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUndoHistory, recordUndoStep, undoStep, redoStep, COALESCE_MS, MAX_UNDO_STEPS } from '../js/undo.js';
+
+function scan(weightKg, location = 'Kitchen') {
+  return {
+    id: 'scan-1',
+    location,
+    photos: [{ id: 'p1', dataUrl: 'data:image/jpeg;base64,AAAA', caption: null }],
+    totalResidualKg: 10,
+    streams: [{ id: 's1', name: 'Glass', weightKg }]
+  };
+}
+
+test('undo goes back to the scan before the edit and redo forward again', () => {
+  const before = scan(1);
+  const history = recordUndoStep(createUndoHistory(), before, null, 0);
+  
+  const undone = undoStep(history, scan(2));
+  assert.equal(undone.scan.streams[0].weightKg, 1);
+  
+  const redone = redoStep(undone.history, undone.scan);
+  assert.equal(redone.scan.streams[0].weightKg, 2);
+  assert.equal(redoStep(redone.history, redone.scan), null);
+});
+
+test('the recorded scan does not follow later edits', () => {
+  const current = scan(1);
+  const history = recordUndoStep(createUndoHistory(), current, null, 0);
+  current.streams[0].weightKg = 5;
+  current.photos[0].caption = 'Bag 1';
+  
+  const undone = undoStep(history, current);
+  assert.equal(undone.scan.streams[0].weightKg, 1);
+  assert.equal(undone.scan.photos[0].caption, null);
+});
+
+test('edits of the same field in quick succession are one step', () => {
+  let history = createUndoHistory();
+  history = recordUndoStep(history, scan(1), 'weight:s1', 0);
+  history = recordUndoStep(history, scan(12), 'weight:s1', 300);
+  history = recordUndoStep(history, scan(123), 'weight:s1', 600);
+  assert.equal(history.past.length, 1);
+  
+  history = recordUndoStep(history, scan(1234), 'weight:s1', 600 + COALESCE_MS);
+  assert.equal(history.past.length, 2);
+  
+  history = recordUndoStep(history, scan(1234), 'location', 700 + COALESCE_MS);
+  assert.equal(history.past.length, 3);
+});
+
+test('edits without a key are never combined', () => {
+  let history = createUndoHistory();
+  history = recordUndoStep(history, scan(1), null, 0);
+  history = recordUndoStep(history, scan(1), null, 10);
+  
+  assert.equal(history.past.length, 2);
+});
+
+test('an edit after undoing clears the redo steps', () => {
+  let history = recordUndoStep(createUndoHistory(), scan(1), null, 0);
+  history = undoStep(history, scan(2)).history;
+  assert.equal(history.future.length, 1);
+  
+  history = recordUndoStep(history, scan(1), null, 10);
+  assert.equal(history.future.length, 0);
+});
+
+test('an edit right after undoing is a step of its own', () => {
+  let history = recordUndoStep(createUndoHistory(), scan(1), 'weight:s1', 0);
+  history = undoStep(history, scan(2)).history;
+  history = recordUndoStep(history, scan(1), 'weight:s1', 10);
+  
+  assert.equal(history.past.length, 1);
+});
+
+test('only the most recent steps are kept', () => {
+  let history = createUndoHistory();
+  for (let i = 0; i < MAX_UNDO_STEPS + 5; i++) {
+    history = recordUndoStep(history, scan(i), null, i);
+  }
+  
+  assert.equal(history.past.length, MAX_UNDO_STEPS);
+  assert.equal(history.past[0].streams[0].weightKg, 5);
+});
+
+test('nothing to undo returns null', () => {
+  assert.equal(undoStep(createUndoHistory(), scan(1)), null);
+});
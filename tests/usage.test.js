@@ -0,0 +1,62 @@
+/**
+ * AI usage tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateAiCost, summarizeAiCalls, summarizeAiUsage, isAiBudgetReached, getMonthStart } from '../js/usage.js';
+
+const PRICES = { inputPricePerMillion: 0.3, outputPricePerMillion: 2.5 };
+const NO_PRICES = { inputPricePerMillion: null, outputPricePerMillion: null };
+
+/**
+ * Build a recorded call
+ * @param {string} timestamp - When it was made
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} The call
+ */
+function call(timestamp, fields = {}) {
+  return { timestamp, inputTokens: 1000, outputTokens: 200, latencyMs: 2000, outcome: 'success', ...fields };
+}
+
+test('the cost is estimated from the prices per million tokens', () => {
+  assert.equal(estimateAiCost({ inputTokens: 2e6, outputTokens: 1e6 }, PRICES), 3.1);
+  assert.equal(estimateAiCost({ inputTokens: 1e6, outputTokens: null }, { ...PRICES, outputPricePerMillion: null }), 0.3);
+  assert.equal(estimateAiCost({ inputTokens: 1e6, outputTokens: 1e6 }, NO_PRICES), null);
+});
+
+test('calls are totalled with failures and the average latency', () => {
+  const totals = summarizeAiCalls([
+    call('2026-10-01T10:00:00'),
+    call('2026-10-01T11:00:00', { outcome: 'error', inputTokens: null, outputTokens: null, latencyMs: 4000 }),
+    call('2026-10-01T12:00:00', { outcome: 'cancelled', latencyMs: 0 })
+  ], PRICES);
+
+  assert.deepEqual(totals, { calls: 3, failed: 1, inputTokens: 2000, outputTokens: 400, averageLatencyMs: 2000, cost: 0.0016 });
+  assert.equal(summarizeAiCalls([], PRICES).averageLatencyMs, null);
+});
+
+test('usage is split into today and this month in local time', () => {
+  const now = new Date(2026, 9, 18, 15, 0);
+  const calls = [
+    call(new Date(2026, 8, 30, 23, 59).toISOString()),
+    call(new Date(2026, 9, 1, 0, 0).toISOString()),
+    call(new Date(2026, 9, 18, 0, 30).toISOString()),
+    call(new Date(2026, 9, 18, 14, 0).toISOString())
+  ];
+
+  const { today, month } = summarizeAiUsage(calls, NO_PRICES, now);
+
+  assert.equal(today.calls, 2);
+  assert.equal(month.calls, 3);
+  assert.equal(month.cost, null);
+  assert.deepEqual(getMonthStart(now), new Date(2026, 9, 1));
+});
+
+test('the budget is reached once the estimated cost is as high', () => {
+  assert.equal(isAiBudgetReached(4.99, 5), false);
+  assert.equal(isAiBudgetReached(5, 5), true);
+  assert.equal(isAiBudgetReached(100, null), false);
+  assert.equal(isAiBudgetReached(null, 5), false);
+});
@@ -0,0 +1,48 @@
+/**
+ * Volume conversion tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBulkDensity, calculateVolumeLiters, convertVolumeToKg, describeVolumeEntry } from '../js/volume.js';
+
+const CONTAINERS = [
+  { id: 'bin-240', name: '240 L wheelie bin', capacityLiters: 240 },
+  { id: 'other', name: 'Other', capacityLiters: null }
+];
+
+test('a stream type\'s own density comes before the default one', () => {
+  assert.equal(getBulkDensity({ id: 'cardboard', densityKgPerL: 0.08 }), 0.08);
+  assert.equal(getBulkDensity({ id: 'cardboard', densityKgPerL: null }), 0.05);
+  assert.equal(getBulkDensity({ id: 'custom', densityKgPerL: null }), null);
+  assert.equal(getBulkDensity(null), null);
+});
+
+test('the volume of containers takes their number and fill level into account', () => {
+  assert.equal(calculateVolumeLiters(CONTAINERS[0], 2, 0.5), 240);
+  assert.equal(calculateVolumeLiters(CONTAINERS[0], 3, null), 720);
+  assert.equal(calculateVolumeLiters(CONTAINERS[0], 1, 0.75), 180);
+});
+
+test('no volume without a container size or count', () => {
+  assert.equal(calculateVolumeLiters(CONTAINERS[1], 2, 1), null);
+  assert.equal(calculateVolumeLiters(null, 2, 1), null);
+  assert.equal(calculateVolumeLiters(CONTAINERS[0], null, 1), null);
+});
+
+test('a volume converts to kilograms with the density', () => {
+  assert.equal(convertVolumeToKg(240, 0.05), 12);
+  assert.equal(convertVolumeToKg(35, 0.03), 1.1);
+  assert.equal(convertVolumeToKg(240, null), null);
+  assert.equal(convertVolumeToKg(null, 0.05), null);
+});
+
+test('the volume entry is described as entered', () => {
+  assert.equal(
+    describeVolumeEntry({ containerType: 'bin-240', containerCount: 2, fillLevel: 0.5, volumeLiters: 240 }, CONTAINERS),
+    '2 × 240 L wheelie bin, half full = 240 L'
+  );
+  assert.equal(describeVolumeEntry({ containerType: null, containerCount: null, fillLevel: null, volumeLiters: 80 }, CONTAINERS), '80 L');
+  assert.equal(describeVolumeEntry({ containerType: 'bin-240', containerCount: null, fillLevel: null, volumeLiters: null }, CONTAINERS), '');
+});
@@ -0,0 +1,45 @@
+/**
+ * Weighing tests
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWeighing, getNetKg, summarizeWeighings, describeWeighings } from '../js/weighing.js';
+
+const BIN_240 = { id: 'bin-240', name: '240 L wheelie bin', tareKg: 12.5 };
+
+test('a new weighing takes the tare of its container', () => {
+  assert.deepEqual(createWeighing('w1', BIN_240), { id: 'w1', grossKg: 0, containerType: 'bin-240', tareKg: 12.5 });
+  assert.deepEqual(createWeighing('w2', null), { id: 'w2', grossKg: 0, containerType: null, tareKg: 0 });
+});
+
+test('the net weight is the gross weight minus the tare', () => {
+  assert.equal(getNetKg({ grossKg: 30, tareKg: 12.5 }), 17.5);
+  assert.equal(getNetKg({ grossKg: 4, tareKg: 0 }), 4);
+});
+
+test('a weighing lighter than its container counts as empty', () => {
+  assert.equal(getNetKg({ grossKg: 10, tareKg: 12.5 }), 0);
+  assert.equal(getNetKg({ grossKg: 0, tareKg: 12.5 }), 0);
+});
+
+test('weighings of a stream are added up', () => {
+  const summary = summarizeWeighings([
+    { grossKg: 30, tareKg: 12.5 },
+    { grossKg: 21.3, tareKg: 12.5 },
+    { grossKg: 0.7, tareKg: 0.1 }
+  ]);
+
+  assert.deepEqual(summary, { count: 3, grossKg: 52, tareKg: 25.1, netKg: 26.9 });
+});
+
+test('no weighings add up to zero', () => {
+  assert.deepEqual(summarizeWeighings([]), { count: 0, grossKg: 0, tareKg: 0, netKg: 0 });
+});
+
+test('weighings are described by their gross weight and tare', () => {
+  assert.equal(describeWeighings([{ grossKg: 30, tareKg: 12.5 }, { grossKg: 21.3, tareKg: 12.5 }]), '2 weighings: 51.3 kg gross − 25.0 kg tare');
+  assert.equal(describeWeighings([{ grossKg: 4, tareKg: 0.1 }]), '1 weighing: 4.0 kg gross − 0.1 kg tare');
+  assert.equal(describeWeighings([]), '');
+});
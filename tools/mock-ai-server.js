@@ -0,0 +1,107 @@
+/**
+ * Mock Gemini server for local testing
+ * Replays the recorded responses in tools/fixtures/gemini, so the analyze and
+ * classify flows work without network access or an API key.
+ *
+ * Run with: node tools/mock-ai-server.js [port]
+ * then choose Google Gemini in the app's settings, enter any API key and set
+ * the base URL to http://localhost:8788. Analyses get the "analysis" fixture
+ * and classifications the "classification" fixture; to replay another one,
+ * enter its file name (without .json) as the model, e.g. "error-quota".
+ */
+
+import { createServer } from 'node:http';
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const DEFAULT_PORT = 8788;
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/gemini/', import.meta.url));
+
+/**
+ * Read the recorded responses
+ * @param {string} [dir] - Directory with one `{description, status, headers, body}` JSON file per response; headers are optional
+ * @returns {Map<string, {description: string, status: number, headers: Object|undefined, body: Object}>} Fixtures by file name without .json
+ */
+export function loadFixtures(dir = FIXTURES_DIR) {
+  return new Map(readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file.slice(0, -'.json'.length), JSON.parse(readFileSync(join(dir, file), 'utf8'))]));
+}
+
+/**
+ * Create a server answering like the Gemini API with recorded responses
+ * @param {Object} [options]
+ * @param {Map} [options.fixtures] - Fixtures to serve, see loadFixtures()
+ * @returns {import('node:http').Server} The server (not yet listening); `server.requests` lists the requests received
+ */
+export function createMockAiServer({ fixtures = loadFixtures() } = {}) {
+  const requests = [];
+
+  const server = createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    const url = new URL(req.url, 'http://localhost');
+
+    // Like Gemini, every request needs a key
+    if (!url.searchParams.get('key')) {
+      send(fixtures.get('error-invalid-key').status, fixtures.get('error-invalid-key').body);
+      return;
+    }
+
+    // Connection test
+    if (req.method === 'GET' && url.pathname === '/models') {
+      send(200, { models: [...fixtures.keys()].map(name => ({ name: `models/${name}`, displayName: name })) });
+      return;
+    }
+
+    const match = url.pathname.match(/^\/models\/([^/:]+):generateContent$/);
+    if (!match || req.method !== 'POST') {
+      send(404, { error: { code: 404, message: 'Not found', status: 'NOT_FOUND' } });
+      return;
+    }
+
+    let body;
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      send(400, { error: { code: 400, message: 'Invalid JSON payload received.', status: 'INVALID_ARGUMENT' } });
+      return;
+    }
+
+    // The model picks a fixture; otherwise the response schema tells analyses from classifications
+    const model = decodeURIComponent(match[1]);
+    const name = fixtures.has(model)
+      ? model
+      : body.generationConfig?.responseJsonSchema?.properties?.streams ? 'analysis' : 'classification';
+    requests.push({ model, fixture: name, body });
+
+    const fixture = fixtures.get(name);
+    send(fixture.status, fixture.body, fixture.headers);
+  });
+
+  server.requests = requests;
+  return server;
+}
+
+// Started directly rather than imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.argv[2]) || DEFAULT_PORT;
+  createMockAiServer().listen(port, () => {
+    console.log(`Mock AI server listening on http://localhost:${port}`);
+  });
+}
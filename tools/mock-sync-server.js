@@ -0,0 +1,117 @@
+/**
+ * Mock sync server for local testing
+ * Implements the protocol of js/api/sync.js in memory.
+ *
+ * Run with: node tools/mock-sync-server.js [port]
+ * then set the sync server URL in the app's settings to http://localhost:8787
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Create a sync server that keeps its data in memory
+ * @param {Object} [options]
+ * @param {string|null} [options.token] - Bearer token to require, or null to accept any request
+ * @returns {import('node:http').Server} The server (not yet listening)
+ */
+export function createMockSyncServer({ token = null } = {}) {
+  // Latest change per scan ID, each with the sequence number it was stored at
+  const changes = new Map();
+  let sequence = 0;
+
+  const store = (change) => {
+    sequence++;
+    changes.set(change.id, { ...change, sequence });
+    return change;
+  };
+
+  return createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      send(401, { error: { message: 'Invalid access token' } });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/scans(?:\/([^/]+))?$/);
+
+    if (!match) {
+      send(404, { error: { message: 'Not found' } });
+      return;
+    }
+
+    const id = match[1] ? decodeURIComponent(match[1]) : null;
+
+    if (req.method === 'GET' && !id) {
+      const since = parseInt(url.searchParams.get('since')) || 0;
+      const list = [...changes.values()]
+        .filter(change => change.sequence > since)
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(({ sequence: _, ...change }) => change);
+      send(200, { changes: list, cursor: String(sequence) });
+      return;
+    }
+
+    if (!id || (req.method !== 'PUT' && req.method !== 'DELETE')) {
+      send(405, { error: { message: 'Method not allowed' } });
+      return;
+    }
+
+    const current = changes.get(id);
+    const { sequence: _, ...currentChange } = current || {};
+    let body = {};
+
+    if (req.method === 'PUT') {
+      let raw = '';
+      for await (const chunk of req) raw += chunk;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        send(400, { error: { message: 'Invalid JSON' } });
+        return;
+      }
+      if (!body.scan || body.scan.id !== id || !body.scan.updatedAt) {
+        send(400, { error: { message: 'A scan with this ID and an updatedAt is required' } });
+        return;
+      }
+    } else {
+      body.baseUpdatedAt = url.searchParams.get('baseUpdatedAt');
+    }
+
+    // Reject writes based on an outdated version
+    if (current && current.updatedAt !== (body.baseUpdatedAt || null)) {
+      send(409, { change: currentChange });
+      return;
+    }
+
+    const change = req.method === 'PUT'
+      ? { id, updatedAt: body.scan.updatedAt, deleted: false, schemaVersion: body.schemaVersion, scan: body.scan }
+      : { id, updatedAt: new Date().toISOString(), deleted: true, schemaVersion: current?.schemaVersion ?? null, scan: null };
+
+    send(200, { change: store(change) });
+  });
+}
+
+// Started directly rather than imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.argv[2]) || DEFAULT_PORT;
+  createMockSyncServer().listen(port, () => {
+    console.log(`Mock sync server listening on http://localhost:${port}`);
+  });
+}